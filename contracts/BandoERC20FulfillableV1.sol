@@ -6,15 +6,18 @@ import { Address } from "@openzeppelin/contracts/utils/Address.sol";
 import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import { SafeERC20 } from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import { IBandoERC20Fulfillable } from "./IBandoERC20Fulfillable.sol";
-import { OwnableUpgradeable } from '@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol';
+import { BandoRolesUpgradeable } from "./access/BandoRolesUpgradeable.sol";
 import { UUPSUpgradeable } from '@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol';
 import { ReentrancyGuardUpgradeable } from "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
 import { Service, IFulfillableRegistry } from "./periphery/registry/IFulfillableRegistry.sol";
+import { PaginationLib } from "./libraries/PaginationLib.sol";
+import { FulfillmentRequestLib } from "./libraries/FulfillmentRequestLib.sol";
 import {
     ERC20FulFillmentRecord,
     ERC20FulFillmentRequest,
     FulFillmentResultState,
-    FulFillmentResult
+    FulFillmentResult,
+    LockedRelease
 } from "./FulfillmentTypes.sol";
 
 /// @title BandoERC20FulfillableV1
@@ -32,7 +35,7 @@ import {
 contract BandoERC20FulfillableV1 is
     IBandoERC20Fulfillable,
     UUPSUpgradeable,
-    OwnableUpgradeable,
+    BandoRolesUpgradeable,
     ReentrancyGuardUpgradeable {
 
     using Address for address;
@@ -58,6 +61,40 @@ contract BandoERC20FulfillableV1 is
     /// @param weiAmount The amount of wei to refund.
     event ERC20RefundAuthorized(address indexed payee, uint256 weiAmount);
 
+    /// @notice Event emitted when a pending fulfillment is expired.
+    /// @param id The fulfillment record id.
+    /// @param payer The payer the refund was authorized to.
+    /// @param token The address of the token.
+    /// @param amount The token amount authorized for refund.
+    event ERC20FulfillmentExpired(uint256 indexed id, address indexed payer, address token, uint256 amount);
+
+    /// @notice Event emitted when a release is locked in its service's dispute window.
+    /// @param id The fulfillment record id.
+    /// @param token The address of the token.
+    /// @param amount The token amount locked.
+    /// @param releaseTime Time at which the release matures.
+    event ERC20ReleaseLocked(uint256 indexed id, address token, uint256 amount, uint256 releaseTime);
+
+    /// @notice Event emitted when a matured release is credited to the releaseable pool.
+    /// @param id The fulfillment record id.
+    /// @param token The address of the token.
+    /// @param amount The token amount released.
+    event ERC20ReleaseMatured(uint256 indexed id, address token, uint256 amount);
+
+    /// @notice Event emitted when a payer disputes a fulfilled record.
+    /// @param id The fulfillment record id.
+    /// @param payer The payer of the record.
+    /// @param token The address of the token.
+    /// @param amount The token amount locked by the dispute.
+    event ERC20DisputeOpened(uint256 indexed id, address indexed payer, address token, uint256 amount);
+
+    /// @notice Event emitted when the arbiter resolves a dispute.
+    /// @param id The fulfillment record id.
+    /// @param refunded Whether the amount was authorized for refund to the payer, or released.
+    /// @param token The address of the token.
+    /// @param amount The token amount refunded or released.
+    event ERC20DisputeResolved(uint256 indexed id, bool refunded, address token, uint256 amount);
+
     /*****************************/
     /* STATE VARIABLES           */
     /*****************************/
@@ -102,9 +139,34 @@ contract BandoERC20FulfillableV1 is
         uint256 => mapping(address => mapping(address => uint256))
     ) private _erc20_authorized_refunds;
 
+    /// @dev The time after which a PENDING record can be expired, by record id.
+    /// Set on deposit from the service fulfillment timeout, 0 when the record never expires.
+    mapping(uint256 => uint256) private _fulfillmentDeadlines;
+
+    /// @dev Record ids mapped to service ids, in deposit order
+    mapping(uint256 => uint256[]) private _fulfillmentRecordsForService;
+
+    /// @notice The last record id listed by service.
+    /// Records deposited before records were listed by service are listed by indexServiceRecords.
+    uint256 public _serviceRecordsIndexed;
+
+    /// @dev Releases locked in their service's dispute window, by record id
+    mapping(uint256 => LockedRelease) private _lockedReleases;
+
+    /// @notice The released amounts per token still locked in dispute windows.
+    /// @dev serviceID => tokenAddress => amount
+    mapping(uint256 => mapping(address => uint256)) private _lockedPools;
+
     /// @notice UUPS upgrade authorization
     /// @param newImplementation The address of the new implementation.
-    function _authorizeUpgrade(address newImplementation) internal override onlyOwner {}
+    function _authorizeUpgrade(address newImplementation) internal override onlyRole(UPGRADER_ROLE) {}
+
+    /// @dev The roles checked by this contract, granted to the admin on initialization.
+    function _managedRoles() internal pure override returns (bytes32[] memory roles) {
+        roles = new bytes32[](2);
+        roles[0] = UPGRADER_ROLE;
+        roles[1] = ARBITER_ROLE;
+    }
 
     /*****************************/
     /* FULFILLABLE ESCROW LOGIC  */
@@ -112,7 +174,7 @@ contract BandoERC20FulfillableV1 is
 
     /// @dev Initializes the contract.
     function initialize() public virtual initializer {
-        __Ownable_init(msg.sender);
+        __BandoRoles_init(msg.sender);
         __UUPSUpgradeable_init();
         __ReentrancyGuard_init();
         _fulfillmentIdCount = 1;
@@ -120,21 +182,21 @@ contract BandoERC20FulfillableV1 is
 
     /// @dev Sets the protocol manager address.
     /// @param manager_ The address of the protocol manager.
-    function setManager(address manager_) public onlyOwner {
+    function setManager(address manager_) public onlyRole(DEFAULT_ADMIN_ROLE) {
         require(manager_ != address(0), "Manager address cannot be 0");
         _manager = manager_;
     }
 
     /// @dev Sets the protocol router address.
     /// @param router_ The address of the protocol router.
-    function setRouter(address router_) public onlyOwner {
+    function setRouter(address router_) public onlyRole(DEFAULT_ADMIN_ROLE) {
         require(router_ != address(0), "Router address cannot be 0");
         _router = router_;
     }
 
     /// @dev Sets the fulfillable registry address.
     /// @param fulfillableRegistry_ The address of the fulfillable registry.
-    function setFulfillableRegistry(address fulfillableRegistry_) public onlyOwner {
+    function setFulfillableRegistry(address fulfillableRegistry_) public onlyRole(DEFAULT_ADMIN_ROLE) {
         require(fulfillableRegistry_ != address(0), "Fulfillable registry address cannot be 0");
         _fulfillableRegistry = fulfillableRegistry_;
         _registryContract = IFulfillableRegistry(fulfillableRegistry_);
@@ -146,20 +208,144 @@ contract BandoERC20FulfillableV1 is
         return _fulfillmentRecordsForSubject[payer];
     }
 
+    /// @dev Returns a page of the fulfillment records for a given payer, in deposit order.
+    /// @param payer the address of the payer
+    /// @param offset the index of the first record id of the page
+    /// @param limit the maximum number of record ids of the page
+    function recordsOf(address payer, uint256 offset, uint256 limit) public view returns (uint256[] memory) {
+        return _page(_fulfillmentRecordsForSubject[payer], offset, limit);
+    }
+
+    /// @dev Returns the number of fulfillment records for a given payer.
+    /// @param payer the address of the payer
+    function recordCountOf(address payer) public view returns (uint256) {
+        return _fulfillmentRecordsForSubject[payer].length;
+    }
+
+    /// @dev Returns the ids of the records of a payer with a given status, out of a page of its record ids.
+    /// Scans at most limit record ids, so pages can hold fewer ids than limit, or none.
+    /// next is the offset of the next page, the payer record count once every record was scanned.
+    /// @param payer the address of the payer
+    /// @param status the status of the records returned
+    /// @param offset the index of the first record id scanned
+    /// @param limit the maximum number of record ids scanned
+    function recordsOfWithStatus(
+        address payer,
+        FulFillmentResultState status,
+        uint256 offset,
+        uint256 limit
+    ) public view returns (uint256[] memory ids, uint256 next) {
+        return _filterByStatus(_fulfillmentRecordsForSubject[payer], status, offset, limit);
+    }
+
+    /// @dev Returns a page of the fulfillment records for a given service, in deposit order.
+    /// @param serviceID the service identifier
+    /// @param offset the index of the first record id of the page
+    /// @param limit the maximum number of record ids of the page
+    function recordsOfService(uint256 serviceID, uint256 offset, uint256 limit) public view returns (uint256[] memory) {
+        return _page(_fulfillmentRecordsForService[serviceID], offset, limit);
+    }
+
+    /// @dev Returns the number of fulfillment records listed for a given service.
+    /// @param serviceID the service identifier
+    function recordCountOfService(uint256 serviceID) public view returns (uint256) {
+        return _fulfillmentRecordsForService[serviceID].length;
+    }
+
+    /// @dev Returns the ids of the records of a service with a given status, out of a page of its record ids.
+    /// Scans at most limit record ids, so pages can hold fewer ids than limit, or none.
+    /// next is the offset of the next page, the service record count once every record was scanned.
+    /// @param serviceID the service identifier
+    /// @param status the status of the records returned
+    /// @param offset the index of the first record id scanned
+    /// @param limit the maximum number of record ids scanned
+    function recordsOfServiceWithStatus(
+        uint256 serviceID,
+        FulFillmentResultState status,
+        uint256 offset,
+        uint256 limit
+    ) public view returns (uint256[] memory ids, uint256 next) {
+        return _filterByStatus(_fulfillmentRecordsForService[serviceID], status, offset, limit);
+    }
+
     /// @dev Returns the fulfillment record for a given id.
     /// @param id the id of the record
     function record(uint256 id) public view returns (ERC20FulFillmentRecord memory) {
         return _fulfillmentRecords[id];
     }
 
+    /// @dev Returns the fulfillment records for the given ids, empty for unknown ids.
+    /// @param ids the ids of the records
+    function records(uint256[] memory ids) public view returns (ERC20FulFillmentRecord[] memory fulfillmentRecords) {
+        fulfillmentRecords = new ERC20FulFillmentRecord[](ids.length);
+        for (uint256 i = 0; i < ids.length; i++) {
+            fulfillmentRecords[i] = _fulfillmentRecords[ids[i]];
+        }
+    }
+
+    /// @dev Lists by service the records deposited before records were listed by service.
+    /// Lists up to batchSize records after _serviceRecordsIndexed, in id order. New deposits are
+    /// listed as they are made once every earlier record is listed. Records that do not store their
+    /// service id are skipped. Anyone can call it.
+    /// @param batchSize the maximum number of records to list
+    function indexServiceRecords(uint256 batchSize) public {
+        uint256 id = _serviceRecordsIndexed;
+        uint256 last = Math.min(id + batchSize, _fulfillmentIdCount - 1);
+        while (id < last) {
+            id += 1;
+            uint256 serviceID = _fulfillmentRecords[id].serviceID;
+            if (serviceID != 0) {
+                _fulfillmentRecordsForService[serviceID].push(id);
+            }
+        }
+        _serviceRecordsIndexed = id;
+    }
+
+    /// @dev Copies a page of a list of record ids.
+    function _page(uint256[] storage ids, uint256 offset, uint256 limit) internal view returns (uint256[] memory page) {
+        page = new uint256[](PaginationLib.pageSize(ids.length, offset, limit));
+        for (uint256 i = 0; i < page.length; i++) {
+            page[i] = ids[offset + i];
+        }
+    }
+
+    /// @dev Returns the ids of a page of a list of record ids whose records have a status.
+    function _filterByStatus(
+        uint256[] storage ids,
+        FulFillmentResultState status,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (uint256[] memory matches, uint256 next) {
+        uint256[] memory page = _page(ids, offset, limit);
+        uint256[] memory found = new uint256[](page.length);
+        uint256 count = 0;
+        for (uint256 i = 0; i < page.length; i++) {
+            if (_fulfillmentRecords[page[i]].status == status) {
+                found[count] = page[i];
+                count += 1;
+            }
+        }
+        matches = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            matches[i] = found[i];
+        }
+        next = page.length == 0 ? ids.length : offset + page.length;
+    }
+
     /// @dev Stores the sent amount as credit to be claimed.
+    /// The router transfers the token amount plus the service token fee,
+    /// the fee is read from the registry and stored on the record.
+    /// The token amount is the one the router measured arriving in this escrow, lower than
+    /// requested for fee-on-transfer tokens with balance-delta accounting.
     /// @param serviceID Service identifier
     /// @param fulfillmentRequest The fulfillment record to be stored.
     function depositERC20(uint256 serviceID, ERC20FulFillmentRequest memory fulfillmentRequest) public virtual nonReentrant {
         require(_router == msg.sender, "Caller is not the router");
-        uint256 amount = fulfillmentRequest.tokenAmount;
         address token = fulfillmentRequest.token;
         Service memory service = _registryContract.getService(serviceID);
+        uint256 feeAmount = _registryContract.getServiceTokenFee(serviceID, token);
+        (bool fsuccess, uint256 amount) = fulfillmentRequest.tokenAmount.tryAdd(feeAmount);
+        require(fsuccess, "Overflow while adding fulfillment amount and fee");
         uint256 depositsAmount = getERC20DepositsFor(
             token,
             fulfillmentRequest.payer,
@@ -182,16 +368,28 @@ contract BandoERC20FulfillableV1 is
             entryTime: block.timestamp,
             payer: fulfillmentRequest.payer,
             tokenAmount: fulfillmentRequest.tokenAmount,
-            feeAmount: service.feeAmount,
+            feeAmount: feeAmount,
             fiatAmount: fulfillmentRequest.fiatAmount,
             receiptURI: "",
             status: FulFillmentResultState.PENDING,
-            token: fulfillmentRequest.token
+            token: fulfillmentRequest.token,
+            serviceID: serviceID,
+            fiatCurrency: fulfillmentRequest.fiatCurrency,
+            fiatDecimals: fulfillmentRequest.fiatDecimals,
+            fulfilledAmount: 0
         });
         _fulfillmentIdCount += 1;
         _fulfillmentRecordCount += 1;
         _fulfillmentRecords[fulfillmentRecord.id] = fulfillmentRecord;
         _fulfillmentRecordsForSubject[fulfillmentRecord.payer].push(fulfillmentRecord.id);
+        uint256 timeout = _registryContract.getFulfillmentTimeout(serviceID);
+        if (timeout > 0) {
+            _fulfillmentDeadlines[fulfillmentRecord.id] = block.timestamp + timeout;
+        }
+        if (_serviceRecordsIndexed + 1 == fulfillmentRecord.id) {
+            _fulfillmentRecordsForService[serviceID].push(fulfillmentRecord.id);
+            _serviceRecordsIndexed = fulfillmentRecord.id;
+        }
         emit ERC20DepositReceived(fulfillmentRecord);
     }
 
@@ -242,6 +440,24 @@ contract BandoERC20FulfillableV1 is
     function setERC20RefundsFor(address token, address refundee, uint256 serviceID, uint256 amount) private {
         _erc20_authorized_refunds[serviceID][token][refundee] = amount;
     }
+
+    /// @dev Retrieves the amount of ERC20 tokens available to be released to the beneficiary of a service.
+    ///
+    /// @param token The address of the ERC20 token.
+    /// @param serviceID The identifier of the service.
+    /// @return amount The amount of ERC20 tokens in the releaseable pool.
+    function getERC20ReleaseablePoolFor(address token, uint256 serviceID) public view returns (uint256 amount) {
+        amount = _releaseablePools[serviceID][token];
+    }
+
+    /// @dev Retrieves the amount of ERC20 tokens of a service locked in dispute windows.
+    ///
+    /// @param token The address of the ERC20 token.
+    /// @param serviceID The identifier of the service.
+    /// @return amount The amount of ERC20 tokens released but not matured yet.
+    function getERC20LockedPoolFor(address token, uint256 serviceID) public view returns (uint256 amount) {
+        amount = _lockedPools[serviceID][token];
+    }
     
 
     /// @dev Refund accumulated balance for a refundee, forwarding all gas to the
@@ -286,12 +502,12 @@ contract BandoERC20FulfillableV1 is
     /// @param token the token to be refunded.
     /// @param refundee the record to be
     /// @param amount the amount to be authorized.
-    function _authorizeRefund(Service memory service, address token, address refundee, uint256 amount) internal {
-        (bool asuccess, uint256 addResult) = getERC20RefundsFor(token, refundee, service.serviceId).tryAdd(amount);
+    function _authorizeRefund(uint256 serviceID, address token, address refundee, uint256 amount) internal {
+        (bool asuccess, uint256 addResult) = getERC20RefundsFor(token, refundee, serviceID).tryAdd(amount);
         uint256 depositsAmount = getERC20DepositsFor(
             token,
             refundee,
-            service.serviceId
+            serviceID
         );
         require(asuccess, "Overflow while adding authorized refunds");
         uint256 total_refunds = addResult;
@@ -299,34 +515,33 @@ contract BandoERC20FulfillableV1 is
             depositsAmount >= amount,
             "Token Amount is bigger than the total in escrow"
         );
-        require(
-            depositsAmount >= total_refunds,
-            "Total token refunds would be bigger than the total in escrow"
-        );
         (bool ssuccess, uint256 subResult) = depositsAmount.trySub(amount);
         require(ssuccess, "Overflow while substracting deposits");
         setERC20DepositsFor(
             token,
             refundee,
-            service.serviceId,
+            serviceID,
             subResult
         );
-        setERC20RefundsFor(token, refundee, service.serviceId, total_refunds);
+        setERC20RefundsFor(token, refundee, serviceID, total_refunds);
         emit ERC20RefundAuthorized(refundee, amount);
     }
 
     /// @dev The fulfiller registers a fulfillment.
     ///
-    /// We need to verify the amount of the fulfillment is actually available to release.
+    /// We need to verify the record was deposited for the service, the fulfiller being checked against it,
+    /// and that the amount of the fulfillment is actually available to release.
+    /// Records created before they stored their service id must be covered by the payer's deposits for the service.
     /// Then we can enrich the result with an auto-incremental unique ID.
     /// and the timestamp when the record get inserted.
     ///
     /// If the fulfillment has failed:
-    /// - a refund will be authorized for a later withdrawal.
+    /// - a refund of the token amount and the fee charged on the record will be authorized for a later withdrawal.
     ///
     /// If these verifications pass:
-    /// - add the amount fulfilled to the release pool.
+    /// - add the amount fulfilled and its fee to the release pool, or lock it during the service's dispute window.
     /// - substract the amount from the payer's deposits.
+    /// - authorize a refund of the rest when the fulfillment is PARTIAL.
     /// - update the FulFillmentRecord to the blockchain.
     ///
     /// @param fulfillment the fulfillment result attached to it.
@@ -334,7 +549,7 @@ contract BandoERC20FulfillableV1 is
         require(_manager == msg.sender, "Caller is not the manager");
         require(_fulfillmentRecords[fulfillment.id].id > 0, "Fulfillment record does not exist");
         require(_fulfillmentRecords[fulfillment.id].status == FulFillmentResultState.PENDING, "Fulfillment already registered");
-        Service memory service = _registryContract.getService(serviceID);
+        require(_isRecordOfService(fulfillment.id, serviceID), "Fulfillment record belongs to another service");
         address token = _fulfillmentRecords[fulfillment.id].token;
         uint depositsAmount = getERC20DepositsFor(
             token,
@@ -342,27 +557,29 @@ contract BandoERC20FulfillableV1 is
             serviceID
         );
         (bool ffsuccess, uint256 total_amount) = _fulfillmentRecords[fulfillment.id].tokenAmount.tryAdd(
-            service.feeAmount
+            _fulfillmentRecords[fulfillment.id].feeAmount
         );
         require(ffsuccess, "Overflow while adding fulfillment amount and fee");
         require(depositsAmount >= total_amount, "There is not enough balance to be released");
         if(fulfillment.status == FulFillmentResultState.FAILED) {
-            _authorizeRefund(service, token, _fulfillmentRecords[fulfillment.id].payer, total_amount);
+            _authorizeRefund(serviceID, token, _fulfillmentRecords[fulfillment.id].payer, total_amount);
             _fulfillmentRecords[fulfillment.id].status = fulfillment.status;
-        } else if(fulfillment.status != FulFillmentResultState.SUCCESS) {
+        } else if(fulfillment.status != FulFillmentResultState.SUCCESS && fulfillment.status != FulFillmentResultState.PARTIAL) {
             revert('Unexpected status');
         } else {
-            (bool rlsuccess, uint256 releaseResult) = _releaseablePools[serviceID][token].tryAdd(total_amount);
-            require(rlsuccess, "Overflow while adding to releaseable pool");
-            (bool dsuccess, uint256 subResult) = depositsAmount.trySub(total_amount);
+            uint256 release_amount = _fulfilledReleaseAmount(fulfillment, total_amount);
+            (bool dsuccess, uint256 subResult) = depositsAmount.trySub(release_amount);
             require(dsuccess, "Overflow while substracting from deposits");
-            _releaseablePools[serviceID][token] = releaseResult;
             setERC20DepositsFor(
                 token,
                 _fulfillmentRecords[fulfillment.id].payer,
                 serviceID,
                 subResult
             );
+            _release(serviceID, token, fulfillment.id, release_amount);
+            if (release_amount < total_amount) {
+                _authorizeRefund(serviceID, token, _fulfillmentRecords[fulfillment.id].payer, total_amount - release_amount);
+            }
             _fulfillmentRecords[fulfillment.id].receiptURI = fulfillment.receiptURI;
             _fulfillmentRecords[fulfillment.id].status = fulfillment.status;
             _fulfillmentRecords[fulfillment.id].externalID = fulfillment.externalID;
@@ -370,8 +587,213 @@ contract BandoERC20FulfillableV1 is
         return true;
     }
 
+    /// @dev Stores the amount fulfilled on a SUCCESS or PARTIAL record and returns the amount released to the pool.
+    ///
+    /// SUCCESS releases the token amount and fee.
+    /// PARTIAL releases the fulfilled amount and a proportional part of the fee,
+    /// the rest of the token amount and fee is left to be refunded.
+    ///
+    /// @param fulfillment the fulfillment result.
+    /// @param total_amount the record token amount plus fee.
+    function _fulfilledReleaseAmount(FulFillmentResult memory fulfillment, uint256 total_amount) internal returns (uint256) {
+        ERC20FulFillmentRecord storage fulfillmentRecord = _fulfillmentRecords[fulfillment.id];
+        if (fulfillment.status == FulFillmentResultState.SUCCESS) {
+            fulfillmentRecord.fulfilledAmount = fulfillmentRecord.tokenAmount;
+            return total_amount;
+        }
+        require(
+            fulfillment.fulfilledAmount > 0 && fulfillment.fulfilledAmount < fulfillmentRecord.tokenAmount,
+            "Invalid fulfilled amount"
+        );
+        fulfillmentRecord.fulfilledAmount = fulfillment.fulfilledAmount;
+        return fulfillment.fulfilledAmount + FulfillmentRequestLib.computePartialFee(
+            fulfillmentRecord.feeAmount,
+            fulfillmentRecord.tokenAmount,
+            fulfillment.fulfilledAmount
+        );
+    }
+
+    /// @dev Credits a fulfilled record's release to the releaseable pool,
+    /// or locks it until its service's dispute window is over.
+    ///
+    /// @param serviceID the service identifier.
+    /// @param token the address of the token.
+    /// @param id the fulfillment record id.
+    /// @param amount the token amount released.
+    function _release(uint256 serviceID, address token, uint256 id, uint256 amount) internal {
+        uint256 window = _registryContract.getDisputeWindow(serviceID);
+        if (window == 0) {
+            (bool rlsuccess, uint256 releaseResult) = _releaseablePools[serviceID][token].tryAdd(amount);
+            require(rlsuccess, "Overflow while adding to releaseable pool");
+            _releaseablePools[serviceID][token] = releaseResult;
+            return;
+        }
+        _lockedReleases[id] = LockedRelease({
+            serviceID: serviceID,
+            amount: amount,
+            releaseTime: block.timestamp + window
+        });
+        _lockedPools[serviceID][token] += amount;
+        emit ERC20ReleaseLocked(id, token, amount, block.timestamp + window);
+    }
+
+    /// @dev Returns the release of a record locked in its dispute window.
+    ///
+    /// @param id The id of the record.
+    /// @return The locked release, empty when nothing is locked.
+    function lockedReleaseOf(uint256 id) public view returns (LockedRelease memory) {
+        return _lockedReleases[id];
+    }
+
+    /// @dev Disputes a SUCCESS or PARTIAL record while its release is locked.
+    ///
+    /// Only the record payer can dispute it, before the release matures.
+    /// The release stays locked until an arbiter resolves the dispute.
+    ///
+    /// @param id The id of the record.
+    function openDispute(uint256 id) public virtual {
+        ERC20FulFillmentRecord storage fulfillmentRecord = _fulfillmentRecords[id];
+        require(fulfillmentRecord.id > 0, "Fulfillment record does not exist");
+        require(fulfillmentRecord.payer == msg.sender, "Caller is not the payer");
+        require(fulfillmentRecord.status != FulFillmentResultState.DISPUTED, "Fulfillment already disputed");
+        LockedRelease storage release = _lockedReleases[id];
+        require(release.amount > 0, "Fulfillment is not disputable");
+        require(block.timestamp < release.releaseTime, "Dispute window has passed");
+        fulfillmentRecord.status = FulFillmentResultState.DISPUTED;
+        emit ERC20DisputeOpened(id, msg.sender, fulfillmentRecord.token, release.amount);
+    }
+
+    /// @dev Resolves a DISPUTED record.
+    ///
+    /// A refund authorizes the locked release for refund to the payer and sets the record FAILED.
+    /// Otherwise the release is credited to the releaseable pool right away and the record
+    /// gets its SUCCESS or PARTIAL status back.
+    ///
+    /// @param id The id of the record.
+    /// @param refund Whether the payer is refunded.
+    function resolveDispute(uint256 id, bool refund) public virtual onlyRole(ARBITER_ROLE) nonReentrant {
+        ERC20FulFillmentRecord storage fulfillmentRecord = _fulfillmentRecords[id];
+        require(fulfillmentRecord.status == FulFillmentResultState.DISPUTED, "Fulfillment is not disputed");
+        LockedRelease memory release = _lockedReleases[id];
+        address token = fulfillmentRecord.token;
+        delete _lockedReleases[id];
+        _lockedPools[release.serviceID][token] -= release.amount;
+        if (refund) {
+            fulfillmentRecord.status = FulFillmentResultState.FAILED;
+            fulfillmentRecord.fulfilledAmount = 0;
+            address payer = fulfillmentRecord.payer;
+            setERC20RefundsFor(
+                token,
+                payer,
+                release.serviceID,
+                getERC20RefundsFor(token, payer, release.serviceID) + release.amount
+            );
+            emit ERC20RefundAuthorized(payer, release.amount);
+        } else {
+            fulfillmentRecord.status = fulfillmentRecord.fulfilledAmount == fulfillmentRecord.tokenAmount
+                ? FulFillmentResultState.SUCCESS
+                : FulFillmentResultState.PARTIAL;
+            _releaseablePools[release.serviceID][token] += release.amount;
+        }
+        emit ERC20DisputeResolved(id, refund, token, release.amount);
+    }
+
+    /// @dev Credits the matured releases of records to their service's releaseable pool.
+    ///
+    /// Records without a locked release, disputed or still in their dispute window are skipped.
+    /// Anyone can call it.
+    ///
+    /// @param ids The ids of the records.
+    function releaseMatured(uint256[] memory ids) public virtual nonReentrant {
+        for (uint256 i = 0; i < ids.length; i++) {
+            LockedRelease memory release = _lockedReleases[ids[i]];
+            ERC20FulFillmentRecord storage fulfillmentRecord = _fulfillmentRecords[ids[i]];
+            if (
+                release.amount == 0 ||
+                block.timestamp < release.releaseTime ||
+                fulfillmentRecord.status == FulFillmentResultState.DISPUTED
+            ) {
+                continue;
+            }
+            delete _lockedReleases[ids[i]];
+            _lockedPools[release.serviceID][fulfillmentRecord.token] -= release.amount;
+            _releaseablePools[release.serviceID][fulfillmentRecord.token] += release.amount;
+            emit ERC20ReleaseMatured(ids[i], fulfillmentRecord.token, release.amount);
+        }
+    }
+
+    /// @dev Returns the time after which a PENDING record can be expired.
+    ///
+    /// The deadline is the record's entryTime plus its service's fulfillment timeout at deposit time,
+    /// later timeout updates do not affect it. Records of services without a timeout never expire.
+    /// Records created before they stored their service id have no deadline, see expireLegacyFulfillment.
+    ///
+    /// @param id The id of the record.
+    /// @return The deadline timestamp, 0 when the record never expires.
+    function fulfillmentDeadline(uint256 id) public view returns (uint256) {
+        return _fulfillmentDeadlines[id];
+    }
+
+    /// @dev Expires a PENDING record once its fulfillment deadline has passed.
+    ///
+    /// The record token amount and fee are authorized for refund to the payer.
+    /// Callable by anyone, so payers can get their funds back when the fulfiller is offline.
+    ///
+    /// @param id The id of the record.
+    function expireFulfillment(uint256 id) public virtual nonReentrant {
+        _expire(id, _fulfillmentRecords[id].serviceID, fulfillmentDeadline(id));
+    }
+
+    /// @dev Expires a PENDING record created before records stored their service id.
+    ///
+    /// Only the payer can expire it, naming the service it was deposited for: the payer's deposits
+    /// of the record token for the service must cover the record token amount and fee. The deadline is
+    /// the record's entryTime plus the service's current fulfillment timeout, as none was stored on deposit.
+    ///
+    /// @param id The id of the record.
+    /// @param serviceID The service the record was deposited for.
+    function expireLegacyFulfillment(uint256 id, uint256 serviceID) public virtual nonReentrant {
+        ERC20FulFillmentRecord storage fulfillmentRecord = _fulfillmentRecords[id];
+        require(fulfillmentRecord.payer == msg.sender, "Caller is not the payer");
+        require(fulfillmentRecord.serviceID == 0, "Fulfillment record stores its service");
+        require(_isRecordOfService(id, serviceID), "Fulfillment record belongs to another service");
+        uint256 timeout = _registryContract.getFulfillmentTimeout(serviceID);
+        _expire(id, serviceID, timeout > 0 ? fulfillmentRecord.entryTime + timeout : 0);
+    }
+
+    /// @dev Expires a PENDING record of a service past its deadline, authorizing its refund.
+    function _expire(uint256 id, uint256 serviceID, uint256 deadline) internal {
+        ERC20FulFillmentRecord storage fulfillmentRecord = _fulfillmentRecords[id];
+        require(fulfillmentRecord.id > 0, "Fulfillment record does not exist");
+        require(fulfillmentRecord.status == FulFillmentResultState.PENDING, "Fulfillment already registered");
+        require(deadline > 0, "Fulfillment does not expire");
+        require(block.timestamp >= deadline, "Fulfillment deadline has not passed");
+        (bool success, uint256 amount) = fulfillmentRecord.tokenAmount.tryAdd(fulfillmentRecord.feeAmount);
+        require(success, "Overflow while adding fulfillment amount and fee");
+        fulfillmentRecord.status = FulFillmentResultState.EXPIRED;
+        _authorizeRefund(serviceID, fulfillmentRecord.token, fulfillmentRecord.payer, amount);
+        emit ERC20FulfillmentExpired(id, fulfillmentRecord.payer, fulfillmentRecord.token, amount);
+    }
+
+    /// @dev Whether a record was deposited for a service.
+    ///
+    /// Records created before they stored their service id are taken to be when the payer's deposits
+    /// of the record token for the service cover their token amount and fee.
+    ///
+    /// @param id The id of the record.
+    /// @param serviceID The service identifier.
+    function _isRecordOfService(uint256 id, uint256 serviceID) internal view returns (bool) {
+        ERC20FulFillmentRecord storage fulfillmentRecord = _fulfillmentRecords[id];
+        if (fulfillmentRecord.serviceID != 0) {
+            return fulfillmentRecord.serviceID == serviceID;
+        }
+        (bool success, uint256 amount) = fulfillmentRecord.tokenAmount.tryAdd(fulfillmentRecord.feeAmount);
+        return success && getERC20DepositsFor(fulfillmentRecord.token, fulfillmentRecord.payer, serviceID) >= amount;
+    }
+
     /// @dev Withdraws the beneficiary's available balance to release (fulfilled with success).
     /// Only the fulfiller of the service can withdraw the releaseable pool.
+    /// Releases locked in a dispute window are only withdrawn once credited by releaseMatured or resolveDispute.
     function beneficiaryWithdraw(uint256 serviceID, address token) public virtual nonReentrant {
         require(_manager == msg.sender, "Caller is not the manager");
         require(_releaseablePools[serviceID][token] > 0, "There is no balance to release.");
@@ -4,16 +4,19 @@ pragma solidity >=0.8.20 <0.9.0;
 
 import { Math } from "@openzeppelin/contracts/utils/math/Math.sol";
 import { Address } from "@openzeppelin/contracts/utils/Address.sol";
-import { OwnableUpgradeable } from '@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol';
+import { BandoRolesUpgradeable } from "./access/BandoRolesUpgradeable.sol";
 import { UUPSUpgradeable } from '@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol';
 import { ReentrancyGuardUpgradeable } from "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
 import { IBandoFulfillable } from "./IBandoFulfillable.sol";
 import { IFulfillableRegistry, Service } from "./periphery/registry/FulfillableRegistry.sol";
+import { FulfillmentRequestLib } from "./libraries/FulfillmentRequestLib.sol";
+import { PaginationLib } from "./libraries/PaginationLib.sol";
 import {
     FulFillmentRecord,
     FulFillmentRequest,
     FulFillmentResultState,
-    FulFillmentResult
+    FulFillmentResult,
+    LockedRelease
 } from "./FulfillmentTypes.sol";
 
 /// @title BandoFulfillableV1
@@ -31,7 +34,7 @@ import {
 contract BandoFulfillableV1 is
     IBandoFulfillable,
     UUPSUpgradeable,
-    OwnableUpgradeable,
+    BandoRolesUpgradeable,
     ReentrancyGuardUpgradeable {
     using Address for address payable;
     using Math for uint256;
@@ -59,6 +62,35 @@ contract BandoFulfillableV1 is
     /// @param amount The amount withdrawn
     event FeeUpdated(uint256 serviceID, uint256 amount);
 
+    /// @notice Event emitted when a pending fulfillment is expired.
+    /// @param id The fulfillment record id
+    /// @param payer The payer the refund was authorized to
+    /// @param weiAmount Wei amount authorized for refund
+    event FulfillmentExpired(uint256 indexed id, address indexed payer, uint256 weiAmount);
+
+    /// @notice Event emitted when a release is locked in its service's dispute window.
+    /// @param id The fulfillment record id
+    /// @param weiAmount Wei amount locked
+    /// @param releaseTime Time at which the release matures
+    event ReleaseLocked(uint256 indexed id, uint256 weiAmount, uint256 releaseTime);
+
+    /// @notice Event emitted when a matured release is credited to the releaseable pool.
+    /// @param id The fulfillment record id
+    /// @param weiAmount Wei amount released
+    event ReleaseMatured(uint256 indexed id, uint256 weiAmount);
+
+    /// @notice Event emitted when a payer disputes a fulfilled record.
+    /// @param id The fulfillment record id
+    /// @param payer The payer of the record
+    /// @param weiAmount Wei amount locked by the dispute
+    event DisputeOpened(uint256 indexed id, address indexed payer, uint256 weiAmount);
+
+    /// @notice Event emitted when the arbiter resolves a dispute.
+    /// @param id The fulfillment record id
+    /// @param refunded Whether the amount was authorized for refund to the payer, or released
+    /// @param weiAmount Wei amount refunded or released
+    event DisputeResolved(uint256 indexed id, bool refunded, uint256 weiAmount);
+
     /*****************************/
     /* STATE VARIABLES           */
     /*****************************/
@@ -102,8 +134,33 @@ contract BandoFulfillableV1 is
         uint256 => mapping(address => uint256)
     ) public _authorized_refunds;
 
+    /// @dev The time after which a PENDING record can be expired, by record id.
+    /// Set on deposit from the service fulfillment timeout, 0 when the record never expires.
+    mapping(uint256 => uint256) private _fulfillmentDeadlines;
+
+    /// @dev Record ids mapped to service ids, in deposit order
+    mapping(uint256 => uint256[]) private _fulfillmentRecordsForService;
+
+    /// @notice The last record id listed by service.
+    /// Records deposited before records were listed by service are listed by indexServiceRecords.
+    uint256 public _serviceRecordsIndexed;
+
+    /// @dev Releases locked in their service's dispute window, by record id
+    mapping(uint256 => LockedRelease) private _lockedReleases;
+
+    /// @dev The released amounts still locked in dispute windows in wei.
+    /// serviceID => lockedPoolAmount
+    mapping(uint256 => uint256) public _lockedPool;
+
     // UUPS upgrade authorization
-    function _authorizeUpgrade(address newImplementation) internal override onlyOwner {}
+    function _authorizeUpgrade(address newImplementation) internal override onlyRole(UPGRADER_ROLE) {}
+
+    /// @dev The roles checked by this contract, granted to the admin on initialization.
+    function _managedRoles() internal pure override returns (bytes32[] memory roles) {
+        roles = new bytes32[](2);
+        roles[0] = UPGRADER_ROLE;
+        roles[1] = ARBITER_ROLE;
+    }
 
     /*****************************/
     /* FULFILLABLE ESCROW LOGIC  */
@@ -112,7 +169,7 @@ contract BandoFulfillableV1 is
     /// @notice Initializes the contract
     /// @dev set counter to 1 to avoid 0 id
     function initialize() public virtual initializer {
-        __Ownable_init(msg.sender);
+        __BandoRoles_init(msg.sender);
         __UUPSUpgradeable_init();
         __ReentrancyGuard_init();
         _fulfillmentIdCount = 1;
@@ -121,7 +178,7 @@ contract BandoFulfillableV1 is
     /// @notice Sets the protocol manager address
     /// @param manager_ The address of the protocol manager
     /// @dev Only callable by the contract owner
-    function setManager(address manager_) public onlyOwner {
+    function setManager(address manager_) public onlyRole(DEFAULT_ADMIN_ROLE) {
         require(manager_ != address(0), "Manager cannot be the zero address");
         _manager = manager_;
     }
@@ -129,7 +186,7 @@ contract BandoFulfillableV1 is
     /// @notice Sets the protocol router address
     /// @param router_ The address of the protocol router
     /// @dev Only callable by the contract owner
-    function setRouter(address router_) public onlyOwner {
+    function setRouter(address router_) public onlyRole(DEFAULT_ADMIN_ROLE) {
         require(router_ != address(0), "Router cannot be the zero address");
         _router = router_;
     }
@@ -137,7 +194,7 @@ contract BandoFulfillableV1 is
     /// @notice Sets the fulfillable registry address
     /// @param fulfillableRegistry_ The address of the fulfillable registry
     /// @dev Only callable by the contract owner
-    function setFulfillableRegistry(address fulfillableRegistry_) public onlyOwner {
+    function setFulfillableRegistry(address fulfillableRegistry_) public onlyRole(DEFAULT_ADMIN_ROLE) {
         require(fulfillableRegistry_ != address(0), "Fulfillable registry cannot be the zero address");
         _fulfillableRegistry = fulfillableRegistry_;
         _registryContract = IFulfillableRegistry(fulfillableRegistry_);
@@ -182,6 +239,70 @@ contract BandoFulfillableV1 is
         return _fulfillmentRecordsForSubject[payer];
     }
 
+    /// @notice Returns a page of the fulfillment records of a payer
+    /// @param payer The address of the payer
+    /// @param offset The index of the first record id of the page
+    /// @param limit The maximum number of record ids of the page
+    /// @return ids The record ids, in deposit order
+    function recordsOf(address payer, uint256 offset, uint256 limit) public view returns (uint256[] memory ids) {
+        return _page(_fulfillmentRecordsForSubject[payer], offset, limit);
+    }
+
+    /// @notice Returns the number of fulfillment records of a payer
+    /// @param payer The address of the payer
+    function recordCountOf(address payer) public view returns (uint256) {
+        return _fulfillmentRecordsForSubject[payer].length;
+    }
+
+    /// @notice Returns the records of a payer with a status, out of a page of its record ids
+    /// @dev Scans at most limit record ids, so pages can hold fewer ids than limit, or none.
+    /// @param payer The address of the payer
+    /// @param status The status of the records returned
+    /// @param offset The index of the first record id scanned
+    /// @param limit The maximum number of record ids scanned
+    /// @return ids The ids of the scanned records with the status
+    /// @return next The offset of the next page, the payer record count once every record was scanned
+    function recordsOfWithStatus(
+        address payer,
+        FulFillmentResultState status,
+        uint256 offset,
+        uint256 limit
+    ) public view returns (uint256[] memory ids, uint256 next) {
+        return _filterByStatus(_fulfillmentRecordsForSubject[payer], status, offset, limit);
+    }
+
+    /// @notice Returns a page of the fulfillment records of a service
+    /// @param serviceID The service identifier
+    /// @param offset The index of the first record id of the page
+    /// @param limit The maximum number of record ids of the page
+    /// @return ids The record ids, in deposit order
+    function recordsOfService(uint256 serviceID, uint256 offset, uint256 limit) public view returns (uint256[] memory ids) {
+        return _page(_fulfillmentRecordsForService[serviceID], offset, limit);
+    }
+
+    /// @notice Returns the number of fulfillment records listed for a service
+    /// @param serviceID The service identifier
+    function recordCountOfService(uint256 serviceID) public view returns (uint256) {
+        return _fulfillmentRecordsForService[serviceID].length;
+    }
+
+    /// @notice Returns the records of a service with a status, out of a page of its record ids
+    /// @dev Scans at most limit record ids, so pages can hold fewer ids than limit, or none.
+    /// @param serviceID The service identifier
+    /// @param status The status of the records returned
+    /// @param offset The index of the first record id scanned
+    /// @param limit The maximum number of record ids scanned
+    /// @return ids The ids of the scanned records with the status
+    /// @return next The offset of the next page, the service record count once every record was scanned
+    function recordsOfServiceWithStatus(
+        uint256 serviceID,
+        FulFillmentResultState status,
+        uint256 offset,
+        uint256 limit
+    ) public view returns (uint256[] memory ids, uint256 next) {
+        return _filterByStatus(_fulfillmentRecordsForService[serviceID], status, offset, limit);
+    }
+
     /// @notice Returns the fulfillment record for a given id
     /// @param id The id of the record
     /// @return The fulfillment record
@@ -189,7 +310,68 @@ contract BandoFulfillableV1 is
         return _fulfillmentRecords[id];
     }
 
+    /// @notice Returns the fulfillment records for the given ids
+    /// @param ids The ids of the records
+    /// @return fulfillmentRecords The fulfillment records, empty for unknown ids
+    function records(uint256[] memory ids) public view returns (FulFillmentRecord[] memory fulfillmentRecords) {
+        fulfillmentRecords = new FulFillmentRecord[](ids.length);
+        for (uint256 i = 0; i < ids.length; i++) {
+            fulfillmentRecords[i] = _fulfillmentRecords[ids[i]];
+        }
+    }
+
+    /// @notice Lists by service the records deposited before records were listed by service.
+    /// @dev Lists up to batchSize records after _serviceRecordsIndexed, in id order. New deposits are
+    /// listed as they are made once every earlier record is listed. Records that do not store their
+    /// service id are skipped. Anyone can call it.
+    /// @param batchSize The maximum number of records to list
+    function indexServiceRecords(uint256 batchSize) public {
+        uint256 id = _serviceRecordsIndexed;
+        uint256 last = Math.min(id + batchSize, _fulfillmentIdCount - 1);
+        while (id < last) {
+            id += 1;
+            uint256 serviceID = _fulfillmentRecords[id].serviceID;
+            if (serviceID != 0) {
+                _fulfillmentRecordsForService[serviceID].push(id);
+            }
+        }
+        _serviceRecordsIndexed = id;
+    }
+
+    /// @dev Copies a page of a list of record ids.
+    function _page(uint256[] storage ids, uint256 offset, uint256 limit) internal view returns (uint256[] memory page) {
+        page = new uint256[](PaginationLib.pageSize(ids.length, offset, limit));
+        for (uint256 i = 0; i < page.length; i++) {
+            page[i] = ids[offset + i];
+        }
+    }
+
+    /// @dev Returns the ids of a page of a list of record ids whose records have a status.
+    function _filterByStatus(
+        uint256[] storage ids,
+        FulFillmentResultState status,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (uint256[] memory matches, uint256 next) {
+        uint256[] memory page = _page(ids, offset, limit);
+        uint256[] memory found = new uint256[](page.length);
+        uint256 count = 0;
+        for (uint256 i = 0; i < page.length; i++) {
+            if (_fulfillmentRecords[page[i]].status == status) {
+                found[count] = page[i];
+                count += 1;
+            }
+        }
+        matches = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            matches[i] = found[i];
+        }
+        next = page.length == 0 ? ids.length : offset + page.length;
+    }
+
     /// @notice Deposits funds into the escrow.
+    /// @dev The router sends the request weiAmount plus the service fee.
+    /// The fee is stored on the record so later fee updates do not affect it.
     /// @param serviceID The service identifier.
     /// @param fulfillmentRequest The fulfillment request.
     function deposit(
@@ -198,6 +380,7 @@ contract BandoFulfillableV1 is
     ) public payable virtual nonReentrant {
         require(_router == msg.sender, "Caller is not the router");
         Service memory service = _registryContract.getService(serviceID);
+        uint256 feeAmount = FulfillmentRequestLib.computeFee(service, fulfillmentRequest.weiAmount);
         uint256 amount = msg.value;
         uint256 depositsAmount = getDepositsFor(
             fulfillmentRequest.payer,
@@ -219,10 +402,14 @@ contract BandoFulfillableV1 is
             entryTime: block.timestamp,
             payer: fulfillmentRequest.payer,
             weiAmount: fulfillmentRequest.weiAmount,
-            feeAmount: service.feeAmount,
+            feeAmount: feeAmount,
             fiatAmount: fulfillmentRequest.fiatAmount,
             receiptURI: "",
-            status: FulFillmentResultState.PENDING
+            status: FulFillmentResultState.PENDING,
+            serviceID: serviceID,
+            fiatCurrency: fulfillmentRequest.fiatCurrency,
+            fiatDecimals: fulfillmentRequest.fiatDecimals,
+            fulfilledAmount: 0
         });
         _fulfillmentIdCount += 1;
         _fulfillmentRecordCount += 1;
@@ -230,6 +417,14 @@ contract BandoFulfillableV1 is
         _fulfillmentRecordsForSubject[fulfillmentRecord.payer].push(
             fulfillmentRecord.id
         );
+        uint256 timeout = _registryContract.getFulfillmentTimeout(serviceID);
+        if (timeout > 0) {
+            _fulfillmentDeadlines[fulfillmentRecord.id] = block.timestamp + timeout;
+        }
+        if (_serviceRecordsIndexed + 1 == fulfillmentRecord.id) {
+            _fulfillmentRecordsForService[serviceID].push(fulfillmentRecord.id);
+            _serviceRecordsIndexed = fulfillmentRecord.id;
+        }
         emit DepositReceived(fulfillmentRecord);
     }
 
@@ -294,10 +489,6 @@ contract BandoFulfillableV1 is
             deposits >= weiAmount,
             "Amount is bigger than the total in escrow"
         );
-        require(
-            deposits >= total_refunds,
-            "Total refunds would be bigger than the total in escrow"
-        );
         (bool ssuccess, uint256 subResult) = deposits.trySub(weiAmount);
         require(ssuccess, "Overflow while substracting deposits");
         setDepositsFor(refundee, serviceID, subResult);
@@ -307,7 +498,9 @@ contract BandoFulfillableV1 is
 
     /// @dev The fulfiller registers a fulfillment.
     ///
-    /// We need to verify the amount of the fulfillment is actually available to release.
+    /// We need to verify the record was deposited for the service, the fulfiller being checked against it,
+    /// and that the amount of the fulfillment is actually available to release.
+    /// Records created before they stored their service id must be covered by the payer's deposits for the service.
     /// Then we can enrich the result with an auto-incremental unique ID.
     /// and the timestamp when the record get inserted.
     ///
@@ -315,8 +508,9 @@ contract BandoFulfillableV1 is
     /// - a refund will be authorized for a later withdrawal.
     ///
     /// If these verifications pass:
-    /// - add the amount fulfilled to the release pool.
+    /// - add the amount fulfilled to the release pool, or lock it during the service's dispute window.
     /// - substract the amount from the payer's deposits.
+    /// - authorize a refund of the rest when the fulfillment is PARTIAL.
     /// - update the FulFillmentRecord to the blockchain.
     ///
     /// @param serviceID the service identifier.
@@ -335,12 +529,12 @@ contract BandoFulfillableV1 is
                 FulFillmentResultState.PENDING,
             "Fulfillment already registered"
         );
-        Service memory service = _registryContract.getService(serviceID);
+        require(_isRecordOfService(fulfillment.id, serviceID), "Fulfillment record belongs to another service");
         address payer = _fulfillmentRecords[fulfillment.id].payer;
         uint256 deposits = getDepositsFor(payer, serviceID);
         (bool ffsuccess, uint256 total_amount) = _fulfillmentRecords[
             fulfillment.id
-        ].weiAmount.tryAdd(service.feeAmount);
+        ].weiAmount.tryAdd(_fulfillmentRecords[fulfillment.id].feeAmount);
         require(ffsuccess, "Overflow while adding fulfillment amount and fee");
         require(
             deposits >= total_amount,
@@ -349,15 +543,20 @@ contract BandoFulfillableV1 is
         if (fulfillment.status == FulFillmentResultState.FAILED) {
             _authorizeRefund(serviceID, payer, total_amount);
             _fulfillmentRecords[fulfillment.id].status = fulfillment.status;
-        } else if (fulfillment.status != FulFillmentResultState.SUCCESS) {
+        } else if (
+            fulfillment.status != FulFillmentResultState.SUCCESS &&
+            fulfillment.status != FulFillmentResultState.PARTIAL
+        ) {
             revert("Unexpected status");
         } else {
-            (bool rlsuccess, uint256 releaseResult) = _releaseablePool[serviceID].tryAdd(total_amount);
-            require(rlsuccess, "Overflow while adding to releaseable pool");
-            (bool dsuccess, uint256 subResult) = deposits.trySub(total_amount);
+            uint256 release_amount = _fulfilledReleaseAmount(fulfillment, total_amount);
+            (bool dsuccess, uint256 subResult) = deposits.trySub(release_amount);
             require(dsuccess, "Overflow while substracting from deposits");
-            _releaseablePool[serviceID] = releaseResult;
             setDepositsFor(payer, serviceID, subResult);
+            _release(serviceID, fulfillment.id, release_amount);
+            if (release_amount < total_amount) {
+                _authorizeRefund(serviceID, payer, total_amount - release_amount);
+            }
             _fulfillmentRecords[fulfillment.id].receiptURI = fulfillment
                 .receiptURI;
             _fulfillmentRecords[fulfillment.id].status = fulfillment.status;
@@ -367,7 +566,202 @@ contract BandoFulfillableV1 is
         return true;
     }
 
+    /// @dev Stores the amount fulfilled on a SUCCESS or PARTIAL record
+    /// and returns the amount released to the pool.
+    ///
+    /// SUCCESS releases the record amount and fee.
+    /// PARTIAL releases the fulfilled amount and a proportional part of the fee,
+    /// the rest of the record amount and fee is left to be refunded.
+    ///
+    /// @param fulfillment the fulfillment result.
+    /// @param total_amount the record amount plus fee.
+    function _fulfilledReleaseAmount(
+        FulFillmentResult memory fulfillment,
+        uint256 total_amount
+    ) internal returns (uint256) {
+        FulFillmentRecord storage fulfillmentRecord = _fulfillmentRecords[fulfillment.id];
+        if (fulfillment.status == FulFillmentResultState.SUCCESS) {
+            fulfillmentRecord.fulfilledAmount = fulfillmentRecord.weiAmount;
+            return total_amount;
+        }
+        require(
+            fulfillment.fulfilledAmount > 0 &&
+                fulfillment.fulfilledAmount < fulfillmentRecord.weiAmount,
+            "Invalid fulfilled amount"
+        );
+        fulfillmentRecord.fulfilledAmount = fulfillment.fulfilledAmount;
+        return fulfillment.fulfilledAmount + FulfillmentRequestLib.computePartialFee(
+            fulfillmentRecord.feeAmount,
+            fulfillmentRecord.weiAmount,
+            fulfillment.fulfilledAmount
+        );
+    }
+
+    /// @dev Credits a fulfilled record's release to the releaseable pool,
+    /// or locks it until its service's dispute window is over.
+    /// @param serviceID the service identifier.
+    /// @param id the fulfillment record id.
+    /// @param amount the amount released.
+    function _release(uint256 serviceID, uint256 id, uint256 amount) internal {
+        uint256 window = _registryContract.getDisputeWindow(serviceID);
+        if (window == 0) {
+            (bool rlsuccess, uint256 releaseResult) = _releaseablePool[serviceID].tryAdd(amount);
+            require(rlsuccess, "Overflow while adding to releaseable pool");
+            _releaseablePool[serviceID] = releaseResult;
+            return;
+        }
+        _lockedReleases[id] = LockedRelease({
+            serviceID: serviceID,
+            amount: amount,
+            releaseTime: block.timestamp + window
+        });
+        _lockedPool[serviceID] += amount;
+        emit ReleaseLocked(id, amount, block.timestamp + window);
+    }
+
+    /// @notice Returns the release of a record locked in its dispute window
+    /// @param id The id of the record
+    /// @return The locked release, empty when nothing is locked
+    function lockedReleaseOf(uint256 id) public view returns (LockedRelease memory) {
+        return _lockedReleases[id];
+    }
+
+    /// @notice Disputes a SUCCESS or PARTIAL record while its release is locked.
+    /// @dev Only the record payer can dispute it, before the release matures.
+    /// The release stays locked until an arbiter resolves the dispute.
+    /// @param id The id of the record
+    function openDispute(uint256 id) public virtual {
+        FulFillmentRecord storage fulfillmentRecord = _fulfillmentRecords[id];
+        require(fulfillmentRecord.id > 0, "Fulfillment record does not exist");
+        require(fulfillmentRecord.payer == msg.sender, "Caller is not the payer");
+        require(
+            fulfillmentRecord.status != FulFillmentResultState.DISPUTED,
+            "Fulfillment already disputed"
+        );
+        LockedRelease storage release = _lockedReleases[id];
+        require(release.amount > 0, "Fulfillment is not disputable");
+        require(block.timestamp < release.releaseTime, "Dispute window has passed");
+        fulfillmentRecord.status = FulFillmentResultState.DISPUTED;
+        emit DisputeOpened(id, msg.sender, release.amount);
+    }
+
+    /// @notice Resolves a DISPUTED record.
+    /// @dev A refund authorizes the locked release for refund to the payer and sets the record FAILED.
+    /// Otherwise the release is credited to the releaseable pool right away and the record
+    /// gets its SUCCESS or PARTIAL status back.
+    /// @param id The id of the record
+    /// @param refund Whether the payer is refunded
+    function resolveDispute(uint256 id, bool refund) public virtual onlyRole(ARBITER_ROLE) nonReentrant {
+        FulFillmentRecord storage fulfillmentRecord = _fulfillmentRecords[id];
+        require(
+            fulfillmentRecord.status == FulFillmentResultState.DISPUTED,
+            "Fulfillment is not disputed"
+        );
+        LockedRelease memory release = _lockedReleases[id];
+        delete _lockedReleases[id];
+        _lockedPool[release.serviceID] -= release.amount;
+        if (refund) {
+            fulfillmentRecord.status = FulFillmentResultState.FAILED;
+            fulfillmentRecord.fulfilledAmount = 0;
+            address payer = fulfillmentRecord.payer;
+            setRefundsFor(payer, release.serviceID, getRefundsFor(payer, release.serviceID) + release.amount);
+            emit RefundAuthorized(payer, release.amount);
+        } else {
+            fulfillmentRecord.status = fulfillmentRecord.fulfilledAmount == fulfillmentRecord.weiAmount
+                ? FulFillmentResultState.SUCCESS
+                : FulFillmentResultState.PARTIAL;
+            _releaseablePool[release.serviceID] += release.amount;
+        }
+        emit DisputeResolved(id, refund, release.amount);
+    }
+
+    /// @notice Credits the matured releases of records to their service's releaseable pool.
+    /// @dev Records without a locked release, disputed or still in their dispute window are skipped.
+    /// Anyone can call it.
+    /// @param ids The ids of the records
+    function releaseMatured(uint256[] memory ids) public virtual nonReentrant {
+        for (uint256 i = 0; i < ids.length; i++) {
+            LockedRelease memory release = _lockedReleases[ids[i]];
+            if (
+                release.amount == 0 ||
+                block.timestamp < release.releaseTime ||
+                _fulfillmentRecords[ids[i]].status == FulFillmentResultState.DISPUTED
+            ) {
+                continue;
+            }
+            delete _lockedReleases[ids[i]];
+            _lockedPool[release.serviceID] -= release.amount;
+            _releaseablePool[release.serviceID] += release.amount;
+            emit ReleaseMatured(ids[i], release.amount);
+        }
+    }
+
+    /// @notice Returns the time after which a PENDING record can be expired.
+    /// @dev The deadline is the record's entryTime plus its service's fulfillment timeout at deposit time,
+    /// later timeout updates do not affect it. Records of services without a timeout never expire.
+    /// Records created before they stored their service id have no deadline, see expireLegacyFulfillment.
+    /// @param id The id of the record
+    /// @return The deadline timestamp, 0 when the record never expires
+    function fulfillmentDeadline(uint256 id) public view returns (uint256) {
+        return _fulfillmentDeadlines[id];
+    }
+
+    /// @notice Expires a PENDING record once its fulfillment deadline has passed.
+    /// The record amount and fee are authorized for refund to the payer.
+    /// @dev Callable by anyone, so payers can get their funds back when the fulfiller is offline.
+    /// @param id The id of the record
+    function expireFulfillment(uint256 id) public virtual nonReentrant {
+        _expire(id, _fulfillmentRecords[id].serviceID, fulfillmentDeadline(id));
+    }
+
+    /// @notice Expires a PENDING record created before records stored their service id.
+    /// @dev Only the payer can expire it, naming the service it was deposited for: the payer's
+    /// deposits for the service must cover the record amount and fee. The deadline is the record's
+    /// entryTime plus the service's current fulfillment timeout, as none was stored on deposit.
+    /// @param id The id of the record
+    /// @param serviceID The service the record was deposited for
+    function expireLegacyFulfillment(uint256 id, uint256 serviceID) public virtual nonReentrant {
+        FulFillmentRecord storage fulfillmentRecord = _fulfillmentRecords[id];
+        require(fulfillmentRecord.payer == msg.sender, "Caller is not the payer");
+        require(fulfillmentRecord.serviceID == 0, "Fulfillment record stores its service");
+        require(_isRecordOfService(id, serviceID), "Fulfillment record belongs to another service");
+        uint256 timeout = _registryContract.getFulfillmentTimeout(serviceID);
+        _expire(id, serviceID, timeout > 0 ? fulfillmentRecord.entryTime + timeout : 0);
+    }
+
+    /// @dev Expires a PENDING record of a service past its deadline, authorizing its refund.
+    function _expire(uint256 id, uint256 serviceID, uint256 deadline) internal {
+        FulFillmentRecord storage fulfillmentRecord = _fulfillmentRecords[id];
+        require(fulfillmentRecord.id > 0, "Fulfillment record does not exist");
+        require(
+            fulfillmentRecord.status == FulFillmentResultState.PENDING,
+            "Fulfillment already registered"
+        );
+        require(deadline > 0, "Fulfillment does not expire");
+        require(block.timestamp >= deadline, "Fulfillment deadline has not passed");
+        (bool success, uint256 amount) = fulfillmentRecord.weiAmount.tryAdd(fulfillmentRecord.feeAmount);
+        require(success, "Overflow while adding fulfillment amount and fee");
+        fulfillmentRecord.status = FulFillmentResultState.EXPIRED;
+        _authorizeRefund(serviceID, fulfillmentRecord.payer, amount);
+        emit FulfillmentExpired(id, fulfillmentRecord.payer, amount);
+    }
+
+    /// @dev Whether a record was deposited for a service. Records created before they stored
+    /// their service id are taken to be when the payer's deposits for the service cover their amount and fee.
+    /// @param id The id of the record
+    /// @param serviceID The service identifier
+    function _isRecordOfService(uint256 id, uint256 serviceID) internal view returns (bool) {
+        FulFillmentRecord storage fulfillmentRecord = _fulfillmentRecords[id];
+        if (fulfillmentRecord.serviceID != 0) {
+            return fulfillmentRecord.serviceID == serviceID;
+        }
+        (bool success, uint256 amount) = fulfillmentRecord.weiAmount.tryAdd(fulfillmentRecord.feeAmount);
+        return success && getDepositsFor(fulfillmentRecord.payer, serviceID) >= amount;
+    }
+
     /// @notice Withdraws the beneficiary's available balance to release (fulfilled with success).
+    /// @dev Releases locked in a dispute window are only withdrawn once credited by releaseMatured
+    /// or resolveDispute.
     /// @param serviceID The service identifier.
     function beneficiaryWithdraw(uint256 serviceID) public virtual nonReentrant {
         require(_manager == msg.sender, "Caller is not the manager");
@@ -1,9 +1,12 @@
 // SPDX-License-Identifier: MIT
 pragma solidity >=0.8.20 <0.9.0;
 
-import { OwnableUpgradeable } from '@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol';
+import { BandoRolesUpgradeable } from './access/BandoRolesUpgradeable.sol';
 import { UUPSUpgradeable } from '@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol';
 import { ReentrancyGuardUpgradeable } from '@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol';
+import { EIP712Upgradeable } from '@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol';
+import { NoncesUpgradeable } from '@openzeppelin/contracts-upgradeable/utils/NoncesUpgradeable.sol';
+import { SignatureChecker } from '@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol';
 import { IFulfillableRegistry, Service } from './periphery/registry/IFulfillableRegistry.sol';
 import { IBandoFulfillable } from './IBandoFulfillable.sol';
 import { IBandoERC20Fulfillable } from './BandoERC20FulfillableV1.sol';
@@ -12,17 +15,19 @@ import {
     ERC20FulFillmentRecord,
     ERC20FulFillmentRequest,
     FulFillmentResultState,
-    FulFillmentResult
+    FulFillmentResult,
+    FulFillmentBatchItem
 } from "./FulfillmentTypes.sol";
 
 /// @title BandoFulfillmentManagerV1
 /// @author g6s
 /// @custom:bfp-version 1.0.0
 /// @notice This contract manages services and fulfillables for the Bando protocol.
-/// It inherits from OwnableUpgradeable and UUPSUpgradeable contracts.
+/// It inherits from BandoRolesUpgradeable and UUPSUpgradeable contracts.
 /// 
-/// OwnableUpgradeable provides basic access control functionality, 
-/// where only the contract owner can perform certain actions.
+/// BandoRolesUpgradeable provides role based access control:
+/// SERVICE_ADMIN_ROLE sets up services, REF_ADMIN_ROLE adds service references,
+/// REFUND_OPERATOR_ROLE withdraws refunds on behalf of refundees and UPGRADER_ROLE upgrades.
 /// 
 /// UUPSUpgradeable enables the contract to be upgraded without 
 /// losing its state, allowing for seamless upgrades of the 
@@ -33,13 +38,29 @@ import {
 /// 
 /// - Set up a service escrow address.
 /// - Register a fulfillment result for a service.
+/// - Register a batch of fulfillment results, across services.
+/// - Register a fulfillment result signed by the service fulfiller (EIP-712), relayed by anyone.
 /// - Withdraw a refund from a service.
 /// - Withdraw funds for a beneficiary in a releasable pool.
 /// 
 /// @dev The owner of the contract is the operator of the fulfillment protocol.
 /// But the fulfillers are the only ones that can register a fulfillment result 
 /// and withdraw a refund.
-contract BandoFulfillmentManagerV1 is OwnableUpgradeable, UUPSUpgradeable, ReentrancyGuardUpgradeable {
+/// EIP712Upgradeable and NoncesUpgradeable use namespaced storage, so they do not
+/// shift the layout of the V1 state variables.
+contract BandoFulfillmentManagerV1 is
+    BandoRolesUpgradeable,
+    UUPSUpgradeable,
+    ReentrancyGuardUpgradeable,
+    EIP712Upgradeable,
+    NoncesUpgradeable
+{
+
+    /// @notice EIP-712 typehash of a fulfillment result signed by a fulfiller.
+    /// The escrow is part of the signed data because record ids are only unique per escrow.
+    bytes32 public constant FULFILLMENT_RESULT_TYPEHASH = keccak256(
+        "FulFillmentResult(address escrow,uint256 serviceID,uint256 id,string externalID,string receiptURI,uint8 status,uint256 fulfilledAmount,uint256 nonce,uint256 deadline)"
+    );
 
     /// @notice service registry address
     address public _serviceRegistry;
@@ -50,44 +71,88 @@ contract BandoFulfillmentManagerV1 is OwnableUpgradeable, UUPSUpgradeable, Reent
     /// @notice ERC20 escrow address
     address public _erc20_escrow;
 
+    /// @notice Emitted when an item of a fulfillment batch could not be registered.
+    /// @param serviceID The service identifier of the item
+    /// @param id The fulfillment record id of the item
+    /// @param reason The revert data of the failed registration
+    event FulfillmentRegistrationFailed(uint256 indexed serviceID, uint256 indexed id, bytes reason);
+
+    /// @notice Emitted once a fulfillment batch has been processed.
+    /// @param sender The address that submitted the batch
+    /// @param erc20 Whether the batch was registered in the ERC20 escrow
+    /// @param total The number of items in the batch
+    /// @param succeeded The number of items registered
+    event FulfillmentBatchRegistered(address indexed sender, bool erc20, uint256 total, uint256 succeeded);
+
+    /// @notice Emitted when a signed fulfillment result is registered by a relayer.
+    /// @param serviceID The service identifier
+    /// @param id The fulfillment record id
+    /// @param fulfiller The fulfiller that signed the result
+    /// @param relayer The address that submitted the result
+    event FulfillmentRelayed(uint256 indexed serviceID, uint256 indexed id, address indexed fulfiller, address relayer);
+
     /// @notice Initializes the contract
     function initialize() public virtual initializer {
-        __Ownable_init(msg.sender);
+        __BandoRoles_init(msg.sender);
         __UUPSUpgradeable_init();
+        __EIP712_init("BandoFulfillmentManager", "1");
+    }
+
+    /// @notice Sets up the EIP-712 domain on proxies initialized before signed results existed.
+    function initializeSignatures() public virtual reinitializer(2) onlyOwner {
+        __EIP712_init("BandoFulfillmentManager", "1");
+    }
+
+    /// @notice Grants every role to the owner on proxies initialized before roles existed.
+    /// @dev It also sets up the EIP-712 domain, as initializeSignatures can no longer be called after it.
+    function initializeRoles() public virtual override reinitializer(3) onlyOwner {
+        __EIP712_init("BandoFulfillmentManager", "1");
+        _migrateRoles();
     }
 
     /// @dev UUPS upgrade authorization
-    function _authorizeUpgrade(address newImplementation) internal override onlyOwner {}
+    function _authorizeUpgrade(address newImplementation) internal override onlyRole(UPGRADER_ROLE) {}
+
+    /// @dev The roles checked by this contract, granted to the admin on initialization.
+    function _managedRoles() internal pure override returns (bytes32[] memory roles) {
+        roles = new bytes32[](5);
+        roles[0] = SERVICE_ADMIN_ROLE;
+        roles[1] = REF_ADMIN_ROLE;
+        roles[2] = REFUND_OPERATOR_ROLE;
+        roles[3] = FULFILLMENT_OPERATOR_ROLE;
+        roles[4] = UPGRADER_ROLE;
+    }
 
     /// @dev Sets the service registry address.
     /// @param serviceRegistry_ The address of the service registry.
-    function setServiceRegistry(address serviceRegistry_) public onlyOwner {
+    function setServiceRegistry(address serviceRegistry_) public onlyRole(DEFAULT_ADMIN_ROLE) {
         require(serviceRegistry_ != address(0), "Service registry cannot be the zero address");
         _serviceRegistry = serviceRegistry_;
     }
 
     /// @dev Sets the escrow address.
     /// @param escrow_ The address of the escrow.
-    function setEscrow(address payable escrow_) public onlyOwner {
+    function setEscrow(address payable escrow_) public onlyRole(DEFAULT_ADMIN_ROLE) {
         require(escrow_ != address(0), "Escrow cannot be the zero address");
         _escrow = escrow_;
     }
 
     /// @dev Sets the ERC20 escrow address.
     /// @param erc20Escrow_ The address of the ERC20 escrow.
-    function setERC20Escrow(address payable erc20Escrow_) public onlyOwner {
+    function setERC20Escrow(address payable erc20Escrow_) public onlyRole(DEFAULT_ADMIN_ROLE) {
         require(erc20Escrow_ != address(0), "ERC20 escrow cannot be the zero address");
         _erc20_escrow = erc20Escrow_;
     }
 
     /// @dev setService
-    /// @notice This method must only be called by an owner.
+    /// @notice This method must only be called by a service admin.
     /// It sets up a service escrow address and validator address.
     /// 
     /// The escrow is intended to be a valid Bando escrow contract
     /// 
     /// The validator address is intended to be a contract that validates the service's
     /// identifier. eg. phone number, bill number, etc.
+    /// Percentage fees are set up in the registry with updateServiceFeeBasisPoints.
     /// @param serviceID The service identifier
     /// @param feeAmount The fee amount for the service
     /// @param fulfiller The address of the fulfiller
@@ -101,7 +166,7 @@ contract BandoFulfillmentManagerV1 is OwnableUpgradeable, UUPSUpgradeable, Reent
     ) 
         public
         virtual
-        onlyOwner 
+        onlyRole(SERVICE_ADMIN_ROLE)
         returns (Service memory)
     {
         require(serviceID > 0, "Service ID is invalid");
@@ -111,69 +176,279 @@ contract BandoFulfillmentManagerV1 is OwnableUpgradeable, UUPSUpgradeable, Reent
             serviceId: serviceID,
             fulfiller: fulfiller,
             feeAmount: feeAmount,
-            beneficiary: beneficiary
+            beneficiary: beneficiary,
+            feeBasisPoints: 0,
+            minFeeAmount: 0,
+            maxFeeAmount: 0
         });
         IFulfillableRegistry(_serviceRegistry).addService(serviceID, service);
         return service;
     }
 
     /// @dev setServiceRef
-    /// @notice This method must only be called by the owner.
+    /// @notice This method must only be called by a reference admin.
     /// It sets up a service reference for a service.
     /// @param serviceID The service identifier
     /// @param serviceRef The service reference
-    function setServiceRef(uint256 serviceID, string memory serviceRef) public virtual onlyOwner {
+    function setServiceRef(uint256 serviceID, string memory serviceRef) public virtual onlyRole(REF_ADMIN_ROLE) {
         IFulfillableRegistry(_serviceRegistry).addServiceRef(serviceID, serviceRef);
     }
 
+    /// @dev setServiceRefs
+    /// @notice This method must only be called by a reference admin.
+    /// It sets up service references for a service in bulk.
+    /// @param serviceID The service identifier
+    /// @param serviceRefs The service references
+    function setServiceRefs(uint256 serviceID, string[] memory serviceRefs) public virtual onlyRole(REF_ADMIN_ROLE) {
+        IFulfillableRegistry(_serviceRegistry).addServiceRefs(serviceID, serviceRefs);
+    }
+
+    /// @dev removeServiceRef
+    /// @notice This method must only be called by a reference admin.
+    /// It removes a service reference, new requests using it are rejected.
+    /// @param serviceID The service identifier
+    /// @param serviceRef The service reference
+    function removeServiceRef(uint256 serviceID, string memory serviceRef) public virtual onlyRole(REF_ADMIN_ROLE) {
+        IFulfillableRegistry(_serviceRegistry).removeServiceRef(serviceID, serviceRef);
+    }
+
+    /// @dev removeServiceRefs
+    /// @notice This method must only be called by a reference admin.
+    /// It removes service references in bulk.
+    /// @param serviceID The service identifier
+    /// @param serviceRefs The service references
+    function removeServiceRefs(uint256 serviceID, string[] memory serviceRefs) public virtual onlyRole(REF_ADMIN_ROLE) {
+        IFulfillableRegistry(_serviceRegistry).removeServiceRefs(serviceID, serviceRefs);
+    }
+
     /// @dev withdrawRefund
-    /// @notice This method must only be called by the service fulfiller or the owner.
+    /// @notice This method must only be called by the service fulfiller, a refund operator or the refundee.
     /// @param serviceID The service identifier
     /// @param refundee The address of the refund recipient
     function withdrawRefund(uint256 serviceID, address payable refundee) public virtual {
         Service memory service = IFulfillableRegistry(_serviceRegistry).getService(serviceID);
-        if (msg.sender != service.fulfiller) {
-            require(msg.sender == owner(), "Only the fulfiller or the owner can withdraw a refund");
+        if (msg.sender != service.fulfiller && msg.sender != refundee) {
+            require(
+                hasRole(REFUND_OPERATOR_ROLE, msg.sender),
+                "Only the fulfiller, the refundee or a refund operator can withdraw a refund"
+            );
         }
         require(IBandoFulfillable(_escrow).withdrawRefund(serviceID, refundee), "Withdrawal failed");
     }
 
     /// @dev registerFulfillment
-    /// @notice This method must only be called by the service fulfiller or the owner
+    /// @notice This method must only be called by the service fulfiller or a fulfillment operator.
     /// It registers a fulfillment result for a service calling the escrow contract.
     /// @param serviceID The service identifier
     /// @param fulfillment The fulfillment result
     function registerFulfillment(uint256 serviceID, FulFillmentResult memory fulfillment) public virtual nonReentrant {
         Service memory service = IFulfillableRegistry(_serviceRegistry).getService(serviceID);
         if (msg.sender != service.fulfiller) {
-            require(msg.sender == owner(), "Only the fulfiller or the owner can withdraw a refund");
+            require(
+                hasRole(FULFILLMENT_OPERATOR_ROLE, msg.sender),
+                "Only the fulfiller or a fulfillment operator can register a fulfillment"
+            );
         }
         IBandoFulfillable(_escrow).registerFulfillment(serviceID, fulfillment);
     }
 
     /// @dev withdrawERC20Refund
-    /// @notice This method must only be called by the service fulfiller or the owner.
+    /// @notice This method must only be called by the service fulfiller, a refund operator or the refundee.
     /// @param serviceID The service identifier
     /// @param token The address of the ERC20 token
     /// @param refundee The address of the refund recipient
     function withdrawERC20Refund(uint256 serviceID, address token, address refundee) public virtual nonReentrant {
         Service memory service = IFulfillableRegistry(_serviceRegistry).getService(serviceID);
-        if (msg.sender != service.fulfiller) {
-            require(msg.sender == owner(), "Only the fulfiller or the owner can withdraw a refund");
+        if (msg.sender != service.fulfiller && msg.sender != refundee) {
+            require(
+                hasRole(REFUND_OPERATOR_ROLE, msg.sender),
+                "Only the fulfiller, the refundee or a refund operator can withdraw a refund"
+            );
         }
         require(IBandoERC20Fulfillable(_erc20_escrow).withdrawERC20Refund(serviceID, token, refundee), "Withdrawal failed");
     }
 
     /// @dev registerERC20Fulfillment
-    /// @notice This method must only be called by the service fulfiller or the owner
+    /// @notice This method must only be called by the service fulfiller or a fulfillment operator.
     /// It registers a fulfillment result for a service calling the escrow contract.
     /// @param serviceID The service identifier
     /// @param fulfillment The fulfillment result
     function registerERC20Fulfillment(uint256 serviceID, FulFillmentResult memory fulfillment) public virtual nonReentrant {
         Service memory service = IFulfillableRegistry(_serviceRegistry).getService(serviceID);
         if (msg.sender != service.fulfiller) {
-            require(msg.sender == owner(), "Only the fulfiller or the owner can register a fulfillment");
+            require(
+                hasRole(FULFILLMENT_OPERATOR_ROLE, msg.sender),
+                "Only the fulfiller or a fulfillment operator can register a fulfillment"
+            );
         }
         IBandoERC20Fulfillable(_erc20_escrow).registerFulfillment(serviceID, fulfillment);
     }
+
+    /// @dev registerFulfillments
+    /// @notice Registers a batch of fulfillment results in the native coin escrow.
+    /// Each item must be registered by its service fulfiller or a fulfillment operator,
+    /// for a record deposited for that service.
+    /// An item that cannot be registered does not revert the batch,
+    /// it emits a FulfillmentRegistrationFailed event instead.
+    /// @param items The batch of service identifiers and fulfillment results
+    /// @return results Whether each item was registered
+    function registerFulfillments(FulFillmentBatchItem[] memory items) public virtual nonReentrant returns (bool[] memory results) {
+        results = _registerBatch(items, false);
+    }
+
+    /// @dev registerERC20Fulfillments
+    /// @notice Registers a batch of fulfillment results in the ERC20 escrow.
+    /// Each item must be registered by its service fulfiller or a fulfillment operator,
+    /// for a record deposited for that service.
+    /// An item that cannot be registered does not revert the batch,
+    /// it emits a FulfillmentRegistrationFailed event instead.
+    /// @param items The batch of service identifiers and fulfillment results
+    /// @return results Whether each item was registered
+    function registerERC20Fulfillments(FulFillmentBatchItem[] memory items) public virtual nonReentrant returns (bool[] memory results) {
+        results = _registerBatch(items, true);
+    }
+
+    /// @dev Registers every item of a batch, catching the failures of each one.
+    /// @param items The batch of service identifiers and fulfillment results
+    /// @param erc20 Whether to register the items in the ERC20 escrow
+    /// @return results Whether each item was registered
+    function _registerBatch(FulFillmentBatchItem[] memory items, bool erc20) internal returns (bool[] memory results) {
+        require(items.length > 0, "Batch cannot be empty");
+        results = new bool[](items.length);
+        uint256 succeeded = 0;
+        for (uint256 i = 0; i < items.length; i++) {
+            bytes memory reason = _tryRegister(items[i], erc20);
+            if (reason.length == 0) {
+                results[i] = true;
+                succeeded++;
+            } else {
+                emit FulfillmentRegistrationFailed(items[i].serviceID, items[i].fulfillment.id, reason);
+            }
+        }
+        emit FulfillmentBatchRegistered(msg.sender, erc20, items.length, succeeded);
+    }
+
+    /// @dev Registers a single batch item.
+    /// @param item The service identifier and fulfillment result
+    /// @param erc20 Whether to register the item in the ERC20 escrow
+    /// @return reason The revert data of the failed registration, empty on success
+    function _tryRegister(FulFillmentBatchItem memory item, bool erc20) internal returns (bytes memory reason) {
+        try IFulfillableRegistry(_serviceRegistry).getService(item.serviceID) returns (Service memory service) {
+            if (msg.sender != service.fulfiller && !hasRole(FULFILLMENT_OPERATOR_ROLE, msg.sender)) {
+                return abi.encodeWithSignature(
+                    "Error(string)",
+                    "Only the fulfiller or a fulfillment operator can register a fulfillment"
+                );
+            }
+        } catch (bytes memory err) {
+            return _nonEmptyReason(err);
+        }
+        if (erc20) {
+            try IBandoERC20Fulfillable(_erc20_escrow).registerFulfillment(item.serviceID, item.fulfillment) {
+                return "";
+            } catch (bytes memory err) {
+                return _nonEmptyReason(err);
+            }
+        }
+        try IBandoFulfillable(_escrow).registerFulfillment(item.serviceID, item.fulfillment) {
+            return "";
+        } catch (bytes memory err) {
+            return _nonEmptyReason(err);
+        }
+    }
+
+    /// @dev Failures without revert data are reported with a generic reason,
+    /// an empty reason means success for _tryRegister.
+    function _nonEmptyReason(bytes memory err) internal pure returns (bytes memory) {
+        if (err.length > 0) {
+            return err;
+        }
+        return abi.encodeWithSignature("Error(string)", "Fulfillment registration failed");
+    }
+
+    /// @dev registerFulfillmentWithSig
+    /// @notice Registers a fulfillment result signed by the service fulfiller.
+    /// Anyone can submit it, so the fulfiller does not need to hold gas.
+    /// @param serviceID The service identifier
+    /// @param fulfillment The fulfillment result
+    /// @param nonce The fulfiller's current nonce
+    /// @param deadline The time after which the signature is no longer valid
+    /// @param signature The fulfiller's EIP-712 signature
+    function registerFulfillmentWithSig(
+        uint256 serviceID,
+        FulFillmentResult memory fulfillment,
+        uint256 nonce,
+        uint256 deadline,
+        bytes memory signature
+    ) public virtual nonReentrant {
+        _verifyFulfillmentSignature(_escrow, serviceID, fulfillment, nonce, deadline, signature);
+        IBandoFulfillable(_escrow).registerFulfillment(serviceID, fulfillment);
+    }
+
+    /// @dev registerERC20FulfillmentWithSig
+    /// @notice Registers an ERC20 fulfillment result signed by the service fulfiller.
+    /// Anyone can submit it, so the fulfiller does not need to hold gas.
+    /// @param serviceID The service identifier
+    /// @param fulfillment The fulfillment result
+    /// @param nonce The fulfiller's current nonce
+    /// @param deadline The time after which the signature is no longer valid
+    /// @param signature The fulfiller's EIP-712 signature
+    function registerERC20FulfillmentWithSig(
+        uint256 serviceID,
+        FulFillmentResult memory fulfillment,
+        uint256 nonce,
+        uint256 deadline,
+        bytes memory signature
+    ) public virtual nonReentrant {
+        _verifyFulfillmentSignature(_erc20_escrow, serviceID, fulfillment, nonce, deadline, signature);
+        IBandoERC20Fulfillable(_erc20_escrow).registerFulfillment(serviceID, fulfillment);
+    }
+
+    /// @notice Returns the EIP-712 digest a fulfiller signs for a fulfillment result.
+    /// @param escrow The escrow holding the record
+    /// @param serviceID The service identifier
+    /// @param fulfillment The fulfillment result
+    /// @param nonce The fulfiller's nonce
+    /// @param deadline The time after which the signature is no longer valid
+    function fulfillmentResultDigest(
+        address escrow,
+        uint256 serviceID,
+        FulFillmentResult memory fulfillment,
+        uint256 nonce,
+        uint256 deadline
+    ) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            FULFILLMENT_RESULT_TYPEHASH,
+            escrow,
+            serviceID,
+            fulfillment.id,
+            keccak256(bytes(fulfillment.externalID)),
+            keccak256(bytes(fulfillment.receiptURI)),
+            fulfillment.status,
+            fulfillment.fulfilledAmount,
+            nonce,
+            deadline
+        )));
+    }
+
+    /// @dev Checks the signature was made by the service fulfiller and consumes its nonce.
+    /// Contract fulfillers are supported through ERC-1271.
+    function _verifyFulfillmentSignature(
+        address escrow,
+        uint256 serviceID,
+        FulFillmentResult memory fulfillment,
+        uint256 nonce,
+        uint256 deadline,
+        bytes memory signature
+    ) internal {
+        require(block.timestamp <= deadline, "Fulfillment signature expired");
+        Service memory service = IFulfillableRegistry(_serviceRegistry).getService(serviceID);
+        bytes32 digest = fulfillmentResultDigest(escrow, serviceID, fulfillment, nonce, deadline);
+        require(
+            SignatureChecker.isValidSignatureNow(service.fulfiller, digest, signature),
+            "Invalid fulfiller signature"
+        );
+        _useCheckedNonce(service.fulfiller, nonce);
+        emit FulfillmentRelayed(serviceID, fulfillment.id, service.fulfiller, msg.sender);
+    }
 }
@@ -5,12 +5,15 @@ import { UUPSUpgradeable } from "@openzeppelin/contracts-upgradeable/proxy/utils
 import { PausableUpgradeable } from "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
 import { Math } from "@openzeppelin/contracts/utils/math/Math.sol";
 import { Address } from "@openzeppelin/contracts/utils/Address.sol";
-import { OwnableUpgradeable } from "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import { BandoRolesUpgradeable } from "./access/BandoRolesUpgradeable.sol";
 import { ReentrancyGuardUpgradeable } from "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
 import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import { IERC20Permit } from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import { SafeERC20 } from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import { IBandoERC20Fulfillable } from "./IBandoERC20Fulfillable.sol";
 import { IBandoFulfillable } from "./IBandoFulfillable.sol";
+import { IFulfillableRegistry } from "./periphery/registry/IFulfillableRegistry.sol";
+import { IERC20TokenRegistry } from "./periphery/registry/IERC20TokenRegistry.sol";
 import { FulFillmentRequest, ERC20FulFillmentRequest } from "./FulfillmentTypes.sol";
 import { FulfillmentRequestLib } from "./libraries/FulfillmentRequestLib.sol";
 
@@ -22,16 +25,18 @@ import { FulfillmentRequestLib } from "./libraries/FulfillmentRequestLib.sol";
 /// The router contract is intended to handle methods to deposit to the escrow cotract to request a service
 /// For fulfillments being requested for payment with an ERC20 compliant token,
 /// the router will call the depositERC20 method on the ERC20 escrow contract.
-/// - The contract is Ownable, Pausable, UUPSUpgradeable, and ReentrancyGuardUpgradeable.
-/// - The owner of the contract can set the fulfillable registry, token registry, escrow, and ERC20 escrow addresses.
-/// - The owner of the contract is the protocol operator.
+/// - The contract is role based (BandoRolesUpgradeable), Pausable, UUPSUpgradeable, and ReentrancyGuardUpgradeable.
+/// - The admin of the contract can set the fulfillable registry, token registry, escrow, and ERC20 escrow addresses.
+/// - The admin of the contract is the protocol operator.
 /// - The contract is intended to be user-facing.
 /// - The contract will validate the request and transfer the payment to the fulfillable contract.
 /// - The contract will emit events for each service requested.
 /// - The contract will emit an event if the validation of the request fails.
-/// - The contract can be paused by the owner.
+/// - The contract can be paused by a pauser.
+/// - ERC20 services can be paid in one transaction with an EIP-2612 permit.
+/// - Once a price oracle is set, services enabled in it check the amount paid against the fiat amount.
 contract BandoRouterV1 is
-    OwnableUpgradeable,
+    BandoRolesUpgradeable,
     PausableUpgradeable,
     UUPSUpgradeable,
     ReentrancyGuardUpgradeable {
@@ -44,6 +49,7 @@ contract BandoRouterV1 is
     address public _tokenRegistry;
     address payable public _escrow;
     address payable public _erc20Escrow;
+    address public _priceOracle;
 
     /// @notice Emitted when an ERC20 service is requested
     /// @param serviceID The ID of the requested service
@@ -61,69 +67,86 @@ contract BandoRouterV1 is
     event RefValidationFailed(uint256 serviceID, string serviceRef);
 
     /// @notice Initializes the contract
-    /// @dev Sets up the contract with initial state, including Ownable, Pausable, UUPSUpgradeable, and ReentrancyGuard
+    /// @dev Sets up the contract with initial state, including roles, Pausable, UUPSUpgradeable, and ReentrancyGuard
     function initialize() public virtual initializer {
-        __Ownable_init(msg.sender);
+        __BandoRoles_init(msg.sender);
         __Pausable_init();
         __UUPSUpgradeable_init();
         __ReentrancyGuard_init();
     }
 
     /// @notice Pauses the contract
-    /// @dev Can only be called by the contract owner
-    function pause() public onlyOwner {
+    /// @dev Can only be called by a pauser
+    function pause() public onlyRole(PAUSER_ROLE) {
         _pause();
     }
 
     /// @notice Unpauses the contract
-    /// @dev Can only be called by the contract owner
-    function unpause() public onlyOwner {
+    /// @dev Can only be called by a pauser
+    function unpause() public onlyRole(PAUSER_ROLE) {
         _unpause();
     }
 
     /// @notice Authorizes an upgrade to a new implementation
-    /// @dev Required for UUPS upgrades, can only be called by the contract owner
+    /// @dev Required for UUPS upgrades, can only be called by an upgrader
     /// @param newImplementation Address of the new implementation contract
     function _authorizeUpgrade(address newImplementation)
         internal
-        onlyOwner
+        onlyRole(UPGRADER_ROLE)
         override
     {}
 
+    /// @dev The roles checked by this contract, granted to the admin on initialization.
+    function _managedRoles() internal pure override returns (bytes32[] memory roles) {
+        roles = new bytes32[](2);
+        roles[0] = PAUSER_ROLE;
+        roles[1] = UPGRADER_ROLE;
+    }
+
     /// @notice Sets the address of the fulfillable registry
-    /// @dev Can only be called by the contract owner
+    /// @dev Can only be called by the contract admin
     /// @param fulfillableRegistry_ The new address for the fulfillable registry
-    function setFulfillableRegistry(address fulfillableRegistry_) public onlyOwner {
+    function setFulfillableRegistry(address fulfillableRegistry_) public onlyRole(DEFAULT_ADMIN_ROLE) {
         require(fulfillableRegistry_ != address(0), "Fulfillable registry cannot be the zero address");
         _fulfillableRegistry = fulfillableRegistry_;
     }
 
     /// @notice Sets the address of the token registry
-    /// @dev Can only be called by the contract owner
+    /// @dev Can only be called by the contract admin
     /// @param tokenRegistry_ The new address for the token registry
-    function setTokenRegistry(address tokenRegistry_) public onlyOwner {
+    function setTokenRegistry(address tokenRegistry_) public onlyRole(DEFAULT_ADMIN_ROLE) {
         require(tokenRegistry_ != address(0), "Token registry cannot be the zero address");
         _tokenRegistry = tokenRegistry_;
     }
 
     /// @notice Sets the address of the escrow contract
-    /// @dev Can only be called by the contract owner
+    /// @dev Can only be called by the contract admin
     /// @param escrow_ The new address for the escrow contract
-    function setEscrow(address payable escrow_) public onlyOwner {
+    function setEscrow(address payable escrow_) public onlyRole(DEFAULT_ADMIN_ROLE) {
         require(escrow_ != address(0), "Escrow cannot be the zero address");
         _escrow = escrow_;
     }
 
     /// @notice Sets the address of the ERC20 escrow contract
-    /// @dev Can only be called by the contract owner
+    /// @dev Can only be called by the contract admin
     /// @param erc20Escrow_ The new address for the ERC20 escrow contract
-    function setERC20Escrow(address payable erc20Escrow_) public onlyOwner {
+    function setERC20Escrow(address payable erc20Escrow_) public onlyRole(DEFAULT_ADMIN_ROLE) {
         require(erc20Escrow_ != address(0), "ERC20 escrow cannot be the zero address");
         _erc20Escrow = erc20Escrow_;
     }
 
+    /// @notice Sets the address of the price oracle
+    /// @dev Can only be called by the contract admin
+    /// @param priceOracle_ The new address for the price oracle
+    function setPriceOracle(address priceOracle_) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(priceOracle_ != address(0), "Price oracle cannot be the zero address");
+        _priceOracle = priceOracle_;
+    }
+
     /// @notice Requests an ERC20 service
-    /// @dev Validates the request and transfers the payment to the ERC20 escrow contract
+    /// @dev Validates the request and transfers the payment to the ERC20 escrow contract.
+    /// The service token fee is pulled on top of the token amount, so the allowance must cover both.
+    /// The request is recorded, and emitted, with the token amount the escrow actually received.
     /// @param serviceID The ID of the service being requested
     /// @param request The details of the ERC20 fulfillment request
     /// @return bool True if the amount was transferred to the escrow
@@ -131,28 +154,138 @@ contract BandoRouterV1 is
         uint256 serviceID, 
         ERC20FulFillmentRequest memory request
     ) public payable whenNotPaused nonReentrant returns (bool) {
-        FulfillmentRequestLib.validateERC20Request(serviceID, request, _fulfillableRegistry, _tokenRegistry);
+        return _requestERC20Service(serviceID, request);
+    }
+
+    /// @notice Requests an ERC20 service, approving the router with an EIP-2612 permit
+    /// @dev The permit is signed by msg.sender for the router and at least the token amount plus the service token fee.
+    /// A failing permit call does not revert on its own, so a permit front-run by someone else
+    /// or a token without permit support still works if the allowance is already in place.
+    /// @param serviceID The ID of the service being requested
+    /// @param request The details of the ERC20 fulfillment request
+    /// @param permitAmount The amount approved by the permit
+    /// @param deadline The permit deadline
+    /// @param v The permit signature v
+    /// @param r The permit signature r
+    /// @param s The permit signature s
+    /// @return bool True if the amount was transferred to the escrow
+    function requestERC20ServiceWithPermit(
+        uint256 serviceID,
+        ERC20FulFillmentRequest memory request,
+        uint256 permitAmount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) public whenNotPaused nonReentrant returns (bool) {
+        try IERC20Permit(request.token).permit(msg.sender, address(this), permitAmount, deadline, v, r, s) {
+        } catch {
+            uint256 feeAmount = IFulfillableRegistry(_fulfillableRegistry).getServiceTokenFee(serviceID, request.token);
+            require(
+                IERC20(request.token).allowance(msg.sender, address(this)) >= request.tokenAmount + feeAmount,
+                "BandoRouterV1: Permit failed and allowance is insufficient"
+            );
+        }
+        return _requestERC20Service(serviceID, request);
+    }
+
+    /// @dev Validates an ERC20 request and transfers the payment and the service token fee
+    /// to the ERC20 escrow contract
+    /// @param serviceID The ID of the service being requested
+    /// @param request The details of the ERC20 fulfillment request
+    /// @return bool True if the amount was transferred to the escrow
+    function _requestERC20Service(
+        uint256 serviceID,
+        ERC20FulFillmentRequest memory request
+    ) internal returns (bool) {
+        (, uint256 feeAmount) = FulfillmentRequestLib.validateERC20Request(
+            serviceID,
+            request,
+            _fulfillableRegistry,
+            _tokenRegistry
+        );
+        FulfillmentRequestLib.validateFiatAmount(
+            serviceID,
+            request.token,
+            request.tokenAmount,
+            request.fiatAmount,
+            request.fiatCurrency,
+            request.fiatDecimals,
+            _priceOracle
+        );
+        uint256 total_amount = request.tokenAmount + feeAmount;
         uint256 pre_balance = IERC20(request.token).balanceOf(msg.sender);
-        require(pre_balance >= request.tokenAmount, "BandoRouterV1: Insufficient balance");
+        require(pre_balance >= total_amount, "BandoRouterV1: Insufficient balance");
+        uint256 escrow_pre_balance = IERC20(request.token).balanceOf(_erc20Escrow);
         /// @dev Transfer the payment to the ERC20 escrow contract
         /// It is important to have msg.sender in the from field as a best security practice
         /// this is the reason this is done here and not in the escrow contract
         IERC20(request.token).safeTransferFrom(
             msg.sender,
             _erc20Escrow,
-            request.tokenAmount
+            total_amount
         );
         require(
-            IERC20(request.token).balanceOf(msg.sender) <= pre_balance - request.tokenAmount,
+            IERC20(request.token).balanceOf(msg.sender) <= pre_balance - total_amount,
             "BandoRouterV1: ERC20 invalid transfer return"
         );
+        request.tokenAmount = _receivedTokenAmount(
+            request.token,
+            IERC20(request.token).balanceOf(_erc20Escrow) - escrow_pre_balance,
+            total_amount,
+            feeAmount
+        );
+        if (request.tokenAmount != total_amount - feeAmount) {
+            _validateReceivedTokenAmount(serviceID, request);
+        }
         IBandoERC20Fulfillable(_erc20Escrow).depositERC20(serviceID, request);
         emit ERC20ServiceRequested(serviceID, request);
         return true;
     }
 
+    /// @dev Returns the token amount to record for a request, given what the escrow actually received.
+    /// Tokens flagged for balance-delta accounting in the token registry (e.g. fee-on-transfer tokens)
+    /// are recorded with the amount received minus the service token fee, so the payer bears the transfer fee.
+    /// Any other token must deliver the exact amount, otherwise the escrow would be insolvent.
+    /// Rebasing tokens are out of scope: their balance changes without transfers, which no accounting mode follows.
+    /// @param token The ERC20 token address
+    /// @param received The amount the escrow balance increased by
+    /// @param expected The token amount plus the service token fee
+    /// @param feeAmount The service token fee
+    /// @return The token amount to record
+    function _receivedTokenAmount(
+        address token,
+        uint256 received,
+        uint256 expected,
+        uint256 feeAmount
+    ) internal view returns (uint256) {
+        if (!IERC20TokenRegistry(_tokenRegistry).usesBalanceDeltaAccounting(token)) {
+            require(received == expected, "BandoRouterV1: Token transferred an unexpected amount");
+            return expected - feeAmount;
+        }
+        require(received > feeAmount, "BandoRouterV1: Received amount does not cover the fee");
+        return received - feeAmount;
+    }
+
+    /// @dev Checks the token limits and the fiat amount again against the token amount actually received,
+    /// so a balance-delta token cannot pay less than the request limits or fiat amount allow.
+    /// @param serviceID The ID of the service being requested
+    /// @param request The ERC20 request, with the token amount to record
+    function _validateReceivedTokenAmount(uint256 serviceID, ERC20FulFillmentRequest memory request) internal view {
+        FulfillmentRequestLib.validateTokenMetadata(serviceID, request, _tokenRegistry);
+        FulfillmentRequestLib.validateFiatAmount(
+            serviceID,
+            request.token,
+            request.tokenAmount,
+            request.fiatAmount,
+            request.fiatCurrency,
+            request.fiatDecimals,
+            _priceOracle
+        );
+    }
+
     /// @notice Requests a service using native tokens
-    /// @dev Validates the request and transfers the payment to the escrow contract
+    /// @dev Validates the request and transfers the payment and the service fee to the escrow contract
     /// @param serviceID The ID of the service being requested
     /// @param request The details of the fulfillment request
     /// @return bool True if the amount was transferred to the escrow
@@ -161,7 +294,16 @@ contract BandoRouterV1 is
         FulFillmentRequest memory request
     ) public payable whenNotPaused nonReentrant returns (bool) {
         FulfillmentRequestLib.validateRequest(serviceID, request, _fulfillableRegistry);
-        IBandoFulfillable(_escrow).deposit{value: request.weiAmount}(serviceID, request);
+        FulfillmentRequestLib.validateFiatAmount(
+            serviceID,
+            address(0),
+            request.weiAmount,
+            request.fiatAmount,
+            request.fiatCurrency,
+            request.fiatDecimals,
+            _priceOracle
+        );
+        IBandoFulfillable(_escrow).deposit{value: msg.value}(serviceID, request);
         emit ServiceRequested(serviceID, request);
         return true;
     }
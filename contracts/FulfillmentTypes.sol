@@ -3,10 +3,17 @@
 pragma solidity >=0.8.20 <0.9.0;
     
 /// @notice Enum with states for fulfillment results
+/// @dev EXPIRED is only set by the escrows, when a PENDING record outlives its service's fulfillment timeout.
+/// PARTIAL records were fulfilled for part of their amount, the rest was refunded.
+/// DISPUTED is only set by the escrows, when the payer disputes a SUCCESS or PARTIAL record
+/// within its service's dispute window. The arbiter resolves it back to its status, or to FAILED with a refund.
 enum FulFillmentResultState {
     FAILED,
     SUCCESS,
-    PENDING
+    PENDING,
+    EXPIRED,
+    PARTIAL,
+    DISPUTED
 }
 
 /// @notice The fulfiller will accept FulfillmentResults submitted to it,
@@ -35,6 +42,16 @@ struct FulFillmentRecord {
     string receiptURI;
     /// @notice Status of the fulfillment
     FulFillmentResultState status;
+    /// @notice The service identifier the record was deposited for
+    uint256 serviceID;
+    /// @notice ISO 4217 alphabetic code of the fiat currency, e.g. "MXN"
+    /// @dev Zero for records deposited before requests carried a currency
+    bytes3 fiatCurrency;
+    /// @notice Number of decimals of fiatAmount
+    uint8 fiatDecimals;
+    /// @notice Amount delivered by the fulfiller, out of the record amount
+    /// @dev The whole amount on SUCCESS, part of it on PARTIAL, zero otherwise
+    uint256 fulfilledAmount;
 }
 
 /// @notice A fulfiller will submit a fulfillment result in this format
@@ -47,7 +64,31 @@ struct FulFillmentResult {
     /// @notice The fulfillment external receipt URI
     string receiptURI;
     /// @notice Status of the fulfillment
-    FulFillmentResultState status;   
+    FulFillmentResultState status;
+    /// @notice Amount delivered on PARTIAL results, in wei or token units, below the record amount
+    /// @dev Only read for PARTIAL results
+    uint256 fulfilledAmount;
+}
+
+/// @notice The amount released by a SUCCESS or PARTIAL record, held by the escrow
+/// until its service's dispute window is over
+/// @dev This struct represents a release locked in a dispute window
+struct LockedRelease {
+    /// @notice The service identifier the release is credited to
+    uint256 serviceID;
+    /// @notice Amount released to the service's pool once matured, in wei or token units
+    uint256 amount;
+    /// @notice Time at which the dispute window is over and the release matures
+    uint256 releaseTime;
+}
+
+/// @notice A fulfiller can submit many fulfillment results at once in this format
+/// @dev This struct represents an item of a fulfillment registration batch
+struct FulFillmentBatchItem {
+    /// @notice The service identifier the record was deposited for
+    uint256 serviceID;
+    /// @notice The fulfillment result to register
+    FulFillmentResult fulfillment;
 }
 
 /// @notice The fulfiller will accept FulfillmentResults submitted to it,
@@ -78,6 +119,16 @@ struct ERC20FulFillmentRecord {
     string receiptURI;
     /// @notice Status of the fulfillment
     FulFillmentResultState status;
+    /// @notice The service identifier the record was deposited for
+    uint256 serviceID;
+    /// @notice ISO 4217 alphabetic code of the fiat currency, e.g. "MXN"
+    /// @dev Zero for records deposited before requests carried a currency
+    bytes3 fiatCurrency;
+    /// @notice Number of decimals of fiatAmount
+    uint8 fiatDecimals;
+    /// @notice Amount delivered by the fulfiller, out of the record amount
+    /// @dev The whole amount on SUCCESS, part of it on PARTIAL, zero otherwise
+    uint256 fulfilledAmount;
 }
 
 /// @notice Anybody can submit a fulfillment request through a router
@@ -93,6 +144,10 @@ struct ERC20FulFillmentRequest {
     address token;
     /// @notice Amount of tokens
     uint256 tokenAmount;
+    /// @notice ISO 4217 alphabetic code of the fiat currency, e.g. "MXN"
+    bytes3 fiatCurrency;
+    /// @notice Number of decimals of fiatAmount, e.g. 2 for cents
+    uint8 fiatDecimals;
 }
 
 /// @notice Anybody can submit a fulfillment request through a router
@@ -106,4 +161,8 @@ struct FulFillmentRequest {
     uint256 fiatAmount;
     /// @notice Identifier required to route the payment to the user's destination
     string serviceRef;
+    /// @notice ISO 4217 alphabetic code of the fiat currency, e.g. "MXN"
+    bytes3 fiatCurrency;
+    /// @notice Number of decimals of fiatAmount, e.g. 2 for cents
+    uint8 fiatDecimals;
 }
@@ -4,7 +4,9 @@ pragma solidity >=0.8.20 <0.9.0;
 import {
     ERC20FulFillmentRequest,
     FulFillmentResult,
-    ERC20FulFillmentRecord
+    FulFillmentResultState,
+    ERC20FulFillmentRecord,
+    LockedRelease
 } from "./FulfillmentTypes.sol";
 
 /// @title IBandoERC20Fulfillable
@@ -30,6 +32,67 @@ interface IBandoERC20Fulfillable {
     /// @return An array of record IDs
     function recordsOf(address payer) external view returns (uint256[] memory);
 
+    /// @notice Retrieves a page of the record IDs for a payer
+    /// @param payer The address of the payer
+    /// @param offset The index of the first record ID of the page
+    /// @param limit The maximum number of record IDs of the page
+    /// @return An array of record IDs, in deposit order
+    function recordsOf(address payer, uint256 offset, uint256 limit) external view returns (uint256[] memory);
+
+    /// @notice Retrieves the number of records of a payer
+    /// @param payer The address of the payer
+    /// @return The number of records
+    function recordCountOf(address payer) external view returns (uint256);
+
+    /// @notice Retrieves the record IDs for a payer with a status, out of a page of at most limit record IDs
+    /// @param payer The address of the payer
+    /// @param status The status of the records returned
+    /// @param offset The index of the first record ID scanned
+    /// @param limit The maximum number of record IDs scanned
+    /// @return ids The matching record IDs
+    /// @return next The offset of the next page
+    function recordsOfWithStatus(
+        address payer,
+        FulFillmentResultState status,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (uint256[] memory ids, uint256 next);
+
+    /// @notice Retrieves a page of the record IDs for a service
+    /// @param serviceID The ID of the service
+    /// @param offset The index of the first record ID of the page
+    /// @param limit The maximum number of record IDs of the page
+    /// @return An array of record IDs, in deposit order
+    function recordsOfService(uint256 serviceID, uint256 offset, uint256 limit) external view returns (uint256[] memory);
+
+    /// @notice Retrieves the number of records listed for a service
+    /// @param serviceID The ID of the service
+    /// @return The number of records
+    function recordCountOfService(uint256 serviceID) external view returns (uint256);
+
+    /// @notice Retrieves the record IDs for a service with a status, out of a page of at most limit record IDs
+    /// @param serviceID The ID of the service
+    /// @param status The status of the records returned
+    /// @param offset The index of the first record ID scanned
+    /// @param limit The maximum number of record IDs scanned
+    /// @return ids The matching record IDs
+    /// @return next The offset of the next page
+    function recordsOfServiceWithStatus(
+        uint256 serviceID,
+        FulFillmentResultState status,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (uint256[] memory ids, uint256 next);
+
+    /// @notice Retrieves ERC20 fulfillment records in bulk
+    /// @param ids The IDs of the records
+    /// @return The ERC20 fulfillment records
+    function records(uint256[] memory ids) external view returns (ERC20FulFillmentRecord[] memory);
+
+    /// @notice Lists by service up to batchSize records deposited before records were listed by service
+    /// @param batchSize The maximum number of records to list
+    function indexServiceRecords(uint256 batchSize) external;
+
     /// @notice Retrieves a specific ERC20 fulfillment record
     /// @param id The ID of the record
     /// @return The ERC20 fulfillment record
@@ -41,4 +104,38 @@ interface IBandoERC20Fulfillable {
     /// @param refundee The address to receive the refund
     /// @return bool Indicating if the withdrawal was successful
     function withdrawERC20Refund(uint256 serviceID, address token, address refundee) external returns (bool);
+
+    /// @notice Expires a PENDING record past its fulfillment deadline and authorizes its refund
+    /// @param id The ID of the record
+    function expireFulfillment(uint256 id) external;
+
+    /// @notice Expires a PENDING record created before records stored their service id, past its deadline
+    /// @dev Only callable by the record payer, whose deposits for the service must cover the record
+    /// @param id The ID of the record
+    /// @param serviceID The ID of the service the record was deposited for
+    function expireLegacyFulfillment(uint256 id, uint256 serviceID) external;
+
+    /// @notice Retrieves the time after which a record can be expired
+    /// @param id The ID of the record
+    /// @return The deadline timestamp, 0 when the record never expires
+    function fulfillmentDeadline(uint256 id) external view returns (uint256);
+
+    /// @notice Disputes a SUCCESS or PARTIAL record within its service's dispute window
+    /// @dev Only callable by the record payer. Its release stays locked until the dispute is resolved.
+    /// @param id The ID of the record
+    function openDispute(uint256 id) external;
+
+    /// @notice Resolves a DISPUTED record, refunding its release to the payer or releasing it to the service
+    /// @param id The ID of the record
+    /// @param refund Whether the payer is refunded
+    function resolveDispute(uint256 id, bool refund) external;
+
+    /// @notice Credits the matured, undisputed releases of records to their service's releaseable pool
+    /// @param ids The IDs of the records
+    function releaseMatured(uint256[] memory ids) external;
+
+    /// @notice Retrieves the release of a record locked in its dispute window
+    /// @param id The ID of the record
+    /// @return The locked release, empty when nothing is locked
+    function lockedReleaseOf(uint256 id) external view returns (LockedRelease memory);
 }
@@ -0,0 +1,86 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.8.20 <0.9.0;
+
+import { OwnableUpgradeable } from "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import { AccessControlUpgradeable } from "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+
+/// @title BandoRolesUpgradeable
+/// @author g6s
+/// @notice Role based access control shared by the protocol contracts.
+/// @dev Privileged paths are gated by roles, managed by the DEFAULT_ADMIN_ROLE holders.
+/// The owner is kept so proxies deployed before roles existed can be migrated:
+/// it calls initializeRoles once after the upgrade to be granted every role,
+/// and hands over the ownership in the same call. Proxies deployed with roles never have an owner,
+/// so fresh and migrated deployments both end up without one.
+/// OwnableUpgradeable, AccessControlUpgradeable and this contract use namespaced storage,
+/// so the migration does not move any existing state variable.
+abstract contract BandoRolesUpgradeable is OwnableUpgradeable, AccessControlUpgradeable {
+
+    /// @custom:storage-location erc7201:bando.storage.BandoRoles
+    struct BandoRolesStorage {
+        bool rolesInitialized;
+    }
+
+    // keccak256(abi.encode(uint256(keccak256("bando.storage.BandoRoles")) - 1)) & ~bytes32(uint256(0xff))
+    bytes32 private constant BandoRolesStorageLocation = 0xa2432964b3e9d94cd877149a55fe325ab173df61b4319591c7f58819fc79a200;
+
+    /// @notice Manages services: creation, fees, fulfillers, beneficiaries and timeouts.
+    bytes32 public constant SERVICE_ADMIN_ROLE = keccak256("SERVICE_ADMIN_ROLE");
+
+    /// @notice Adds and removes service references.
+    bytes32 public constant REF_ADMIN_ROLE = keccak256("REF_ADMIN_ROLE");
+
+    /// @notice Manages the ERC20 token whitelist.
+    bytes32 public constant TOKEN_ADMIN_ROLE = keccak256("TOKEN_ADMIN_ROLE");
+
+    /// @notice Pauses and unpauses service requests.
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    /// @notice Withdraws authorized refunds on behalf of refundees.
+    bytes32 public constant REFUND_OPERATOR_ROLE = keccak256("REFUND_OPERATOR_ROLE");
+
+    /// @notice Registers fulfillment results on behalf of service fulfillers.
+    bytes32 public constant FULFILLMENT_OPERATOR_ROLE = keccak256("FULFILLMENT_OPERATOR_ROLE");
+
+    /// @notice Resolves payer disputes on fulfilled records, to a refund or a release.
+    bytes32 public constant ARBITER_ROLE = keccak256("ARBITER_ROLE");
+
+    /// @notice Authorizes UUPS upgrades.
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+
+    function _getBandoRolesStorage() private pure returns (BandoRolesStorage storage $) {
+        assembly {
+            $.slot := BandoRolesStorageLocation
+        }
+    }
+
+    /// @dev Grants the admin role and the roles the contract checks to an account.
+    /// Roles can only be initialized once, whether on deployment or on migration.
+    /// @param admin The account to grant the roles to.
+    function __BandoRoles_init(address admin) internal onlyInitializing {
+        BandoRolesStorage storage $ = _getBandoRolesStorage();
+        require(!$.rolesInitialized, "BandoRoles: Roles already initialized");
+        $.rolesInitialized = true;
+        __AccessControl_init();
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        bytes32[] memory roles = _managedRoles();
+        for (uint256 i = 0; i < roles.length; i++) {
+            _grantRole(roles[i], admin);
+        }
+    }
+
+    /// @notice Grants every role to the owner on proxies initialized before roles existed.
+    /// @dev The ownership is renounced once the roles are granted, leaving the roles as the only authority.
+    function initializeRoles() public virtual reinitializer(3) onlyOwner {
+        _migrateRoles();
+    }
+
+    /// @dev Grants every role to the owner, then renounces the ownership.
+    function _migrateRoles() internal onlyInitializing {
+        __BandoRoles_init(owner());
+        _transferOwnership(address(0));
+    }
+
+    /// @dev The roles checked by the contract, granted to the admin on initialization.
+    function _managedRoles() internal pure virtual returns (bytes32[] memory);
+}
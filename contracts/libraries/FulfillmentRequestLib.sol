@@ -3,7 +3,8 @@ pragma solidity ^0.8.20;
 
 import { FulFillmentRequest, ERC20FulFillmentRequest } from '../FulfillmentTypes.sol';
 import { Service, IFulfillableRegistry } from '../periphery/registry/IFulfillableRegistry.sol';
-import { IERC20TokenRegistry } from "../periphery/registry/IERC20TokenRegistry.sol";
+import { IERC20TokenRegistry, TokenMetadata } from "../periphery/registry/IERC20TokenRegistry.sol";
+import { IPriceOracle, OracleServiceConfig, PriceStatus } from "../periphery/oracle/IPriceOracle.sol";
 import { Math } from "@openzeppelin/contracts/utils/math/Math.sol";
 import { Address } from "@openzeppelin/contracts/utils/Address.sol";
 
@@ -15,6 +16,9 @@ library FulfillmentRequestLib {
     using Address for address payable;
     using Math for uint256;
 
+    /// @notice The basis points denominator, 10000 basis points are 100%
+    uint256 internal constant BASIS_POINTS = 10000;
+
     /// @notice InsufficientAmount error message
     /// It is thrown when the amount sent is zero
     error InsufficientAmount();
@@ -23,6 +27,14 @@ library FulfillmentRequestLib {
     /// It is thrown when the fiat amount is zero
     error InvalidFiatAmount();
 
+    /// @notice UnsupportedCurrency error message
+    /// It is thrown when the fiat currency is not an ISO 4217 alphabetic code accepted by the service
+    /// with the given decimals
+    /// @param serviceID the service identifier
+    /// @param currency the fiat currency of the request
+    /// @param decimals the decimals of the fiat amount
+    error UnsupportedCurrency(uint256 serviceID, bytes3 currency, uint8 decimals);
+
     /// @notice InvalidRef error message
     /// It is thrown when the service reference is not in the registry
     error InvalidRef();
@@ -32,7 +44,7 @@ library FulfillmentRequestLib {
     error OverflowError();
 
     /// @notice AmountMismatch error message
-    /// It is thrown when the amount sent does not match weiAmount + feeAmount
+    /// It is thrown when the amount sent does not match weiAmount + fee
     error AmountMismatch();
 
     /// @notice UnsupportedToken error message
@@ -40,9 +52,80 @@ library FulfillmentRequestLib {
     /// @param token the token address
     error UnsupportedToken(address token);
 
+    /// @notice TokenDisabled error message
+    /// It is thrown when the token is whitelisted but disabled
+    /// @param token the token address
+    error TokenDisabled(address token);
+
+    /// @notice TokenNotAllowedForService error message
+    /// It is thrown when the token is restricted to services not including the requested one
+    /// @param token the token address
+    /// @param serviceID the product/service ID
+    error TokenNotAllowedForService(address token, uint256 serviceID);
+
+    /// @notice TokenAmountOutOfRange error message
+    /// It is thrown when the token amount is outside of the token limits
+    /// @param token the token address
+    /// @param amount the requested token amount
+    /// @param minAmount the token minimum amount, 0 for no minimum
+    /// @param maxAmount the token maximum amount, 0 for no maximum
+    error TokenAmountOutOfRange(address token, uint256 amount, uint256 minAmount, uint256 maxAmount);
+
+    /// @notice PriceFeedMissing error message
+    /// It is thrown when the paid token cannot be priced and the service rejects such requests
+    /// @param token the token address, the zero address for the native coin
+    error PriceFeedMissing(address token);
+
+    /// @notice StalePrice error message
+    /// It is thrown when the paid token price is stale and the service rejects such requests
+    /// @param token the token address, the zero address for the native coin
+    error StalePrice(address token);
+
+    /// @notice FiatAmountNotCovered error message
+    /// It is thrown when the amount paid is worth less than the fiat amount, slippage included
+    /// @param fiatAmount the requested fiat amount
+    /// @param paidFiatAmount the fiat value of the amount paid
+    error FiatAmountNotCovered(uint256 fiatAmount, uint256 paidFiatAmount);
+
+    /// @notice computeFee
+    /// @dev The fee is the service flat feeAmount plus feeBasisPoints of the amount.
+    /// The basis-point part is raised to minFeeAmount and capped to maxFeeAmount (0 means no cap).
+    /// @param service the service charging the fee
+    /// @param amount the amount the fee is charged on
+    /// @return fee the fee amount
+    function computeFee(Service memory service, uint256 amount) internal pure returns (uint256 fee) {
+        fee = service.feeAmount;
+        if (service.feeBasisPoints == 0) {
+            return fee;
+        }
+        uint256 variableFee = amount.mulDiv(service.feeBasisPoints, BASIS_POINTS);
+        if (variableFee < service.minFeeAmount) {
+            variableFee = service.minFeeAmount;
+        }
+        if (service.maxFeeAmount > 0 && variableFee > service.maxFeeAmount) {
+            variableFee = service.maxFeeAmount;
+        }
+        (bool success, uint256 result) = fee.tryAdd(variableFee);
+        if (!success) {
+            revert OverflowError();
+        }
+        fee = result;
+    }
+
+    /// @notice computePartialFee
+    /// @dev The part of a record fee charged on a partial fulfillment, proportional to the amount fulfilled.
+    /// It is rounded down, the rest of the fee is refunded with the amount not fulfilled.
+    /// @param feeAmount the fee charged on the record
+    /// @param amount the record amount
+    /// @param fulfilledAmount the amount fulfilled, below the record amount
+    /// @return fee the fee amount released
+    function computePartialFee(uint256 feeAmount, uint256 amount, uint256 fulfilledAmount) internal pure returns (uint256 fee) {
+        fee = feeAmount.mulDiv(fulfilledAmount, amount);
+    }
+
     /// @notice validateRequest
     /// @dev It checks if the amount sent is greater than zero, if the fiat amount is greater than zero,
-    /// if the service reference is valid, if the amount sent matches the weiAmount + feeAmount and returns the service
+    /// if the service reference and fiat currency are valid, if the amount sent matches the weiAmount + fee and returns the service
     /// @param serviceID the product/service ID
     /// @param request a valid FulFillmentRequest
     /// @param fulfillableRegistry the registry address
@@ -63,8 +146,9 @@ library FulfillmentRequestLib {
         if (!IFulfillableRegistry(fulfillableRegistry).isRefValid(serviceID, request.serviceRef)) {
             revert InvalidRef();
         }
+        validateFiatCurrency(serviceID, request.fiatCurrency, request.fiatDecimals, fulfillableRegistry);
         
-        (bool success, uint256 total_amount) = request.weiAmount.tryAdd(service.feeAmount);
+        (bool success, uint256 total_amount) = request.weiAmount.tryAdd(computeFee(service, request.weiAmount));
         if (!success) {
             revert OverflowError();
         }
@@ -78,18 +162,20 @@ library FulfillmentRequestLib {
 
     /// @notice validateERC20Request
     /// @dev It checks if the token amount sent is greater than zero, if the fiat amount is greater than zero,
-    /// if the service reference is valid and returns the service
-    /// @dev We will change the way we handle fees so this validation is prone to change.
+    /// if the token is whitelisted, enabled, allowed for the service and the amount within its limits,
+    /// if the service reference and fiat currency are valid and returns the service along with its fee in the request token.
     /// @param serviceID the product/service ID
     /// @param request a valid FulFillmentRequest
     /// @param fulfillableRegistry the registry address
     /// @param tokenRegistry the token registry address
+    /// @return service the requested service
+    /// @return feeAmount the service fee in the request token, charged on top of tokenAmount
     function validateERC20Request(
       uint256 serviceID,
       ERC20FulFillmentRequest memory request,
       address fulfillableRegistry,
       address tokenRegistry
-    ) internal view returns (Service memory) {
+    ) internal view returns (Service memory service, uint256 feeAmount) {
         if (request.tokenAmount == 0) {
             revert InsufficientAmount();
         }
@@ -100,13 +186,116 @@ library FulfillmentRequestLib {
         if(!IERC20TokenRegistry(tokenRegistry).isTokenWhitelisted(request.token)) {
             revert UnsupportedToken(request.token);
         }
+        validateTokenMetadata(serviceID, request, tokenRegistry);
         
-        Service memory service = IFulfillableRegistry(fulfillableRegistry).getService(serviceID);
+        service = IFulfillableRegistry(fulfillableRegistry).getService(serviceID);
         
         if (!IFulfillableRegistry(fulfillableRegistry).isRefValid(serviceID, request.serviceRef)) {
             revert InvalidRef();
         }
+        validateFiatCurrency(serviceID, request.fiatCurrency, request.fiatDecimals, fulfillableRegistry);
 
-        return service;
+        feeAmount = IFulfillableRegistry(fulfillableRegistry).getServiceTokenFee(serviceID, request.token);
+        (bool success, ) = request.tokenAmount.tryAdd(feeAmount);
+        if (!success) {
+            revert OverflowError();
+        }
+    }
+
+    /// @notice validateFiatCurrency
+    /// @dev It checks if the fiat currency is accepted by the service with the given decimals
+    /// @param serviceID the product/service ID
+    /// @param currency the ISO 4217 alphabetic code of the fiat currency
+    /// @param decimals the decimals of the fiat amount
+    /// @param fulfillableRegistry the registry address
+    function validateFiatCurrency(
+      uint256 serviceID,
+      bytes3 currency,
+      uint8 decimals,
+      address fulfillableRegistry
+    ) internal view {
+        if (!IFulfillableRegistry(fulfillableRegistry).isCurrencyAllowed(serviceID, currency, decimals)) {
+            revert UnsupportedCurrency(serviceID, currency, decimals);
+        }
+    }
+
+    /// @notice validateFiatAmount
+    /// @dev It checks that the amount paid, fees excluded, covers the fiat amount of the request
+    /// within the service slippage tolerance. Services not enabled in the oracle are not checked,
+    /// nor is anything when no oracle is set.
+    /// @param serviceID the product/service ID
+    /// @param token the paid token, the zero address for the native coin
+    /// @param amount the weiAmount or tokenAmount of the request
+    /// @param fiatAmount the fiat amount of the request
+    /// @param fiatCurrency the fiat currency of the request
+    /// @param fiatDecimals the decimals of the fiat amount
+    /// @param priceOracle the price oracle address
+    function validateFiatAmount(
+      uint256 serviceID,
+      address token,
+      uint256 amount,
+      uint256 fiatAmount,
+      bytes3 fiatCurrency,
+      uint8 fiatDecimals,
+      address priceOracle
+    ) internal view {
+        if (priceOracle == address(0)) {
+            return;
+        }
+        OracleServiceConfig memory config = IPriceOracle(priceOracle).getServiceConfig(serviceID);
+        if (!config.enabled) {
+            return;
+        }
+        (uint256 paidFiatAmount, PriceStatus status) = IPriceOracle(priceOracle).fiatValue(
+            token,
+            fiatCurrency,
+            fiatDecimals,
+            amount
+        );
+        if (status == PriceStatus.MISSING) {
+            if (config.allowMissingFeed) {
+                return;
+            }
+            revert PriceFeedMissing(token);
+        }
+        if (status == PriceStatus.STALE && !config.allowStalePrice) {
+            revert StalePrice(token);
+        }
+        uint256 minFiatAmount = fiatAmount.mulDiv(
+            BASIS_POINTS - config.slippageBasisPoints,
+            BASIS_POINTS,
+            Math.Rounding.Ceil
+        );
+        if (paidFiatAmount < minFiatAmount) {
+            revert FiatAmountNotCovered(fiatAmount, paidFiatAmount);
+        }
+    }
+
+    /// @notice validateTokenMetadata
+    /// @dev It checks if the token is enabled, allowed for the service and the amount within its limits
+    /// @param serviceID the product/service ID
+    /// @param request a valid FulFillmentRequest
+    /// @param tokenRegistry the token registry address
+    function validateTokenMetadata(
+      uint256 serviceID,
+      ERC20FulFillmentRequest memory request,
+      address tokenRegistry
+    ) internal view {
+        TokenMetadata memory metadata = IERC20TokenRegistry(tokenRegistry).getTokenMetadata(request.token);
+        if (metadata.disabled) {
+            revert TokenDisabled(request.token);
+        }
+        if (
+            metadata.serviceRestricted &&
+            !IERC20TokenRegistry(tokenRegistry).isTokenAllowedForService(request.token, serviceID)
+        ) {
+            revert TokenNotAllowedForService(request.token, serviceID);
+        }
+        if (
+            request.tokenAmount < metadata.minAmount ||
+            (metadata.maxAmount > 0 && request.tokenAmount > metadata.maxAmount)
+        ) {
+            revert TokenAmountOutOfRange(request.token, request.tokenAmount, metadata.minAmount, metadata.maxAmount);
+        }
     }
 }
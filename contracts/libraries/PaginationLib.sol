@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @title PaginationLib
+/// @author g6s
+/// @notice PaginationLib sizes the pages returned by the paginated view functions
+/// @dev Pages are (offset, limit) windows over a list, an offset past the end gives an empty page.
+/// Lists backed by swap-and-pop removal are only consistent across pages while nothing is removed.
+/// This contract is used by the registries and the escrows
+library PaginationLib {
+
+    /// @notice pageSize
+    /// @param length the list length
+    /// @param offset the index of the first item of the page
+    /// @param limit the maximum number of items of the page
+    /// @return size the number of items of the page
+    function pageSize(uint256 length, uint256 offset, uint256 limit) internal pure returns (uint256 size) {
+        if (offset >= length) {
+            return 0;
+        }
+        size = length - offset;
+        if (size > limit) {
+            size = limit;
+        }
+    }
+}
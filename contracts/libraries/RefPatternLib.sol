@@ -0,0 +1,289 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @title RefPatternLib
+/// @author g6s
+/// @notice RefPatternLib compiles and matches the patterns services validate their references with
+/// @dev Patterns are a subset of regular expressions, always matched against the whole reference:
+/// literal characters, `.`, the `\d` and `\w` classes, `\` escapes of symbols, character classes such as
+/// `[0-9A-F]` or `[^-]`, each optionally followed by `?`, `*`, `+`, `{n}`, `{n,}` or `{n,m}`.
+/// A leading `^` and a trailing `$` are accepted and ignored. Groups and alternations are not supported.
+/// Only ASCII characters are matched, a character set is a 128 bit mask of the bytes it accepts.
+/// A compiled pattern is the list of its elements once quantifiers are expanded, matched by
+/// simulating the corresponding automaton over a 256 bit set of element positions.
+/// The JS SDK mirrors this library in sdk/refs.js, both must be updated together.
+/// This contract is used by FulfillableRegistry
+library RefPatternLib {
+
+    /// @notice The maximum number of elements of a compiled pattern
+    uint256 internal constant MAX_ELEMENTS = 64;
+
+    /// @dev The element can be skipped
+    uint256 private constant OPTIONAL = 1 << 128;
+
+    /// @dev The element can match any number of characters
+    uint256 private constant REPEAT = 1 << 129;
+
+    /// @dev Every ASCII character
+    uint128 private constant ANY = type(uint128).max;
+
+    /// @notice InvalidPattern error message
+    /// It is thrown when a pattern or a character set cannot be compiled
+    /// @param position the position of the offending character
+    error InvalidPattern(uint256 position);
+
+    /// @notice compile
+    /// @dev Expands a pattern into its elements: the character set in the low 128 bits,
+    /// along with the OPTIONAL and REPEAT flags.
+    /// @param pattern the pattern
+    /// @return elements the compiled pattern
+    function compile(string memory pattern) internal pure returns (uint256[] memory elements) {
+        bytes memory p = bytes(pattern);
+        elements = new uint256[](MAX_ELEMENTS);
+        uint256 count = 0;
+        uint256 i = 0;
+        uint256 end = p.length;
+        if (end > 0 && p[0] == "^") {
+            i = 1;
+        }
+        if (end > i && p[end - 1] == "$" && !_isEscaped(p, i, end - 1)) {
+            end--;
+        }
+        while (i < end) {
+            uint128 charset;
+            (charset, i) = _parseAtom(p, i, end);
+            uint256 min = 1;
+            uint256 max = 1;
+            bool unbounded = false;
+            if (i < end) {
+                bytes1 q = p[i];
+                if (q == "?") {
+                    min = 0;
+                    i++;
+                } else if (q == "*") {
+                    min = 0;
+                    unbounded = true;
+                    i++;
+                } else if (q == "+") {
+                    unbounded = true;
+                    i++;
+                } else if (q == "{") {
+                    (min, max, unbounded, i) = _parseBounds(p, i, end);
+                }
+            }
+            uint256 size = unbounded ? min + 1 : max;
+            if (count + size > MAX_ELEMENTS) {
+                revert InvalidPattern(i);
+            }
+            for (uint256 k = 0; k < size; k++) {
+                uint256 element = uint256(charset);
+                if (k >= min) {
+                    element |= unbounded ? OPTIONAL | REPEAT : OPTIONAL;
+                }
+                elements[count++] = element;
+            }
+        }
+        assembly {
+            mstore(elements, count)
+        }
+    }
+
+    /// @notice parseCharset
+    /// @dev Parses the contents of a character class, e.g. `0-9A-Z` or `\w.-`.
+    /// @param chars the character class contents, without brackets
+    /// @return charset the accepted characters
+    function parseCharset(string memory chars) internal pure returns (uint128 charset) {
+        bytes memory p = bytes(chars);
+        uint256 i;
+        (charset, i) = _parseClass(p, 0, p.length);
+        if (i != p.length) {
+            revert InvalidPattern(i);
+        }
+    }
+
+    /// @notice matches
+    /// @param elements the compiled pattern
+    /// @param ref the reference
+    /// @return true if the whole reference matches the pattern
+    function matches(uint256[] memory elements, string memory ref) internal pure returns (bool) {
+        bytes memory input = bytes(ref);
+        uint256 n = elements.length;
+        uint256 states = _closure(elements, 1);
+        for (uint256 j = 0; j < input.length && states != 0; j++) {
+            uint8 c = uint8(input[j]);
+            if (c >= 128) {
+                return false;
+            }
+            uint256 next = 0;
+            for (uint256 i = 0; i < n; i++) {
+                if (states & (uint256(1) << i) != 0 && elements[i] & (uint256(1) << c) != 0) {
+                    next |= elements[i] & REPEAT != 0 ? uint256(1) << i : uint256(1) << (i + 1);
+                }
+            }
+            states = _closure(elements, next);
+        }
+        return states & (uint256(1) << n) != 0;
+    }
+
+    /// @notice matchesCharset
+    /// @param charset the accepted characters
+    /// @param minLength the minimum reference length
+    /// @param maxLength the maximum reference length
+    /// @param ref the reference
+    /// @return true if the reference length is within bounds and every character is accepted
+    function matchesCharset(
+        uint128 charset,
+        uint256 minLength,
+        uint256 maxLength,
+        string memory ref
+    ) internal pure returns (bool) {
+        bytes memory input = bytes(ref);
+        if (input.length < minLength || input.length > maxLength) {
+            return false;
+        }
+        for (uint256 j = 0; j < input.length; j++) {
+            uint8 c = uint8(input[j]);
+            if (c >= 128 || charset & (uint128(1) << c) == 0) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /// @dev Adds the positions reached by skipping optional elements.
+    function _closure(uint256[] memory elements, uint256 states) private pure returns (uint256) {
+        for (uint256 i = 0; i < elements.length; i++) {
+            if (states & (uint256(1) << i) != 0 && elements[i] & OPTIONAL != 0) {
+                states |= uint256(1) << (i + 1);
+            }
+        }
+        return states;
+    }
+
+    /// @dev Parses a single character, class or escape starting at i.
+    function _parseAtom(bytes memory p, uint256 i, uint256 end) private pure returns (uint128 charset, uint256 next) {
+        bytes1 c = p[i];
+        if (c == "[") {
+            bool negated = i + 1 < end && p[i + 1] == "^";
+            (charset, next) = _parseClass(p, negated ? i + 2 : i + 1, end);
+            if (next >= end || p[next] != "]") {
+                revert InvalidPattern(next);
+            }
+            return (negated ? ~charset : charset, next + 1);
+        }
+        if (c == ".") {
+            return (ANY, i + 1);
+        }
+        if (c == "\\") {
+            return _parseEscape(p, i, end);
+        }
+        if (
+            c == "(" || c == ")" || c == "|" || c == "?" || c == "*" || c == "+" ||
+            c == "{" || c == "}" || c == "]" || c == "^" || c == "$" || uint8(c) >= 128
+        ) {
+            revert InvalidPattern(i);
+        }
+        return (uint128(1) << uint8(c), i + 1);
+    }
+
+    /// @dev Parses class items (characters, ranges and escapes) up to a closing bracket or end.
+    function _parseClass(bytes memory p, uint256 i, uint256 end) private pure returns (uint128 charset, uint256 next) {
+        while (i < end && p[i] != "]") {
+            uint128 item;
+            if (p[i] == "\\") {
+                (item, i) = _parseEscape(p, i, end);
+                charset |= item;
+                continue;
+            }
+            uint8 from = uint8(p[i]);
+            if (from >= 128) {
+                revert InvalidPattern(i);
+            }
+            if (i + 2 < end && p[i + 1] == "-" && p[i + 2] != "]") {
+                uint8 to = uint8(p[i + 2]);
+                if (to >= 128 || to < from) {
+                    revert InvalidPattern(i + 2);
+                }
+                charset |= _range(from, to);
+                i += 3;
+            } else {
+                charset |= uint128(1) << from;
+                i++;
+            }
+        }
+        return (charset, i);
+    }
+
+    /// @dev Parses `\d`, `\w` or an escaped character at i.
+    /// Other letters and digits are rejected rather than matched literally, as they are classes
+    /// or anchors (e.g. `\s`, `\D`, `\b`) in regular expressions.
+    function _parseEscape(bytes memory p, uint256 i, uint256 end) private pure returns (uint128, uint256) {
+        if (i + 1 >= end || uint8(p[i + 1]) >= 128) {
+            revert InvalidPattern(i);
+        }
+        bytes1 c = p[i + 1];
+        if (c == "d") {
+            return (_range("0", "9"), i + 2);
+        }
+        if (c == "w") {
+            return (_range("0", "9") | _range("A", "Z") | _range("a", "z") | (uint128(1) << uint8(bytes1("_"))), i + 2);
+        }
+        if ((c >= "0" && c <= "9") || (c >= "A" && c <= "Z") || (c >= "a" && c <= "z")) {
+            revert InvalidPattern(i + 1);
+        }
+        return (uint128(1) << uint8(c), i + 2);
+    }
+
+    /// @dev Whether the character at position is escaped, i.e. preceded by an odd number of
+    /// backslashes from start.
+    function _isEscaped(bytes memory p, uint256 start, uint256 position) private pure returns (bool escaped) {
+        while (position > start && p[position - 1] == "\\") {
+            escaped = !escaped;
+            position--;
+        }
+    }
+
+    /// @dev Parses `{n}`, `{n,}` or `{n,m}` at i.
+    function _parseBounds(bytes memory p, uint256 i, uint256 end)
+        private
+        pure
+        returns (uint256 min, uint256 max, bool unbounded, uint256 next)
+    {
+        (min, next) = _parseNumber(p, i + 1, end);
+        max = min;
+        if (next < end && p[next] == ",") {
+            if (next + 1 < end && p[next + 1] == "}") {
+                unbounded = true;
+                next++;
+            } else {
+                (max, next) = _parseNumber(p, next + 1, end);
+            }
+        }
+        if (next >= end || p[next] != "}" || max < min || (max == 0 && !unbounded)) {
+            revert InvalidPattern(next);
+        }
+        return (min, max, unbounded, next + 1);
+    }
+
+    /// @dev Parses a decimal number of at most two digits at i.
+    function _parseNumber(bytes memory p, uint256 i, uint256 end) private pure returns (uint256 value, uint256 next) {
+        next = i;
+        while (next < end && p[next] >= "0" && p[next] <= "9" && next - i < 2) {
+            value = value * 10 + uint8(p[next]) - uint8(bytes1("0"));
+            next++;
+        }
+        if (next == i) {
+            revert InvalidPattern(i);
+        }
+    }
+
+    /// @dev The characters from `from` to `to`, inclusive.
+    function _range(bytes1 from, bytes1 to) private pure returns (uint128) {
+        return _range(uint8(from), uint8(to));
+    }
+
+    /// @dev The characters from `from` to `to`, inclusive.
+    function _range(uint8 from, uint8 to) private pure returns (uint128) {
+        return uint128(((uint256(1) << (to - from + 1)) - 1) << from);
+    }
+}
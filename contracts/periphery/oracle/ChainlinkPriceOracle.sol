@@ -0,0 +1,200 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.8.20 <0.9.0;
+
+import { BandoRolesUpgradeable } from "../../access/BandoRolesUpgradeable.sol";
+import { UUPSUpgradeable } from "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import { Math } from "@openzeppelin/contracts/utils/math/Math.sol";
+import { IAggregatorV3 } from "./IAggregatorV3.sol";
+import { PriceFeed, OracleServiceConfig, PriceStatus } from "./IPriceOracle.sol";
+
+/// @title ChainlinkPriceOracle
+/// @author g6s
+/// @notice This contract prices request amounts with Chainlink-style feeds, so the router can check
+/// that the amount paid covers the fiat amount of a request
+/// @dev Implements an upgradeable contract using the UUPS proxy pattern
+/// @custom:bfp-version 1.0.0
+/// @notice Considerations:
+/// 1. Access Control:
+///    - Feeds are TOKEN_ADMIN_ROLE operations, service configurations SERVICE_ADMIN_ROLE operations
+///    - Upgrades are UPGRADER_ROLE operations
+///
+/// 2. Pricing:
+///    - Each token has at most one feed per fiat currency, answering the price of one token unit in it
+///    - The native coin is priced as the zero address token
+///    - Fiat values are expressed with the decimals of the request fiat amount
+///    - A token without a feed, a reverting feed or a non positive answer is MISSING
+///    - An answer older than the feed maxStaleness is STALE, its value is still returned
+///
+/// 3. Services:
+///    - Services opt in to the check, with a slippage tolerance in basis points
+///    - Each service decides whether requests that cannot be priced are accepted or rejected
+///    - FulfillmentRequestLib.validateFiatAmount applies the configuration
+contract ChainlinkPriceOracle is BandoRolesUpgradeable, UUPSUpgradeable {
+    using Math for uint256;
+
+    /// @notice The basis points denominator, 10000 basis points are 100%
+    uint256 public constant BASIS_POINTS = 10000;
+
+    /// @dev Unused since fiat values take the decimals of the request fiat amount.
+    /// Kept for storage layout compatibility.
+    uint8 private fiatDecimals;
+
+    /// @dev The feeds set before they were set per fiat currency, see _currencyFeeds.
+    /// Moved to _currencyFeeds by migratePriceFeeds, kept for storage layout compatibility.
+    mapping(address => PriceFeed) internal _feeds;
+
+    /*
+     * Mapping to store the price check configuration of services
+     */
+    mapping(uint256 => OracleServiceConfig) private _serviceConfigs;
+
+    /*
+     * Mapping to store the price feeds of tokens
+     * The keys are the token address, the zero address for the native coin,
+     * and the ISO 4217 alphabetic code of the fiat currency
+     */
+    mapping(address => mapping(bytes3 => PriceFeed)) private _currencyFeeds;
+
+    /// @notice Emitted when the feed of a token is set or removed
+    /// @param token The token address, the zero address for the native coin
+    /// @param currency The fiat currency of the feed answers
+    /// @param feed The feed address, the zero address when removed
+    /// @param tokenDecimals The token decimals
+    /// @param maxStaleness The age after which an answer is stale, 0 for never
+    event PriceFeedUpdated(address indexed token, bytes3 indexed currency, address feed, uint8 tokenDecimals, uint256 maxStaleness);
+
+    /// @notice Emitted when the price check configuration of a service changes
+    /// @param serviceID The service identifier
+    /// @param config The new configuration
+    event ServiceConfigUpdated(uint256 indexed serviceID, OracleServiceConfig config);
+
+    /// @notice Initializes the contract
+    /// @dev Sets up the roles and UUPS upgradeability
+    function initialize() public initializer {
+        __BandoRoles_init(msg.sender);
+        __UUPSUpgradeable_init();
+    }
+
+    /// @notice Authorizes an upgrade to a new implementation
+    /// @dev Required by the UUPSUpgradeable contract. Only an upgrader can upgrade the contract.
+    /// @param newImplementation The address of the new implementation contract
+    function _authorizeUpgrade(address newImplementation) internal override onlyRole(UPGRADER_ROLE) {}
+
+    /// @dev The roles checked by this contract, granted to the admin on initialization.
+    function _managedRoles() internal pure override returns (bytes32[] memory roles) {
+        roles = new bytes32[](3);
+        roles[0] = SERVICE_ADMIN_ROLE;
+        roles[1] = TOKEN_ADMIN_ROLE;
+        roles[2] = UPGRADER_ROLE;
+    }
+
+    /// @notice Sets the price feed of a token in a fiat currency
+    /// @dev Only a token admin can set it. The feed decimals are read from the feed.
+    /// @param token The token address, the zero address for the native coin
+    /// @param currency The ISO 4217 alphabetic code of the fiat currency, e.g. "MXN"
+    /// @param feed The Chainlink-style feed pricing one token unit in the currency
+    /// @param tokenDecimals The token decimals, 18 for the native coin
+    /// @param maxStaleness The age after which an answer is stale, 0 for never
+    function setPriceFeed(
+        address token,
+        bytes3 currency,
+        address feed,
+        uint8 tokenDecimals,
+        uint256 maxStaleness
+    ) public onlyRole(TOKEN_ADMIN_ROLE) {
+        require(feed != address(0), "ChainlinkPriceOracle: Feed cannot be the zero address");
+        require(tokenDecimals <= 36, "ChainlinkPriceOracle: Too many token decimals");
+        uint8 feedDecimals = IAggregatorV3(feed).decimals();
+        require(feedDecimals <= 36, "ChainlinkPriceOracle: Too many feed decimals");
+        _currencyFeeds[token][currency] = PriceFeed(feed, feedDecimals, tokenDecimals, maxStaleness);
+        emit PriceFeedUpdated(token, currency, feed, tokenDecimals, maxStaleness);
+    }
+
+    /// @notice Removes the price feed of a token in a fiat currency
+    /// @dev Only a token admin can remove it. The token is then priced as MISSING in the currency.
+    /// @param token The token address, the zero address for the native coin
+    /// @param currency The ISO 4217 alphabetic code of the fiat currency
+    function removePriceFeed(address token, bytes3 currency) public onlyRole(TOKEN_ADMIN_ROLE) {
+        require(_currencyFeeds[token][currency].feed != address(0), "ChainlinkPriceOracle: Feed does not exist");
+        delete _currencyFeeds[token][currency];
+        emit PriceFeedUpdated(token, currency, address(0), 0, 0);
+    }
+
+    /// @notice Moves the feeds of tokens set before feeds were set per fiat currency to a currency
+    /// @dev Only a token admin can migrate them, as the currency the feeds answer in is not stored.
+    /// The currency feed of a token is overwritten by its legacy feed.
+    /// @param tokens The token addresses, the zero address for the native coin
+    /// @param currency The ISO 4217 alphabetic code of the fiat currency the legacy feeds answer in
+    function migratePriceFeeds(address[] calldata tokens, bytes3 currency) public onlyRole(TOKEN_ADMIN_ROLE) {
+        for (uint256 i = 0; i < tokens.length; i++) {
+            PriceFeed memory feed = _feeds[tokens[i]];
+            require(feed.feed != address(0), "ChainlinkPriceOracle: Legacy feed does not exist");
+            _currencyFeeds[tokens[i]][currency] = feed;
+            delete _feeds[tokens[i]];
+            emit PriceFeedUpdated(tokens[i], currency, feed.feed, feed.tokenDecimals, feed.maxStaleness);
+        }
+    }
+
+    /// @notice Sets the price check configuration of a service
+    /// @dev Only a service admin can set it
+    /// @param serviceID The service identifier
+    /// @param config The configuration
+    function setServiceConfig(uint256 serviceID, OracleServiceConfig memory config) public onlyRole(SERVICE_ADMIN_ROLE) {
+        require(config.slippageBasisPoints <= BASIS_POINTS, "ChainlinkPriceOracle: Slippage exceeds 100%");
+        _serviceConfigs[serviceID] = config;
+        emit ServiceConfigUpdated(serviceID, config);
+    }
+
+    /// @notice Returns the price feed of a token in a fiat currency
+    /// @param token The token address, the zero address for the native coin
+    /// @param currency The ISO 4217 alphabetic code of the fiat currency
+    /// @return PriceFeed The feed, with a zero address feed when the token has none
+    function getPriceFeed(address token, bytes3 currency) public view returns (PriceFeed memory) {
+        return _currencyFeeds[token][currency];
+    }
+
+    /// @notice Returns the price check configuration of a service
+    /// @param serviceID The service identifier
+    /// @return OracleServiceConfig The configuration, disabled by default
+    function getServiceConfig(uint256 serviceID) public view returns (OracleServiceConfig memory) {
+        return _serviceConfigs[serviceID];
+    }
+
+    /// @notice Prices an amount of a token in fiat units of a currency
+    /// @param token The token address, the zero address for the native coin
+    /// @param currency The ISO 4217 alphabetic code of the fiat currency
+    /// @param fiatDecimals_ The number of decimals of the fiat value
+    /// @param amount The token amount
+    /// @return value The fiat value of the amount, with fiatDecimals_ decimals, 0 when MISSING
+    /// @return status Whether the price is fresh, stale or unavailable
+    function fiatValue(
+        address token,
+        bytes3 currency,
+        uint8 fiatDecimals_,
+        uint256 amount
+    ) public view returns (uint256 value, PriceStatus status) {
+        PriceFeed memory feed = _currencyFeeds[token][currency];
+        if (feed.feed == address(0)) {
+            return (0, PriceStatus.MISSING);
+        }
+        int256 answer;
+        uint256 updatedAt;
+        try IAggregatorV3(feed.feed).latestRoundData() returns (uint80, int256 answer_, uint256, uint256 updatedAt_, uint80) {
+            answer = answer_;
+            updatedAt = updatedAt_;
+        } catch {
+            return (0, PriceStatus.MISSING);
+        }
+        if (answer <= 0 || updatedAt == 0) {
+            return (0, PriceStatus.MISSING);
+        }
+        value = amount.mulDiv(
+            uint256(answer) * 10 ** fiatDecimals_,
+            10 ** (uint256(feed.feedDecimals) + feed.tokenDecimals)
+        );
+        if (feed.maxStaleness > 0 && updatedAt + feed.maxStaleness < block.timestamp) {
+            return (value, PriceStatus.STALE);
+        }
+        return (value, PriceStatus.OK);
+    }
+}
@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.8.20 <0.9.0;
+
+/// @title IAggregatorV3
+/// @notice The subset of the Chainlink AggregatorV3Interface read by ChainlinkPriceOracle
+interface IAggregatorV3 {
+    /// @notice Returns the number of decimals of the answers.
+    function decimals() external view returns (uint8);
+
+    /// @notice Returns the latest round of the feed.
+    /// @return roundId The round identifier.
+    /// @return answer The price.
+    /// @return startedAt The timestamp the round started at.
+    /// @return updatedAt The timestamp the answer was last updated at.
+    /// @return answeredInRound The round the answer was computed in.
+    function latestRoundData()
+        external
+        view
+        returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound);
+}
@@ -0,0 +1,59 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.8.20 <0.9.0;
+
+/**
+ * Price feed of a token in a fiat currency
+ * feed is the Chainlink-style aggregator pricing one unit of the token in the currency.
+ * feedDecimals and tokenDecimals scale its answers and token amounts.
+ * maxStaleness is the age after which an answer is stale, 0 to never consider it stale.
+ */
+struct PriceFeed {
+    address feed;
+    uint8 feedDecimals;
+    uint8 tokenDecimals;
+    uint256 maxStaleness;
+}
+
+/**
+ * Price check configuration of a service
+ * Requests of services without it enabled are not checked against the oracle.
+ * slippageBasisPoints is how much the paid amount may fall short of the fiat amount.
+ * allowMissingFeed and allowStalePrice accept requests that cannot be priced, instead of rejecting them.
+ */
+struct OracleServiceConfig {
+    bool enabled;
+    uint256 slippageBasisPoints;
+    bool allowMissingFeed;
+    bool allowStalePrice;
+}
+
+/// @notice The outcome of pricing an amount
+enum PriceStatus {
+    OK,
+    MISSING,
+    STALE
+}
+
+/// @title IPriceOracle
+/// @notice Prices request amounts in fiat, for FulfillmentRequestLib.validateFiatAmount.
+/// The native coin is priced as the zero address token.
+interface IPriceOracle {
+    /// @notice Returns the price check configuration of a service.
+    /// @param serviceID The service identifier.
+    /// @return The service configuration.
+    function getServiceConfig(uint256 serviceID) external view returns (OracleServiceConfig memory);
+
+    /// @notice Prices an amount of a token in fiat units of a currency.
+    /// @param token The token address, the zero address for the native coin.
+    /// @param currency The ISO 4217 alphabetic code of the fiat currency.
+    /// @param fiatDecimals The number of decimals of the fiat value.
+    /// @param amount The token amount.
+    /// @return value The fiat value of the amount, 0 when the status is MISSING.
+    /// @return status Whether the price is fresh, stale or unavailable.
+    function fiatValue(
+        address token,
+        bytes3 currency,
+        uint8 fiatDecimals,
+        uint256 amount
+    ) external view returns (uint256 value, PriceStatus status);
+}
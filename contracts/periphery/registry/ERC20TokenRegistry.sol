@@ -1,8 +1,12 @@
 // SPDX-License-Identifier: MIT
 pragma solidity >=0.8.20 <0.9.0;
 
-import { OwnableUpgradeable } from "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import { BandoRolesUpgradeable } from "../../access/BandoRolesUpgradeable.sol";
 import { UUPSUpgradeable } from "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import { EnumerableSet } from "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import { PaginationLib } from "../../libraries/PaginationLib.sol";
+import { IERC20Metadata } from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import { TokenMetadata } from "./IERC20TokenRegistry.sol";
 
 /// @title ERC20TokenRegistry
 /// @notice A contract for managing a whitelist of ERC20 tokens
@@ -14,16 +18,18 @@ import { UUPSUpgradeable } from "@openzeppelin/contracts-upgradeable/proxy/utils
 /// @custom:bfp-version 1.0.0
 /// @notice Considerations:
 /// 1. Access Control:
-///    - The contract inherits from OwnableUpgradeable, restricting critical functions to the owner
-///    - Token addition and removal are owner-only operations
+///    - The contract inherits from BandoRolesUpgradeable, restricting critical functions to roles
+///    - Token addition, removal and accounting changes are TOKEN_ADMIN_ROLE operations
+///    - Upgrades are UPGRADER_ROLE operations
 ///
 /// 2. State Management:
 ///    - Whitelist status is stored in a private mapping (address => bool)
-///    - No direct state-changing functions are exposed to non-owners
+///    - Whitelisted tokens are also kept in an enumerable set, listed by getTokens
+///    - No direct state-changing functions are exposed to non-admins
 ///
 /// 3. Upgradeability:
 ///    - Uses the UUPS (Universal Upgradeable Proxy Standard) pattern
-///    - The _authorizeUpgrade function is properly overridden and restricted to the owner
+///    - The _authorizeUpgrade function is properly overridden and restricted to the upgrader role
 ///
 /// 4. Events:
 ///    - TokenAdded and TokenRemoved events are emitted for off-chain tracking of whitelist changes
@@ -34,16 +40,63 @@ import { UUPSUpgradeable } from "@openzeppelin/contracts-upgradeable/proxy/utils
 ///
 /// 6. View Functions:
 ///    - isTokenWhitelisted allows public querying of a token's whitelist status
+///    - usesBalanceDeltaAccounting tells whether a token is accounted by the amount actually received
+///    - getTokenCount and getTokens list the whitelist page by page
+///    - getTokenMetadata and isTokenAllowedForService expose the limits and restrictions
+///      FulfillmentRequestLib.validateERC20Request enforces
+///
+/// 7. Non-standard tokens:
+///    - By default the router rejects a transfer that does not deliver the exact requested amount
+///    - Fee-on-transfer tokens must be flagged with setBalanceDeltaAccounting, so requests are
+///      recorded with the amount the escrow actually received
+///    - Rebasing tokens must not be whitelisted: the escrow cannot follow balance changes
+///      that happen without a transfer
+///
+/// 8. Metadata:
+///    - Token admins bound request amounts, disable tokens without removing them and restrict
+///      tokens to a set of services, each change emits an event
+///    - Decimals and symbol are snapshotted from the token when it is whitelisted, for display only.
+///      Tokens without them (or whitelisted before metadata existed) show 0 and an empty symbol
+///      until refreshTokenDisplay is called
+///    - Metadata is kept when a token is removed, so limits and restrictions apply again if it is re-added
 ///
 /// Key Security Considerations:
 /// - Check for potential issues with gas limits if a large number of tokens are added/removed in a single transaction
-contract ERC20TokenRegistry is OwnableUpgradeable, UUPSUpgradeable {
+contract ERC20TokenRegistry is BandoRolesUpgradeable, UUPSUpgradeable {
+    using EnumerableSet for EnumerableSet.AddressSet;
+    using EnumerableSet for EnumerableSet.UintSet;
+
     /* 
      * Mapping to store the whitelist status of tokens
      * The key is the token address, and the value is a boolean indicating whitelist status
      */
     mapping(address => bool) private whitelist;
 
+    /* 
+     * Mapping to store the tokens accounted by balance delta
+     * The key is the token address, and the value is true when the escrow records the amount
+     * it actually received instead of the requested amount
+     */
+    mapping(address => bool) private balanceDeltaAccounting;
+
+    /* 
+     * Set of the whitelisted tokens, for enumeration
+     * Tokens whitelisted before the whitelist was enumerable are added by indexTokens
+     */
+    EnumerableSet.AddressSet private whitelistedTokens;
+
+    /* 
+     * Mapping to store the metadata of tokens
+     * The key is the token address, and the value holds its limits, display info and restrictions
+     */
+    mapping(address => TokenMetadata) private tokenMetadata;
+
+    /* 
+     * Mapping to store the services each token is allowed for
+     * Only enforced for the tokens flagged as service restricted
+     */
+    mapping(address => EnumerableSet.UintSet) private tokenServices;
+
     /// @notice Emitted when a token is added to the whitelist
     /// @param token The address of the token to check
     event TokenAdded(address indexed token);
@@ -52,17 +105,57 @@ contract ERC20TokenRegistry is OwnableUpgradeable, UUPSUpgradeable {
     /// @param token The address of the token to check
     event TokenRemoved(address indexed token);
 
+    /// @notice Emitted when the accounting mode of a token changes
+    /// @param token The address of the token
+    /// @param balanceDelta True when requests are recorded with the amount actually received
+    event TokenAccountingUpdated(address indexed token, bool balanceDelta);
+
+    /// @notice Emitted when the request amount bounds of a token change
+    /// @param token The address of the token
+    /// @param minAmount The minimum tokenAmount, 0 for no minimum
+    /// @param maxAmount The maximum tokenAmount, 0 for no maximum
+    event TokenLimitsUpdated(address indexed token, uint256 minAmount, uint256 maxAmount);
+
+    /// @notice Emitted when a token is enabled or disabled
+    /// @param token The address of the token
+    /// @param enabled False when new requests paid with the token are rejected
+    event TokenEnabledUpdated(address indexed token, bool enabled);
+
+    /// @notice Emitted when a token is restricted to its allowed services, or not anymore
+    /// @param token The address of the token
+    /// @param restricted True when the token only pays for its allowed services
+    event TokenServiceRestrictionUpdated(address indexed token, bool restricted);
+
+    /// @notice Emitted when a token is allowed or disallowed for a service
+    /// @param token The address of the token
+    /// @param serviceId The service identifier
+    /// @param allowed True when the token is allowed for the service
+    event TokenServiceAllowedUpdated(address indexed token, uint256 serviceId, bool allowed);
+
+    /// @notice Emitted when the decimals and symbol of a token are snapshotted
+    /// @param token The address of the token
+    /// @param symbol The token symbol
+    /// @param decimals The token decimals
+    event TokenDisplayUpdated(address indexed token, string symbol, uint8 decimals);
+
     /// @notice Initializes the contract
     /// @dev This function replaces the constructor for upgradeable contracts
     function initialize() public initializer {
-        __Ownable_init(msg.sender);
+        __BandoRoles_init(msg.sender);
         __UUPSUpgradeable_init();
     }
 
     /// @notice Authorizes an upgrade to a new implementation
-    /// @dev Required by the UUPSUpgradeable contract. Only the owner can upgrade the contract.
+    /// @dev Required by the UUPSUpgradeable contract. Only an upgrader can upgrade the contract.
     /// @param newImplementation The address of the new implementation contract
-    function _authorizeUpgrade(address newImplementation) internal override onlyOwner {}
+    function _authorizeUpgrade(address newImplementation) internal override onlyRole(UPGRADER_ROLE) {}
+
+    /// @dev The roles checked by this contract, granted to the admin on initialization.
+    function _managedRoles() internal pure override returns (bytes32[] memory roles) {
+        roles = new bytes32[](2);
+        roles[0] = TOKEN_ADMIN_ROLE;
+        roles[1] = UPGRADER_ROLE;
+    }
 
     /// @notice Checks if a token is whitelisted
     /// @param token The address of the token to check
@@ -71,22 +164,211 @@ contract ERC20TokenRegistry is OwnableUpgradeable, UUPSUpgradeable {
         return whitelist[token];
     }
 
+    /// @notice Checks if a token is accounted by the amount actually received
+    /// @param token The address of the token to check
+    /// @return bool True if the token uses balance-delta accounting, false if it must transfer exact amounts
+    function usesBalanceDeltaAccounting(address token) public view returns (bool) {
+        return balanceDeltaAccounting[token];
+    }
+
+    /// @notice Sets the accounting mode of a whitelisted token
+    /// @dev Only a token admin can change it. Enable it for fee-on-transfer tokens.
+    /// @param token The address of the token
+    /// @param enabled True to record the amount actually received by the escrow
+    function setBalanceDeltaAccounting(address token, bool enabled) public onlyRole(TOKEN_ADMIN_ROLE) {
+        require(whitelist[token], "ERC20TokenRegistry: Token not whitelisted");
+        balanceDeltaAccounting[token] = enabled;
+        emit TokenAccountingUpdated(token, enabled);
+    }
+
     /// @notice Adds a token to the whitelist
-    /// @dev Only the contract owner can add tokens
+    /// @dev Only a token admin can add tokens
     /// @param token The address of the token to add
-    function addToken(address token) public onlyOwner {
+    function addToken(address token) public onlyRole(TOKEN_ADMIN_ROLE) {
         require(token != address(0), "ERC20TokenRegistry: Token address cannot be zero");
         require(!whitelist[token], "ERC20TokenRegistry: Token already whitelisted");
         whitelist[token] = true;
+        whitelistedTokens.add(token);
         emit TokenAdded(token);
+        _snapshotDisplay(token);
     }
 
     /// @notice Removes a token from the whitelist
-    /// @dev Only the contract owner can remove tokens
+    /// @dev Only a token admin can remove tokens
     /// @param token The address of the token to remove
-    function removeToken(address token) public onlyOwner {
+    function removeToken(address token) public onlyRole(TOKEN_ADMIN_ROLE) {
         require(whitelist[token], "ERC20TokenRegistry: Token not whitelisted");
         whitelist[token] = false;
+        whitelistedTokens.remove(token);
         emit TokenRemoved(token);
     }
+
+    /// @notice Returns the metadata of a token
+    /// @param token The address of the token
+    /// @return TokenMetadata The token limits, display info and restrictions
+    function getTokenMetadata(address token) public view returns (TokenMetadata memory) {
+        return tokenMetadata[token];
+    }
+
+    /// @notice Checks if a token can pay for a service
+    /// @param token The address of the token
+    /// @param serviceId The service identifier
+    /// @return bool True if the token is not service restricted, or allowed for the service
+    function isTokenAllowedForService(address token, uint256 serviceId) public view returns (bool) {
+        return !tokenMetadata[token].serviceRestricted || tokenServices[token].contains(serviceId);
+    }
+
+    /// @notice Returns the services a token is allowed for
+    /// @param token The address of the token
+    /// @return serviceIds The service identifiers
+    function getTokenServices(address token) public view returns (uint256[] memory serviceIds) {
+        return tokenServices[token].values();
+    }
+
+    /// @notice Sets the request amount bounds of a whitelisted token
+    /// @dev Only a token admin can set them. Bounds apply to the tokenAmount requested, before fees.
+    /// @param token The address of the token
+    /// @param minAmount The minimum tokenAmount, 0 for no minimum
+    /// @param maxAmount The maximum tokenAmount, 0 for no maximum
+    function setTokenLimits(address token, uint256 minAmount, uint256 maxAmount) public onlyRole(TOKEN_ADMIN_ROLE) {
+        require(whitelist[token], "ERC20TokenRegistry: Token not whitelisted");
+        require(maxAmount == 0 || maxAmount >= minAmount, "ERC20TokenRegistry: Max amount is lower than min amount");
+        tokenMetadata[token].minAmount = minAmount;
+        tokenMetadata[token].maxAmount = maxAmount;
+        emit TokenLimitsUpdated(token, minAmount, maxAmount);
+    }
+
+    /// @notice Enables or disables a whitelisted token, without removing it
+    /// @dev Only a token admin can change it. Pending records paid with the token are not affected.
+    /// @param token The address of the token
+    /// @param enabled False to reject new requests paid with the token
+    function setTokenEnabled(address token, bool enabled) public onlyRole(TOKEN_ADMIN_ROLE) {
+        require(whitelist[token], "ERC20TokenRegistry: Token not whitelisted");
+        tokenMetadata[token].disabled = !enabled;
+        emit TokenEnabledUpdated(token, enabled);
+    }
+
+    /// @notice Restricts a whitelisted token to the services it is allowed for
+    /// @dev Only a token admin can change it
+    /// @param token The address of the token
+    /// @param restricted True to only accept the token for its allowed services
+    function setTokenServiceRestriction(address token, bool restricted) public onlyRole(TOKEN_ADMIN_ROLE) {
+        require(whitelist[token], "ERC20TokenRegistry: Token not whitelisted");
+        tokenMetadata[token].serviceRestricted = restricted;
+        emit TokenServiceRestrictionUpdated(token, restricted);
+    }
+
+    /// @notice Allows or disallows a token for a service
+    /// @dev Only a token admin can change it. It only matters while the token is service restricted.
+    /// @param token The address of the token
+    /// @param serviceId The service identifier
+    /// @param allowed True to allow the token for the service
+    function setTokenServiceAllowed(address token, uint256 serviceId, bool allowed) public onlyRole(TOKEN_ADMIN_ROLE) {
+        require(whitelist[token], "ERC20TokenRegistry: Token not whitelisted");
+        if (allowed) {
+            tokenServices[token].add(serviceId);
+        } else {
+            tokenServices[token].remove(serviceId);
+        }
+        emit TokenServiceAllowedUpdated(token, serviceId, allowed);
+    }
+
+    /// @notice Snapshots the decimals and symbol of a whitelisted token again
+    /// @dev They are only display info read from the token, so anyone can refresh them.
+    /// @param token The address of the token
+    function refreshTokenDisplay(address token) public {
+        require(whitelist[token], "ERC20TokenRegistry: Token not whitelisted");
+        _snapshotDisplay(token);
+    }
+
+    /// @dev Reads the decimals and symbol of a token, leaving 0 and an empty symbol
+    /// when the token does not implement them.
+    function _snapshotDisplay(address token) internal {
+        TokenMetadata storage metadata = tokenMetadata[token];
+        metadata.decimals = 0;
+        metadata.symbol = "";
+        if (token.code.length > 0) {
+            metadata.decimals = _readDecimals(token);
+            metadata.symbol = _readSymbol(token);
+        }
+        emit TokenDisplayUpdated(token, metadata.symbol, metadata.decimals);
+    }
+
+    /// @dev Reads the decimals of a token, 0 when the call fails or does not return a uint8.
+    /// The return data is decoded by hand, as a try/catch does not catch decoding failures.
+    function _readDecimals(address token) internal view returns (uint8) {
+        (bool success, bytes memory data) = token.staticcall(abi.encodeCall(IERC20Metadata.decimals, ()));
+        if (!success || data.length != 32) {
+            return 0;
+        }
+        uint256 decimals = abi.decode(data, (uint256));
+        return decimals <= type(uint8).max ? uint8(decimals) : 0;
+    }
+
+    /// @dev Reads the symbol of a token, returned either as a string or as a bytes32
+    /// (e.g. MKR), empty when the call fails or returns anything else.
+    /// The return data is decoded by hand, as a try/catch does not catch decoding failures.
+    function _readSymbol(address token) internal view returns (string memory) {
+        (bool success, bytes memory data) = token.staticcall(abi.encodeCall(IERC20Metadata.symbol, ()));
+        if (!success) {
+            return "";
+        }
+        if (data.length == 32) {
+            bytes32 packed = abi.decode(data, (bytes32));
+            uint256 length = 0;
+            while (length < 32 && packed[length] != 0) {
+                length++;
+            }
+            bytes memory symbol = new bytes(length);
+            for (uint256 i = 0; i < length; i++) {
+                symbol[i] = packed[i];
+            }
+            return string(symbol);
+        }
+        if (data.length < 64) {
+            return "";
+        }
+        uint256 offset = abi.decode(data, (uint256));
+        if (offset > data.length - 32) {
+            return "";
+        }
+        uint256 size;
+        assembly {
+            size := mload(add(add(data, 32), offset))
+        }
+        if (size > data.length - 32 - offset) {
+            return "";
+        }
+        return abi.decode(data, (string));
+    }
+
+    /// @notice Returns the number of tokens listed by getTokens
+    /// @return uint256 The number of whitelisted tokens
+    function getTokenCount() public view returns (uint256) {
+        return whitelistedTokens.length();
+    }
+
+    /// @notice Returns a page of the whitelisted tokens
+    /// @dev Removing a token moves the last one to its index, so pages are only
+    /// consistent while no token is removed.
+    /// @param offset The index of the first token
+    /// @param limit The maximum number of tokens
+    /// @return tokens The token addresses from offset, empty when offset is out of range
+    function getTokens(uint256 offset, uint256 limit) public view returns (address[] memory tokens) {
+        tokens = new address[](PaginationLib.pageSize(whitelistedTokens.length(), offset, limit));
+        for (uint256 i = 0; i < tokens.length; i++) {
+            tokens[i] = whitelistedTokens.at(offset + i);
+        }
+    }
+
+    /// @notice Lists the tokens whitelisted before the whitelist was enumerable
+    /// @dev Tokens not whitelisted or already listed are skipped, so anyone can call it.
+    /// @param tokens The token addresses
+    function indexTokens(address[] memory tokens) public {
+        for (uint256 i = 0; i < tokens.length; i++) {
+            if (whitelist[tokens[i]]) {
+                whitelistedTokens.add(tokens[i]);
+            }
+        }
+    }
 }
@@ -2,21 +2,28 @@
 pragma solidity >=0.8.20 <0.9.0;
 
 import { UUPSUpgradeable } from '@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol';
-import { OwnableUpgradeable } from '@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol';
-import { IFulfillableRegistry, Service } from './IFulfillableRegistry.sol';
+import { BandoRolesUpgradeable } from '../../access/BandoRolesUpgradeable.sol';
+import { IFulfillableRegistry, Service, RefRule, RefValidationMode } from './IFulfillableRegistry.sol';
+import { RefPatternLib } from '../../libraries/RefPatternLib.sol';
+import { PaginationLib } from '../../libraries/PaginationLib.sol';
+import { EnumerableSet } from '@openzeppelin/contracts/utils/structs/EnumerableSet.sol';
 
 /// @title FulfillableRegistry
 /// @author g6s
 /// @notice A registry for fulfillable services
-/// @dev This contract is upgradeable, Ownable, and uses UUPSUpgradeable
+/// @dev This contract is upgradeable, role based, and uses UUPSUpgradeable.
+/// Services are managed by SERVICE_ADMIN_ROLE holders, upgrades by UPGRADER_ROLE holders.
 /// @custom:bfp-version 1.0.0
-contract FulfillableRegistry is IFulfillableRegistry, UUPSUpgradeable, OwnableUpgradeable {
+contract FulfillableRegistry is IFulfillableRegistry, UUPSUpgradeable, BandoRolesUpgradeable {
+    using EnumerableSet for EnumerableSet.UintSet;
+    using EnumerableSet for EnumerableSet.Bytes32Set;
 
     /// @notice Mapping to store services by their ID
     mapping(uint256 => Service) public _serviceRegistry;
 
     /// @notice Mapping to store service references by service ID
     /// @dev serviceID => (index => reference)
+    /// Removing a reference moves the last one to its index, so the order is not stable.
     mapping(uint256 => mapping(uint256 => string)) public _serviceRefs;
 
     /// Mapping to store the count of references for each service
@@ -30,12 +37,65 @@ contract FulfillableRegistry is IFulfillableRegistry, UUPSUpgradeable, OwnableUp
     /// @dev fulfiller => service count
     mapping(address => uint256) public _fulfillerServiceCount;
 
-    /// @dev The total number of services
+    /// @dev The total number of services, the length of _serviceIds
     uint256 _serviceCount;
 
     /// @dev The manager address
     address public _manager;
 
+    /// @notice Time a fulfiller has to register a result for a record, after its entryTime.
+    /// Records still PENDING after it can be expired by anyone and refunded to their payer.
+    /// @dev serviceID => timeout in seconds, 0 means records never expire
+    mapping(uint256 => uint256) public _fulfillmentTimeouts;
+
+    /// @notice Flat fee charged on ERC20 requests, in units of the token they are paid with.
+    /// The router collects it on top of the request tokenAmount.
+    /// @dev serviceID => tokenAddress => fee amount
+    mapping(uint256 => mapping(address => uint256)) public _serviceTokenFees;
+
+    /// @notice Position of each service reference in _serviceRefs, by reference hash.
+    /// @dev serviceID => keccak256(reference) => index + 1, 0 when the reference is not indexed
+    mapping(uint256 => mapping(bytes32 => uint256)) public _serviceRefIndexes;
+
+    /// @notice Number of references indexed by hash from the start of _serviceRefs.
+    /// References stored before they were indexed by hash are indexed by migrateServiceRefs.
+    /// @dev serviceID => indexed reference count, equal to _serviceRefCount once migrated
+    mapping(uint256 => uint256) public _serviceRefsIndexed;
+
+    /// @notice How each service validates its references, ALLOW_LIST unless set.
+    /// @dev serviceID => reference rule
+    mapping(uint256 => RefRule) public _serviceRefRules;
+
+    /// @notice The compiled rule of services not validating references with the allow-list:
+    /// the elements of a PATTERN, or the character set of a LENGTH_CHARSET rule.
+    /// @dev serviceID => compiled rule, see RefPatternLib
+    mapping(uint256 => uint256[]) internal _compiledRefRules;
+
+    /// @notice The identifiers of the registered services.
+    /// Services added before they were enumerable are listed by indexServices.
+    EnumerableSet.UintSet private _serviceIds;
+
+    /// @notice The services each fulfiller was registered for with addFulfiller.
+    /// Registrations made before they were enumerable are listed by indexFulfillerServices.
+    /// @dev fulfiller => service identifiers
+    mapping(address => EnumerableSet.UintSet) private _fulfillerServiceIds;
+
+    /// @notice The fiat currencies each service accepts requests in, any currency when empty.
+    /// @dev serviceID => ISO 4217 alphabetic codes, left aligned in bytes32
+    mapping(uint256 => EnumerableSet.Bytes32Set) private _serviceCurrencies;
+
+    /// @notice The decimals of the fiat amounts of each accepted currency.
+    /// @dev serviceID => currency => decimals
+    mapping(uint256 => mapping(bytes3 => uint8)) private _serviceCurrencyDecimals;
+
+    /// @notice The maximum decimals of fiat amounts, so fiat values can be scaled without overflowing.
+    uint8 public constant MAX_FIAT_DECIMALS = 18;
+
+    /// @notice Time a payer has to dispute a SUCCESS or PARTIAL record, after its result was registered.
+    /// Released amounts stay locked in the escrows until it is over.
+    /// @dev serviceID => window in seconds, 0 means releases are not locked
+    mapping(uint256 => uint256) public _disputeWindows;
+
     /// @notice ServiceAdded event
     /// @param serviceID The service identifier
     event ServiceRemoved(uint256 serviceID);
@@ -45,6 +105,71 @@ contract FulfillableRegistry is IFulfillableRegistry, UUPSUpgradeable, OwnableUp
     /// @param fulfiller The fulfiller address
     event ServiceAdded(uint256 serviceID, address indexed fulfiller);
 
+    /// @notice FulfillmentTimeoutUpdated event
+    /// @param serviceID The service identifier
+    /// @param timeout The new fulfillment timeout in seconds
+    event FulfillmentTimeoutUpdated(uint256 serviceID, uint256 timeout);
+
+    /// @notice DisputeWindowUpdated event
+    /// @param serviceID The service identifier
+    /// @param window The new dispute window in seconds
+    event DisputeWindowUpdated(uint256 serviceID, uint256 window);
+
+    /// @notice ServiceFeeUpdated event
+    /// @param serviceID The service identifier
+    /// @param feeAmount The flat fee amount
+    /// @param feeBasisPoints The fee in basis points of the request amount
+    /// @param minFeeAmount The minimum basis-point fee
+    /// @param maxFeeAmount The maximum basis-point fee, 0 for no cap
+    event ServiceFeeUpdated(
+        uint256 serviceID,
+        uint256 feeAmount,
+        uint256 feeBasisPoints,
+        uint256 minFeeAmount,
+        uint256 maxFeeAmount
+    );
+
+    /// @notice ServiceTokenFeeUpdated event
+    /// @param serviceID The service identifier
+    /// @param token The token the fee is charged in
+    /// @param feeAmount The fee amount in token units
+    event ServiceTokenFeeUpdated(uint256 serviceID, address indexed token, uint256 feeAmount);
+
+    /// @notice ServiceRefAdded event
+    /// @param serviceID The service identifier
+    /// @param ref The service reference
+    event ServiceRefAdded(uint256 serviceID, string ref);
+
+    /// @notice ServiceRefRemoved event
+    /// @param serviceID The service identifier
+    /// @param ref The service reference
+    event ServiceRefRemoved(uint256 serviceID, string ref);
+
+    /// @notice ServiceRefRuleUpdated event
+    /// @param serviceID The service identifier
+    /// @param mode The reference validation mode
+    /// @param pattern The pattern, or the characters of a LENGTH_CHARSET rule
+    /// @param minLength The minimum reference length of a LENGTH_CHARSET rule
+    /// @param maxLength The maximum reference length of a LENGTH_CHARSET rule
+    event ServiceRefRuleUpdated(
+        uint256 serviceID,
+        RefValidationMode mode,
+        string pattern,
+        uint256 minLength,
+        uint256 maxLength
+    );
+
+    /// @notice ServiceCurrencyUpdated event
+    /// @param serviceID The service identifier
+    /// @param currency The ISO 4217 alphabetic currency code
+    /// @param decimals The decimals of the fiat amounts in the currency
+    event ServiceCurrencyUpdated(uint256 serviceID, bytes3 currency, uint8 decimals);
+
+    /// @notice ServiceCurrencyRemoved event
+    /// @param serviceID The service identifier
+    /// @param currency The ISO 4217 alphabetic currency code
+    event ServiceCurrencyRemoved(uint256 serviceID, bytes3 currency);
+
     modifier onlyManager() {
         require(msg.sender == _manager, "FulfillableRegistry: Only the manager can call this function");
         _;
@@ -52,25 +177,32 @@ contract FulfillableRegistry is IFulfillableRegistry, UUPSUpgradeable, OwnableUp
 
     /// @notice Initializes the contract
     function initialize() public virtual initializer {
-        __Ownable_init(msg.sender);
+        __BandoRoles_init(msg.sender);
         __UUPSUpgradeable_init();
     }
 
     /// @dev UUPS upgrade authorization
-    function _authorizeUpgrade(address newImplementation) internal override onlyOwner {}
+    function _authorizeUpgrade(address newImplementation) internal override onlyRole(UPGRADER_ROLE) {}
+
+    /// @dev The roles checked by this contract, granted to the admin on initialization.
+    function _managedRoles() internal pure override returns (bytes32[] memory roles) {
+        roles = new bytes32[](2);
+        roles[0] = SERVICE_ADMIN_ROLE;
+        roles[1] = UPGRADER_ROLE;
+    }
 
     /**
      * @dev Sets the protocol manager address.
      * @param manager_ The address of the protocol manager.
      */
-    function setManager(address manager_) public onlyOwner {
+    function setManager(address manager_) public onlyRole(DEFAULT_ADMIN_ROLE) {
         require(manager_ != address(0), "FulfillableRegistry: Manager cannot be the zero address");
         _manager = manager_;
     }
 
     /**
      * addService
-     * This method must only be called by the owner.
+     * This method must only be called by the manager.
      * @param serviceId the service identifier
      * @param service the service info object
      */
@@ -80,6 +212,8 @@ contract FulfillableRegistry is IFulfillableRegistry, UUPSUpgradeable, OwnableUp
             'FulfillableRegistry: Service already exists'
         );
         _serviceRegistry[serviceId] = service;
+        _serviceIds.add(serviceId);
+        _serviceCount = _serviceIds.length();
         emit ServiceAdded(serviceId, service.fulfiller);
         return true;
     }
@@ -90,7 +224,7 @@ contract FulfillableRegistry is IFulfillableRegistry, UUPSUpgradeable, OwnableUp
      * @param serviceId the service identifier
      * @param newBeneficiary the new beneficiary address
      */
-    function updateServiceBeneficiary(uint256 serviceId, address payable newBeneficiary) external onlyOwner {
+    function updateServiceBeneficiary(uint256 serviceId, address payable newBeneficiary) external onlyRole(SERVICE_ADMIN_ROLE) {
         require(_serviceRegistry[serviceId].fulfiller != address(0), 'FulfillableRegistry: Service does not exist');
         _serviceRegistry[serviceId].beneficiary = newBeneficiary;
     }
@@ -101,9 +235,75 @@ contract FulfillableRegistry is IFulfillableRegistry, UUPSUpgradeable, OwnableUp
      * @param serviceId the service identifier
      * @param newFeeAmount the new fee amount
      */
-    function updateServiceFeeAmount(uint256 serviceId, uint256 newFeeAmount) external onlyOwner {
+    function updateServiceFeeAmount(uint256 serviceId, uint256 newFeeAmount) external onlyRole(SERVICE_ADMIN_ROLE) {
         require(_serviceRegistry[serviceId].fulfiller != address(0), 'FulfillableRegistry: Service does not exist');
         _serviceRegistry[serviceId].feeAmount = newFeeAmount;
+        _emitServiceFeeUpdated(serviceId);
+    }
+
+    /**
+     * @notice updateServiceFeeBasisPoints
+     * @dev Updates the percentage fee of a service and its caps.
+     * The basis-point fee is charged on top of the flat fee amount.
+     * @param serviceId the service identifier
+     * @param feeBasisPoints the fee in basis points of the request amount, at most 10000
+     * @param minFeeAmount the minimum basis-point fee
+     * @param maxFeeAmount the maximum basis-point fee, 0 for no cap
+     */
+    function updateServiceFeeBasisPoints(
+        uint256 serviceId,
+        uint256 feeBasisPoints,
+        uint256 minFeeAmount,
+        uint256 maxFeeAmount
+    ) external onlyRole(SERVICE_ADMIN_ROLE) {
+        require(_serviceRegistry[serviceId].fulfiller != address(0), 'FulfillableRegistry: Service does not exist');
+        require(feeBasisPoints <= 10000, 'FulfillableRegistry: Fee basis points exceed 100%');
+        require(
+            maxFeeAmount == 0 || maxFeeAmount >= minFeeAmount,
+            'FulfillableRegistry: Max fee is lower than min fee'
+        );
+        Service storage service = _serviceRegistry[serviceId];
+        service.feeBasisPoints = feeBasisPoints;
+        service.minFeeAmount = minFeeAmount;
+        service.maxFeeAmount = maxFeeAmount;
+        _emitServiceFeeUpdated(serviceId);
+    }
+
+    /// @dev Emits the whole fee model of a service after any of its parts changed.
+    function _emitServiceFeeUpdated(uint256 serviceId) internal {
+        Service storage service = _serviceRegistry[serviceId];
+        emit ServiceFeeUpdated(
+            serviceId,
+            service.feeAmount,
+            service.feeBasisPoints,
+            service.minFeeAmount,
+            service.maxFeeAmount
+        );
+    }
+
+    /**
+     * @notice updateServiceTokenFee
+     * @dev Updates the fee of a service for requests paid with an ERC20 token.
+     * It only applies to new requests, pending records keep the fee they were charged.
+     * @param serviceId the service identifier
+     * @param token the token the fee is charged in
+     * @param feeAmount the fee amount in token units
+     */
+    function updateServiceTokenFee(uint256 serviceId, address token, uint256 feeAmount) external onlyRole(SERVICE_ADMIN_ROLE) {
+        require(_serviceRegistry[serviceId].fulfiller != address(0), 'FulfillableRegistry: Service does not exist');
+        require(token != address(0), 'FulfillableRegistry: Token cannot be the zero address');
+        _serviceTokenFees[serviceId][token] = feeAmount;
+        emit ServiceTokenFeeUpdated(serviceId, token, feeAmount);
+    }
+
+    /**
+     * getServiceTokenFee
+     * @param serviceId the service identifier
+     * @param token the token the request is paid with
+     * @return the fee amount in token units
+     */
+    function getServiceTokenFee(uint256 serviceId, address token) external view returns (uint256) {
+        return _serviceTokenFees[serviceId][token];
     }
 
     /**
@@ -112,19 +312,64 @@ contract FulfillableRegistry is IFulfillableRegistry, UUPSUpgradeable, OwnableUp
      * @param serviceId the service identifier
      * @param newFulfiller the new fulfiller address
      */
-    function updateServiceFulfiller(uint256 serviceId, address newFulfiller) external onlyOwner {
+    function updateServiceFulfiller(uint256 serviceId, address newFulfiller) external onlyRole(SERVICE_ADMIN_ROLE) {
         require(_serviceRegistry[serviceId].fulfiller != address(0), 'FulfillableRegistry: Service does not exist');
         _serviceRegistry[serviceId].fulfiller = newFulfiller;
     }
 
+    /**
+     * @notice updateServiceFulfillmentTimeout
+     * @dev Updates the time a fulfiller has to register a result for a service's records.
+     * It applies to the records still PENDING too.
+     * @param serviceId the service identifier
+     * @param newTimeout the new timeout in seconds, 0 disables expiration
+     */
+    function updateServiceFulfillmentTimeout(uint256 serviceId, uint256 newTimeout) external onlyRole(SERVICE_ADMIN_ROLE) {
+        require(_serviceRegistry[serviceId].fulfiller != address(0), 'FulfillableRegistry: Service does not exist');
+        _fulfillmentTimeouts[serviceId] = newTimeout;
+        emit FulfillmentTimeoutUpdated(serviceId, newTimeout);
+    }
+
+    /**
+     * getFulfillmentTimeout
+     * @param serviceId the service identifier
+     * @return the fulfillment timeout in seconds, 0 when records never expire
+     */
+    function getFulfillmentTimeout(uint256 serviceId) external view returns (uint256) {
+        return _fulfillmentTimeouts[serviceId];
+    }
+
+    /**
+     * @notice updateServiceDisputeWindow
+     * @dev Updates the time payers have to dispute a service's fulfilled records.
+     * It only applies to the results registered after the update.
+     * @param serviceId the service identifier
+     * @param newWindow the new window in seconds, 0 releases fulfilled amounts right away
+     */
+    function updateServiceDisputeWindow(uint256 serviceId, uint256 newWindow) external onlyRole(SERVICE_ADMIN_ROLE) {
+        require(_serviceRegistry[serviceId].fulfiller != address(0), 'FulfillableRegistry: Service does not exist');
+        _disputeWindows[serviceId] = newWindow;
+        emit DisputeWindowUpdated(serviceId, newWindow);
+    }
+
+    /**
+     * getDisputeWindow
+     * @param serviceId the service identifier
+     * @return the dispute window in seconds, 0 when releases are not locked
+     */
+    function getDisputeWindow(uint256 serviceId) external view returns (uint256) {
+        return _disputeWindows[serviceId];
+    }
+
     /**
      * addFulfiller
      * @param fulfiller the address of the fulfiller
      */
-    function addFulfiller(address fulfiller, uint256 serviceID) external onlyOwner {
+    function addFulfiller(address fulfiller, uint256 serviceID) external onlyRole(SERVICE_ADMIN_ROLE) {
         require(!_fulfillerServices[fulfiller][serviceID], "Service already registered for this fulfiller");
         _fulfillerServices[fulfiller][serviceID] = true; // Associate the service ID with the fulfiller
         _fulfillerServiceCount[fulfiller]++; // Increment the service count for the fulfiller
+        _fulfillerServiceIds[fulfiller].add(serviceID);
     }
 
     /**
@@ -144,12 +389,86 @@ contract FulfillableRegistry is IFulfillableRegistry, UUPSUpgradeable, OwnableUp
      * removeServiceAddress
      * @param serviceId the service identifier
      */
-    function removeServiceAddress(uint256 serviceId) external onlyOwner {
+    function removeServiceAddress(uint256 serviceId) external onlyRole(SERVICE_ADMIN_ROLE) {
+        require(_serviceRegistry[serviceId].fulfiller != address(0), 'FulfillableRegistry: Service does not exist');
         delete _serviceRegistry[serviceId];
-        _serviceCount--;
+        _serviceIds.remove(serviceId);
+        _serviceCount = _serviceIds.length();
         emit ServiceRemoved(serviceId);
     }
 
+    /**
+     * getServiceCount
+     * @return the number of services listed by getServices
+     */
+    function getServiceCount() external view returns (uint256) {
+        return _serviceIds.length();
+    }
+
+    /**
+     * getServices
+     * @dev Removing a service moves the last one to its index, so pages are only
+     * consistent while no service is removed.
+     * @param offset the index of the first service
+     * @param limit the maximum number of services
+     * @return services the services from offset, empty when offset is out of range
+     */
+    function getServices(uint256 offset, uint256 limit) external view returns (Service[] memory services) {
+        services = new Service[](PaginationLib.pageSize(_serviceIds.length(), offset, limit));
+        for (uint256 i = 0; i < services.length; i++) {
+            services[i] = _serviceRegistry[_serviceIds.at(offset + i)];
+        }
+    }
+
+    /**
+     * getFulfillerServiceIds
+     * @param fulfiller the fulfiller address
+     * @param offset the index of the first service
+     * @param limit the maximum number of services
+     * @return serviceIds the identifiers of the services the fulfiller was registered for
+     */
+    function getFulfillerServiceIds(
+        address fulfiller,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (uint256[] memory serviceIds) {
+        EnumerableSet.UintSet storage ids = _fulfillerServiceIds[fulfiller];
+        serviceIds = new uint256[](PaginationLib.pageSize(ids.length(), offset, limit));
+        for (uint256 i = 0; i < serviceIds.length; i++) {
+            serviceIds[i] = ids.at(offset + i);
+        }
+    }
+
+    /**
+     * @notice indexServices
+     * @dev Lists the services added before services were enumerable. Identifiers of
+     * services that do not exist or are already listed are skipped, so anyone can call it.
+     * @param serviceIds the service identifiers
+     */
+    function indexServices(uint256[] memory serviceIds) external {
+        for (uint256 i = 0; i < serviceIds.length; i++) {
+            if (_serviceRegistry[serviceIds[i]].fulfiller != address(0)) {
+                _serviceIds.add(serviceIds[i]);
+            }
+        }
+        _serviceCount = _serviceIds.length();
+    }
+
+    /**
+     * @notice indexFulfillerServices
+     * @dev Lists the fulfiller registrations made before they were enumerable. Services the
+     * fulfiller was not registered for, or already listed, are skipped, so anyone can call it.
+     * @param fulfiller the fulfiller address
+     * @param serviceIds the service identifiers
+     */
+    function indexFulfillerServices(address fulfiller, uint256[] memory serviceIds) external {
+        for (uint256 i = 0; i < serviceIds.length; i++) {
+            if (_fulfillerServices[fulfiller][serviceIds[i]]) {
+                _fulfillerServiceIds[fulfiller].add(serviceIds[i]);
+            }
+        }
+    }
+
     /**
      * addServiceRef
      * 
@@ -157,23 +476,298 @@ contract FulfillableRegistry is IFulfillableRegistry, UUPSUpgradeable, OwnableUp
      * @param ref the reference to the service
      */
     function addServiceRef(uint256 serviceId, string memory ref) external onlyManager {
-        require(_serviceRegistry[serviceId].fulfiller != address(0), "Service does not exist");
-        uint256 refCount = _serviceRefCount[serviceId];
-        _serviceRefs[serviceId][refCount] = ref; // Store the reference at the current index
-        _serviceRefCount[serviceId]++; // Increment the reference count
+        _addServiceRef(serviceId, ref);
+    }
+
+    /**
+     * addServiceRefs
+     * @dev Adds references in bulk, reverting when any of them already exists.
+     * @param serviceId the service identifier
+     * @param refs the references to the service
+     */
+    function addServiceRefs(uint256 serviceId, string[] memory refs) external onlyManager {
+        for (uint256 i = 0; i < refs.length; i++) {
+            _addServiceRef(serviceId, refs[i]);
+        }
+    }
+
+    /**
+     * removeServiceRef
+     * @dev Requests made with the reference are rejected afterwards, pending records are not affected.
+     * @param serviceId the service identifier
+     * @param ref the reference to remove
+     */
+    function removeServiceRef(uint256 serviceId, string memory ref) external onlyManager {
+        _removeServiceRef(serviceId, ref);
+    }
+
+    /**
+     * removeServiceRefs
+     * @dev Removes references in bulk, reverting when any of them does not exist.
+     * @param serviceId the service identifier
+     * @param refs the references to remove
+     */
+    function removeServiceRefs(uint256 serviceId, string[] memory refs) external onlyManager {
+        for (uint256 i = 0; i < refs.length; i++) {
+            _removeServiceRef(serviceId, refs[i]);
+        }
+    }
+
+    /**
+     * @notice migrateServiceRefs
+     * @dev Indexes by hash up to maxRefs references stored before references were indexed,
+     * dropping the duplicates among them. Validation falls back to scanning the references
+     * left to migrate, so it can be run in as many transactions as needed, by anyone.
+     * @param serviceId the service identifier
+     * @param maxRefs the maximum number of references to migrate
+     * @return remaining the number of references left to migrate
+     */
+    function migrateServiceRefs(uint256 serviceId, uint256 maxRefs) external returns (uint256 remaining) {
+        uint256 migrated = _serviceRefsIndexed[serviceId];
+        for (uint256 i = 0; i < maxRefs && migrated < _serviceRefCount[serviceId]; i++) {
+            bytes32 refHash = keccak256(bytes(_serviceRefs[serviceId][migrated]));
+            uint256 position = _serviceRefIndexes[serviceId][refHash];
+            if (position == 0 || position == migrated + 1) {
+                _serviceRefIndexes[serviceId][refHash] = migrated + 1;
+                migrated++;
+            } else {
+                // duplicate of an indexed reference
+                _popServiceRef(serviceId, migrated);
+            }
+        }
+        _serviceRefsIndexed[serviceId] = migrated;
+        return _serviceRefCount[serviceId] - migrated;
+    }
+
+    /**
+     * @notice updateServiceRefRule
+     * @dev Sets how the references of a service are validated.
+     * References added to the registry are kept, they are only checked by the ALLOW_LIST mode.
+     * Patterns are compiled once here, see RefPatternLib for the supported syntax.
+     * @param serviceId the service identifier
+     * @param rule the reference validation rule
+     */
+    function updateServiceRefRule(uint256 serviceId, RefRule memory rule) external onlyRole(SERVICE_ADMIN_ROLE) {
+        require(_serviceRegistry[serviceId].fulfiller != address(0), 'FulfillableRegistry: Service does not exist');
+        uint256[] memory compiled;
+        if (rule.mode == RefValidationMode.PATTERN) {
+            require(bytes(rule.pattern).length > 0, 'FulfillableRegistry: Pattern cannot be empty');
+            compiled = RefPatternLib.compile(rule.pattern);
+        } else if (rule.mode == RefValidationMode.LENGTH_CHARSET) {
+            require(
+                rule.maxLength > 0 && rule.minLength <= rule.maxLength,
+                'FulfillableRegistry: Invalid reference length bounds'
+            );
+            compiled = new uint256[](1);
+            compiled[0] = RefPatternLib.parseCharset(rule.pattern);
+            require(compiled[0] != 0, 'FulfillableRegistry: Charset cannot be empty');
+        }
+        _serviceRefRules[serviceId] = rule;
+        _compiledRefRules[serviceId] = compiled;
+        emit ServiceRefRuleUpdated(serviceId, rule.mode, rule.pattern, rule.minLength, rule.maxLength);
+    }
+
+    /**
+     * getServiceRefRule
+     * @param serviceId the service identifier
+     * @return the reference validation rule, ALLOW_LIST unless set
+     */
+    function getServiceRefRule(uint256 serviceId) external view returns (RefRule memory) {
+        return _serviceRefRules[serviceId];
+    }
+
+    /**
+     * @notice updateServiceCurrency
+     * @dev Accepts requests of a service in a fiat currency, with fiat amounts of fixed decimals.
+     * Services accept every currency until one is set.
+     * @param serviceId the service identifier
+     * @param currency the ISO 4217 alphabetic currency code, e.g. "MXN"
+     * @param decimals the decimals of the fiat amounts, e.g. 2 for cents
+     */
+    function updateServiceCurrency(uint256 serviceId, bytes3 currency, uint8 decimals) external onlyRole(SERVICE_ADMIN_ROLE) {
+        require(_serviceRegistry[serviceId].fulfiller != address(0), 'FulfillableRegistry: Service does not exist');
+        require(_isCurrencyCode(currency), 'FulfillableRegistry: Invalid currency code');
+        require(decimals <= MAX_FIAT_DECIMALS, 'FulfillableRegistry: Too many fiat decimals');
+        _serviceCurrencies[serviceId].add(bytes32(currency));
+        _serviceCurrencyDecimals[serviceId][currency] = decimals;
+        emit ServiceCurrencyUpdated(serviceId, currency, decimals);
+    }
+
+    /**
+     * @notice removeServiceCurrency
+     * @dev Stops accepting requests of a service in a fiat currency.
+     * Removing the last currency makes the service accept every currency again.
+     * @param serviceId the service identifier
+     * @param currency the ISO 4217 alphabetic currency code
+     */
+    function removeServiceCurrency(uint256 serviceId, bytes3 currency) external onlyRole(SERVICE_ADMIN_ROLE) {
+        require(_serviceCurrencies[serviceId].remove(bytes32(currency)), 'FulfillableRegistry: Currency not allowed');
+        delete _serviceCurrencyDecimals[serviceId][currency];
+        emit ServiceCurrencyRemoved(serviceId, currency);
+    }
+
+    /**
+     * getServiceCurrencies
+     * @param serviceId the service identifier
+     * @return currencies the currencies the service accepts, empty when it accepts every currency
+     * @return decimals the decimals of the fiat amounts in each currency
+     */
+    function getServiceCurrencies(uint256 serviceId)
+        external
+        view
+        returns (bytes3[] memory currencies, uint8[] memory decimals)
+    {
+        EnumerableSet.Bytes32Set storage set = _serviceCurrencies[serviceId];
+        uint256 length = set.length();
+        currencies = new bytes3[](length);
+        decimals = new uint8[](length);
+        for (uint256 i = 0; i < length; i++) {
+            currencies[i] = bytes3(set.at(i));
+            decimals[i] = _serviceCurrencyDecimals[serviceId][currencies[i]];
+        }
+    }
+
+    /**
+     * @notice isCurrencyAllowed
+     * @dev The currency must be an ISO 4217 alphabetic code, accepted by the service
+     * with the same decimals, unless the service accepts every currency.
+     * Fiat amounts can have at most MAX_FIAT_DECIMALS decimals.
+     * @param serviceId the service identifier
+     * @param currency the ISO 4217 alphabetic currency code
+     * @param decimals the decimals of the fiat amount
+     * @return true if requests of the service can be made in the currency
+     */
+    function isCurrencyAllowed(uint256 serviceId, bytes3 currency, uint8 decimals) external view returns (bool) {
+        if (!_isCurrencyCode(currency) || decimals > MAX_FIAT_DECIMALS) {
+            return false;
+        }
+        EnumerableSet.Bytes32Set storage set = _serviceCurrencies[serviceId];
+        if (set.length() == 0) {
+            return true;
+        }
+        return set.contains(bytes32(currency)) && _serviceCurrencyDecimals[serviceId][currency] == decimals;
+    }
+
+    /// @dev Checks that a currency code is made of three uppercase ASCII letters.
+    function _isCurrencyCode(bytes3 currency) internal pure returns (bool) {
+        for (uint256 i = 0; i < 3; i++) {
+            if (currency[i] < "A" || currency[i] > "Z") {
+                return false;
+            }
+        }
+        return true;
     }
 
     /**
      * @notice isRefValid
-     * 
+     * @dev Validates the reference according to the service reference rule.
      * @param serviceId the service identifier
      * @param ref the reference to the service
      * @return true if the reference is valid
      */
     function isRefValid(uint256 serviceId, string memory ref) external view returns (bool) {
+        RefRule storage rule = _serviceRefRules[serviceId];
+        if (rule.mode == RefValidationMode.PATTERN) {
+            return RefPatternLib.matches(_compiledRefRules[serviceId], ref);
+        }
+        if (rule.mode == RefValidationMode.LENGTH_CHARSET) {
+            return RefPatternLib.matchesCharset(
+                uint128(_compiledRefRules[serviceId][0]),
+                rule.minLength,
+                rule.maxLength,
+                ref
+            );
+        }
+        return _isRefStored(serviceId, ref);
+    }
+
+    /**
+     * hasServiceRef
+     * @dev Unlike isRefValid, it ignores the service reference rule.
+     * @param serviceId the service identifier
+     * @param ref the reference to the service
+     * @return true if the reference was added to the registry
+     */
+    function hasServiceRef(uint256 serviceId, string memory ref) external view returns (bool) {
+        return _isRefStored(serviceId, ref);
+    }
+
+    /**
+     * getServiceRefCount
+     * @param serviceId the service identifier
+     * @return the number of references of the service
+     */
+    function getServiceRefCount(uint256 serviceId) external view returns (uint256) {
+        return _serviceRefCount[serviceId];
+    }
+
+    /**
+     * getServiceRefs
+     * @dev Removing a reference moves the last one to its index, so pages are only
+     * consistent while no reference is removed.
+     * @param serviceId the service identifier
+     * @param offset the index of the first reference
+     * @param limit the maximum number of references
+     * @return refs the references from offset, empty when offset is out of range
+     */
+    function getServiceRefs(uint256 serviceId, uint256 offset, uint256 limit) external view returns (string[] memory refs) {
+        refs = new string[](PaginationLib.pageSize(_serviceRefCount[serviceId], offset, limit));
+        for (uint256 i = 0; i < refs.length; i++) {
+            refs[i] = _serviceRefs[serviceId][offset + i];
+        }
+    }
+
+    /// @dev Appends a reference and indexes it by hash.
+    function _addServiceRef(uint256 serviceId, string memory ref) internal {
+        require(_serviceRegistry[serviceId].fulfiller != address(0), "Service does not exist");
+        require(!_isRefStored(serviceId, ref), 'FulfillableRegistry: Reference already exists');
+        uint256 refCount = _serviceRefCount[serviceId];
+        _serviceRefs[serviceId][refCount] = ref; // Store the reference at the current index
+        _serviceRefIndexes[serviceId][keccak256(bytes(ref))] = refCount + 1;
+        if (_serviceRefsIndexed[serviceId] == refCount) {
+            _serviceRefsIndexed[serviceId] = refCount + 1;
+        }
+        _serviceRefCount[serviceId] = refCount + 1; // Increment the reference count
+        emit ServiceRefAdded(serviceId, ref);
+    }
+
+    /// @dev Removes an indexed reference, only once every reference of the service is indexed.
+    function _removeServiceRef(uint256 serviceId, string memory ref) internal {
+        uint256 refCount = _serviceRefCount[serviceId];
+        require(_serviceRefsIndexed[serviceId] == refCount, 'FulfillableRegistry: Service references not migrated');
+        bytes32 refHash = keccak256(bytes(ref));
+        uint256 position = _serviceRefIndexes[serviceId][refHash];
+        require(position != 0, 'FulfillableRegistry: Reference does not exist');
+        delete _serviceRefIndexes[serviceId][refHash];
+        _popServiceRef(serviceId, position - 1);
+        _serviceRefsIndexed[serviceId] = refCount - 1;
+        emit ServiceRefRemoved(serviceId, ref);
+    }
+
+    /// @dev Overwrites the reference at index with the last one, keeping its hash index current.
+    function _popServiceRef(uint256 serviceId, uint256 index) internal {
+        uint256 last = _serviceRefCount[serviceId] - 1;
+        if (index != last) {
+            string memory moved = _serviceRefs[serviceId][last];
+            _serviceRefs[serviceId][index] = moved;
+            bytes32 movedHash = keccak256(bytes(moved));
+            if (_serviceRefIndexes[serviceId][movedHash] == last + 1) {
+                _serviceRefIndexes[serviceId][movedHash] = index + 1;
+            }
+        }
+        delete _serviceRefs[serviceId][last];
+        _serviceRefCount[serviceId] = last;
+    }
+
+    /// @dev Looks a reference up by hash, scanning the references left to migrate if any.
+    function _isRefStored(uint256 serviceId, string memory ref) internal view returns (bool) {
+        bytes32 refHash = keccak256(bytes(ref));
+        if (_serviceRefIndexes[serviceId][refHash] != 0) {
+            return true;
+        }
         uint256 refCount = _serviceRefCount[serviceId];
-        for (uint256 i = 0; i < refCount; i++) {
-            if (keccak256(abi.encodePacked(_serviceRefs[serviceId][i])) == keccak256(abi.encodePacked(ref))) {
+        for (uint256 i = _serviceRefsIndexed[serviceId]; i < refCount; i++) {
+            if (keccak256(bytes(_serviceRefs[serviceId][i])) == refHash) {
                 return true;
             }
         }
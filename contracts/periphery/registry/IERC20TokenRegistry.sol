@@ -1,6 +1,22 @@
 // SPDX-License-Identifier: MIT
 pragma solidity >=0.8.20 <0.9.0;
 
+/**
+ * Token metadata
+ * minAmount and maxAmount bound the tokenAmount of a request (0 means no bound).
+ * decimals and symbol are display info, snapshotted from the token when it is whitelisted.
+ * A disabled token stays whitelisted but cannot pay for new requests.
+ * A service restricted token can only pay for the services it is allowed for.
+ */
+struct TokenMetadata {
+    uint256 minAmount;
+    uint256 maxAmount;
+    uint8 decimals;
+    string symbol;
+    bool disabled;
+    bool serviceRestricted;
+}
+
 /// @title IERC20TokenRegistry
 /// @author Bando
 /// @notice Interface for ERC20 token registry
@@ -11,6 +27,16 @@ interface IERC20TokenRegistry {
     /// @return bool Returns true if the token is whitelisted, false otherwise.
     function isTokenWhitelisted(address token) external view returns (bool);
 
+    /// @notice Checks if a token is accounted by the amount actually received.
+    /// @param token The address of the token to check.
+    /// @return bool Returns true if the token uses balance-delta accounting.
+    function usesBalanceDeltaAccounting(address token) external view returns (bool);
+
+    /// @notice Sets the accounting mode of a whitelisted token.
+    /// @param token The address of the token.
+    /// @param enabled True to record the amount actually received by the escrow.
+    function setBalanceDeltaAccounting(address token, bool enabled) external;
+
     /// @notice Adds a token to the whitelist.
     /// @param token The address of the token to add.
     function addToken(address token) external;
@@ -18,4 +44,59 @@ interface IERC20TokenRegistry {
     /// @notice Removes a token from the whitelist.
     /// @param token The address of the token to remove.
     function removeToken(address token) external;
+
+    /// @notice Returns the number of whitelisted tokens.
+    function getTokenCount() external view returns (uint256);
+
+    /// @notice Returns a page of the whitelisted tokens.
+    /// @param offset The index of the first token.
+    /// @param limit The maximum number of tokens.
+    /// @return tokens The token addresses from offset.
+    function getTokens(uint256 offset, uint256 limit) external view returns (address[] memory tokens);
+
+    /// @notice Lists the tokens whitelisted before the whitelist was enumerable.
+    /// @param tokens The token addresses.
+    function indexTokens(address[] memory tokens) external;
+
+    /// @notice Returns the metadata of a token.
+    /// @param token The address of the token.
+    /// @return The token metadata.
+    function getTokenMetadata(address token) external view returns (TokenMetadata memory);
+
+    /// @notice Checks if a token can pay for a service.
+    /// @param token The address of the token.
+    /// @param serviceId The service identifier.
+    /// @return bool Returns true if the token is not service restricted, or allowed for the service.
+    function isTokenAllowedForService(address token, uint256 serviceId) external view returns (bool);
+
+    /// @notice Sets the request amount bounds of a whitelisted token.
+    /// @param token The address of the token.
+    /// @param minAmount The minimum tokenAmount, 0 for no minimum.
+    /// @param maxAmount The maximum tokenAmount, 0 for no maximum.
+    function setTokenLimits(address token, uint256 minAmount, uint256 maxAmount) external;
+
+    /// @notice Enables or disables a whitelisted token, without removing it.
+    /// @param token The address of the token.
+    /// @param enabled False to reject new requests paid with the token.
+    function setTokenEnabled(address token, bool enabled) external;
+
+    /// @notice Restricts a whitelisted token to the services it is allowed for.
+    /// @param token The address of the token.
+    /// @param restricted True to only accept the token for its allowed services.
+    function setTokenServiceRestriction(address token, bool restricted) external;
+
+    /// @notice Allows or disallows a token for a service.
+    /// @param token The address of the token.
+    /// @param serviceId The service identifier.
+    /// @param allowed True to allow the token for the service.
+    function setTokenServiceAllowed(address token, uint256 serviceId, bool allowed) external;
+
+    /// @notice Returns the services a token is allowed for.
+    /// @param token The address of the token.
+    /// @return serviceIds The service identifiers.
+    function getTokenServices(address token) external view returns (uint256[] memory serviceIds);
+
+    /// @notice Snapshots the decimals and symbol of a whitelisted token again.
+    /// @param token The address of the token.
+    function refreshTokenDisplay(address token) external;
 }
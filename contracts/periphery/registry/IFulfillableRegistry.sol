@@ -4,12 +4,40 @@ pragma solidity >=0.8.20 <0.9.0;
 
 /**
  * Service definition
+ * The fee charged on top of a request amount is feeAmount plus feeBasisPoints of the amount,
+ * with the basis-point part clamped between minFeeAmount and maxFeeAmount (0 means uncapped).
  */
 struct Service {
     uint256 serviceId;
     address payable beneficiary;
     uint256 feeAmount;
     address fulfiller;
+    uint256 feeBasisPoints;
+    uint256 minFeeAmount;
+    uint256 maxFeeAmount;
+}
+
+/// @notice How the references of a service are validated
+/// ALLOW_LIST accepts the references added to the registry,
+/// PATTERN the references matching a pattern, see RefPatternLib,
+/// LENGTH_CHARSET the references of a bounded length made of a set of characters.
+enum RefValidationMode {
+    ALLOW_LIST,
+    PATTERN,
+    LENGTH_CHARSET
+}
+
+/**
+ * Reference validation rule of a service
+ * pattern is the pattern of a PATTERN rule, or the characters of a LENGTH_CHARSET rule
+ * written as the contents of a character class, e.g. "0-9A-Z".
+ * minLength and maxLength bound the length of LENGTH_CHARSET references only.
+ */
+struct RefRule {
+    RefValidationMode mode;
+    string pattern;
+    uint256 minLength;
+    uint256 maxLength;
 }
 
 /// @title IFulfillableRegistry
@@ -19,7 +47,7 @@ struct Service {
 /// The address can be retrieved by the serviceId.
 /// 
 /// The FulfillableRegistry contract is upgradeable.
-/// The FulfillableRegistry contract is Ownable.
+/// The FulfillableRegistry contract uses role based access control.
 /// The FulfillableRegistry contract uses UUPSUpgradeable.
 interface IFulfillableRegistry {
 
@@ -43,12 +71,84 @@ interface IFulfillableRegistry {
     /// @param serviceId The service identifier.
     function removeServiceAddress(uint256 serviceId) external;
 
+    /// @notice Returns the number of services.
+    function getServiceCount() external view returns (uint256);
+
+    /// @notice Returns a page of the services.
+    /// @param offset The index of the first service.
+    /// @param limit The maximum number of services.
+    /// @return services The services from offset.
+    function getServices(uint256 offset, uint256 limit) external view returns (Service[] memory services);
+
+    /// @notice Returns a page of the services a fulfiller was registered for.
+    /// @param fulfiller The fulfiller address.
+    /// @param offset The index of the first service.
+    /// @param limit The maximum number of services.
+    /// @return serviceIds The service identifiers from offset.
+    function getFulfillerServiceIds(address fulfiller, uint256 offset, uint256 limit) external view returns (uint256[] memory serviceIds);
+
+    /// @notice Lists the services added before services were enumerable.
+    /// @param serviceIds The service identifiers.
+    function indexServices(uint256[] memory serviceIds) external;
+
+    /// @notice Lists the fulfiller registrations made before they were enumerable.
+    /// @param fulfiller The fulfiller address.
+    /// @param serviceIds The service identifiers.
+    function indexFulfillerServices(address fulfiller, uint256[] memory serviceIds) external;
+
     /// @notice Adds a reference to a service.
     /// @param serviceId The service identifier.
     /// @param serviceRef The reference to the service.
     function addServiceRef(uint256 serviceId, string memory serviceRef) external;
 
-    /// @notice Checks if a service reference is valid.
+    /// @notice Adds references to a service.
+    /// @param serviceId The service identifier.
+    /// @param serviceRefs The references to the service.
+    function addServiceRefs(uint256 serviceId, string[] memory serviceRefs) external;
+
+    /// @notice Removes a reference from a service.
+    /// @param serviceId The service identifier.
+    /// @param serviceRef The reference to remove.
+    function removeServiceRef(uint256 serviceId, string memory serviceRef) external;
+
+    /// @notice Removes references from a service.
+    /// @param serviceId The service identifier.
+    /// @param serviceRefs The references to remove.
+    function removeServiceRefs(uint256 serviceId, string[] memory serviceRefs) external;
+
+    /// @notice Indexes by hash the references stored before references were indexed.
+    /// @param serviceId The service identifier.
+    /// @param maxRefs The maximum number of references to migrate.
+    /// @return remaining The number of references left to migrate.
+    function migrateServiceRefs(uint256 serviceId, uint256 maxRefs) external returns (uint256 remaining);
+
+    /// @notice Checks if a reference was added to a service, whatever its reference rule.
+    /// @param serviceId The service identifier.
+    /// @param serviceRef The reference to check.
+    function hasServiceRef(uint256 serviceId, string memory serviceRef) external view returns (bool);
+
+    /// @notice Returns the number of references of a service.
+    /// @param serviceId The service identifier.
+    function getServiceRefCount(uint256 serviceId) external view returns (uint256);
+
+    /// @notice Returns a page of the references of a service.
+    /// @param serviceId The service identifier.
+    /// @param offset The index of the first reference.
+    /// @param limit The maximum number of references.
+    /// @return refs The references from offset.
+    function getServiceRefs(uint256 serviceId, uint256 offset, uint256 limit) external view returns (string[] memory refs);
+
+    /// @notice Sets how the references of a service are validated.
+    /// @param serviceId The service identifier.
+    /// @param rule The reference validation rule.
+    function updateServiceRefRule(uint256 serviceId, RefRule memory rule) external;
+
+    /// @notice Returns how the references of a service are validated.
+    /// @param serviceId The service identifier.
+    /// @return The reference validation rule, ALLOW_LIST unless set.
+    function getServiceRefRule(uint256 serviceId) external view returns (RefRule memory);
+
+    /// @notice Checks if a service reference is valid, according to the service reference rule.
     /// @param serviceId The service identifier.
     /// @param serviceRef The reference to check.
     /// @return Returns true if the reference is valid.
@@ -70,6 +170,36 @@ interface IFulfillableRegistry {
      */
     function updateServiceFeeAmount(uint256 serviceId, uint256 newFeeAmount) external;
 
+    /**
+     * @notice updateServiceFeeBasisPoints
+     * @dev Updates the percentage fee of a service and its caps.
+     * @param serviceId the service identifier
+     * @param feeBasisPoints the fee in basis points of the request amount
+     * @param minFeeAmount the minimum basis-point fee
+     * @param maxFeeAmount the maximum basis-point fee, 0 for no cap
+     */
+    function updateServiceFeeBasisPoints(
+        uint256 serviceId,
+        uint256 feeBasisPoints,
+        uint256 minFeeAmount,
+        uint256 maxFeeAmount
+    ) external;
+
+    /**
+     * @notice updateServiceTokenFee
+     * @dev Updates the fee of a service for requests paid with an ERC20 token.
+     * @param serviceId the service identifier
+     * @param token the token the fee is charged in
+     * @param feeAmount the fee amount in token units
+     */
+    function updateServiceTokenFee(uint256 serviceId, address token, uint256 feeAmount) external;
+
+    /// @notice Retrieves the fee of a service for requests paid with an ERC20 token.
+    /// @param serviceId The service identifier.
+    /// @param token The token the request is paid with.
+    /// @return The fee amount in token units.
+    function getServiceTokenFee(uint256 serviceId, address token) external view returns (uint256);
+
     /**
      * @notice updateServiceFulfiller
      * @dev Updates the fulfiller of a service.
@@ -77,4 +207,57 @@ interface IFulfillableRegistry {
      * @param newFulfiller the new fulfiller address
      */
     function updateServiceFulfiller(uint256 serviceId, address newFulfiller) external;
+
+    /**
+     * @notice updateServiceFulfillmentTimeout
+     * @dev Updates the time a fulfiller has to register a result for a service's records.
+     * @param serviceId the service identifier
+     * @param newTimeout the new timeout in seconds, 0 disables expiration
+     */
+    function updateServiceFulfillmentTimeout(uint256 serviceId, uint256 newTimeout) external;
+
+    /// @notice Retrieves the fulfillment timeout of a service.
+    /// @param serviceId The service identifier.
+    /// @return The timeout in seconds after a record's entryTime, 0 when records never expire.
+    function getFulfillmentTimeout(uint256 serviceId) external view returns (uint256);
+
+    /**
+     * @notice updateServiceDisputeWindow
+     * @dev Updates the time payers have to dispute a service's fulfilled records.
+     * @param serviceId the service identifier
+     * @param newWindow the new window in seconds, 0 releases fulfilled amounts right away
+     */
+    function updateServiceDisputeWindow(uint256 serviceId, uint256 newWindow) external;
+
+    /// @notice Retrieves the dispute window of a service.
+    /// @param serviceId The service identifier.
+    /// @return The window in seconds after a result is registered, 0 when releases are not locked.
+    function getDisputeWindow(uint256 serviceId) external view returns (uint256);
+
+    /// @notice Accepts requests of a service in a fiat currency, with fiat amounts of fixed decimals.
+    /// @param serviceId The service identifier.
+    /// @param currency The ISO 4217 alphabetic currency code, e.g. "MXN".
+    /// @param decimals The decimals of the fiat amounts, e.g. 2 for cents.
+    function updateServiceCurrency(uint256 serviceId, bytes3 currency, uint8 decimals) external;
+
+    /// @notice Stops accepting requests of a service in a fiat currency.
+    /// @param serviceId The service identifier.
+    /// @param currency The ISO 4217 alphabetic currency code.
+    function removeServiceCurrency(uint256 serviceId, bytes3 currency) external;
+
+    /// @notice Retrieves the fiat currencies a service accepts.
+    /// @param serviceId The service identifier.
+    /// @return currencies The currencies, empty when the service accepts every currency.
+    /// @return decimals The decimals of the fiat amounts in each currency.
+    function getServiceCurrencies(uint256 serviceId)
+        external
+        view
+        returns (bytes3[] memory currencies, uint8[] memory decimals);
+
+    /// @notice Checks if requests of a service can be made in a fiat currency.
+    /// @param serviceId The service identifier.
+    /// @param currency The ISO 4217 alphabetic currency code.
+    /// @param decimals The decimals of the fiat amount.
+    /// @return Returns true if the currency is a valid code accepted by the service with these decimals.
+    function isCurrencyAllowed(uint256 serviceId, bytes3 currency, uint8 decimals) external view returns (bool);
 }
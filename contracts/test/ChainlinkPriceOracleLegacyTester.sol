@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.8.20 <0.9.0;
+
+import "../periphery/oracle/ChainlinkPriceOracle.sol";
+
+/**
+ * Test oracle storing feeds the way they were stored before they were set per fiat currency
+ */
+contract ChainlinkPriceOracleLegacyTester is ChainlinkPriceOracle {
+
+    function setLegacyPriceFeed(address token, PriceFeed memory feed) public onlyRole(TOKEN_ADMIN_ROLE) {
+        _feeds[token] = feed;
+    }
+}
@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.8.20 <0.9.0;
+
+import "../BandoERC20FulfillableV1.sol";
+
+/**
+ * Test upgrade on the ERC20 escrow, appending a state variable
+ */
+contract ERC20FulfillableUpgradeTester is BandoERC20FulfillableV1 {
+
+    uint256 public _upgradeMarker;
+
+    function setUpgradeMarker(uint256 marker) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        _upgradeMarker = marker;
+    }
+
+    function isUpgrade() public view onlyRole(DEFAULT_ADMIN_ROLE) returns (bool) {
+        return true;
+    }
+}
@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.8.20 <0.9.0;
+
+import { OwnableUpgradeable } from "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import { UUPSUpgradeable } from "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+
+/**
+ * Test token registry gated by its owner, the way it was deployed before roles existed
+ */
+contract ERC20TokenRegistryOwnableTester is OwnableUpgradeable, UUPSUpgradeable {
+
+    mapping(address => bool) private whitelist;
+
+    function initialize() public initializer {
+        __Ownable_init(msg.sender);
+        __UUPSUpgradeable_init();
+    }
+
+    function _authorizeUpgrade(address newImplementation) internal override onlyOwner {}
+
+    function isTokenWhitelisted(address token) public view returns (bool) {
+        return whitelist[token];
+    }
+
+    function addToken(address token) public onlyOwner {
+        whitelist[token] = true;
+    }
+}
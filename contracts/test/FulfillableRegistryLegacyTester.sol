@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.8.20 <0.9.0;
+
+import "../periphery/registry/FulfillableRegistry.sol";
+
+/**
+ * Test registry storing services, fulfillers and references the way they were stored
+ * before they were enumerable and indexed by hash
+ */
+contract FulfillableRegistryLegacyTester is FulfillableRegistry {
+
+    function addLegacyService(uint256 serviceId, Service memory service) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        _serviceRegistry[serviceId] = service;
+    }
+
+    function addLegacyFulfiller(address fulfiller, uint256 serviceId) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        _fulfillerServices[fulfiller][serviceId] = true;
+        _fulfillerServiceCount[fulfiller]++;
+    }
+
+    function addLegacyServiceRef(uint256 serviceId, string memory ref) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        _serviceRefs[serviceId][_serviceRefCount[serviceId]] = ref;
+        _serviceRefCount[serviceId]++;
+    }
+}
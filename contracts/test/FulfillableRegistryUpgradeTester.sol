@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.8.20 <0.9.0;
+
+import "../periphery/registry/FulfillableRegistry.sol";
+
+/**
+ * Test upgrade on the fulfillable registry, appending a state variable
+ */
+contract FulfillableRegistryUpgradeTester is FulfillableRegistry {
+
+    uint256 public _upgradeMarker;
+
+    function setUpgradeMarker(uint256 marker) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        _upgradeMarker = marker;
+    }
+
+    function isUpgrade() public view onlyRole(DEFAULT_ADMIN_ROLE) returns (bool) {
+        return true;
+    }
+}
@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.8.20 <0.9.0;
+
+import { OwnableUpgradeable } from "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import { UUPSUpgradeable } from "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import { ReentrancyGuardUpgradeable } from "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+
+/**
+ * Test fulfillment manager gated by its owner, the way it was deployed before signed results and roles existed
+ */
+contract ManagerOwnableTester is OwnableUpgradeable, UUPSUpgradeable, ReentrancyGuardUpgradeable {
+
+    address public _serviceRegistry;
+
+    address public _escrow;
+
+    address public _erc20_escrow;
+
+    function initialize() public virtual initializer {
+        __Ownable_init(msg.sender);
+        __UUPSUpgradeable_init();
+    }
+
+    function _authorizeUpgrade(address newImplementation) internal override onlyOwner {}
+
+    function setServiceRegistry(address serviceRegistry_) public onlyOwner {
+        _serviceRegistry = serviceRegistry_;
+    }
+}
@@ -8,7 +8,7 @@ import "../BandoFulfillmentManagerV1.sol";
  */
 contract ManagerUpgradeTest is BandoFulfillmentManagerV1 {
 
-    function isUpgrade() public view onlyOwner returns (bool) {
+    function isUpgrade() public view onlyRole(DEFAULT_ADMIN_ROLE) returns (bool) {
         return true;
     }
 }
@@ -0,0 +1,35 @@
+//SPDX-License-Identifier: Unlicense
+pragma solidity ^0.8.20;
+
+/// Chainlink-style price feed with a settable answer, for local tests
+contract MockPriceFeed {
+    uint8 public decimals;
+    int256 public answer;
+    uint256 public updatedAt;
+    uint80 public roundId;
+    bool public reverts;
+
+    constructor(uint8 decimals_, int256 answer_) {
+        decimals = decimals_;
+        setAnswer(answer_);
+    }
+
+    function setAnswer(int256 answer_) public {
+        setRound(answer_, block.timestamp);
+    }
+
+    function setRound(int256 answer_, uint256 updatedAt_) public {
+        answer = answer_;
+        updatedAt = updatedAt_;
+        roundId++;
+    }
+
+    function setReverts(bool reverts_) public {
+        reverts = reverts_;
+    }
+
+    function latestRoundData() external view returns (uint80, int256, uint256, uint256, uint80) {
+        require(!reverts, "MockPriceFeed: reverted");
+        return (roundId, answer, updatedAt, updatedAt, roundId);
+    }
+}
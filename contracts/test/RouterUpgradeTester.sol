@@ -8,7 +8,7 @@ import "../BandoRouterV1.sol";
  */
 contract RouterUpgradeTester is BandoRouterV1 {
 
-    function isUpgrade() public view onlyOwner returns (bool) {
+    function isUpgrade() public view onlyRole(DEFAULT_ADMIN_ROLE) returns (bool) {
         return true;
     }
 }
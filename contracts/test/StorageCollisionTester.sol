@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.8.20 <0.9.0;
+
+import { OwnableUpgradeable } from '@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol';
+import { UUPSUpgradeable } from '@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol';
+
+/**
+ * Unsafe upgrade candidate for the escrows: its first slot holds an address
+ * where they keep _fulfillmentIdCount. Upgrade validation must reject it.
+ */
+contract StorageCollisionTester is UUPSUpgradeable, OwnableUpgradeable {
+
+    address public _manager;
+
+    uint256 private _fulfillmentIdCount;
+
+    function _authorizeUpgrade(address newImplementation) internal override onlyOwner {}
+}
@@ -2,9 +2,41 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 
 contract DemoToken is ERC20 {
     constructor() ERC20("DEMOTOKEN", "DMT") public {
         _mint(msg.sender, 1000000 * (10 ** decimals()));
     }
 }
+
+contract DemoPermitToken is ERC20Permit {
+    constructor() ERC20("DEMOPERMITTOKEN", "DPT") ERC20Permit("DEMOPERMITTOKEN") {
+        _mint(msg.sender, 1000000 * (10 ** decimals()));
+    }
+}
+
+/// Deflationary token burning a percentage of every transfer between accounts
+contract DemoFeeOnTransferToken is ERC20 {
+    uint256 public constant FEE_BASIS_POINTS = 100;
+
+    constructor() ERC20("DEMOFEETOKEN", "DFT") {
+        _mint(msg.sender, 1000000 * (10 ** decimals()));
+    }
+
+    function _update(address from, address to, uint256 value) internal override {
+        if (from == address(0) || to == address(0)) {
+            super._update(from, to, value);
+            return;
+        }
+        uint256 fee = value * FEE_BASIS_POINTS / 10000;
+        super._update(from, address(0), fee);
+        super._update(from, to, value - fee);
+    }
+}
+
+/// Token returning its symbol as a bytes32, like MKR
+contract DemoBytes32SymbolToken {
+    bytes32 public constant symbol = "MKR";
+    uint8 public constant decimals = 18;
+}
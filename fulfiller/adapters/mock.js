@@ -0,0 +1,36 @@
+/**
+ * In-process provider adapter that "delivers" every service instantly.
+ * It lets the worker run end-to-end against a local hardhat network.
+ */
+class MockProviderAdapter {
+  /**
+   * @param {object} [opts]
+   * @param {function(object): boolean} [opts.shouldFail] marks a request as FAILED when it returns true
+   * @param {function(object): (bigint|undefined)} [opts.partialAmount] delivers only the returned amount
+   * of a request, as a PARTIAL result
+   */
+  constructor({ shouldFail = () => false, partialAmount = () => undefined } = {}) {
+    this.shouldFail = shouldFail;
+    this.partialAmount = partialAmount;
+    this.fulfilled = [];
+  }
+
+  async fulfill(request) {
+    this.fulfilled.push(request);
+    const id = request.record.id.toString();
+    if (this.shouldFail(request)) {
+      return { status: "FAILED", externalID: "", receiptURI: "" };
+    }
+    const fulfilledAmount = this.partialAmount(request);
+    return {
+      status: fulfilledAmount === undefined ? "SUCCESS" : "PARTIAL",
+      externalID: `mock-${request.serviceID}-${id}`,
+      receiptURI: `mock://receipts/${request.serviceID}/${id}`,
+      fulfilledAmount,
+    };
+  }
+}
+
+module.exports = {
+  MockProviderAdapter,
+};
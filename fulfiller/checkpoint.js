@@ -0,0 +1,59 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Persists the last block processed by the worker and its dead-lettered records to a JSON file.
+ */
+class FileCheckpoint {
+  /**
+   * @param {string} file path to the checkpoint file
+   * @param {number} [startBlock] block to start from when there is no checkpoint yet
+   */
+  constructor(file, startBlock = 0) {
+    this.file = file;
+    this.startBlock = startBlock;
+  }
+
+  /**
+   * @returns {import('./worker').CheckpointState} the saved state, lastBlock being startBlock - 1 if none
+   */
+  load() {
+    if (!fs.existsSync(this.file)) {
+      return { lastBlock: this.startBlock - 1 };
+    }
+    return JSON.parse(fs.readFileSync(this.file, "utf8"));
+  }
+
+  /**
+   * @param {import('./worker').CheckpointState} state
+   */
+  save(state) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    // write then rename so a crash never leaves a truncated checkpoint behind
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2) + "\n");
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+/**
+ * Keeps the checkpoint in memory, useful for tests.
+ */
+class MemoryCheckpoint {
+  constructor(startBlock = 0) {
+    this.state = { lastBlock: startBlock - 1 };
+  }
+
+  load() {
+    return { ...this.state };
+  }
+
+  save(state) {
+    this.state = { ...state };
+  }
+}
+
+module.exports = {
+  FileCheckpoint,
+  MemoryCheckpoint,
+};
@@ -0,0 +1,13 @@
+// Reference off-chain fulfiller for the Bando Fulfillment Protocol.
+const { FulfillerWorker } = require("./worker");
+const { FileCheckpoint, MemoryCheckpoint } = require("./checkpoint");
+const { MockProviderAdapter } = require("./adapters/mock");
+const { withRetry } = require("./retry");
+
+module.exports = {
+  FulfillerWorker,
+  FileCheckpoint,
+  MemoryCheckpoint,
+  MockProviderAdapter,
+  withRetry,
+};
@@ -0,0 +1,34 @@
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Runs fn until it succeeds, waiting an exponentially growing delay between attempts.
+ * @param {function(number): Promise<any>} fn receives the attempt number, starting at 1
+ * @param {object} [opts]
+ * @param {number} [opts.retries] attempts after the first one
+ * @param {number} [opts.minDelay] delay before the first retry in ms
+ * @param {number} [opts.maxDelay] upper bound for the delay in ms
+ * @param {number} [opts.factor] delay multiplier per attempt
+ * @param {function(Error, number): void} [opts.onRetry] called before every retry
+ */
+async function withRetry(fn, { retries = 5, minDelay = 500, maxDelay = 30000, factor = 2, onRetry } = {}) {
+  let delay = minDelay;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt > retries) {
+        throw error;
+      }
+      if (onRetry) {
+        onRetry(error, attempt);
+      }
+      await sleep(delay);
+      delay = Math.min(delay * factor, maxDelay);
+    }
+  }
+}
+
+module.exports = {
+  sleep,
+  withRetry,
+};
@@ -0,0 +1,354 @@
+const { FulFillmentResultState } = require("../sdk/constants");
+const { decodeError } = require("../sdk/errors");
+const { withRetry, sleep } = require("./retry");
+
+// reason reported by the manager for failures without revert data, e.g. running out of gas
+const TRANSIENT_REASON = "Fulfillment registration failed";
+
+/**
+ * A provider adapter performs the real-world service for a deposit.
+ * It must be idempotent for a given record id: the worker may call it again
+ * for the same record after a crash or a failed registration.
+ *
+ * @typedef {object} ProviderAdapter
+ * @property {function(FulfillmentTask): Promise<AdapterResult>} fulfill
+ *
+ * @typedef {object} FulfillmentTask
+ * @property {'native'|'erc20'} kind the escrow the deposit was made to
+ * @property {bigint} serviceID
+ * @property {string} serviceRef
+ * @property {object} record the FulFillmentRecord (or ERC20FulFillmentRecord) emitted on deposit
+ *
+ * @typedef {object} AdapterResult
+ * @property {'SUCCESS'|'PARTIAL'|'FAILED'} status
+ * @property {string} externalID the provider's proof of fulfillment
+ * @property {string} receiptURI the provider's receipt
+ * @property {bigint|number|string} [fulfilledAmount] the part of the record amount delivered, for PARTIAL results
+ *
+ * @typedef {object} CheckpointState
+ * @property {number} lastBlock the last fully processed block
+ * @property {DeadLetter[]} [deadLetters] the records the manager rejected, skipped by the worker
+ *
+ * @typedef {object} DeadLetter
+ * @property {'native'|'erc20'} kind
+ * @property {string} id the record id
+ * @property {string} serviceID
+ * @property {string} reason the decoded revert reason
+ */
+
+/**
+ * Consumes DepositReceived / ERC20DepositReceived events and settles them through
+ * BandoFulfillmentManagerV1 with the result returned by the provider adapter.
+ *
+ * Deposits are settled for the service id stored in their record. Records created before
+ * they stored it have a zero service id, and are matched to the router's
+ * ServiceRequested / ERC20ServiceRequested event emitted in the same transaction.
+ *
+ * Results are registered in batches through registerFulfillments / registerERC20Fulfillments,
+ * one transaction per escrow and block range (up to registerBatchSize results each).
+ *
+ * Items the manager rejects with a revert reason are dead-lettered: they are logged, stored in
+ * the checkpoint and skipped from then on, so one bad record never holds the checkpoint back.
+ * Only the reason reported for failures without revert data, e.g. running out of gas, is retried.
+ */
+class FulfillerWorker {
+  /**
+   * @param {object} opts
+   * @param {import('ethers').Contract} opts.router BandoRouterV1
+   * @param {import('ethers').Contract} opts.escrow BandoFulfillableV1
+   * @param {import('ethers').Contract} opts.erc20Escrow BandoERC20FulfillableV1
+   * @param {import('ethers').Contract} opts.manager BandoFulfillmentManagerV1, connected to the fulfiller signer
+   * @param {ProviderAdapter} opts.adapter
+   * @param {{load: function(): CheckpointState, save: function(CheckpointState): void}} opts.checkpoint
+   * @param {string} [opts.fulfiller] only settle records assigned to this fulfiller address
+   * @param {number} [opts.confirmations] blocks to wait before processing a deposit
+   * @param {number} [opts.batchSize] max blocks queried per request
+   * @param {number} [opts.registerBatchSize] max results registered per transaction
+   * @param {number} [opts.pollInterval] ms between polls when started
+   * @param {object} [opts.retry] withRetry options
+   * @param {function} [opts.log]
+   */
+  constructor({
+    router,
+    escrow,
+    erc20Escrow,
+    manager,
+    adapter,
+    checkpoint,
+    fulfiller,
+    confirmations = 0,
+    batchSize = 2000,
+    registerBatchSize = 50,
+    pollInterval = 5000,
+    retry = {},
+    log = console.log,
+  }) {
+    this.router = router;
+    this.escrows = { native: escrow, erc20: erc20Escrow };
+    this.manager = manager;
+    this.adapter = adapter;
+    this.checkpoint = checkpoint;
+    this.fulfiller = fulfiller ? fulfiller.toLowerCase() : null;
+    this.confirmations = confirmations;
+    this.batchSize = batchSize;
+    this.registerBatchSize = registerBatchSize;
+    this.pollInterval = pollInterval;
+    this.retry = retry;
+    this.log = log;
+    this.running = false;
+    this.deadLetters = new Map();
+  }
+
+  /**
+   * Processes every confirmed block since the checkpoint.
+   * The checkpoint only advances once all deposits of a block range are settled or dead-lettered.
+   * @returns {Promise<number>} the number of records settled
+   */
+  async poll() {
+    const provider = this.router.runner.provider;
+    const latest = (await provider.getBlockNumber()) - this.confirmations;
+    const state = this.checkpoint.load();
+    let lastBlock = state.lastBlock;
+    this.deadLetters = new Map((state.deadLetters || []).map((letter) => [`${letter.kind}:${letter.id}`, letter]));
+    let settled = 0;
+    while (lastBlock < latest) {
+      const from = lastBlock + 1;
+      const to = Math.min(from + this.batchSize - 1, latest);
+      const deposits = await withRetry(() => this.collect(from, to), this.retryOptions("query"));
+      settled += await this.settle(deposits);
+      lastBlock = to;
+      this.checkpoint.save({ lastBlock, deadLetters: [...this.deadLetters.values()] });
+    }
+    return settled;
+  }
+
+  /**
+   * Collects the deposits made in a block range, with their service ids.
+   * @param {number} from
+   * @param {number} to
+   * @returns {Promise<FulfillmentTask[]>}
+   */
+  async collect(from, to) {
+    const sources = [
+      ["native", this.router.filters.ServiceRequested(), this.escrows.native.filters.DepositReceived()],
+      ["erc20", this.router.filters.ERC20ServiceRequested(), this.escrows.erc20.filters.ERC20DepositReceived()],
+    ];
+    const tasks = [];
+    for (const [kind, requestFilter, depositFilter] of sources) {
+      const deposits = await this.escrows[kind].queryFilter(depositFilter, from, to);
+      // serviceIDs requested in each transaction, in log order, only needed for legacy records
+      const serviceIDs = new Map();
+      if (deposits.some((log) => log.args.record.serviceID === 0n)) {
+        for (const log of await this.router.queryFilter(requestFilter, from, to)) {
+          const ids = serviceIDs.get(log.transactionHash) || [];
+          ids.push(log.args.serviceID);
+          serviceIDs.set(log.transactionHash, ids);
+        }
+      }
+      for (const log of deposits) {
+        const record = log.args.record;
+        let serviceID = record.serviceID;
+        if (serviceID === 0n) {
+          const ids = serviceIDs.get(log.transactionHash) || [];
+          if (ids.length === 0) {
+            this.log(`Skipping ${kind} record ${record.id}: no service id stored nor requested in ${log.transactionHash}`);
+            continue;
+          }
+          serviceID = ids.shift();
+        }
+        if (this.fulfiller && record.fulfiller.toLowerCase() !== this.fulfiller) {
+          continue;
+        }
+        tasks.push({
+          kind,
+          serviceID,
+          serviceRef: record.serviceRef,
+          record,
+          blockNumber: log.blockNumber,
+          logIndex: log.index,
+        });
+      }
+    }
+    return tasks.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  }
+
+  /**
+   * Runs the provider adapter for each deposit and registers the results in batches.
+   * Records that are no longer PENDING are skipped, which makes re-processing safe.
+   * @param {FulfillmentTask[]} tasks
+   * @returns {Promise<number>} the number of results registered
+   */
+  async settle(tasks) {
+    const batches = { native: [], erc20: [] };
+    for (const task of tasks) {
+      const fulfillment = await this.fulfill(task);
+      if (fulfillment) {
+        batches[task.kind].push({ task, fulfillment });
+      }
+    }
+    let settled = 0;
+    for (const [kind, items] of Object.entries(batches)) {
+      for (let i = 0; i < items.length; i += this.registerBatchSize) {
+        settled += await this.register(kind, items.slice(i, i + this.registerBatchSize));
+      }
+    }
+    return settled;
+  }
+
+  /**
+   * Runs the provider adapter for a deposit.
+   * @param {FulfillmentTask} task
+   * @returns {Promise<object|null>} the FulFillmentResult, null if the record is no longer PENDING or dead-lettered
+   */
+  async fulfill(task) {
+    const id = task.record.id;
+    if (this.isDeadLettered(task) || !(await this.isPending(task))) {
+      return null;
+    }
+    const result = await withRetry(() => this.adapter.fulfill(task), this.retryOptions(`fulfill ${task.kind} record ${id}`));
+    return {
+      id,
+      externalID: result.externalID || "",
+      receiptURI: result.receiptURI || "",
+      status: this.toState(result.status),
+      fulfilledAmount: BigInt(result.fulfilledAmount || 0),
+    };
+  }
+
+  /**
+   * Registers a batch of results in one transaction.
+   * Items rejected by the escrow are logged and left PENDING, they do not fail the batch on-chain.
+   * Rejections with a revert reason are dead-lettered, the others are retried and fail the
+   * registration once the retries are exhausted, so that the checkpoint does not move past them.
+   * @param {'native'|'erc20'} kind
+   * @param {Array<{task: FulfillmentTask, fulfillment: object}>} items
+   * @returns {Promise<number>} the number of results registered
+   */
+  async register(kind, items) {
+    let registered = 0;
+    await withRetry(async () => {
+      // a previous attempt may have been mined even though it reported a failure
+      const pending = [];
+      for (const item of items) {
+        if (!this.isDeadLettered(item.task) && (await this.isPending(item.task))) {
+          pending.push(item);
+        }
+      }
+      if (pending.length === 0) {
+        return;
+      }
+      const batch = pending.map(({ task, fulfillment }) => ({ serviceID: task.serviceID, fulfillment }));
+      const tx = kind === "erc20"
+        ? await this.manager.registerERC20Fulfillments(batch)
+        : await this.manager.registerFulfillments(batch);
+      const receipt = await tx.wait();
+      const failed = new Set();
+      let transient = 0;
+      for (const log of receipt.logs) {
+        const event = this.manager.interface.parseLog(log);
+        if (event && event.name === "FulfillmentRegistrationFailed") {
+          const { id, serviceID } = event.args;
+          failed.add(id);
+          const reason = decodeError({ data: event.args.reason }, this.manager.interface).message;
+          this.log(`Failed to register ${kind} record ${id} for service ${serviceID}: ${reason}`);
+          if (reason === TRANSIENT_REASON) {
+            transient++;
+          } else {
+            this.deadLetter({ kind, id, serviceID, reason });
+          }
+        }
+      }
+      for (const { task, fulfillment } of pending) {
+        if (!failed.has(fulfillment.id)) {
+          const status = Object.keys(FulFillmentResultState).find((name) => FulFillmentResultState[name] === fulfillment.status);
+          this.log(`Registered ${kind} record ${fulfillment.id} for service ${task.serviceID} as ${status} (${tx.hash})`);
+        }
+      }
+      registered += pending.length - failed.size;
+      if (transient > 0) {
+        throw new Error(`The manager failed to register ${transient} ${kind} records`);
+      }
+    }, this.retryOptions(`register ${items.length} ${kind} records`));
+    return registered;
+  }
+
+  /**
+   * @param {FulfillmentTask} task
+   */
+  async isPending(task) {
+    const record = await this.escrows[task.kind].record(task.record.id);
+    return Number(record.status) === FulFillmentResultState.PENDING;
+  }
+
+  /**
+   * Stores a record the manager rejected, it is skipped until removed from the checkpoint.
+   * @param {{kind: string, id: bigint, serviceID: bigint, reason: string}} letter
+   */
+  deadLetter({ kind, id, serviceID, reason }) {
+    this.log(`Dead-lettering ${kind} record ${id}`);
+    this.deadLetters.set(`${kind}:${id}`, { kind, id: id.toString(), serviceID: serviceID.toString(), reason });
+  }
+
+  /**
+   * @param {FulfillmentTask} task
+   */
+  isDeadLettered(task) {
+    return this.deadLetters.has(`${task.kind}:${task.record.id}`);
+  }
+
+  /**
+   * Maps an adapter status to the FulFillmentResultState enum.
+   * @param {string|number} status
+   */
+  toState(status) {
+    const state = typeof status === "string" ? FulFillmentResultState[status.toUpperCase()] : status;
+    const settled = [FulFillmentResultState.SUCCESS, FulFillmentResultState.PARTIAL, FulFillmentResultState.FAILED];
+    if (!settled.includes(state)) {
+      throw new Error(`Unexpected adapter status ${status}`);
+    }
+    return state;
+  }
+
+  retryOptions(action) {
+    return {
+      ...this.retry,
+      onRetry: (error, attempt) => this.log(`Retrying ${action} (attempt ${attempt}): ${error.message}`),
+    };
+  }
+
+  /**
+   * Polls until stop() is called. Errors are logged and the next poll retries
+   * from the last checkpoint.
+   */
+  start() {
+    if (this.running) {
+      return this.loop;
+    }
+    this.running = true;
+    this.loop = (async () => {
+      while (this.running) {
+        try {
+          await this.poll();
+        } catch (error) {
+          this.log(`Poll failed: ${error.message}`);
+        }
+        if (this.running) {
+          await sleep(this.pollInterval);
+        }
+      }
+    })();
+    return this.loop;
+  }
+
+  /**
+   * Stops polling and waits for the current poll to finish.
+   */
+  async stop() {
+    this.running = false;
+    await this.loop;
+  }
+}
+
+module.exports = {
+  FulfillerWorker,
+};
@@ -1,8 +1,13 @@
 require("@nomicfoundation/hardhat-toolbox");
 require('@openzeppelin/hardhat-upgrades');
 require("@nomicfoundation/hardhat-foundry");
+require("./tasks");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.20",
+  solidity: {
+    version: "0.8.20",
+    // the manager and the ERC20 escrow exceed the 24KB contract size limit without it
+    settings: { optimizer: { enabled: true, runs: 200 } },
+  },
 };
@@ -0,0 +1,9 @@
+// Rebuilds the Bando fulfillment history into a local SQLite database.
+const { FulfillmentIndexer } = require("./indexer");
+const { SCHEMA, migrate } = require("./schema");
+
+module.exports = {
+  FulfillmentIndexer,
+  SCHEMA,
+  migrate,
+};
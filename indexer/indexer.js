@@ -0,0 +1,392 @@
+const Database = require("better-sqlite3");
+const { Interface } = require("ethers");
+const { FulFillmentResultState } = require("../sdk/constants");
+const { decodeCurrency } = require("../sdk/currencies");
+const { migrate } = require("./schema");
+
+/// Number of block hashes kept to look for a common ancestor after a reorg.
+const BLOCK_HISTORY = 256;
+
+/// Number of records read per escrow call when refreshing PENDING records.
+const RECORDS_PER_CALL = 100;
+
+const REQUEST_EVENTS = ["ServiceRequested", "ERC20ServiceRequested"];
+const DEPOSIT_EVENTS = { DepositReceived: "native", ERC20DepositReceived: "erc20" };
+const DISPUTE_EVENTS = { DisputeOpened: "native", ERC20DisputeOpened: "erc20" };
+const RESOLUTION_EVENTS = { DisputeResolved: "native", ERC20DisputeResolved: "erc20" };
+
+/// Statuses the escrows can still change, re-read after every sync.
+const OPEN_STATUSES = [FulFillmentResultState.PENDING, FulFillmentResultState.DISPUTED];
+
+/// Request and deposit events emitted before requests carried a fiat currency,
+/// deposit events emitted before records stored their service id,
+/// and deposit events emitted before records carried a fulfilled amount.
+/// Their struct tuples differ, so they have other topics than the current events.
+const LEGACY_INTERFACE = new Interface([
+  "event DepositReceived(tuple(uint256 id, string serviceRef, address fulfiller, string externalID, address payer, uint256 weiAmount, uint256 feeAmount, uint256 fiatAmount, uint256 entryTime, string receiptURI, uint8 status) record)",
+  "event ERC20DepositReceived(tuple(uint256 id, string serviceRef, address fulfiller, address token, string externalID, address payer, uint256 tokenAmount, uint256 feeAmount, uint256 fiatAmount, uint256 entryTime, string receiptURI, uint8 status) record)",
+  "event ServiceRequested(uint256 serviceID, tuple(address payer, uint256 weiAmount, uint256 fiatAmount, string serviceRef) request)",
+  "event ERC20ServiceRequested(uint256 serviceID, tuple(address payer, uint256 fiatAmount, string serviceRef, address token, uint256 tokenAmount) request)",
+  "event DepositReceived(tuple(uint256 id, string serviceRef, address fulfiller, string externalID, address payer, uint256 weiAmount, uint256 feeAmount, uint256 fiatAmount, uint256 entryTime, string receiptURI, uint8 status, uint256 serviceID) record)",
+  "event ERC20DepositReceived(tuple(uint256 id, string serviceRef, address fulfiller, address token, string externalID, address payer, uint256 tokenAmount, uint256 feeAmount, uint256 fiatAmount, uint256 entryTime, string receiptURI, uint8 status, uint256 serviceID) record)",
+  "event DepositReceived(tuple(uint256 id, string serviceRef, address fulfiller, string externalID, address payer, uint256 weiAmount, uint256 feeAmount, uint256 fiatAmount, uint256 entryTime, string receiptURI, uint8 status, uint256 serviceID, bytes3 fiatCurrency, uint8 fiatDecimals) record)",
+  "event ERC20DepositReceived(tuple(uint256 id, string serviceRef, address fulfiller, address token, string externalID, address payer, uint256 tokenAmount, uint256 feeAmount, uint256 fiatAmount, uint256 entryTime, string receiptURI, uint8 status, uint256 serviceID, bytes3 fiatCurrency, uint8 fiatDecimals) record)",
+]);
+
+/**
+ * Rebuilds the fulfillment history of the router and both escrows into SQLite.
+ *
+ * Records are created from DepositReceived / ERC20DepositReceived with the service id
+ * they store. Deposits of records created before they stored it are matched with the
+ * router request emitted in the same transaction to know their service id.
+ * Registering a fulfillment does not emit an event, so PENDING records are re-read
+ * from the escrows after every sync. DISPUTED records are re-read too, to pick up
+ * the arbiter's resolution.
+ */
+class FulfillmentIndexer {
+  /**
+   * @param {object} opts
+   * @param {string|Database.Database} opts.db a better-sqlite3 database or a file path
+   * @param {import('ethers').Contract} opts.router BandoRouterV1
+   * @param {import('ethers').Contract} opts.escrow BandoFulfillableV1
+   * @param {import('ethers').Contract} opts.erc20Escrow BandoERC20FulfillableV1
+   * @param {number} [opts.startBlock] first block to index
+   * @param {number} [opts.confirmations] blocks behind the head to stay at
+   * @param {number} [opts.batchSize] max blocks per getLogs request
+   * @param {function} [opts.log]
+   */
+  constructor({ db, router, escrow, erc20Escrow, startBlock = 0, confirmations = 0, batchSize = 2000, log = () => {} }) {
+    this.db = typeof db === "string" ? new Database(db) : db;
+    migrate(this.db);
+    this.router = router;
+    this.escrows = { native: escrow, erc20: erc20Escrow };
+    this.provider = router.runner.provider;
+    this.startBlock = startBlock;
+    this.confirmations = confirmations;
+    this.batchSize = batchSize;
+    this.log = log;
+  }
+
+  /**
+   * @returns {number} the last indexed block
+   */
+  get lastBlock() {
+    const row = this.db.prepare("SELECT value FROM meta WHERE key = 'lastBlock'").get();
+    return row ? Number(row.value) : this.startBlock - 1;
+  }
+
+  set lastBlock(number) {
+    this.db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES ('lastBlock', ?)").run(String(number));
+  }
+
+  /**
+   * Indexes every block up to the confirmed head and refreshes pending records.
+   * @returns {Promise<number>} the last indexed block
+   */
+  async sync() {
+    await this.handleReorg();
+    const head = (await this.provider.getBlockNumber()) - this.confirmations;
+    let last = this.lastBlock;
+    while (last < head) {
+      const from = last + 1;
+      const to = Math.min(from + this.batchSize - 1, head);
+      const logs = await this.fetchLogs(from, to);
+      const block = await this.provider.getBlock(to);
+      this.db.transaction(() => {
+        this.applyLogs(logs, to);
+        this.saveBlock(block.number, block.hash);
+        this.lastBlock = to;
+      })();
+      last = to;
+    }
+    await this.refreshPending(last);
+    return last;
+  }
+
+  /**
+   * Fetches and decodes the protocol logs of a block range, sorted by position.
+   */
+  async fetchLogs(from, to) {
+    const contracts = [this.router, this.escrows.native, this.escrows.erc20];
+    const addresses = await Promise.all(contracts.map((c) => c.getAddress()));
+    const raw = await this.provider.getLogs({ address: addresses, fromBlock: from, toBlock: to });
+    const logs = [];
+    for (const log of raw) {
+      const contract = contracts[addresses.findIndex((a) => a.toLowerCase() === log.address.toLowerCase())];
+      const parsed = contract.interface.parseLog(log) || LEGACY_INTERFACE.parseLog(log);
+      if (parsed) {
+        logs.push({ ...parsed, log });
+      }
+    }
+    return logs.sort((a, b) => a.log.blockNumber - b.log.blockNumber || a.log.index - b.log.index);
+  }
+
+  /**
+   * Writes decoded logs to the database. Must run inside a transaction.
+   * @param {object[]} logs
+   * @param {number} head the block the logs were fetched up to
+   */
+  applyLogs(logs, head) {
+    // The router emits its request event after the escrow deposit,
+    // so service ids are collected per transaction first, for deposits of legacy records.
+    const serviceIDs = new Map();
+    for (const { name, args, log } of logs) {
+      if (REQUEST_EVENTS.includes(name)) {
+        const key = `${name === "ServiceRequested" ? "native" : "erc20"}:${log.transactionHash}`;
+        serviceIDs.set(key, [...(serviceIDs.get(key) || []), args.serviceID.toString()]);
+      }
+    }
+    const insertRecord = this.db.prepare(`
+      INSERT OR REPLACE INTO records (kind, id, service_id, payer, fulfiller, service_ref, token, amount,
+        fee_amount, fiat_amount, fiat_currency, fiat_decimals, entry_time, status, external_id, receipt_uri,
+        block_number, tx_hash, updated_block)
+      VALUES (@kind, @id, @serviceID, @payer, @fulfiller, @serviceRef, @token, @amount,
+        @feeAmount, @fiatAmount, @fiatCurrency, @fiatDecimals, @entryTime, @status, @externalID, @receiptURI,
+        @blockNumber, @txHash, @blockNumber)
+    `);
+    const insertEvent = this.db.prepare(`
+      INSERT OR REPLACE INTO events (block_number, log_index, tx_hash, name, payer, service_id, record_id, token, amount)
+      VALUES (@blockNumber, @logIndex, @txHash, @name, @payer, @serviceID, @recordID, @token, @amount)
+    `);
+    const markDisputed = this.db.prepare(
+      "UPDATE records SET status = @status, updated_block = @blockNumber WHERE kind = @kind AND id = @id"
+    );
+    for (const { name, args, log } of logs) {
+      const event = {
+        blockNumber: log.blockNumber,
+        logIndex: log.index,
+        txHash: log.transactionHash,
+        name,
+        payer: null,
+        serviceID: null,
+        recordID: null,
+        token: null,
+        amount: null,
+      };
+      if (REQUEST_EVENTS.includes(name)) {
+        const request = args.request;
+        event.payer = request.payer.toLowerCase();
+        event.serviceID = args.serviceID.toString();
+        event.amount = (name === "ServiceRequested" ? request.weiAmount : request.tokenAmount).toString();
+        event.token = name === "ServiceRequested" ? null : request.token.toLowerCase();
+      } else if (DEPOSIT_EVENTS[name]) {
+        const kind = DEPOSIT_EVENTS[name];
+        const record = args.record;
+        let serviceID = record.serviceID !== undefined && record.serviceID > 0n ? record.serviceID.toString() : null;
+        if (serviceID === null) {
+          const ids = serviceIDs.get(`${kind}:${log.transactionHash}`) || [];
+          serviceID = ids.length > 0 ? ids.shift() : null;
+        }
+        // deposits made before requests carried a currency have none
+        const priced = record.fiatCurrency !== undefined && record.fiatCurrency !== "0x000000";
+        insertRecord.run({
+          kind,
+          id: record.id.toString(),
+          serviceID,
+          payer: record.payer.toLowerCase(),
+          fulfiller: record.fulfiller.toLowerCase(),
+          serviceRef: record.serviceRef,
+          token: kind === "erc20" ? record.token.toLowerCase() : null,
+          amount: (kind === "erc20" ? record.tokenAmount : record.weiAmount).toString(),
+          feeAmount: record.feeAmount.toString(),
+          fiatAmount: record.fiatAmount.toString(),
+          fiatCurrency: priced ? decodeCurrency(record.fiatCurrency) : "",
+          fiatDecimals: priced ? Number(record.fiatDecimals) : null,
+          entryTime: Number(record.entryTime),
+          status: Number(record.status),
+          externalID: record.externalID,
+          receiptURI: record.receiptURI,
+          blockNumber: log.blockNumber,
+          txHash: log.transactionHash,
+        });
+        Object.assign(event, {
+          payer: record.payer.toLowerCase(),
+          serviceID,
+          recordID: record.id.toString(),
+          token: kind === "erc20" ? record.token.toLowerCase() : null,
+          amount: (kind === "erc20" ? record.tokenAmount : record.weiAmount).toString(),
+        });
+      } else if (DISPUTE_EVENTS[name] || RESOLUTION_EVENTS[name]) {
+        const kind = DISPUTE_EVENTS[name] || RESOLUTION_EVENTS[name];
+        if (DISPUTE_EVENTS[name]) {
+          markDisputed.run({ kind, id: args.id.toString(), status: FulFillmentResultState.DISPUTED, blockNumber: log.blockNumber });
+        }
+        Object.assign(event, {
+          payer: args.payer !== undefined ? args.payer.toLowerCase() : null,
+          recordID: args.id.toString(),
+          token: kind === "erc20" ? args.token.toLowerCase() : null,
+          amount: (kind === "erc20" ? args.amount : args.weiAmount).toString(),
+        });
+      } else if (name === "ERC20RefundWithdrawn") {
+        Object.assign(event, { payer: args.payee.toLowerCase(), token: args.token.toLowerCase(), amount: args.weiAmount.toString() });
+      } else if (args.payee !== undefined) {
+        // RefundAuthorized, RefundWithdrawn and ERC20RefundAuthorized
+        Object.assign(event, { payer: args.payee.toLowerCase(), amount: args.weiAmount.toString() });
+      } else {
+        continue;
+      }
+      insertEvent.run(event);
+      this.saveBlock(log.blockNumber, log.blockHash);
+    }
+    this.log(`Indexed ${logs.length} log(s) up to block ${head}`);
+  }
+
+  saveBlock(number, hash) {
+    this.db.prepare("INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)").run(number, hash);
+    this.db.prepare("DELETE FROM blocks WHERE number < ?").run(number - BLOCK_HISTORY);
+  }
+
+  /**
+   * Rolls the database back to the most recent indexed block still on the canonical chain.
+   * @returns {Promise<number|null>} the common ancestor, null when no reorg happened
+   */
+  async handleReorg() {
+    const stored = this.db.prepare("SELECT number, hash FROM blocks ORDER BY number DESC").all();
+    if (stored.length === 0) {
+      return null;
+    }
+    let ancestor = this.startBlock - 1;
+    for (const [i, { number, hash }] of stored.entries()) {
+      const block = await this.provider.getBlock(number);
+      if (block && block.hash === hash) {
+        if (i === 0) {
+          return null;
+        }
+        ancestor = number;
+        break;
+      }
+    }
+    this.log(`Reorg detected, rolling back to block ${ancestor}`);
+    this.db.transaction(() => {
+      this.db.prepare("DELETE FROM records WHERE block_number > ?").run(ancestor);
+      this.db.prepare("DELETE FROM events WHERE block_number > ?").run(ancestor);
+      this.db.prepare("DELETE FROM blocks WHERE number > ?").run(ancestor);
+      // statuses observed after the ancestor may have been reorged away too
+      this.db.prepare("UPDATE records SET status = ?, fulfilled_amount = '0', updated_block = block_number WHERE updated_block > ?")
+        .run(FulFillmentResultState.PENDING, ancestor);
+      this.lastBlock = ancestor;
+    })();
+    return ancestor;
+  }
+
+  /**
+   * Re-reads PENDING and DISPUTED records from the escrows to pick up registered fulfillments
+   * and resolved disputes.
+   * @param {number} head the block the state is observed at
+   */
+  async refreshPending(head) {
+    const pending = this.db.prepare("SELECT kind, id, status FROM records WHERE status IN (?, ?)").all(...OPEN_STATUSES);
+    const update = this.db.prepare(`
+      UPDATE records SET status = @status, external_id = @externalID, receipt_uri = @receiptURI,
+        fulfilled_amount = @fulfilledAmount, updated_block = @head
+      WHERE kind = @kind AND id = @id
+    `);
+    for (const kind of Object.keys(this.escrows)) {
+      const rows = pending.filter((row) => row.kind === kind);
+      for (let i = 0; i < rows.length; i += RECORDS_PER_CALL) {
+        const batch = rows.slice(i, i + RECORDS_PER_CALL);
+        const records = await this.escrows[kind].records(batch.map((row) => row.id), { blockTag: head });
+        records.forEach((record, j) => {
+          const status = Number(record.status);
+          if (status !== batch[j].status) {
+            update.run({
+              kind,
+              id: batch[j].id,
+              status,
+              externalID: record.externalID,
+              receiptURI: record.receiptURI,
+              fulfilledAmount: record.fulfilledAmount.toString(),
+              head,
+            });
+          }
+        });
+      }
+    }
+  }
+
+  /**
+   * Queries indexed records. Every filter is optional.
+   * @param {object} [filters]
+   * @param {string} [filters.payer]
+   * @param {bigint|number|string} [filters.serviceID]
+   * @param {number} [filters.status] a FulFillmentResultState value
+   * @param {string} [filters.fiatCurrency] an ISO 4217 alphabetic code, e.g. "MXN"
+   * @param {'native'|'erc20'} [filters.kind]
+   * @param {number} [filters.from] min entryTime, in seconds
+   * @param {number} [filters.to] max entryTime, in seconds
+   * @param {number} [filters.limit]
+   * @param {number} [filters.offset]
+   * @returns {object[]} records ordered by entry time
+   */
+  queryRecords({ payer, serviceID, status, fiatCurrency, kind, from, to, limit = 100, offset = 0 } = {}) {
+    const where = [];
+    const params = {};
+    if (payer !== undefined) {
+      where.push("payer = @payer");
+      params.payer = payer.toLowerCase();
+    }
+    if (serviceID !== undefined) {
+      where.push("service_id = @serviceID");
+      params.serviceID = serviceID.toString();
+    }
+    if (status !== undefined) {
+      where.push("status = @status");
+      params.status = status;
+    }
+    if (fiatCurrency !== undefined) {
+      where.push("fiat_currency = @fiatCurrency");
+      params.fiatCurrency = fiatCurrency;
+    }
+    if (kind !== undefined) {
+      where.push("kind = @kind");
+      params.kind = kind;
+    }
+    if (from !== undefined) {
+      where.push("entry_time >= @from");
+      params.from = from;
+    }
+    if (to !== undefined) {
+      where.push("entry_time <= @to");
+      params.to = to;
+    }
+    const sql = `SELECT * FROM records ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+      ORDER BY entry_time, kind, CAST(id AS INTEGER) LIMIT @limit OFFSET @offset`;
+    return this.db.prepare(sql).all({ ...params, limit, offset });
+  }
+
+  recordsByPayer(payer, opts = {}) {
+    return this.queryRecords({ ...opts, payer });
+  }
+
+  recordsByService(serviceID, opts = {}) {
+    return this.queryRecords({ ...opts, serviceID });
+  }
+
+  recordsByStatus(status, opts = {}) {
+    return this.queryRecords({ ...opts, status });
+  }
+
+  recordsBetween(from, to, opts = {}) {
+    return this.queryRecords({ ...opts, from, to });
+  }
+
+  /**
+   * Refund authorizations and withdrawals for a payer.
+   * @param {string} payer
+   */
+  refundsOf(payer) {
+    return this.db.prepare(`
+      SELECT * FROM events WHERE payer = ? AND name IN
+        ('RefundAuthorized', 'RefundWithdrawn', 'ERC20RefundAuthorized', 'ERC20RefundWithdrawn')
+      ORDER BY block_number, log_index
+    `).all(payer.toLowerCase());
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = {
+  FulfillmentIndexer,
+};
@@ -0,0 +1,86 @@
+/// SQLite schema of the fulfillment indexer.
+/// uint256 values are stored as decimal strings to avoid precision loss.
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL
+);
+
+-- hashes of the indexed blocks, used to detect reorgs
+CREATE TABLE IF NOT EXISTS blocks (
+  number INTEGER PRIMARY KEY,
+  hash TEXT NOT NULL
+);
+
+-- one row per fulfillment record, kind is 'native' or 'erc20'
+CREATE TABLE IF NOT EXISTS records (
+  kind TEXT NOT NULL,
+  id TEXT NOT NULL,
+  service_id TEXT,
+  payer TEXT NOT NULL,
+  fulfiller TEXT NOT NULL,
+  service_ref TEXT NOT NULL,
+  token TEXT,
+  amount TEXT NOT NULL,
+  fee_amount TEXT NOT NULL,
+  fiat_amount TEXT NOT NULL,
+  -- ISO 4217 alphabetic code, '' for records deposited before requests carried a currency
+  fiat_currency TEXT NOT NULL DEFAULT '',
+  fiat_decimals INTEGER,
+  entry_time INTEGER NOT NULL,
+  status INTEGER NOT NULL,
+  -- part of amount delivered, set once the record is SUCCESS or PARTIAL
+  fulfilled_amount TEXT NOT NULL DEFAULT '0',
+  external_id TEXT NOT NULL DEFAULT '',
+  receipt_uri TEXT NOT NULL DEFAULT '',
+  block_number INTEGER NOT NULL,
+  tx_hash TEXT NOT NULL,
+  -- head block at which the status was last observed to change
+  updated_block INTEGER NOT NULL,
+  PRIMARY KEY (kind, id)
+);
+CREATE INDEX IF NOT EXISTS records_payer ON records (payer, entry_time);
+CREATE INDEX IF NOT EXISTS records_service ON records (service_id, entry_time);
+CREATE INDEX IF NOT EXISTS records_status ON records (status, entry_time);
+
+-- raw protocol events, including refunds which are not tied to a record id
+CREATE TABLE IF NOT EXISTS events (
+  block_number INTEGER NOT NULL,
+  log_index INTEGER NOT NULL,
+  tx_hash TEXT NOT NULL,
+  name TEXT NOT NULL,
+  payer TEXT,
+  service_id TEXT,
+  record_id TEXT,
+  token TEXT,
+  amount TEXT,
+  PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS events_payer ON events (payer, name);
+`;
+
+/// Columns added to tables of databases created by earlier versions, as [table, column, definition].
+const COLUMN_MIGRATIONS = [
+  ["records", "fiat_currency", "TEXT NOT NULL DEFAULT ''"],
+  ["records", "fiat_decimals", "INTEGER"],
+  ["records", "fulfilled_amount", "TEXT NOT NULL DEFAULT '0'"],
+];
+
+/**
+ * Creates the schema, adding the columns missing from databases created by earlier versions.
+ * @param {import('better-sqlite3').Database} db
+ */
+function migrate(db) {
+  db.exec(SCHEMA);
+  for (const [table, column, definition] of COLUMN_MIGRATIONS) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(({ name }) => name);
+    if (!columns.includes(column)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  }
+}
+
+module.exports = {
+  SCHEMA,
+  migrate,
+};
@@ -1,33 +1,122 @@
-// We require the Hardhat Runtime Environment explicitly here. This is optional
-// but useful for running the script in a standalone fashion through `node <script>`.
+// Deploys the whole Bando Fulfillment Protocol as UUPS proxies and wires it together.
 //
-// You can also run a script with `npx hardhat run <script>`. If you do that, Hardhat
-// will compile your contracts, add the Hardhat Runtime Environment's members to the
-// global scope, and execute the script.
+// Run it with `npx hardhat run scripts/deploy.js --network <network>`.
+// Proxy and implementation addresses are written to deployments/<chainId>.json.
+// Contracts already present in that manifest (and with code on-chain) are skipped,
+// so the script can be re-run safely to resume a partial deployment.
 const hre = require("hardhat");
+const { CONTRACTS, readManifest, writeManifest } = require("./utils/manifest");
 
-async function main() {
-  const currentTimestampInSeconds = Math.round(Date.now() / 1000);
-  const unlockTime = currentTimestampInSeconds + 60;
+/**
+ * Deploys a single contract behind a UUPS proxy, unless the manifest
+ * already points at a live proxy for it.
+ */
+async function deployProxy(name, manifest, log) {
+  const { ethers, upgrades } = hre;
+  const existing = manifest.contracts[name];
+  if (existing && (await ethers.provider.getCode(existing.proxy)) !== "0x") {
+    log(`${name} already deployed at ${existing.proxy}, skipping`);
+    return { contract: await ethers.getContractAt(name, existing.proxy), deployed: false };
+  }
+  const factory = await ethers.getContractFactory(name);
+  const contract = await upgrades.deployProxy(factory, [], { kind: "uups" });
+  await contract.waitForDeployment();
+  const proxy = await contract.getAddress();
+  const implementation = await upgrades.erc1967.getImplementationAddress(proxy);
+  manifest.contracts[name] = { proxy, implementation };
+  log(`${name} deployed to ${proxy} (implementation ${implementation})`);
+  return { contract, deployed: true };
+}
+
+/**
+ * Calls `setter(value)` on a contract unless `getter()` already returns value.
+ */
+async function wire(contract, name, getter, setter, value, log) {
+  const current = await contract[getter]();
+  if (current.toLowerCase() === value.toLowerCase()) {
+    return;
+  }
+  const tx = await contract[setter](value);
+  await tx.wait();
+  log(`${name}.${setter}(${value})`);
+}
 
-  const lockedAmount = hre.ethers.parseEther("0.001");
+/**
+ * Deploys every protocol contract and configures their cross references.
+ * @param {object} [opts]
+ * @param {string} [opts.dir] directory holding the deployment manifests
+ * @param {boolean} [opts.save] read and write the manifest, defaults to true
+ * @param {function} [opts.log] logger, defaults to console.log
+ * @returns {Promise<{manifest: object, contracts: Object<string, import('ethers').Contract>}>}
+ */
+async function deploySystem(opts = {}) {
+  const log = opts.log || console.log;
+  const save = opts.save !== false;
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const manifest = save ? readManifest(chainId, opts.dir) : { contracts: {} };
+  manifest.chainId = chainId.toString();
+  manifest.network = hre.network.name;
 
-  const lock = await hre.ethers.deployContract("Lock", [unlockTime], {
-    value: lockedAmount,
-  });
+  const contracts = {};
+  for (const name of CONTRACTS) {
+    const { contract, deployed } = await deployProxy(name, manifest, log);
+    contracts[name] = contract;
+    if (deployed && save) {
+      // persist after every deployment so a failure midway can be resumed
+      writeManifest(chainId, manifest, opts.dir);
+    }
+  }
+
+  const registry = await contracts.FulfillableRegistry.getAddress();
+  const tokenRegistry = await contracts.ERC20TokenRegistry.getAddress();
+  const priceOracle = await contracts.ChainlinkPriceOracle.getAddress();
+  const escrow = await contracts.BandoFulfillableV1.getAddress();
+  const erc20Escrow = await contracts.BandoERC20FulfillableV1.getAddress();
+  const manager = await contracts.BandoFulfillmentManagerV1.getAddress();
+  const router = await contracts.BandoRouterV1.getAddress();
 
-  await lock.waitForDeployment();
+  const wiring = [
+    ["FulfillableRegistry", "_manager", "setManager", manager],
+    ["BandoFulfillableV1", "_manager", "setManager", manager],
+    ["BandoFulfillableV1", "_router", "setRouter", router],
+    ["BandoFulfillableV1", "_fulfillableRegistry", "setFulfillableRegistry", registry],
+    ["BandoERC20FulfillableV1", "_manager", "setManager", manager],
+    ["BandoERC20FulfillableV1", "_router", "setRouter", router],
+    ["BandoERC20FulfillableV1", "_fulfillableRegistry", "setFulfillableRegistry", registry],
+    ["BandoFulfillmentManagerV1", "_serviceRegistry", "setServiceRegistry", registry],
+    ["BandoFulfillmentManagerV1", "_escrow", "setEscrow", escrow],
+    ["BandoFulfillmentManagerV1", "_erc20_escrow", "setERC20Escrow", erc20Escrow],
+    ["BandoRouterV1", "_fulfillableRegistry", "setFulfillableRegistry", registry],
+    ["BandoRouterV1", "_tokenRegistry", "setTokenRegistry", tokenRegistry],
+    ["BandoRouterV1", "_escrow", "setEscrow", escrow],
+    ["BandoRouterV1", "_erc20Escrow", "setERC20Escrow", erc20Escrow],
+    ["BandoRouterV1", "_priceOracle", "setPriceOracle", priceOracle],
+  ];
+  for (const [name, getter, setter, value] of wiring) {
+    await wire(contracts[name], name, getter, setter, value, log);
+  }
 
-  console.log(
-    `Lock with ${ethers.formatEther(
-      lockedAmount
-    )}ETH and unlock timestamp ${unlockTime} deployed to ${lock.target}`
-  );
+  if (save) {
+    const file = writeManifest(chainId, manifest, opts.dir);
+    log(`Deployment manifest written to ${file}`);
+  }
+  return { manifest, contracts };
+}
+
+async function main() {
+  await deploySystem();
 }
 
 // We recommend this pattern to be able to use async/await everywhere
 // and properly handle errors.
-main().catch((error) => {
-  console.error(error);
-  process.exitCode = 1;
-});
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  CONTRACTS,
+  deploySystem,
+};
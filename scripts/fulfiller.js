@@ -0,0 +1,36 @@
+// Runs the reference fulfiller worker against a deployed protocol.
+//
+// `npx hardhat run scripts/fulfiller.js --network <network>`
+//
+// The first signer is used as the fulfiller. The worker settles every deposit
+// for services assigned to it with the in-process mock adapter, so this is meant
+// for local networks; plug a real ProviderAdapter in for anything else.
+// FULFILLER_CHECKPOINT sets the checkpoint file (defaults to .fulfiller/<chainId>.json).
+const hre = require("hardhat");
+const path = require("path");
+const { loadDeployment } = require("./utils/manifest");
+const { FulfillerWorker, FileCheckpoint, MockProviderAdapter } = require("../fulfiller");
+
+async function main() {
+  const [signer] = await hre.ethers.getSigners();
+  const { manifest, contracts } = await loadDeployment(hre, { signer });
+  const checkpointFile = process.env.FULFILLER_CHECKPOINT
+    || path.join(__dirname, "..", ".fulfiller", `${manifest.chainId}.json`);
+  const worker = new FulfillerWorker({
+    router: contracts.BandoRouterV1,
+    escrow: contracts.BandoFulfillableV1,
+    erc20Escrow: contracts.BandoERC20FulfillableV1,
+    manager: contracts.BandoFulfillmentManagerV1,
+    adapter: new MockProviderAdapter(),
+    checkpoint: new FileCheckpoint(checkpointFile),
+    fulfiller: signer.address,
+  });
+  process.on("SIGINT", () => worker.stop());
+  console.log(`Fulfilling as ${signer.address}, checkpoint ${checkpointFile}`);
+  await worker.start();
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
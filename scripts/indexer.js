@@ -0,0 +1,39 @@
+// Indexes the fulfillment history of a deployed protocol into SQLite.
+//
+// `npx hardhat run scripts/indexer.js --network <network>`
+//
+// INDEXER_DB sets the database file (defaults to .indexer/<chainId>.sqlite),
+// INDEXER_START_BLOCK the first block to index and INDEXER_INTERVAL the ms between syncs.
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { loadDeployment } = require("./utils/manifest");
+const { FulfillmentIndexer } = require("../indexer");
+
+async function main() {
+  const { manifest, contracts } = await loadDeployment(hre);
+  const dbFile = process.env.INDEXER_DB
+    || path.join(__dirname, "..", ".indexer", `${manifest.chainId}.sqlite`);
+  fs.mkdirSync(path.dirname(dbFile), { recursive: true });
+  const indexer = new FulfillmentIndexer({
+    db: dbFile,
+    router: contracts.BandoRouterV1,
+    escrow: contracts.BandoFulfillableV1,
+    erc20Escrow: contracts.BandoERC20FulfillableV1,
+    startBlock: Number(process.env.INDEXER_START_BLOCK || 0),
+    log: console.log,
+  });
+  const interval = Number(process.env.INDEXER_INTERVAL || 5000);
+  let running = true;
+  process.on("SIGINT", () => { running = false; });
+  while (running) {
+    await indexer.sync();
+    await new Promise((resolve) => setTimeout(resolve, interval));
+  }
+  indexer.close();
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,87 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+
+/**
+ * Upgradeable contracts of the protocol, in deployment order.
+ */
+const CONTRACTS = [
+  "FulfillableRegistry",
+  "ERC20TokenRegistry",
+  "ChainlinkPriceOracle",
+  "BandoFulfillableV1",
+  "BandoERC20FulfillableV1",
+  "BandoFulfillmentManagerV1",
+  "BandoRouterV1",
+];
+
+/**
+ * Resolves the manifest file for a given chain id.
+ * The directory can be overridden with the DEPLOYMENTS_DIR env var.
+ * @param {bigint|number|string} chainId
+ * @param {string} [dir]
+ * @returns {string} absolute path to the manifest
+ */
+function manifestPath(chainId, dir) {
+  const deploymentsDir = dir || process.env.DEPLOYMENTS_DIR || DEFAULT_DEPLOYMENTS_DIR;
+  return path.join(deploymentsDir, `${chainId.toString()}.json`);
+}
+
+/**
+ * Reads the deployment manifest for a chain.
+ * Returns an empty manifest when none has been written yet.
+ * @param {bigint|number|string} chainId
+ * @param {string} [dir]
+ */
+function readManifest(chainId, dir) {
+  const file = manifestPath(chainId, dir);
+  if (!fs.existsSync(file)) {
+    return { chainId: chainId.toString(), contracts: {} };
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Writes the deployment manifest for a chain.
+ * @param {bigint|number|string} chainId
+ * @param {object} manifest
+ * @param {string} [dir]
+ */
+function writeManifest(chainId, manifest, dir) {
+  const file = manifestPath(chainId, dir);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+  return file;
+}
+
+/**
+ * Loads the manifest for the network hre is connected to and attaches
+ * every deployed proxy to its contract factory.
+ * @param {import('hardhat/types').HardhatRuntimeEnvironment} hre
+ * @param {object} [opts]
+ * @param {string} [opts.dir] manifest directory
+ * @param {import('ethers').Signer} [opts.signer] signer to connect the contracts to
+ * @returns {Promise<{manifest: object, contracts: Object<string, import('ethers').Contract>}>}
+ */
+async function loadDeployment(hre, opts = {}) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const manifest = readManifest(chainId, opts.dir);
+  const names = Object.keys(manifest.contracts);
+  if (names.length === 0) {
+    throw new Error(`No deployment manifest found for chain ${chainId} at ${manifestPath(chainId, opts.dir)}`);
+  }
+  const contracts = {};
+  for (const name of names) {
+    contracts[name] = await hre.ethers.getContractAt(name, manifest.contracts[name].proxy, opts.signer);
+  }
+  return { manifest, contracts };
+}
+
+module.exports = {
+  CONTRACTS,
+  manifestPath,
+  readManifest,
+  writeManifest,
+  loadDeployment,
+};
@@ -0,0 +1,127 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_SNAPSHOT_DIR = path.join(__dirname, "..", "..", "storage-layout");
+
+/**
+ * Strips the AST ids solc appends to user defined types,
+ * e.g. t_struct(FulFillmentRecord)5176_storage -> t_struct(FulFillmentRecord)_storage,
+ * so layouts can be compared across compilations.
+ * @param {string} type
+ */
+function normalizeType(type) {
+  return type.replace(/(t_(?:struct|enum|contract|userDefinedValueType)\([^)]*\))\d+/g, "$1");
+}
+
+function normalizeSlot({ label, slot, offset, type }) {
+  return { label, slot, offset, type: normalizeType(type) };
+}
+
+/**
+ * Reads the storage layout of a compiled contract from its build info and
+ * normalizes it into a snapshot: the contract variables in slot order, plus
+ * the members of every struct and enum they use.
+ * @param {import('hardhat/types').HardhatRuntimeEnvironment} hre
+ * @param {string} name contract name
+ */
+async function readStorageLayout(hre, name) {
+  const { sourceName, contractName } = await hre.artifacts.readArtifact(name);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${sourceName}:${contractName}`);
+  const { storageLayout } = buildInfo.output.contracts[sourceName][contractName];
+  if (!storageLayout) {
+    throw new Error(`No storage layout in the build info of ${name}, is @openzeppelin/hardhat-upgrades loaded?`);
+  }
+  const types = {};
+  for (const [id, type] of Object.entries(storageLayout.types || {})) {
+    if (type.members) {
+      types[normalizeType(id)] = {
+        label: type.label,
+        numberOfBytes: type.numberOfBytes,
+        members: type.members.map((member) => (typeof member === "string" ? member : normalizeSlot(member))),
+      };
+    }
+  }
+  return {
+    contract: `${sourceName}:${contractName}`,
+    storage: storageLayout.storage.map(normalizeSlot),
+    types: Object.fromEntries(Object.entries(types).sort(([a], [b]) => a.localeCompare(b))),
+  };
+}
+
+const describeSlot = ({ label, slot, offset, type }) => `${label} (slot ${slot}, offset ${offset}, ${type})`;
+
+/**
+ * Compares two lists of storage slots. Entries may only be appended:
+ * every entry of the snapshot must be found at the same position with the
+ * same label, slot, offset and type.
+ */
+function compareSlots(where, snapshot, current, result) {
+  snapshot.forEach((expected, i) => {
+    const actual = current[i];
+    if (!actual) {
+      result.errors.push(`${where}: ${describeSlot(expected)} was removed`);
+    } else if (["label", "slot", "offset", "type"].some((key) => expected[key] !== actual[key])) {
+      result.errors.push(`${where}: ${describeSlot(expected)} became ${describeSlot(actual)}`);
+    }
+  });
+  for (const actual of current.slice(snapshot.length)) {
+    result.appended.push(`${where}: ${describeSlot(actual)}`);
+  }
+}
+
+/**
+ * Checks a storage layout against its snapshot.
+ * @returns {{errors: string[], appended: string[]}} errors are incompatible changes
+ * (reordered, retyped or removed variables and struct members), appended lists
+ * compatible additions not recorded in the snapshot yet.
+ */
+function compareLayouts(snapshot, current) {
+  const result = { errors: [], appended: [] };
+  compareSlots("storage", snapshot.storage, current.storage, result);
+  for (const [id, type] of Object.entries(snapshot.types)) {
+    const currentType = current.types[id];
+    // types no longer referenced by any variable can't collide
+    if (!currentType) {
+      continue;
+    }
+    if (typeof type.members[0] === "string") {
+      // enum: values may only be appended
+      compareSlots(id, type.members.map((label) => ({ label })), currentType.members.map((label) => ({ label })), result);
+    } else {
+      compareSlots(id, type.members, currentType.members, result);
+    }
+  }
+  return result;
+}
+
+/**
+ * @param {string} name contract name
+ * @param {string} [dir] defaults to storage-layout/ or the STORAGE_LAYOUT_DIR env var
+ */
+function snapshotPath(name, dir) {
+  return path.join(dir || process.env.STORAGE_LAYOUT_DIR || DEFAULT_SNAPSHOT_DIR, `${name}.json`);
+}
+
+/**
+ * Reads a storage layout snapshot, or returns null when none was recorded.
+ */
+function readSnapshot(name, dir) {
+  const file = snapshotPath(name, dir);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+}
+
+function writeSnapshot(name, layout, dir) {
+  const file = snapshotPath(name, dir);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(layout, null, 2) + "\n");
+  return file;
+}
+
+module.exports = {
+  normalizeType,
+  readStorageLayout,
+  compareLayouts,
+  snapshotPath,
+  readSnapshot,
+  writeSnapshot,
+};
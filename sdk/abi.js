@@ -0,0 +1,137 @@
+// Minimal human readable ABIs used by the SDK.
+// They only cover the parts of the protocol an integrator interacts with.
+
+const FULFILLMENT_REQUEST = "tuple(address payer, uint256 weiAmount, uint256 fiatAmount, string serviceRef, bytes3 fiatCurrency, uint8 fiatDecimals)";
+const ERC20_FULFILLMENT_REQUEST = "tuple(address payer, uint256 fiatAmount, string serviceRef, address token, uint256 tokenAmount, bytes3 fiatCurrency, uint8 fiatDecimals)";
+const SERVICE = "tuple(uint256 serviceId, address beneficiary, uint256 feeAmount, address fulfiller, uint256 feeBasisPoints, uint256 minFeeAmount, uint256 maxFeeAmount)";
+const TOKEN_METADATA = "tuple(uint256 minAmount, uint256 maxAmount, uint8 decimals, string symbol, bool disabled, bool serviceRestricted)";
+const LOCKED_RELEASE = "tuple(uint256 serviceID, uint256 amount, uint256 releaseTime)";
+const REF_RULE = "tuple(uint8 mode, string pattern, uint256 minLength, uint256 maxLength)";
+const FULFILLMENT_RECORD = "tuple(uint256 id, string serviceRef, address fulfiller, string externalID, address payer, uint256 weiAmount, uint256 feeAmount, uint256 fiatAmount, uint256 entryTime, string receiptURI, uint8 status, uint256 serviceID, bytes3 fiatCurrency, uint8 fiatDecimals, uint256 fulfilledAmount)";
+const ERC20_FULFILLMENT_RECORD = "tuple(uint256 id, string serviceRef, address fulfiller, address token, string externalID, address payer, uint256 tokenAmount, uint256 feeAmount, uint256 fiatAmount, uint256 entryTime, string receiptURI, uint8 status, uint256 serviceID, bytes3 fiatCurrency, uint8 fiatDecimals, uint256 fulfilledAmount)";
+
+/// FulfillmentRequestLib custom errors, surfaced by the router.
+const REQUEST_ERRORS = [
+  "error InsufficientAmount()",
+  "error InvalidFiatAmount()",
+  "error UnsupportedCurrency(uint256 serviceID, bytes3 currency, uint8 decimals)",
+  "error InvalidRef()",
+  "error OverflowError()",
+  "error AmountMismatch()",
+  "error UnsupportedToken(address token)",
+  "error TokenDisabled(address token)",
+  "error TokenNotAllowedForService(address token, uint256 serviceID)",
+  "error TokenAmountOutOfRange(address token, uint256 amount, uint256 minAmount, uint256 maxAmount)",
+  "error PriceFeedMissing(address token)",
+  "error StalePrice(address token)",
+  "error FiatAmountNotCovered(uint256 fiatAmount, uint256 paidFiatAmount)",
+];
+
+const ROUTER_ABI = [
+  ...REQUEST_ERRORS,
+  "error EnforcedPause()",
+  "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+  "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+  "error ERC2612ExpiredSignature(uint256 deadline)",
+  "error ERC2612InvalidSigner(address signer, address owner)",
+  "function _fulfillableRegistry() view returns (address)",
+  "function _tokenRegistry() view returns (address)",
+  "function _escrow() view returns (address)",
+  "function _erc20Escrow() view returns (address)",
+  "function _priceOracle() view returns (address)",
+  "function paused() view returns (bool)",
+  `function requestService(uint256 serviceID, ${FULFILLMENT_REQUEST} request) payable returns (bool)`,
+  `function requestERC20Service(uint256 serviceID, ${ERC20_FULFILLMENT_REQUEST} request) payable returns (bool)`,
+  `function requestERC20ServiceWithPermit(uint256 serviceID, ${ERC20_FULFILLMENT_REQUEST} request, uint256 permitAmount, uint256 deadline, uint8 v, bytes32 r, bytes32 s) returns (bool)`,
+  `event ServiceRequested(uint256 serviceID, ${FULFILLMENT_REQUEST} request)`,
+  `event ERC20ServiceRequested(uint256 serviceID, ${ERC20_FULFILLMENT_REQUEST} request)`,
+];
+
+const REGISTRY_ABI = [
+  `function getService(uint256 serviceId) view returns (${SERVICE})`,
+  "function isRefValid(uint256 serviceId, string serviceRef) view returns (bool)",
+  `function getServiceRefRule(uint256 serviceId) view returns (${REF_RULE})`,
+  "function getFulfillmentTimeout(uint256 serviceId) view returns (uint256)",
+  "function getDisputeWindow(uint256 serviceId) view returns (uint256)",
+  "function getServiceTokenFee(uint256 serviceId, address token) view returns (uint256)",
+  "function getServiceCount() view returns (uint256)",
+  `function getServices(uint256 offset, uint256 limit) view returns (${SERVICE}[])`,
+  "function getFulfillerServiceIds(address fulfiller, uint256 offset, uint256 limit) view returns (uint256[])",
+  "function getServiceRefCount(uint256 serviceId) view returns (uint256)",
+  "function getServiceRefs(uint256 serviceId, uint256 offset, uint256 limit) view returns (string[])",
+  "function getServiceCurrencies(uint256 serviceId) view returns (bytes3[] currencies, uint8[] decimals)",
+  "function isCurrencyAllowed(uint256 serviceId, bytes3 currency, uint8 decimals) view returns (bool)",
+];
+
+const ESCROW_ABI = [
+  "function recordsOf(address payer) view returns (uint256[])",
+  "function recordsOf(address payer, uint256 offset, uint256 limit) view returns (uint256[])",
+  "function recordCountOf(address payer) view returns (uint256)",
+  "function recordsOfWithStatus(address payer, uint8 status, uint256 offset, uint256 limit) view returns (uint256[] ids, uint256 next)",
+  "function recordsOfService(uint256 serviceID, uint256 offset, uint256 limit) view returns (uint256[])",
+  "function recordCountOfService(uint256 serviceID) view returns (uint256)",
+  "function recordsOfServiceWithStatus(uint256 serviceID, uint8 status, uint256 offset, uint256 limit) view returns (uint256[] ids, uint256 next)",
+  `function record(uint256 id) view returns (${FULFILLMENT_RECORD})`,
+  `function records(uint256[] ids) view returns (${FULFILLMENT_RECORD}[])`,
+  "function fulfillmentDeadline(uint256 id) view returns (uint256)",
+  "function expireFulfillment(uint256 id)",
+  "function expireLegacyFulfillment(uint256 id, uint256 serviceID)",
+  "event FulfillmentExpired(uint256 indexed id, address indexed payer, uint256 weiAmount)",
+  `function lockedReleaseOf(uint256 id) view returns (${LOCKED_RELEASE})`,
+  "function openDispute(uint256 id)",
+  "function releaseMatured(uint256[] ids)",
+  "event DisputeOpened(uint256 indexed id, address indexed payer, uint256 weiAmount)",
+];
+
+const ERC20_ESCROW_ABI = [
+  "function recordsOf(address payer) view returns (uint256[])",
+  "function recordsOf(address payer, uint256 offset, uint256 limit) view returns (uint256[])",
+  "function recordCountOf(address payer) view returns (uint256)",
+  "function recordsOfWithStatus(address payer, uint8 status, uint256 offset, uint256 limit) view returns (uint256[] ids, uint256 next)",
+  "function recordsOfService(uint256 serviceID, uint256 offset, uint256 limit) view returns (uint256[])",
+  "function recordCountOfService(uint256 serviceID) view returns (uint256)",
+  "function recordsOfServiceWithStatus(uint256 serviceID, uint8 status, uint256 offset, uint256 limit) view returns (uint256[] ids, uint256 next)",
+  `function record(uint256 id) view returns (${ERC20_FULFILLMENT_RECORD})`,
+  `function records(uint256[] ids) view returns (${ERC20_FULFILLMENT_RECORD}[])`,
+  "function fulfillmentDeadline(uint256 id) view returns (uint256)",
+  "function expireFulfillment(uint256 id)",
+  "function expireLegacyFulfillment(uint256 id, uint256 serviceID)",
+  "event ERC20FulfillmentExpired(uint256 indexed id, address indexed payer, address token, uint256 amount)",
+  `function lockedReleaseOf(uint256 id) view returns (${LOCKED_RELEASE})`,
+  "function openDispute(uint256 id)",
+  "function releaseMatured(uint256[] ids)",
+  "event ERC20DisputeOpened(uint256 indexed id, address indexed payer, address token, uint256 amount)",
+];
+
+const TOKEN_REGISTRY_ABI = [
+  "function isTokenWhitelisted(address token) view returns (bool)",
+  "function getTokenCount() view returns (uint256)",
+  "function getTokens(uint256 offset, uint256 limit) view returns (address[])",
+  `function getTokenMetadata(address token) view returns (${TOKEN_METADATA})`,
+  "function isTokenAllowedForService(address token, uint256 serviceId) view returns (bool)",
+];
+
+const ERC20_ABI = [
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function balanceOf(address account) view returns (uint256)",
+];
+
+/// EIP-2612 permit extension, with the optional EIP-5267 domain getter.
+const ERC20_PERMIT_ABI = [
+  "function name() view returns (string)",
+  "function nonces(address owner) view returns (uint256)",
+  "function DOMAIN_SEPARATOR() view returns (bytes32)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+];
+
+module.exports = {
+  REQUEST_ERRORS,
+  ROUTER_ABI,
+  REGISTRY_ABI,
+  ESCROW_ABI,
+  ERC20_ESCROW_ABI,
+  TOKEN_REGISTRY_ABI,
+  ERC20_ABI,
+  ERC20_PERMIT_ABI,
+};
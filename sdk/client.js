@@ -0,0 +1,652 @@
+const { Contract, Signature, TypedDataEncoder } = require("ethers");
+const {
+  ROUTER_ABI,
+  REGISTRY_ABI,
+  ESCROW_ABI,
+  ERC20_ESCROW_ABI,
+  TOKEN_REGISTRY_ABI,
+  ERC20_ABI,
+  ERC20_PERMIT_ABI,
+} = require("./abi");
+const { decodeError, ERROR_CLASSES, InvalidRefError } = require("./errors");
+const { RefValidationMode, matchesRefRule } = require("./refs");
+const { DEFAULT_FIAT_DECIMALS, encodeCurrency, decodeCurrency } = require("./currencies");
+const { FulFillmentResultState } = require("./constants");
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+/// Mirrors FulfillmentRequestLib.BASIS_POINTS
+const BASIS_POINTS = 10000n;
+
+/**
+ * Computes the fee a service charges on an amount, like FulfillmentRequestLib.computeFee:
+ * the flat feeAmount plus feeBasisPoints of the amount, with the basis-point part
+ * clamped between minFeeAmount and maxFeeAmount (0 means no cap).
+ * @param {{feeAmount: bigint, feeBasisPoints: bigint, minFeeAmount: bigint, maxFeeAmount: bigint}} service
+ * @param {bigint|number|string} amount
+ * @returns {bigint}
+ */
+function computeFee(service, amount) {
+  const feeBasisPoints = BigInt(service.feeBasisPoints || 0);
+  if (feeBasisPoints === 0n) {
+    return BigInt(service.feeAmount);
+  }
+  const minFeeAmount = BigInt(service.minFeeAmount || 0);
+  const maxFeeAmount = BigInt(service.maxFeeAmount || 0);
+  let variableFee = (BigInt(amount) * feeBasisPoints) / BASIS_POINTS;
+  if (variableFee < minFeeAmount) {
+    variableFee = minFeeAmount;
+  }
+  if (maxFeeAmount > 0n && variableFee > maxFeeAmount) {
+    variableFee = maxFeeAmount;
+  }
+  return BigInt(service.feeAmount) + variableFee;
+}
+
+/// Seconds a permit signed by the SDK stays valid
+const DEFAULT_PERMIT_TTL = 30 * 60;
+
+/// Items read per call when listing a whole paginated list
+const DEFAULT_PAGE_SIZE = 100;
+
+/**
+ * Reads a paginated registry list: a single page when limit is set,
+ * otherwise every item from offset, pageSize items per call.
+ * @param {function(bigint, bigint): Promise<Array>} fetchPage
+ * @param {{offset?: number|bigint, limit?: number|bigint, pageSize?: number}} opts
+ * @returns {Promise<Array>}
+ */
+async function readPages(fetchPage, { offset = 0, limit, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+  if (limit !== undefined) {
+    return [...(await fetchPage(BigInt(offset), BigInt(limit)))];
+  }
+  const items = [];
+  for (let start = BigInt(offset); ; start += BigInt(pageSize)) {
+    const page = await fetchPage(start, BigInt(pageSize));
+    items.push(...page);
+    if (page.length < pageSize) {
+      return items;
+    }
+  }
+}
+
+/**
+ * Reads a list filtered on-chain by scanning windows of at most limit items,
+ * each call returning the matches and the offset of the next window.
+ * A single window is scanned when limit is set, otherwise every item from offset, pageSize items per call.
+ * @param {function(bigint, bigint): Promise<{ids: Array, next: bigint}>} scanPage
+ * @param {{offset?: number|bigint, limit?: number|bigint, pageSize?: number}} opts
+ * @returns {Promise<Array>}
+ */
+async function readFilteredPages(scanPage, { offset = 0, limit, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+  if (limit !== undefined) {
+    return [...(await scanPage(BigInt(offset), BigInt(limit))).ids];
+  }
+  const items = [];
+  for (let start = BigInt(offset); ; ) {
+    const { ids, next } = await scanPage(start, BigInt(pageSize));
+    items.push(...ids);
+    if (next - start < BigInt(pageSize)) {
+      return items;
+    }
+    start = next;
+  }
+}
+
+/**
+ * Runs a contract call and rethrows contract errors as typed BandoErrors.
+ */
+async function withDecodedErrors(fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    throw decodeError(error);
+  }
+}
+
+/**
+ * Client for requesting services through BandoRouterV1.
+ *
+ * Usage:
+ *   const client = await BandoClient.connect(routerAddress, signer);
+ *   const { total } = await client.quote(serviceID, weiAmount);
+ *   await client.requestService({ serviceID, serviceRef, weiAmount, fiatAmount, fiatCurrency: "MXN" });
+ */
+class BandoClient {
+  /**
+   * @param {object} opts
+   * @param {string} opts.router the router address
+   * @param {string} opts.fulfillableRegistry the fulfillable registry address
+   * @param {string} [opts.tokenRegistry] the ERC20 token registry address
+   * @param {string} [opts.escrow] the native coin escrow address
+   * @param {string} [opts.erc20Escrow] the ERC20 escrow address
+   * @param {import('ethers').ContractRunner} opts.runner a signer (or a provider for read-only use)
+   */
+  constructor({ router, fulfillableRegistry, tokenRegistry, escrow, erc20Escrow, runner }) {
+    this.runner = runner;
+    this.router = new Contract(router, ROUTER_ABI, runner);
+    this.registry = new Contract(fulfillableRegistry, REGISTRY_ABI, runner);
+    this.tokenRegistry = tokenRegistry
+      ? new Contract(tokenRegistry, TOKEN_REGISTRY_ABI, runner)
+      : null;
+    this.permitDomains = new Map();
+    this.escrow = escrow ? new Contract(escrow, ESCROW_ABI, runner) : null;
+    this.erc20Escrow = erc20Escrow ? new Contract(erc20Escrow, ERC20_ESCROW_ABI, runner) : null;
+  }
+
+  /**
+   * Creates a client reading the registry and escrow addresses from the router.
+   * @param {string} routerAddress
+   * @param {import('ethers').ContractRunner} runner
+   * @returns {Promise<BandoClient>}
+   */
+  static async connect(routerAddress, runner) {
+    const router = new Contract(routerAddress, ROUTER_ABI, runner);
+    return new BandoClient({
+      router: routerAddress,
+      fulfillableRegistry: await router._fulfillableRegistry(),
+      tokenRegistry: await router._tokenRegistry(),
+      escrow: await router._escrow(),
+      erc20Escrow: await router._erc20Escrow(),
+      runner,
+    });
+  }
+
+  /**
+   * Returns the service as stored in the fulfillable registry.
+   * @param {bigint|number} serviceID
+   */
+  async getService(serviceID) {
+    return withDecodedErrors(() => this.registry.getService(serviceID));
+  }
+
+  /**
+   * Lists the registered services.
+   * Lists are paginated on-chain, pass a limit to read a single page, see readPages.
+   * @param {{offset?: number|bigint, limit?: number|bigint, pageSize?: number}} [opts]
+   * @returns {Promise<object[]>}
+   */
+  async listServices(opts) {
+    return readPages((offset, limit) => this.registry.getServices(offset, limit), opts);
+  }
+
+  /**
+   * Lists the identifiers of the services a fulfiller is registered for.
+   * @param {string} fulfiller
+   * @param {{offset?: number|bigint, limit?: number|bigint, pageSize?: number}} [opts]
+   * @returns {Promise<bigint[]>}
+   */
+  async listFulfillerServices(fulfiller, opts) {
+    return readPages((offset, limit) => this.registry.getFulfillerServiceIds(fulfiller, offset, limit), opts);
+  }
+
+  /**
+   * Lists the references added to a service.
+   * @param {bigint|number} serviceID
+   * @param {{offset?: number|bigint, limit?: number|bigint, pageSize?: number}} [opts]
+   * @returns {Promise<string[]>}
+   */
+  async listServiceRefs(serviceID, opts) {
+    return readPages((offset, limit) => this.registry.getServiceRefs(serviceID, offset, limit), opts);
+  }
+
+  /**
+   * Lists the fiat currencies a service accepts requests in, with the decimals of their fiat amounts.
+   * An empty list means the service accepts every currency.
+   * @param {bigint|number} serviceID
+   * @returns {Promise<Array<{currency: string, decimals: number}>>}
+   */
+  async getServiceCurrencies(serviceID) {
+    const [currencies, decimals] = await withDecodedErrors(() => this.registry.getServiceCurrencies(serviceID));
+    return currencies.map((currency, i) => ({ currency: decodeCurrency(currency), decimals: Number(decimals[i]) }));
+  }
+
+  /**
+   * Lists the whitelisted ERC20 tokens.
+   * @param {{offset?: number|bigint, limit?: number|bigint, pageSize?: number}} [opts]
+   * @returns {Promise<string[]>}
+   */
+  async listTokens(opts) {
+    if (!this.tokenRegistry) {
+      throw new Error("The client has no token registry address");
+    }
+    return readPages((offset, limit) => this.tokenRegistry.getTokens(offset, limit), opts);
+  }
+
+  /**
+   * Returns the token limits, display info and restrictions held by the token registry.
+   * Amount bounds of 0 mean no bound.
+   * @param {string} token
+   * @returns {Promise<{minAmount: bigint, maxAmount: bigint, decimals: bigint, symbol: string, disabled: boolean, serviceRestricted: boolean}>}
+   */
+  async getTokenMetadata(token) {
+    if (!this.tokenRegistry) {
+      throw new Error("The client has no token registry address");
+    }
+    return withDecodedErrors(() => this.tokenRegistry.getTokenMetadata(token));
+  }
+
+  /**
+   * Quotes the native coin amount to send for a service request.
+   * The fee combines the service flat fee and its basis-point fee, see computeFee.
+   * @param {bigint|number} serviceID
+   * @param {bigint|number|string} weiAmount the amount to be paid to the service
+   * @returns {Promise<{weiAmount: bigint, feeAmount: bigint, total: bigint}>}
+   */
+  async quote(serviceID, weiAmount) {
+    const service = await this.getService(serviceID);
+    const amount = BigInt(weiAmount);
+    const feeAmount = computeFee(service, amount);
+    return { weiAmount: amount, feeAmount, total: amount + feeAmount };
+  }
+
+  /**
+   * Quotes the token amount to pay for an ERC20 service request.
+   * The service token fee is pulled by the router on top of tokenAmount.
+   * @param {bigint|number} serviceID
+   * @param {string} token
+   * @param {bigint|number|string} tokenAmount the amount to be paid to the service
+   * @returns {Promise<{tokenAmount: bigint, feeAmount: bigint, total: bigint}>}
+   */
+  async quoteERC20(serviceID, token, tokenAmount) {
+    const amount = BigInt(tokenAmount);
+    const feeAmount = await withDecodedErrors(() => this.registry.getServiceTokenFee(serviceID, token));
+    return { tokenAmount: amount, feeAmount, total: amount + feeAmount };
+  }
+
+  /**
+   * Checks a reference against the service reference rule.
+   * Patterns and length/charset rules are checked client-side, allow-lists against the registry.
+   * @param {bigint|number} serviceID
+   * @param {string} serviceRef
+   * @returns {Promise<boolean>}
+   */
+  async isRefValid(serviceID, serviceRef) {
+    const rule = await withDecodedErrors(() => this.registry.getServiceRefRule(serviceID));
+    if (Number(rule.mode) === RefValidationMode.ALLOW_LIST) {
+      return this.registry.isRefValid(serviceID, serviceRef);
+    }
+    return matchesRefRule(rule, serviceRef);
+  }
+
+  /**
+   * Throws an InvalidRefError when the reference is not valid for the service,
+   * before anything is approved or sent.
+   */
+  async _assertRefValid(serviceID, serviceRef) {
+    if (!(await this.isRefValid(serviceID, serviceRef))) {
+      throw new InvalidRefError(`The service reference "${serviceRef}" is not valid for service ${serviceID}`, {
+        errorName: "InvalidRef",
+      });
+    }
+  }
+
+  /**
+   * Throws the error the router would revert with when the token cannot pay for the service,
+   * before anything is approved or sent. Mirrors FulfillmentRequestLib.validateERC20Request.
+   */
+  async _assertTokenAccepted(serviceID, token, tokenAmount) {
+    if (!this.tokenRegistry) {
+      return;
+    }
+    const reject = (errorName, args) => {
+      const [ErrorClass, message] = ERROR_CLASSES[errorName];
+      throw new ErrorClass(message, { errorName, args });
+    };
+    if (!(await this.tokenRegistry.isTokenWhitelisted(token))) {
+      reject("UnsupportedToken", [token]);
+    }
+    const metadata = await this.getTokenMetadata(token);
+    if (metadata.disabled) {
+      reject("TokenDisabled", [token]);
+    }
+    if (metadata.serviceRestricted && !(await this.tokenRegistry.isTokenAllowedForService(token, serviceID))) {
+      reject("TokenNotAllowedForService", [token, BigInt(serviceID)]);
+    }
+    const amount = BigInt(tokenAmount);
+    if (amount < metadata.minAmount || (metadata.maxAmount > 0n && amount > metadata.maxAmount)) {
+      reject("TokenAmountOutOfRange", [token, amount, metadata.minAmount, metadata.maxAmount]);
+    }
+  }
+
+  /**
+   * Fills in the fiat decimals of request params from the decimals the service declares for the currency,
+   * falling back to DEFAULT_FIAT_DECIMALS.
+   */
+  async _withFiatDecimals(serviceID, params) {
+    if (params.fiatDecimals !== undefined) {
+      return params;
+    }
+    const code = decodeCurrency(encodeCurrency(params.fiatCurrency));
+    const declared = (await this.getServiceCurrencies(serviceID)).find(({ currency }) => currency === code);
+    return { ...params, fiatDecimals: declared ? declared.decimals : DEFAULT_FIAT_DECIMALS };
+  }
+
+  /**
+   * Throws an UnsupportedCurrencyError when the service does not accept the fiat currency
+   * with these decimals, before anything is approved or sent.
+   */
+  async _assertCurrencyAccepted(serviceID, fiatCurrency, fiatDecimals) {
+    if (!(await this.registry.isCurrencyAllowed(serviceID, fiatCurrency, fiatDecimals))) {
+      const [ErrorClass, message] = ERROR_CLASSES.UnsupportedCurrency;
+      throw new ErrorClass(message, {
+        errorName: "UnsupportedCurrency",
+        args: [BigInt(serviceID), fiatCurrency, BigInt(fiatDecimals)],
+      });
+    }
+  }
+
+  /**
+   * Resolves the payer, defaulting to the signer address.
+   */
+  async _payer(payer) {
+    if (payer) {
+      return payer;
+    }
+    if (!this.runner || typeof this.runner.getAddress !== "function") {
+      throw new Error("A payer is required when the client has no signer");
+    }
+    return this.runner.getAddress();
+  }
+
+  /**
+   * Builds a FulFillmentRequest struct.
+   * @param {object} params
+   * @param {string} params.serviceRef
+   * @param {bigint|number|string} params.weiAmount
+   * @param {bigint|number|string} params.fiatAmount
+   * @param {string} params.fiatCurrency the ISO 4217 alphabetic code, e.g. "MXN"
+   * @param {number} [params.fiatDecimals] the decimals of fiatAmount, defaults to DEFAULT_FIAT_DECIMALS
+   * @param {string} [params.payer] defaults to the signer address
+   */
+  async buildRequest({ serviceRef, weiAmount, fiatAmount, fiatCurrency, fiatDecimals = DEFAULT_FIAT_DECIMALS, payer }) {
+    return {
+      payer: await this._payer(payer),
+      weiAmount: BigInt(weiAmount),
+      fiatAmount: BigInt(fiatAmount),
+      serviceRef,
+      fiatCurrency: encodeCurrency(fiatCurrency),
+      fiatDecimals: Number(fiatDecimals),
+    };
+  }
+
+  /**
+   * Builds an ERC20FulFillmentRequest struct.
+   * @param {object} params
+   * @param {string} params.serviceRef
+   * @param {string} params.token
+   * @param {bigint|number|string} params.tokenAmount
+   * @param {bigint|number|string} params.fiatAmount
+   * @param {string} params.fiatCurrency the ISO 4217 alphabetic code, e.g. "MXN"
+   * @param {number} [params.fiatDecimals] the decimals of fiatAmount, defaults to DEFAULT_FIAT_DECIMALS
+   * @param {string} [params.payer] defaults to the signer address
+   */
+  async buildERC20Request({ serviceRef, token, tokenAmount, fiatAmount, fiatCurrency, fiatDecimals = DEFAULT_FIAT_DECIMALS, payer }) {
+    return {
+      payer: await this._payer(payer),
+      fiatAmount: BigInt(fiatAmount),
+      serviceRef,
+      token,
+      tokenAmount: BigInt(tokenAmount),
+      fiatCurrency: encodeCurrency(fiatCurrency),
+      fiatDecimals: Number(fiatDecimals),
+    };
+  }
+
+  /**
+   * Requests a service paid with native coin.
+   * The reference and fiat currency are validated first, the value sent is quoted as weiAmount
+   * plus the service fee. The fiat decimals default to the ones the service declares for the currency.
+   * @param {object} params see buildRequest, plus serviceID
+   * @returns {Promise<import('ethers').ContractTransactionReceipt>}
+   */
+  async requestService({ serviceID, ...params }) {
+    const request = await this.buildRequest(await this._withFiatDecimals(serviceID, params));
+    await this._assertRefValid(serviceID, request.serviceRef);
+    await this._assertCurrencyAccepted(serviceID, request.fiatCurrency, request.fiatDecimals);
+    const { total } = await this.quote(serviceID, request.weiAmount);
+    return withDecodedErrors(async () => {
+      const tx = await this.router.requestService(serviceID, request, { value: total });
+      return tx.wait();
+    });
+  }
+
+  /**
+   * Approves the router to spend tokenAmount when the current allowance is lower.
+   * The router pulls the tokens from the sender and forwards them to the ERC20 escrow.
+   * @param {string} token
+   * @param {bigint|number|string} tokenAmount
+   * @returns {Promise<import('ethers').ContractTransactionReceipt|null>} null when no approval was needed
+   */
+  async ensureAllowance(token, tokenAmount) {
+    const erc20 = new Contract(token, ERC20_ABI, this.runner);
+    const owner = await this.runner.getAddress();
+    const spender = await this.router.getAddress();
+    const allowance = await erc20.allowance(owner, spender);
+    if (allowance >= BigInt(tokenAmount)) {
+      return null;
+    }
+    const tx = await erc20.approve(spender, tokenAmount);
+    return tx.wait();
+  }
+
+  /**
+   * Resolves the EIP-712 domain of a token's EIP-2612 permit.
+   * The domain is read with EIP-5267 when available, and is only trusted if it hashes
+   * to the token's DOMAIN_SEPARATOR.
+   * @param {string} token
+   * @returns {Promise<object|null>} null when the token does not support permit
+   */
+  async permitDomain(token) {
+    if (this.permitDomains.has(token)) {
+      return this.permitDomains.get(token);
+    }
+    const erc20 = new Contract(token, ERC20_PERMIT_ABI, this.runner);
+    let domain = null;
+    try {
+      const separator = await erc20.DOMAIN_SEPARATOR();
+      const { chainId } = await this.runner.provider.getNetwork();
+      let candidate;
+      try {
+        const fields = await erc20.eip712Domain();
+        candidate = { name: fields.name, version: fields.version, chainId: fields.chainId, verifyingContract: fields.verifyingContract };
+      } catch (_) {
+        candidate = { name: await erc20.name(), version: "1", chainId, verifyingContract: token };
+      }
+      if (TypedDataEncoder.hashDomain(candidate) === separator) {
+        domain = candidate;
+      }
+    } catch (_) {
+      // no DOMAIN_SEPARATOR, the token does not support permit
+    }
+    this.permitDomains.set(token, domain);
+    return domain;
+  }
+
+  /**
+   * Signs an EIP-2612 permit approving the router for tokenAmount.
+   * @param {string} token
+   * @param {bigint|number|string} tokenAmount
+   * @param {bigint|number} [deadline] defaults to 30 minutes after the latest block
+   * @returns {Promise<{value: bigint, deadline: bigint, v: number, r: string, s: string}|null>}
+   *   null when the token does not support permit
+   */
+  async signPermit(token, tokenAmount, deadline) {
+    const domain = await this.permitDomain(token);
+    if (!domain) {
+      return null;
+    }
+    const owner = await this.runner.getAddress();
+    if (deadline === undefined) {
+      const block = await this.runner.provider.getBlock("latest");
+      deadline = block.timestamp + DEFAULT_PERMIT_TTL;
+    }
+    const message = {
+      owner,
+      spender: await this.router.getAddress(),
+      value: BigInt(tokenAmount),
+      nonce: await new Contract(token, ERC20_PERMIT_ABI, this.runner).nonces(owner),
+      deadline: BigInt(deadline),
+    };
+    const { v, r, s } = Signature.from(await this.runner.signTypedData(domain, PERMIT_TYPES, message));
+    return { value: message.value, deadline: message.deadline, v, r, s };
+  }
+
+  /**
+   * Requests a service paid with an ERC20 token.
+   * The token whitelist is checked before approving anything. The amount approved is quoted
+   * as tokenAmount plus the service token fee. When the router allowance is too low the payment
+   * is approved with an EIP-2612 permit in the same transaction, or with an approve transaction
+   * for tokens without permit support. The fiat decimals default to the ones the service declares
+   * for the currency.
+   * @param {object} params see buildERC20Request, plus serviceID
+   * @param {boolean} [params.permit] set to false to always approve with a transaction
+   * @param {bigint|number} [params.permitDeadline] see signPermit
+   * @returns {Promise<import('ethers').ContractTransactionReceipt>}
+   */
+  async requestERC20Service({ serviceID, permit = true, permitDeadline, ...params }) {
+    const request = await this.buildERC20Request(await this._withFiatDecimals(serviceID, params));
+    await this._assertTokenAccepted(serviceID, request.token, request.tokenAmount);
+    await this._assertRefValid(serviceID, request.serviceRef);
+    await this._assertCurrencyAccepted(serviceID, request.fiatCurrency, request.fiatDecimals);
+    const { total } = await this.quoteERC20(serviceID, request.token, request.tokenAmount);
+    return withDecodedErrors(async () => {
+      const erc20 = new Contract(request.token, ERC20_ABI, this.runner);
+      const allowance = await erc20.allowance(await this.runner.getAddress(), await this.router.getAddress());
+      const signed = permit && allowance < total
+        ? await this.signPermit(request.token, total, permitDeadline)
+        : null;
+      let tx;
+      if (signed) {
+        tx = await this.router.requestERC20ServiceWithPermit(
+          serviceID, request, signed.value, signed.deadline, signed.v, signed.r, signed.s,
+        );
+      } else {
+        await this.ensureAllowance(request.token, total);
+        tx = await this.router.requestERC20Service(serviceID, request);
+      }
+      return tx.wait();
+    });
+  }
+
+  /**
+   * Returns the escrow contract for a record kind.
+   * @param {"native"|"erc20"} kind
+   */
+  _escrowFor(kind) {
+    const escrow = kind === "erc20" ? this.erc20Escrow : this.escrow;
+    if (!escrow) {
+      throw new Error(`The client has no ${kind} escrow address`);
+    }
+    return escrow;
+  }
+
+  /**
+   * Lists the records of a payer, or of a service, in deposit order.
+   * Record ids are paginated on-chain, pass a limit to read a single page, see readPages.
+   * With a status, pages are scanned on-chain and only the matching records are returned,
+   * so a limit bounds the records scanned rather than the records returned.
+   * Records are then read in bulk, pageSize records per call.
+   * @param {"native"|"erc20"} kind
+   * @param {object} [params]
+   * @param {string} [params.payer] defaults to the signer address
+   * @param {bigint|number} [params.serviceID] list the records of the service instead of a payer
+   * @param {number} [params.status] only list records with the status, see FulFillmentResultState
+   * @param {number|bigint} [params.offset]
+   * @param {number|bigint} [params.limit]
+   * @param {number} [params.pageSize]
+   * @returns {Promise<object[]>}
+   */
+  async listRecords(kind, { payer, serviceID, status, offset = 0, limit, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+    const escrow = this._escrowFor(kind);
+    const byService = serviceID !== undefined;
+    const subject = byService ? serviceID : await this._payer(payer);
+    let ids;
+    if (status === undefined) {
+      const fetchPage = byService
+        ? (start, count) => escrow.recordsOfService(subject, start, count)
+        : (start, count) => escrow["recordsOf(address,uint256,uint256)"](subject, start, count);
+      ids = await readPages(fetchPage, { offset, limit, pageSize });
+    } else {
+      const scan = byService
+        ? (start, count) => escrow.recordsOfServiceWithStatus(subject, status, start, count)
+        : (start, count) => escrow.recordsOfWithStatus(subject, status, start, count);
+      ids = await readFilteredPages(scan, { offset, limit, pageSize });
+    }
+    const records = [];
+    for (let i = 0; i < ids.length; i += pageSize) {
+      records.push(...(await escrow.records(ids.slice(i, i + pageSize))));
+    }
+    return records;
+  }
+
+  /**
+   * Lists the payer's PENDING records whose fulfillment deadline has passed.
+   * Deadlines are compared against the latest block timestamp.
+   * @param {object} [params]
+   * @param {string} [params.payer] defaults to the signer address
+   * @param {"native"|"erc20"} [params.kind] only look at one escrow, defaults to both
+   * @returns {Promise<Array<{kind: string, id: bigint, serviceID: bigint, deadline: bigint, record: object}>>}
+   */
+  async findExpirableRecords({ payer, kind } = {}) {
+    const owner = await this._payer(payer);
+    const kinds = kind ? [kind] : ["native", "erc20"].filter((k) => (k === "erc20" ? this.erc20Escrow : this.escrow));
+    const block = await this.runner.provider.getBlock("latest");
+    const now = BigInt(block.timestamp);
+    const expirable = [];
+    for (const k of kinds) {
+      const escrow = this._escrowFor(k);
+      for (const record of await this.listRecords(k, { payer: owner, status: FulFillmentResultState.PENDING })) {
+        const deadline = await escrow.fulfillmentDeadline(record.id);
+        if (deadline > 0n && now >= deadline) {
+          expirable.push({ kind: k, id: record.id, serviceID: record.serviceID, deadline, record });
+        }
+      }
+    }
+    return expirable;
+  }
+
+  /**
+   * Expires a PENDING record past its deadline, authorizing the refund to its payer.
+   * The refund is then withdrawn through the fulfillment manager.
+   * @param {"native"|"erc20"} kind
+   * @param {bigint|number} id the record id
+   * @returns {Promise<import('ethers').ContractTransactionReceipt>}
+   */
+  async expireRecord(kind, id) {
+    const escrow = this._escrowFor(kind);
+    return withDecodedErrors(async () => {
+      const tx = await escrow.expireFulfillment(id);
+      return tx.wait();
+    });
+  }
+
+  /**
+   * Disputes a SUCCESS or PARTIAL record of the signer while its release is locked in
+   * its service's dispute window. An arbiter then refunds or releases it.
+   * @param {"native"|"erc20"} kind
+   * @param {bigint|number} id the record id
+   * @returns {Promise<import('ethers').ContractTransactionReceipt>}
+   */
+  async openDispute(kind, id) {
+    const escrow = this._escrowFor(kind);
+    return withDecodedErrors(async () => {
+      const tx = await escrow.openDispute(id);
+      return tx.wait();
+    });
+  }
+}
+
+module.exports = {
+  BandoClient,
+  computeFee,
+  readPages,
+};
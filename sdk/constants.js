@@ -0,0 +1,13 @@
+/// Mirrors the FulFillmentResultState enum in FulfillmentTypes.sol
+const FulFillmentResultState = Object.freeze({
+  FAILED: 0,
+  SUCCESS: 1,
+  PENDING: 2,
+  EXPIRED: 3,
+  PARTIAL: 4,
+  DISPUTED: 5,
+});
+
+module.exports = {
+  FulFillmentResultState,
+};
@@ -0,0 +1,50 @@
+// Fiat currency codes of requests and records, mirroring FulfillableRegistry.isCurrencyAllowed.
+// Currencies are ISO 4217 alphabetic codes, stored on-chain as bytes3.
+
+/// The fiat decimals of requests made without any, cents for the currencies services are priced in
+const DEFAULT_FIAT_DECIMALS = 2;
+
+/**
+ * Checks that a currency is an ISO 4217 alphabetic code: three uppercase letters.
+ * @param {string} code
+ * @returns {boolean}
+ */
+function isCurrencyCode(code) {
+  return typeof code === "string" && /^[A-Z]{3}$/.test(code);
+}
+
+/**
+ * Encodes a currency code as the bytes3 of requests, e.g. "MXN" as 0x4d584e.
+ * Hex strings are returned untouched.
+ * @param {string} code
+ * @returns {string}
+ */
+function encodeCurrency(code) {
+  if (typeof code === "string" && /^0x[0-9a-fA-F]{6}$/.test(code)) {
+    return code.toLowerCase();
+  }
+  if (!isCurrencyCode(code)) {
+    throw new Error(`Invalid currency code "${code}", expected three uppercase letters like MXN`);
+  }
+  return `0x${Buffer.from(code, "ascii").toString("hex")}`;
+}
+
+/**
+ * Decodes the bytes3 currency of a request or record, e.g. 0x4d584e as "MXN".
+ * Records deposited before requests carried a currency decode as an empty string.
+ * @param {string} currency
+ * @returns {string}
+ */
+function decodeCurrency(currency) {
+  if (/^0x0{6}$/.test(currency)) {
+    return "";
+  }
+  return Buffer.from(currency.slice(2), "hex").toString("ascii");
+}
+
+module.exports = {
+  DEFAULT_FIAT_DECIMALS,
+  isCurrencyCode,
+  encodeCurrency,
+  decodeCurrency,
+};
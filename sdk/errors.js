@@ -0,0 +1,202 @@
+const { Interface } = require("ethers");
+const { ROUTER_ABI } = require("./abi");
+const { decodeCurrency } = require("./currencies");
+
+const ROUTER_INTERFACE = new Interface(ROUTER_ABI);
+
+/**
+ * Base class for every error raised by the SDK.
+ * @property {string} [errorName] the solidity error name, when decoded from a revert
+ * @property {Array} [args] the decoded solidity error arguments
+ */
+class BandoError extends Error {
+  constructor(message, { cause, errorName, args } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.errorName = errorName;
+    this.args = args || [];
+  }
+}
+
+/// The amount sent is zero.
+class InsufficientAmountError extends BandoError {}
+
+/// The fiat amount is zero.
+class InvalidFiatAmountError extends BandoError {}
+
+/// The fiat currency is not accepted by the service with these decimals.
+class UnsupportedCurrencyError extends BandoError {
+  get serviceID() {
+    return this.args[0];
+  }
+
+  /// The currency code, e.g. "MXN"
+  get currency() {
+    return decodeCurrency(this.args[1]);
+  }
+
+  get decimals() {
+    return this.args[2];
+  }
+}
+
+/// The service reference is not in the registry.
+class InvalidRefError extends BandoError {}
+
+/// weiAmount + feeAmount overflowed.
+class OverflowError extends BandoError {}
+
+/// The amount sent does not match weiAmount + feeAmount.
+class AmountMismatchError extends BandoError {}
+
+/// The token is not whitelisted.
+class UnsupportedTokenError extends BandoError {
+  get token() {
+    return this.args[0];
+  }
+}
+
+/// The token is whitelisted but disabled.
+class TokenDisabledError extends BandoError {
+  get token() {
+    return this.args[0];
+  }
+}
+
+/// The token is restricted to services not including the requested one.
+class TokenNotAllowedForServiceError extends BandoError {
+  get token() {
+    return this.args[0];
+  }
+}
+
+/// The token amount is outside of the token limits.
+class TokenAmountOutOfRangeError extends BandoError {
+  get token() {
+    return this.args[0];
+  }
+
+  /// The minimum and maximum token amounts, 0 meaning no bound.
+  get limits() {
+    return { minAmount: this.args[2], maxAmount: this.args[3] };
+  }
+}
+
+/// The paid token has no usable price and the service rejects such requests.
+class PriceFeedMissingError extends BandoError {
+  get token() {
+    return this.args[0];
+  }
+}
+
+/// The paid token price is stale and the service rejects such requests.
+class StalePriceError extends BandoError {
+  get token() {
+    return this.args[0];
+  }
+}
+
+/// The amount paid is worth less than the fiat amount, slippage included.
+class FiatAmountNotCoveredError extends BandoError {
+  get fiatAmount() {
+    return this.args[0];
+  }
+
+  get paidFiatAmount() {
+    return this.args[1];
+  }
+}
+
+const ERROR_CLASSES = {
+  InsufficientAmount: [InsufficientAmountError, "The amount sent is zero"],
+  InvalidFiatAmount: [InvalidFiatAmountError, "The fiat amount is zero"],
+  UnsupportedCurrency: [UnsupportedCurrencyError, "The fiat currency is not accepted by this service"],
+  InvalidRef: [InvalidRefError, "The service reference is not valid for this service"],
+  OverflowError: [OverflowError, "Overflow while computing the total amount"],
+  AmountMismatch: [AmountMismatchError, "The amount sent does not match weiAmount + feeAmount"],
+  UnsupportedToken: [UnsupportedTokenError, "The token is not whitelisted"],
+  TokenDisabled: [TokenDisabledError, "The token is disabled"],
+  TokenNotAllowedForService: [TokenNotAllowedForServiceError, "The token is not allowed for this service"],
+  TokenAmountOutOfRange: [TokenAmountOutOfRangeError, "The token amount is out of the token limits"],
+  PriceFeedMissing: [PriceFeedMissingError, "The paid token has no price feed"],
+  StalePrice: [StalePriceError, "The paid token price is stale"],
+  FiatAmountNotCovered: [FiatAmountNotCoveredError, "The amount paid does not cover the fiat amount"],
+};
+
+/**
+ * Looks for the revert data in the different shapes ethers and providers report it.
+ * @param {any} error
+ * @returns {string|undefined}
+ */
+function findRevertData(error) {
+  let current = error;
+  for (let depth = 0; current && depth < 5; depth++) {
+    if (typeof current.data === "string" && current.data.startsWith("0x")) {
+      return current.data;
+    }
+    if (current.data && typeof current.data.data === "string") {
+      return current.data.data;
+    }
+    current = current.error || current.info?.error || current.cause;
+  }
+  return undefined;
+}
+
+/**
+ * Decodes a contract error into a typed BandoError.
+ * FulfillmentRequestLib errors map to their own classes, other custom errors and
+ * revert strings become a generic BandoError. Non contract errors are returned untouched.
+ * @param {any} error the error thrown by ethers
+ * @param {Interface} [iface] interface holding the error fragments
+ * @returns {Error}
+ */
+function decodeError(error, iface = ROUTER_INTERFACE) {
+  if (error instanceof BandoError) {
+    return error;
+  }
+  const data = findRevertData(error);
+  if (data && data !== "0x") {
+    let parsed = null;
+    try {
+      parsed = iface.parseError(data);
+    } catch (_) {
+      // unknown selector, fall through to the revert reason
+    }
+    if (parsed) {
+      const args = Array.from(parsed.args);
+      const known = ERROR_CLASSES[parsed.name];
+      if (known) {
+        const [ErrorClass, message] = known;
+        return new ErrorClass(message, { cause: error, errorName: parsed.name, args });
+      }
+      // plain revert strings are reported as Error(string)
+      const message = parsed.name === "Error" ? args[0] : `${parsed.name}(${args.join(", ")})`;
+      return new BandoError(message, { cause: error, errorName: parsed.name, args });
+    }
+  }
+  if (error && error.reason) {
+    return new BandoError(error.reason, { cause: error });
+  }
+  return error;
+}
+
+module.exports = {
+  ROUTER_INTERFACE,
+  BandoError,
+  InsufficientAmountError,
+  InvalidFiatAmountError,
+  UnsupportedCurrencyError,
+  InvalidRefError,
+  OverflowError,
+  AmountMismatchError,
+  UnsupportedTokenError,
+  TokenDisabledError,
+  TokenNotAllowedForServiceError,
+  TokenAmountOutOfRangeError,
+  PriceFeedMissingError,
+  StalePriceError,
+  FiatAmountNotCoveredError,
+  ERROR_CLASSES,
+  findRevertData,
+  decodeError,
+};
@@ -0,0 +1,20 @@
+// JavaScript client SDK for the Bando Fulfillment Protocol (ethers v6).
+const abi = require("./abi");
+const errors = require("./errors");
+const signatures = require("./signatures");
+const refs = require("./refs");
+const currencies = require("./currencies");
+const { BandoClient, computeFee, readPages } = require("./client");
+const { FulFillmentResultState } = require("./constants");
+
+module.exports = {
+  BandoClient,
+  computeFee,
+  readPages,
+  FulFillmentResultState,
+  ...errors,
+  ...signatures,
+  ...refs,
+  ...currencies,
+  abi,
+};
@@ -0,0 +1,283 @@
+// Client-side service reference validation, mirroring FulfillableRegistry.isRefValid
+// and RefPatternLib. Both must be updated together.
+
+/// Mirrors the RefValidationMode solidity enum
+const RefValidationMode = {
+  ALLOW_LIST: 0,
+  PATTERN: 1,
+  LENGTH_CHARSET: 2,
+};
+
+/// Mirrors RefPatternLib.MAX_ELEMENTS
+const MAX_ELEMENTS = 64;
+
+const OPTIONAL = 1n << 128n;
+const REPEAT = 1n << 129n;
+const ANY = (1n << 128n) - 1n;
+const QUANTIFIERS = "?*+{";
+const SPECIALS = "()|?*+{}]^$";
+
+/**
+ * Thrown when a pattern or a character set cannot be compiled, like RefPatternLib.InvalidPattern.
+ */
+class InvalidPatternError extends Error {
+  constructor(pattern, position) {
+    super(`Invalid reference pattern "${pattern}" at position ${position}`);
+    this.name = this.constructor.name;
+    this.position = position;
+  }
+}
+
+const bit = (code) => 1n << BigInt(code);
+const range = (from, to) => ((1n << BigInt(to - from + 1)) - 1n) << BigInt(from);
+const DIGITS = range(48, 57);
+const WORD = DIGITS | range(65, 90) | range(97, 122) | bit(95);
+
+/**
+ * Parses `\d`, `\w` or an escaped character at i.
+ * Other letters and digits are rejected, like RefPatternLib.
+ */
+function parseEscape(p, i, end) {
+  if (i + 1 >= end || p.charCodeAt(i + 1) >= 128) {
+    throw new InvalidPatternError(p, i);
+  }
+  const c = p[i + 1];
+  if (c === "d") {
+    return [DIGITS, i + 2];
+  }
+  if (c === "w") {
+    return [WORD, i + 2];
+  }
+  if (/[0-9A-Za-z]/.test(c)) {
+    throw new InvalidPatternError(p, i + 1);
+  }
+  return [bit(p.charCodeAt(i + 1)), i + 2];
+}
+
+/**
+ * Whether the character at position is preceded by an odd number of backslashes from start.
+ */
+function isEscaped(p, start, position) {
+  let escaped = false;
+  while (position > start && p[position - 1] === "\\") {
+    escaped = !escaped;
+    position--;
+  }
+  return escaped;
+}
+
+/**
+ * Parses class items (characters, ranges and escapes) up to a closing bracket or end.
+ */
+function parseClass(p, i, end) {
+  let charset = 0n;
+  while (i < end && p[i] !== "]") {
+    if (p[i] === "\\") {
+      const [item, next] = parseEscape(p, i, end);
+      charset |= item;
+      i = next;
+      continue;
+    }
+    const from = p.charCodeAt(i);
+    if (from >= 128) {
+      throw new InvalidPatternError(p, i);
+    }
+    if (i + 2 < end && p[i + 1] === "-" && p[i + 2] !== "]") {
+      const to = p.charCodeAt(i + 2);
+      if (to >= 128 || to < from) {
+        throw new InvalidPatternError(p, i + 2);
+      }
+      charset |= range(from, to);
+      i += 3;
+    } else {
+      charset |= bit(from);
+      i++;
+    }
+  }
+  return [charset, i];
+}
+
+/**
+ * Parses a single character, class or escape starting at i.
+ */
+function parseAtom(p, i, end) {
+  const c = p[i];
+  if (c === "[") {
+    const negated = i + 1 < end && p[i + 1] === "^";
+    const [charset, next] = parseClass(p, negated ? i + 2 : i + 1, end);
+    if (next >= end || p[next] !== "]") {
+      throw new InvalidPatternError(p, next);
+    }
+    return [negated ? ANY & ~charset : charset, next + 1];
+  }
+  if (c === ".") {
+    return [ANY, i + 1];
+  }
+  if (c === "\\") {
+    return parseEscape(p, i, end);
+  }
+  if (SPECIALS.includes(c) || p.charCodeAt(i) >= 128) {
+    throw new InvalidPatternError(p, i);
+  }
+  return [bit(p.charCodeAt(i)), i + 1];
+}
+
+/**
+ * Parses a decimal number of at most two digits at i.
+ */
+function parseNumber(p, i, end) {
+  let next = i;
+  let value = 0;
+  while (next < end && p[next] >= "0" && p[next] <= "9" && next - i < 2) {
+    value = value * 10 + Number(p[next]);
+    next++;
+  }
+  if (next === i) {
+    throw new InvalidPatternError(p, i);
+  }
+  return [value, next];
+}
+
+/**
+ * Parses `{n}`, `{n,}` or `{n,m}` at i.
+ */
+function parseBounds(p, i, end) {
+  let [min, next] = parseNumber(p, i + 1, end);
+  let max = min;
+  let unbounded = false;
+  if (next < end && p[next] === ",") {
+    if (next + 1 < end && p[next + 1] === "}") {
+      unbounded = true;
+      next++;
+    } else {
+      [max, next] = parseNumber(p, next + 1, end);
+    }
+  }
+  if (next >= end || p[next] !== "}" || max < min || (max === 0 && !unbounded)) {
+    throw new InvalidPatternError(p, next);
+  }
+  return [min, max, unbounded, next + 1];
+}
+
+/**
+ * Compiles a reference pattern into its elements, like RefPatternLib.compile.
+ * @param {string} pattern
+ * @returns {bigint[]}
+ */
+function compileRefPattern(pattern) {
+  const elements = [];
+  let i = 0;
+  let end = pattern.length;
+  if (end > 0 && pattern[0] === "^") {
+    i = 1;
+  }
+  if (end > i && pattern[end - 1] === "$" && !isEscaped(pattern, i, end - 1)) {
+    end--;
+  }
+  while (i < end) {
+    let charset;
+    [charset, i] = parseAtom(pattern, i, end);
+    let min = 1;
+    let max = 1;
+    let unbounded = false;
+    if (i < end && QUANTIFIERS.includes(pattern[i])) {
+      const q = pattern[i];
+      if (q === "{") {
+        [min, max, unbounded, i] = parseBounds(pattern, i, end);
+      } else {
+        min = q === "+" ? 1 : 0;
+        unbounded = q !== "?";
+        i++;
+      }
+    }
+    const size = unbounded ? min + 1 : max;
+    if (elements.length + size > MAX_ELEMENTS) {
+      throw new InvalidPatternError(pattern, i);
+    }
+    for (let k = 0; k < size; k++) {
+      elements.push(k >= min ? charset | (unbounded ? OPTIONAL | REPEAT : OPTIONAL) : charset);
+    }
+  }
+  return elements;
+}
+
+/**
+ * Parses the contents of a character class, like RefPatternLib.parseCharset.
+ * @param {string} chars e.g. "0-9A-Z"
+ * @returns {bigint}
+ */
+function parseRefCharset(chars) {
+  const [charset, i] = parseClass(chars, 0, chars.length);
+  if (i !== chars.length) {
+    throw new InvalidPatternError(chars, i);
+  }
+  return charset;
+}
+
+/**
+ * Adds the positions reached by skipping optional elements.
+ */
+function closure(elements, states) {
+  for (let i = 0; i < elements.length; i++) {
+    if ((states & bit(i)) !== 0n && (elements[i] & OPTIONAL) !== 0n) {
+      states |= bit(i + 1);
+    }
+  }
+  return states;
+}
+
+/**
+ * Matches a whole reference against compiled pattern elements, like RefPatternLib.matches.
+ * References are matched byte by byte as UTF-8, any non ASCII byte fails the match.
+ * @param {bigint[]} elements
+ * @param {string} ref
+ * @returns {boolean}
+ */
+function matchesRefPattern(elements, ref) {
+  let states = closure(elements, 1n);
+  for (const c of Buffer.from(ref, "utf8")) {
+    if (states === 0n || c >= 128) {
+      return false;
+    }
+    let next = 0n;
+    for (let i = 0; i < elements.length; i++) {
+      if ((states & bit(i)) !== 0n && (elements[i] & bit(c)) !== 0n) {
+        next |= (elements[i] & REPEAT) !== 0n ? bit(i) : bit(i + 1);
+      }
+    }
+    states = closure(elements, next);
+  }
+  return (states & bit(elements.length)) !== 0n;
+}
+
+/**
+ * Checks a reference against a PATTERN or LENGTH_CHARSET rule.
+ * ALLOW_LIST rules cannot be checked client-side, the registry holds the references.
+ * @param {{mode: bigint|number, pattern: string, minLength: bigint|number, maxLength: bigint|number}} rule
+ * @param {string} ref
+ * @returns {boolean}
+ */
+function matchesRefRule(rule, ref) {
+  const mode = Number(rule.mode);
+  if (mode === RefValidationMode.PATTERN) {
+    return matchesRefPattern(compileRefPattern(rule.pattern), ref);
+  }
+  if (mode === RefValidationMode.LENGTH_CHARSET) {
+    const charset = parseRefCharset(rule.pattern);
+    const bytes = Buffer.from(ref, "utf8");
+    if (bytes.length < Number(rule.minLength) || bytes.length > Number(rule.maxLength)) {
+      return false;
+    }
+    return bytes.every((c) => c < 128 && (charset & bit(c)) !== 0n);
+  }
+  throw new Error("ALLOW_LIST references can only be checked against the registry");
+}
+
+module.exports = {
+  RefValidationMode,
+  InvalidPatternError,
+  compileRefPattern,
+  parseRefCharset,
+  matchesRefPattern,
+  matchesRefRule,
+};
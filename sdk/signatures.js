@@ -0,0 +1,124 @@
+// EIP-712 helpers for fulfillment results relayed through BandoFulfillmentManagerV1.
+
+const FULFILLMENT_DOMAIN_NAME = "BandoFulfillmentManager";
+const FULFILLMENT_DOMAIN_VERSION = "1";
+
+/// Mirrors FULFILLMENT_RESULT_TYPEHASH in BandoFulfillmentManagerV1.sol
+const FULFILLMENT_RESULT_TYPES = Object.freeze({
+  FulFillmentResult: [
+    { name: "escrow", type: "address" },
+    { name: "serviceID", type: "uint256" },
+    { name: "id", type: "uint256" },
+    { name: "externalID", type: "string" },
+    { name: "receiptURI", type: "string" },
+    { name: "status", type: "uint8" },
+    { name: "fulfilledAmount", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+});
+
+/**
+ * Builds the EIP-712 domain of a fulfillment manager.
+ * @param {string} manager the BandoFulfillmentManagerV1 proxy address
+ * @param {bigint|number} chainId
+ */
+function fulfillmentDomain(manager, chainId) {
+  return {
+    name: FULFILLMENT_DOMAIN_NAME,
+    version: FULFILLMENT_DOMAIN_VERSION,
+    chainId,
+    verifyingContract: manager,
+  };
+}
+
+/**
+ * Builds the typed data value signed for a fulfillment result.
+ * @param {object} params
+ * @param {string} params.escrow the escrow holding the record
+ * @param {bigint|number} params.serviceID
+ * @param {{id: bigint|number, externalID: string, receiptURI: string, status: number, fulfilledAmount?: bigint|number}} params.fulfillment
+ * @param {bigint|number} params.nonce the fulfiller's nonce on the manager
+ * @param {bigint|number} params.deadline unix time after which the signature is rejected
+ */
+function fulfillmentResultMessage({ escrow, serviceID, fulfillment, nonce, deadline }) {
+  return {
+    escrow,
+    serviceID: BigInt(serviceID),
+    id: BigInt(fulfillment.id),
+    externalID: fulfillment.externalID,
+    receiptURI: fulfillment.receiptURI,
+    status: Number(fulfillment.status),
+    fulfilledAmount: BigInt(fulfillment.fulfilledAmount || 0),
+    nonce: BigInt(nonce),
+    deadline: BigInt(deadline),
+  };
+}
+
+/**
+ * Signs a fulfillment result with the fulfiller key, for any relayer to submit with
+ * registerFulfillmentWithSig / registerERC20FulfillmentWithSig.
+ * The escrow and nonce are read from the manager unless given.
+ *
+ * @param {import('ethers').Signer} signer the service fulfiller
+ * @param {object} params
+ * @param {import('ethers').Contract} params.manager BandoFulfillmentManagerV1
+ * @param {'native'|'erc20'} [params.kind] the escrow holding the record, defaults to native
+ * @param {bigint|number} params.serviceID
+ * @param {{id: bigint|number, externalID: string, receiptURI: string, status: number, fulfilledAmount?: bigint|number}} params.fulfillment
+ * @param {bigint|number} params.deadline unix time after which the signature is rejected
+ * @param {bigint|number} [params.nonce] defaults to the fulfiller's current nonce
+ * @returns {Promise<{serviceID: bigint, fulfillment: object, nonce: bigint, deadline: bigint, signature: string}>}
+ */
+async function signFulfillmentResult(signer, { manager, kind = "native", serviceID, fulfillment, deadline, nonce }) {
+  const fulfiller = await signer.getAddress();
+  const escrow = kind === "erc20" ? await manager._erc20_escrow() : await manager._escrow();
+  const { chainId } = await signer.provider.getNetwork();
+  const message = fulfillmentResultMessage({
+    escrow,
+    serviceID,
+    fulfillment,
+    nonce: nonce === undefined ? await manager.nonces(fulfiller) : nonce,
+    deadline,
+  });
+  const signature = await signer.signTypedData(
+    fulfillmentDomain(await manager.getAddress(), chainId),
+    FULFILLMENT_RESULT_TYPES,
+    message,
+  );
+  return {
+    serviceID: message.serviceID,
+    fulfillment: {
+      id: message.id,
+      externalID: message.externalID,
+      receiptURI: message.receiptURI,
+      status: message.status,
+      fulfilledAmount: message.fulfilledAmount,
+    },
+    nonce: message.nonce,
+    deadline: message.deadline,
+    signature,
+  };
+}
+
+/**
+ * Submits a signed fulfillment result from any account.
+ * @param {import('ethers').Contract} manager BandoFulfillmentManagerV1, connected to the relayer
+ * @param {'native'|'erc20'} kind
+ * @param {Awaited<ReturnType<typeof signFulfillmentResult>>} signed
+ * @returns {Promise<import('ethers').ContractTransactionResponse>}
+ */
+function relayFulfillmentResult(manager, kind, { serviceID, fulfillment, nonce, deadline, signature }) {
+  const register = kind === "erc20" ? manager.registerERC20FulfillmentWithSig : manager.registerFulfillmentWithSig;
+  return register(serviceID, fulfillment, nonce, deadline, signature);
+}
+
+module.exports = {
+  FULFILLMENT_DOMAIN_NAME,
+  FULFILLMENT_DOMAIN_VERSION,
+  FULFILLMENT_RESULT_TYPES,
+  fulfillmentDomain,
+  fulfillmentResultMessage,
+  signFulfillmentResult,
+  relayFulfillmentResult,
+};
@@ -0,0 +1,10 @@
+// Hardhat admin tasks for the Bando Fulfillment Protocol.
+// All tasks read contract addresses from the deployment manifest written by scripts/deploy.js.
+require("./services");
+require("./tokens");
+require("./oracle");
+require("./router");
+require("./roles");
+require("./records");
+require("./status");
+require("./upgrades");
@@ -0,0 +1,147 @@
+const { task, types } = require("hardhat/config");
+const { ZeroAddress } = require("ethers");
+const { loadDeployment } = require("../scripts/utils/manifest");
+const { collectRecords } = require("./utils/input");
+const { applyPlan } = require("./utils/plan");
+const { encodeCurrency, decodeCurrency } = require("../sdk/currencies");
+
+const FEED_FIELDS = ["token", "currency", "feed", "tokenDecimals"];
+const SERVICE_CONFIG_FIELDS = ["serviceId", "slippageBasisPoints"];
+/// Fields left at their default (reject) when a record does not set them
+const SERVICE_CONFIG_OPTIONAL_FIELDS = ["missingFeed", "stalePrice", "enabled"];
+/// Task names of the unpriceable request handling, accepted or rejected
+const PRICE_FAILURE_MODES = ["reject", "allow"];
+
+/**
+ * Resolves the token of a feed record, "native" standing for the native coin.
+ */
+function feedToken(token) {
+  return token === "native" ? ZeroAddress : token;
+}
+
+/**
+ * Formats a feed as feed/tokenDecimals/maxStaleness.
+ */
+function formatFeed({ feed, tokenDecimals, maxStaleness }) {
+  return `${feed}/${BigInt(tokenDecimals)}/${BigInt(maxStaleness || 0)}`;
+}
+
+/**
+ * Computes the changes needed for the price oracle to hold the given token feeds, one per fiat currency.
+ */
+async function planFeeds({ ChainlinkPriceOracle: oracle }, records) {
+  const plan = [];
+  for (const record of records) {
+    const token = feedToken(record.token);
+    const currency = encodeCurrency(record.currency);
+    const label = `${token === ZeroAddress ? "native coin" : `token ${token}`} ${decodeCurrency(currency)}`;
+    const current = await oracle.getPriceFeed(token, currency);
+    const to = formatFeed(record);
+    const send = () => oracle.setPriceFeed(token, currency, record.feed, record.tokenDecimals, record.maxStaleness || 0);
+    if (current.feed === ZeroAddress) {
+      plan.push({
+        op: "+",
+        description: `${label} feed: ${to}`,
+        send,
+      });
+      continue;
+    }
+    const from = formatFeed(current);
+    if (from.toLowerCase() === to.toLowerCase()) {
+      plan.push({ op: "=", description: `${label} feed` });
+    } else {
+      plan.push({
+        op: "~",
+        description: `${label} feed: ${from} -> ${to}`,
+        send,
+      });
+    }
+  }
+  return plan;
+}
+
+/**
+ * Parses how a service handles requests that cannot be priced, rejecting them by default.
+ */
+function parseFailureMode(value, name, serviceId) {
+  const mode = value === undefined ? "reject" : value;
+  if (!PRICE_FAILURE_MODES.includes(mode)) {
+    throw new Error(`Unknown ${name} "${mode}" for service ${serviceId}, expected ${PRICE_FAILURE_MODES.join(" or ")}`);
+  }
+  return mode === "allow";
+}
+
+/**
+ * Formats a service configuration as slippage and unpriceable request handling.
+ */
+function formatServiceConfig(config) {
+  if (!config.enabled) {
+    return "disabled";
+  }
+  const mode = (allow) => (allow ? "allow" : "reject");
+  return `slippage ${config.slippageBasisPoints}bp, missing feed ${mode(config.allowMissingFeed)}, stale price ${mode(config.allowStalePrice)}`;
+}
+
+/**
+ * Computes the changes needed for the price oracle to hold the given service configurations.
+ */
+async function planServiceConfigs({ ChainlinkPriceOracle: oracle }, records) {
+  const plan = [];
+  for (const record of records) {
+    const { serviceId } = record;
+    const config = {
+      enabled: record.enabled === undefined || String(record.enabled) === "true",
+      slippageBasisPoints: BigInt(record.slippageBasisPoints),
+      allowMissingFeed: parseFailureMode(record.missingFeed, "missingFeed", serviceId),
+      allowStalePrice: parseFailureMode(record.stalePrice, "stalePrice", serviceId),
+    };
+    if (config.slippageBasisPoints > 10000n) {
+      throw new Error(`Slippage of service ${serviceId} exceeds 10000 basis points`);
+    }
+    const from = formatServiceConfig(await oracle.getServiceConfig(serviceId));
+    const to = formatServiceConfig(config);
+    if (from === to) {
+      plan.push({ op: "=", description: `service ${serviceId} price check` });
+    } else {
+      plan.push({
+        op: "~",
+        description: `service ${serviceId} price check: ${from} -> ${to}`,
+        send: () => oracle.setServiceConfig(serviceId, config),
+      });
+    }
+  }
+  return plan;
+}
+
+task("bando:oracle:feed", "Sets the price feeds of tokens in the price oracle")
+  .addOptionalParam("token", "The ERC20 token address, or native for the native coin", undefined, types.string)
+  .addOptionalParam("currency", "The ISO 4217 alphabetic code of the feed currency, e.g. MXN", undefined, types.string)
+  .addOptionalParam("feed", "The Chainlink-style feed pricing one token unit in the currency", undefined, types.string)
+  .addOptionalParam("tokenDecimals", "The token decimals, 18 for the native coin", undefined, types.string)
+  .addOptionalParam("maxStaleness", "Seconds after which a price is stale, 0 for never", undefined, types.string)
+  .addOptionalParam("file", "JSON or CSV file with feed records", undefined, types.inputFile)
+  .addFlag("dryRun", "Only print the diff against on-chain state")
+  .setAction(async (args, hre) => {
+    const records = collectRecords(args, FEED_FIELDS, ["maxStaleness"]);
+    const { contracts } = await loadDeployment(hre);
+    return applyPlan(await planFeeds(contracts, records), args);
+  });
+
+task("bando:oracle:service", "Sets how the price oracle checks the fiat amount of service requests")
+  .addOptionalParam("serviceId", "The service identifier", undefined, types.string)
+  .addOptionalParam("slippageBasisPoints", "How much the paid amount may fall short of the fiat amount", undefined, types.string)
+  .addOptionalParam("missingFeed", "reject or allow requests paid with tokens without a price", undefined, types.string)
+  .addOptionalParam("stalePrice", "reject or allow requests paid with tokens with a stale price", undefined, types.string)
+  .addOptionalParam("enabled", "true, or false to stop checking the service requests", undefined, types.string)
+  .addOptionalParam("file", "JSON or CSV file with service records", undefined, types.inputFile)
+  .addFlag("dryRun", "Only print the diff against on-chain state")
+  .setAction(async (args, hre) => {
+    const records = collectRecords(args, SERVICE_CONFIG_FIELDS, SERVICE_CONFIG_OPTIONAL_FIELDS);
+    const { contracts } = await loadDeployment(hre);
+    return applyPlan(await planServiceConfigs(contracts, records), args);
+  });
+
+module.exports = {
+  planFeeds,
+  planServiceConfigs,
+};
@@ -0,0 +1,120 @@
+const { task, types } = require("hardhat/config");
+const { loadDeployment } = require("../scripts/utils/manifest");
+const { applyPlan } = require("./utils/plan");
+const { FulFillmentResultState } = require("../sdk/constants");
+
+const ESCROWS = [["BandoFulfillableV1", "escrow"], ["BandoERC20FulfillableV1", "ERC20 escrow"]];
+
+/**
+ * Finds the id of the last record of an escrow.
+ * Record ids run from 1 without gaps and records are never deleted, so unknown ids come back empty.
+ */
+async function lastRecordId(escrow) {
+  const exists = async (id) => (await escrow.record(id)).id === id;
+  let high = 1n;
+  while (await exists(high)) {
+    high *= 2n;
+  }
+  let low = high / 2n;
+  // the record of low exists, or low is 0, the record of high does not
+  while (high - low > 1n) {
+    const mid = (low + high) / 2n;
+    if (await exists(mid)) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+/**
+ * Computes the batches listing by service the records deposited before records were listed by service.
+ */
+async function planRecordIndex(contracts, batchSize = 500) {
+  const plan = [];
+  for (const [name, label] of ESCROWS) {
+    const escrow = contracts[name];
+    const left = (await lastRecordId(escrow)) - (await escrow._serviceRecordsIndexed());
+    if (left === 0n) {
+      plan.push({ op: "=", description: `records of the ${label}` });
+    }
+    for (let indexed = 0n; indexed < left; indexed += BigInt(batchSize)) {
+      const count = left - indexed < BigInt(batchSize) ? left - indexed : BigInt(batchSize);
+      plan.push({
+        op: "~",
+        description: `list ${count} record(s) of the ${label} by service`,
+        send: () => escrow.indexServiceRecords(batchSize),
+      });
+    }
+  }
+  return plan;
+}
+
+/**
+ * Lists the SUCCESS and PARTIAL records of a service whose locked release has matured.
+ */
+async function maturedRecords(escrow, serviceID, now, pageSize = 500) {
+  const matured = [];
+  const count = await escrow.recordCountOfService(serviceID);
+  for (const status of [FulFillmentResultState.SUCCESS, FulFillmentResultState.PARTIAL]) {
+    for (let offset = 0n; offset < count; ) {
+      const [ids, next] = await escrow.recordsOfServiceWithStatus(serviceID, status, offset, pageSize);
+      for (const id of ids) {
+        const release = await escrow.lockedReleaseOf(id);
+        if (release.amount > 0n && release.releaseTime <= now) {
+          matured.push(id);
+        }
+      }
+      offset = next;
+    }
+  }
+  return matured.sort((a, b) => (a < b ? -1 : 1));
+}
+
+/**
+ * Computes the batches crediting the matured releases of a service to its releaseable pools.
+ */
+async function planMaturedReleases(contracts, serviceID, batchSize = 100) {
+  const plan = [];
+  for (const [name, label] of ESCROWS) {
+    const escrow = contracts[name];
+    const { timestamp } = await escrow.runner.provider.getBlock("latest");
+    const ids = await maturedRecords(escrow, serviceID, BigInt(timestamp));
+    if (ids.length === 0) {
+      plan.push({ op: "=", description: `matured releases of service ${serviceID} on the ${label}` });
+    }
+    for (let i = 0; i < ids.length; i += batchSize) {
+      const batch = ids.slice(i, i + batchSize);
+      plan.push({
+        op: "~",
+        description: `release ${batch.length} matured record(s) of service ${serviceID} on the ${label}`,
+        send: () => escrow.releaseMatured(batch),
+      });
+    }
+  }
+  return plan;
+}
+
+task("bando:record:index", "Lists by service the records deposited before records were listed by service")
+  .addOptionalParam("batchSize", "The maximum number of records per transaction", 500, types.int)
+  .addFlag("dryRun", "Only print the diff against on-chain state")
+  .setAction(async (args, hre) => {
+    const { contracts } = await loadDeployment(hre);
+    return applyPlan(await planRecordIndex(contracts, args.batchSize), args);
+  });
+
+task("bando:record:release", "Credits the matured releases of a service to its releaseable pools")
+  .addParam("serviceId", "The service identifier", undefined, types.int)
+  .addOptionalParam("batchSize", "The maximum number of records per transaction", 100, types.int)
+  .addFlag("dryRun", "Only print the diff against on-chain state")
+  .setAction(async (args, hre) => {
+    const { contracts } = await loadDeployment(hre);
+    return applyPlan(await planMaturedReleases(contracts, args.serviceId, args.batchSize), args);
+  });
+
+module.exports = {
+  lastRecordId,
+  planRecordIndex,
+  planMaturedReleases,
+};
@@ -0,0 +1,103 @@
+const { task, types } = require("hardhat/config");
+const { CONTRACTS, loadDeployment } = require("../scripts/utils/manifest");
+const { collectRecords } = require("./utils/input");
+const { applyPlan } = require("./utils/plan");
+
+/// Contracts checking each role, see BandoRolesUpgradeable._managedRoles
+const ROLE_CONTRACTS = {
+  DEFAULT_ADMIN_ROLE: CONTRACTS,
+  SERVICE_ADMIN_ROLE: ["FulfillableRegistry", "BandoFulfillmentManagerV1", "ChainlinkPriceOracle"],
+  REF_ADMIN_ROLE: ["BandoFulfillmentManagerV1"],
+  TOKEN_ADMIN_ROLE: ["ERC20TokenRegistry", "ChainlinkPriceOracle"],
+  PAUSER_ROLE: ["BandoRouterV1"],
+  REFUND_OPERATOR_ROLE: ["BandoFulfillmentManagerV1"],
+  FULFILLMENT_OPERATOR_ROLE: ["BandoFulfillmentManagerV1"],
+  ARBITER_ROLE: ["BandoFulfillableV1", "BandoERC20FulfillableV1"],
+  UPGRADER_ROLE: CONTRACTS,
+};
+
+/**
+ * Resolves a role name, with or without the _ROLE suffix, e.g. PAUSER or PAUSER_ROLE.
+ */
+function roleName(role) {
+  const name = role.toUpperCase().endsWith("_ROLE") ? role.toUpperCase() : `${role.toUpperCase()}_ROLE`;
+  if (!ROLE_CONTRACTS[name]) {
+    throw new Error(`Unknown role "${role}", expected one of ${Object.keys(ROLE_CONTRACTS).join(", ")}`);
+  }
+  return name;
+}
+
+/**
+ * Computes the changes needed to grant (or revoke) roles.
+ * Records without a contract apply to every contract checking the role.
+ */
+async function planRoles(contracts, records, revoke = false) {
+  const plan = [];
+  for (const record of records) {
+    const role = roleName(record.role);
+    const names = record.contract ? [record.contract] : ROLE_CONTRACTS[role];
+    for (const name of names) {
+      const contract = contracts[name];
+      if (!contract) {
+        throw new Error(`Unknown contract "${name}", expected one of ${CONTRACTS.join(", ")}`);
+      }
+      const id = await contract[role]();
+      const description = `${role} on ${name} for ${record.account}`;
+      if ((await contract.hasRole(id, record.account)) !== revoke) {
+        plan.push({ op: "=", description });
+      } else if (revoke) {
+        plan.push({ op: "-", description, send: () => contract.revokeRole(id, record.account) });
+      } else {
+        plan.push({ op: "+", description, send: () => contract.grantRole(id, record.account) });
+      }
+    }
+  }
+  return plan;
+}
+
+/**
+ * Lists the accounts holding a role on a contract, replaying its RoleGranted and RoleRevoked events,
+ * as AccessControl does not enumerate them.
+ */
+async function roleHolders(contract, role) {
+  const id = await contract[role]();
+  const events = [
+    ...(await contract.queryFilter(contract.filters.RoleGranted(id))),
+    ...(await contract.queryFilter(contract.filters.RoleRevoked(id))),
+  ].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+  const holders = new Set();
+  for (const event of events) {
+    if (event.eventName === "RoleGranted") {
+      holders.add(event.args.account);
+    } else {
+      holders.delete(event.args.account);
+    }
+  }
+  return [...holders];
+}
+
+/**
+ * Declares a role task, granting or revoking.
+ */
+function roleTask(name, description, revoke) {
+  task(name, description)
+    .addOptionalParam("role", `The role, one of ${Object.keys(ROLE_CONTRACTS).join(", ")}`, undefined, types.string)
+    .addOptionalParam("account", "The account address", undefined, types.string)
+    .addOptionalParam("contract", "The contract name, defaults to every contract checking the role", undefined, types.string)
+    .addOptionalParam("file", "JSON or CSV file with role,account records and an optional contract column", undefined, types.inputFile)
+    .addFlag("dryRun", "Only print the diff against on-chain state")
+    .setAction(async (args, hre) => {
+      const records = collectRecords(args, ["role", "account"], ["contract"]);
+      const { contracts } = await loadDeployment(hre);
+      return applyPlan(await planRoles(contracts, records, revoke), args);
+    });
+}
+
+roleTask("bando:role:grant", "Grants protocol roles to an account", false);
+roleTask("bando:role:revoke", "Revokes protocol roles from an account", true);
+
+module.exports = {
+  ROLE_CONTRACTS,
+  planRoles,
+  roleHolders,
+};
@@ -0,0 +1,30 @@
+const { task } = require("hardhat/config");
+const { loadDeployment } = require("../scripts/utils/manifest");
+const { applyPlan } = require("./utils/plan");
+
+/**
+ * Computes the change needed to bring the router to the desired paused state.
+ */
+async function planPause({ BandoRouterV1: router }, paused) {
+  const current = await router.paused();
+  if (current === paused) {
+    return [{ op: "=", description: `router paused: ${current}` }];
+  }
+  return [{
+    op: "~",
+    description: `router paused: ${current} -> ${paused}`,
+    send: () => (paused ? router.pause() : router.unpause()),
+  }];
+}
+
+task("bando:pause", "Pauses (or unpauses) service requests on the router")
+  .addFlag("unpause", "Unpause the router instead")
+  .addFlag("dryRun", "Only print the diff against on-chain state")
+  .setAction(async (args, hre) => {
+    const { contracts } = await loadDeployment(hre);
+    return applyPlan(await planPause(contracts, !args.unpause), args);
+  });
+
+module.exports = {
+  planPause,
+};
@@ -0,0 +1,407 @@
+const { task, types } = require("hardhat/config");
+const { ZeroAddress } = require("ethers");
+const { loadDeployment } = require("../scripts/utils/manifest");
+const { collectRecords } = require("./utils/input");
+const { applyPlan } = require("./utils/plan");
+const { RefValidationMode, compileRefPattern, parseRefCharset } = require("../sdk/refs");
+const { readPages } = require("../sdk/client");
+const { DEFAULT_FIAT_DECIMALS, encodeCurrency, decodeCurrency } = require("../sdk/currencies");
+
+const SERVICE_FIELDS = ["serviceId", "feeAmount", "fulfiller", "beneficiary"];
+/// Basis-point fee fields, left untouched when a record does not set feeBasisPoints
+const SERVICE_FEE_FIELDS = ["feeBasisPoints", "minFeeAmount", "maxFeeAmount"];
+const REF_FIELDS = ["serviceId", "ref"];
+const TOKEN_FEE_FIELDS = ["serviceId", "token", "feeAmount"];
+const CURRENCY_FIELDS = ["serviceId", "currency"];
+const REF_RULE_FIELDS = ["serviceId", "mode"];
+/// Pattern and length fields, depending on the rule mode
+const REF_RULE_OPTIONAL_FIELDS = ["pattern", "minLength", "maxLength"];
+/// Task names of the RefValidationMode values
+const REF_RULE_MODES = {
+  "allow-list": RefValidationMode.ALLOW_LIST,
+  pattern: RefValidationMode.PATTERN,
+  "length-charset": RefValidationMode.LENGTH_CHARSET,
+};
+
+/**
+ * Formats the basis-point fee of a service as feeBasisPoints/minFeeAmount/maxFeeAmount.
+ */
+function formatBasisPointsFee(s) {
+  return SERVICE_FEE_FIELDS.map((field) => BigInt(s[field] || 0).toString()).join("/");
+}
+
+/**
+ * Plans the basis-point fee update of a service, when the record sets one.
+ */
+function planBasisPointsFee(registry, s, current) {
+  if (s.feeBasisPoints === undefined) {
+    return [];
+  }
+  const from = formatBasisPointsFee(current);
+  const to = formatBasisPointsFee(s);
+  if (from === to) {
+    return [];
+  }
+  return [{
+    op: "~",
+    description: `service ${s.serviceId} feeBasisPoints/minFeeAmount/maxFeeAmount: ${from} -> ${to}`,
+    send: () => registry.updateServiceFeeBasisPoints(s.serviceId, ...to.split("/")),
+  }];
+}
+
+/**
+ * Computes the changes needed for the registry to hold the given services.
+ * New services are added through the manager, existing ones are updated in the registry.
+ */
+async function planServices({ FulfillableRegistry: registry, BandoFulfillmentManagerV1: manager }, services) {
+  const plan = [];
+  for (const s of services) {
+    const current = await registry._serviceRegistry(s.serviceId);
+    if (current.fulfiller === "0x0000000000000000000000000000000000000000") {
+      plan.push({
+        op: "+",
+        description: `service ${s.serviceId}: feeAmount=${s.feeAmount} fulfiller=${s.fulfiller} beneficiary=${s.beneficiary}`,
+        send: () => manager.setService(s.serviceId, s.feeAmount, s.fulfiller, s.beneficiary),
+      });
+      plan.push(...planBasisPointsFee(registry, s, {}));
+      continue;
+    }
+    const updates = [
+      ["feeAmount", current.feeAmount.toString(), BigInt(s.feeAmount).toString(), "updateServiceFeeAmount"],
+      ["fulfiller", current.fulfiller, s.fulfiller, "updateServiceFulfiller"],
+      ["beneficiary", current.beneficiary, s.beneficiary, "updateServiceBeneficiary"],
+    ].filter(([, from, to]) => from.toLowerCase() !== to.toLowerCase());
+    const feeUpdates = planBasisPointsFee(registry, s, current);
+    if (updates.length === 0 && feeUpdates.length === 0) {
+      plan.push({ op: "=", description: `service ${s.serviceId}` });
+    }
+    for (const [field, from, to, method] of updates) {
+      plan.push({
+        op: "~",
+        description: `service ${s.serviceId} ${field}: ${from} -> ${to}`,
+        send: () => registry[method](s.serviceId, to),
+      });
+    }
+    plan.push(...feeUpdates);
+  }
+  return plan;
+}
+
+/**
+ * Describes a batch of service references.
+ */
+function describeRefs(serviceId, refs) {
+  if (refs.length === 1) {
+    return `ref "${refs[0]}" for service ${serviceId}`;
+  }
+  return `${refs.length} refs for service ${serviceId}: ${refs.map((ref) => `"${ref}"`).join(", ")}`;
+}
+
+/**
+ * Computes the service references missing from the registry (or still in it when removing),
+ * sent in batches of batchSize references per service.
+ */
+async function planRefs(
+  { FulfillableRegistry: registry, BandoFulfillmentManagerV1: manager },
+  refs,
+  { remove = false, batchSize = 100 } = {},
+) {
+  const plan = [];
+  const pending = new Map();
+  for (const r of refs) {
+    if ((await registry.hasServiceRef(r.serviceId, r.ref)) !== remove) {
+      plan.push({ op: "=", description: describeRefs(r.serviceId, [r.ref]) });
+    } else {
+      const key = String(r.serviceId);
+      pending.set(key, [...(pending.get(key) || []), r.ref]);
+    }
+  }
+  for (const [serviceId, serviceRefs] of pending) {
+    for (let i = 0; i < serviceRefs.length; i += batchSize) {
+      const batch = serviceRefs.slice(i, i + batchSize);
+      plan.push({
+        op: remove ? "-" : "+",
+        description: describeRefs(serviceId, batch),
+        send: () => {
+          if (batch.length === 1) {
+            return remove ? manager.removeServiceRef(serviceId, batch[0]) : manager.setServiceRef(serviceId, batch[0]);
+          }
+          return remove ? manager.removeServiceRefs(serviceId, batch) : manager.setServiceRefs(serviceId, batch);
+        },
+      });
+    }
+  }
+  return plan;
+}
+
+/**
+ * Computes the batches indexing the references stored before references were indexed by hash.
+ */
+async function planRefMigration({ FulfillableRegistry: registry }, serviceIds, batchSize = 100) {
+  const plan = [];
+  for (const serviceId of serviceIds) {
+    const left = (await registry.getServiceRefCount(serviceId)) - (await registry._serviceRefsIndexed(serviceId));
+    if (left === 0n) {
+      plan.push({ op: "=", description: `refs of service ${serviceId}` });
+    }
+    // duplicates dropped by a batch shrink the count, the extra batches are then no-ops
+    for (let migrated = 0n; migrated < left; migrated += BigInt(batchSize)) {
+      const count = left - migrated < BigInt(batchSize) ? left - migrated : BigInt(batchSize);
+      plan.push({
+        op: "~",
+        description: `index ${count} legacy ref(s) of service ${serviceId}`,
+        send: () => registry.migrateServiceRefs(serviceId, batchSize),
+      });
+    }
+  }
+  return plan;
+}
+
+/**
+ * Computes the ERC20 fee updates needed for the registry to hold the given token fees.
+ */
+async function planTokenFees({ FulfillableRegistry: registry }, fees) {
+  const plan = [];
+  for (const f of fees) {
+    const current = await registry.getServiceTokenFee(f.serviceId, f.token);
+    const to = BigInt(f.feeAmount);
+    if (current === to) {
+      plan.push({ op: "=", description: `service ${f.serviceId} fee in ${f.token}` });
+    } else {
+      plan.push({
+        op: "~",
+        description: `service ${f.serviceId} fee in ${f.token}: ${current} -> ${to}`,
+        send: () => registry.updateServiceTokenFee(f.serviceId, f.token, to),
+      });
+    }
+  }
+  return plan;
+}
+
+/**
+ * Computes the changes needed for the registry to accept (or stop accepting) requests of services
+ * in the given fiat currencies. Records may set the decimals of the fiat amounts, 2 by default.
+ */
+async function planServiceCurrencies({ FulfillableRegistry: registry }, records, remove = false) {
+  const plan = [];
+  for (const record of records) {
+    const { serviceId } = record;
+    const currency = encodeCurrency(record.currency);
+    const code = decodeCurrency(currency);
+    const [currencies, decimals] = await registry.getServiceCurrencies(serviceId);
+    const index = currencies.findIndex((c) => c === currency);
+    if (remove) {
+      plan.push(index < 0
+        ? { op: "=", description: `service ${serviceId} currency ${code}` }
+        : { op: "-", description: `service ${serviceId} currency ${code}`, send: () => registry.removeServiceCurrency(serviceId, currency) });
+      continue;
+    }
+    const to = BigInt(record.decimals === undefined ? DEFAULT_FIAT_DECIMALS : record.decimals);
+    const send = () => registry.updateServiceCurrency(serviceId, currency, to);
+    if (index < 0) {
+      plan.push({ op: "+", description: `service ${serviceId} currency ${code}/${to}`, send });
+    } else if (decimals[index] === to) {
+      plan.push({ op: "=", description: `service ${serviceId} currency ${code}` });
+    } else {
+      plan.push({ op: "~", description: `service ${serviceId} currency ${code} decimals: ${decimals[index]} -> ${to}`, send });
+    }
+  }
+  return plan;
+}
+
+/**
+ * Formats a reference rule, e.g. pattern /\d{10}/ or length-charset [0-9] 4..6.
+ */
+function formatRefRule({ mode, pattern, minLength, maxLength }) {
+  const name = Object.keys(REF_RULE_MODES).find((key) => REF_RULE_MODES[key] === Number(mode));
+  if (Number(mode) === RefValidationMode.PATTERN) {
+    return `${name} /${pattern}/`;
+  }
+  if (Number(mode) === RefValidationMode.LENGTH_CHARSET) {
+    return `${name} [${pattern}] ${minLength}..${maxLength}`;
+  }
+  return name;
+}
+
+/**
+ * Computes the reference rule updates needed for the registry to hold the given rules.
+ * Patterns and charsets are compiled locally first, so invalid ones fail before sending anything.
+ */
+async function planRefRules({ FulfillableRegistry: registry }, rules) {
+  const plan = [];
+  for (const r of rules) {
+    const mode = REF_RULE_MODES[r.mode];
+    if (mode === undefined) {
+      throw new Error(`Unknown ref rule mode "${r.mode}", expected one of ${Object.keys(REF_RULE_MODES).join(", ")}`);
+    }
+    const to = {
+      mode,
+      pattern: mode === RefValidationMode.ALLOW_LIST ? "" : r.pattern || "",
+      minLength: mode === RefValidationMode.LENGTH_CHARSET ? BigInt(r.minLength || 0) : 0n,
+      maxLength: mode === RefValidationMode.LENGTH_CHARSET ? BigInt(r.maxLength || 0) : 0n,
+    };
+    if (mode === RefValidationMode.PATTERN) {
+      compileRefPattern(to.pattern);
+    } else if (mode === RefValidationMode.LENGTH_CHARSET) {
+      parseRefCharset(to.pattern);
+    }
+    const current = await registry.getServiceRefRule(r.serviceId);
+    const from = formatRefRule(current);
+    if (from === formatRefRule(to)) {
+      plan.push({ op: "=", description: `service ${r.serviceId} ref rule` });
+    } else {
+      plan.push({
+        op: "~",
+        description: `service ${r.serviceId} ref rule: ${from} -> ${formatRefRule(to)}`,
+        send: () => registry.updateServiceRefRule(r.serviceId, to),
+      });
+    }
+  }
+  return plan;
+}
+
+/**
+ * Computes the services, and their fulfiller registrations, added before services were enumerable.
+ * Services are found from the ServiceAdded events. Fulfiller registrations are not logged,
+ * only the registration of each service's current fulfiller is checked.
+ */
+async function planServiceIndex({ FulfillableRegistry: registry }, fromBlock = 0) {
+  const plan = [];
+  const listed = new Set((await readPages((offset, limit) => registry.getServices(offset, limit))).map((s) => s.serviceId));
+  const events = await registry.queryFilter(registry.filters.ServiceAdded(), fromBlock);
+  const missing = [];
+  const fulfillers = new Map();
+  for (const id of new Set(events.map((event) => event.args.serviceID))) {
+    const { fulfiller } = await registry._serviceRegistry(id);
+    if (fulfiller === ZeroAddress) {
+      continue;
+    }
+    if (listed.has(id)) {
+      plan.push({ op: "=", description: `service ${id}` });
+    } else {
+      missing.push(id);
+    }
+    const registered = await readPages((offset, limit) => registry.getFulfillerServiceIds(fulfiller, offset, limit));
+    if ((await registry._fulfillerServices(fulfiller, id)) && !registered.includes(id)) {
+      fulfillers.set(fulfiller, [...(fulfillers.get(fulfiller) || []), id]);
+    }
+  }
+  if (missing.length > 0) {
+    plan.push({
+      op: "+",
+      description: `list services ${missing.join(", ")}`,
+      send: () => registry.indexServices(missing),
+    });
+  }
+  for (const [fulfiller, ids] of fulfillers) {
+    plan.push({
+      op: "+",
+      description: `list services ${ids.join(", ")} for fulfiller ${fulfiller}`,
+      send: () => registry.indexFulfillerServices(fulfiller, ids),
+    });
+  }
+  return plan;
+}
+
+task("bando:service:add", "Adds or updates services in the fulfillable registry")
+  .addOptionalParam("serviceId", "The service identifier", undefined, types.string)
+  .addOptionalParam("feeAmount", "The flat service fee in wei", undefined, types.string)
+  .addOptionalParam("fulfiller", "The fulfiller address", undefined, types.string)
+  .addOptionalParam("beneficiary", "The beneficiary address", undefined, types.string)
+  .addOptionalParam("feeBasisPoints", "The percentage fee in basis points, charged on top of the flat fee", undefined, types.string)
+  .addOptionalParam("minFeeAmount", "The minimum basis-point fee in wei", undefined, types.string)
+  .addOptionalParam("maxFeeAmount", "The maximum basis-point fee in wei, 0 for no cap", undefined, types.string)
+  .addOptionalParam("file", "JSON or CSV file with serviceId,feeAmount,fulfiller,beneficiary records and optional basis-point fee columns", undefined, types.inputFile)
+  .addFlag("dryRun", "Only print the diff against on-chain state")
+  .setAction(async (args, hre) => {
+    const services = collectRecords(args, SERVICE_FIELDS, SERVICE_FEE_FIELDS);
+    const { contracts } = await loadDeployment(hre);
+    return applyPlan(await planServices(contracts, services), args);
+  });
+
+/**
+ * Declares a service reference task, adding or removing.
+ */
+function refTask(name, description, remove) {
+  task(name, description)
+    .addOptionalParam("serviceId", "The service identifier", undefined, types.string)
+    .addOptionalParam("ref", "The service reference", undefined, types.string)
+    .addOptionalParam("file", "JSON or CSV file with serviceId,ref records", undefined, types.inputFile)
+    .addOptionalParam("batchSize", "The maximum number of references per transaction", 100, types.int)
+    .addFlag("dryRun", "Only print the diff against on-chain state")
+    .setAction(async (args, hre) => {
+      const refs = collectRecords(args, REF_FIELDS);
+      const { contracts } = await loadDeployment(hre);
+      return applyPlan(await planRefs(contracts, refs, { remove, batchSize: args.batchSize }), args);
+    });
+}
+
+refTask("bando:ref:add", "Adds service references to the fulfillable registry", false);
+refTask("bando:ref:remove", "Removes service references from the fulfillable registry", true);
+
+task("bando:ref:migrate", "Indexes by hash the service references stored before references were indexed")
+  .addParam("services", "Comma separated service identifiers", undefined, types.string)
+  .addOptionalParam("batchSize", "The maximum number of references per transaction", 100, types.int)
+  .addFlag("dryRun", "Only print the diff against on-chain state")
+  .setAction(async (args, hre) => {
+    const serviceIds = args.services.split(",").map((id) => id.trim());
+    const { contracts } = await loadDeployment(hre);
+    return applyPlan(await planRefMigration(contracts, serviceIds, args.batchSize), args);
+  });
+
+task("bando:ref:rule", "Sets how services validate their references")
+  .addOptionalParam("serviceId", "The service identifier", undefined, types.string)
+  .addOptionalParam("mode", `The validation mode, one of ${Object.keys(REF_RULE_MODES).join(", ")}`, undefined, types.string)
+  .addOptionalParam("pattern", "The pattern, or the characters of a length-charset rule, e.g. 0-9A-Z", undefined, types.string)
+  .addOptionalParam("minLength", "The minimum reference length of a length-charset rule", undefined, types.string)
+  .addOptionalParam("maxLength", "The maximum reference length of a length-charset rule", undefined, types.string)
+  .addOptionalParam("file", "JSON or CSV file with serviceId,mode records and optional pattern,minLength,maxLength columns", undefined, types.inputFile)
+  .addFlag("dryRun", "Only print the diff against on-chain state")
+  .setAction(async (args, hre) => {
+    const rules = collectRecords(args, REF_RULE_FIELDS, REF_RULE_OPTIONAL_FIELDS);
+    const { contracts } = await loadDeployment(hre);
+    return applyPlan(await planRefRules(contracts, rules), args);
+  });
+
+task("bando:service:index", "Lists the services added before services were enumerable")
+  .addOptionalParam("fromBlock", "The block to look for ServiceAdded events from", 0, types.int)
+  .addFlag("dryRun", "Only print the diff against on-chain state")
+  .setAction(async (args, hre) => {
+    const { contracts } = await loadDeployment(hre);
+    return applyPlan(await planServiceIndex(contracts, args.fromBlock), args);
+  });
+
+task("bando:service:token-fee", "Sets the fee services charge on requests paid with an ERC20 token")
+  .addOptionalParam("serviceId", "The service identifier", undefined, types.string)
+  .addOptionalParam("token", "The ERC20 token address", undefined, types.string)
+  .addOptionalParam("feeAmount", "The fee in token units, collected on top of the token amount", undefined, types.string)
+  .addOptionalParam("file", "JSON or CSV file with serviceId,token,feeAmount records", undefined, types.inputFile)
+  .addFlag("dryRun", "Only print the diff against on-chain state")
+  .setAction(async (args, hre) => {
+    const fees = collectRecords(args, TOKEN_FEE_FIELDS);
+    const { contracts } = await loadDeployment(hre);
+    return applyPlan(await planTokenFees(contracts, fees), args);
+  });
+
+task("bando:service:currency", "Sets the fiat currencies services accept requests in")
+  .addOptionalParam("serviceId", "The service identifier", undefined, types.string)
+  .addOptionalParam("currency", "The ISO 4217 alphabetic currency code, e.g. MXN", undefined, types.string)
+  .addOptionalParam("decimals", "The decimals of the fiat amounts, 2 by default", undefined, types.string)
+  .addOptionalParam("file", "JSON or CSV file with serviceId,currency records and an optional decimals column", undefined, types.inputFile)
+  .addFlag("remove", "Stop accepting the currencies instead")
+  .addFlag("dryRun", "Only print the diff against on-chain state")
+  .setAction(async (args, hre) => {
+    const records = collectRecords(args, CURRENCY_FIELDS, ["decimals"]);
+    const { contracts } = await loadDeployment(hre);
+    return applyPlan(await planServiceCurrencies(contracts, records, args.remove), args);
+  });
+
+module.exports = {
+  planServices,
+  planServiceCurrencies,
+  planServiceIndex,
+  planRefs,
+  planRefMigration,
+  planRefRules,
+  planTokenFees,
+};
@@ -0,0 +1,82 @@
+const { task, types } = require("hardhat/config");
+const { loadDeployment } = require("../scripts/utils/manifest");
+const { ROLE_CONTRACTS, roleHolders } = require("./roles");
+
+/**
+ * Collects the protocol configuration as deployed on-chain,
+ * along with the holders of the roles each contract checks.
+ * @param {object} contracts the attached deployment contracts
+ * @param {string[]} serviceIds services to include
+ */
+async function protocolStatus(contracts, serviceIds = []) {
+  const {
+    FulfillableRegistry: registry,
+    BandoFulfillableV1: escrow,
+    BandoERC20FulfillableV1: erc20Escrow,
+    BandoFulfillmentManagerV1: manager,
+    BandoRouterV1: router,
+  } = contracts;
+  const status = {
+    contracts: {},
+    router: {
+      paused: await router.paused(),
+      fulfillableRegistry: await router._fulfillableRegistry(),
+      tokenRegistry: await router._tokenRegistry(),
+      escrow: await router._escrow(),
+      erc20Escrow: await router._erc20Escrow(),
+      priceOracle: await router._priceOracle(),
+    },
+    manager: {
+      serviceRegistry: await manager._serviceRegistry(),
+      escrow: await manager._escrow(),
+      erc20Escrow: await manager._erc20_escrow(),
+    },
+    escrow: {
+      manager: await escrow._manager(),
+      router: await escrow._router(),
+      balance: (await escrow.runner.provider.getBalance(await escrow.getAddress())).toString(),
+    },
+    erc20Escrow: {
+      manager: await erc20Escrow._manager(),
+      router: await erc20Escrow._router(),
+    },
+    services: {},
+  };
+  for (const [name, contract] of Object.entries(contracts)) {
+    const roles = {};
+    for (const [role, names] of Object.entries(ROLE_CONTRACTS)) {
+      if (names.includes(name)) {
+        roles[role] = await roleHolders(contract, role);
+      }
+    }
+    status.contracts[name] = { address: await contract.getAddress(), roles };
+  }
+  for (const id of serviceIds) {
+    const s = await registry._serviceRegistry(id);
+    status.services[id] = {
+      fulfiller: s.fulfiller,
+      beneficiary: s.beneficiary,
+      feeAmount: s.feeAmount.toString(),
+      feeBasisPoints: s.feeBasisPoints.toString(),
+      minFeeAmount: s.minFeeAmount.toString(),
+      maxFeeAmount: s.maxFeeAmount.toString(),
+      refCount: (await registry._serviceRefCount(id)).toString(),
+      releaseablePool: (await escrow._releaseablePool(id)).toString(),
+    };
+  }
+  return status;
+}
+
+task("bando:status", "Prints the deployed protocol configuration")
+  .addOptionalParam("services", "Comma separated service ids to include", "", types.string)
+  .setAction(async (args, hre) => {
+    const { contracts } = await loadDeployment(hre);
+    const ids = args.services.split(",").map((id) => id.trim()).filter((id) => id.length > 0);
+    const status = await protocolStatus(contracts, ids);
+    console.log(JSON.stringify(status, null, 2));
+    return status;
+  });
+
+module.exports = {
+  protocolStatus,
+};
@@ -0,0 +1,212 @@
+const { task, types } = require("hardhat/config");
+const { loadDeployment } = require("../scripts/utils/manifest");
+const { collectRecords } = require("./utils/input");
+const { applyPlan } = require("./utils/plan");
+const { readPages } = require("../sdk/client");
+
+/// Token accounting modes, see ERC20TokenRegistry.setBalanceDeltaAccounting
+const ACCOUNTING_MODES = ["exact", "balance-delta"];
+
+/**
+ * Plans the accounting mode update of a whitelisted token, when the record sets one.
+ */
+async function planAccounting(tokenRegistry, { token, accounting }, whitelisted) {
+  if (accounting === undefined) {
+    return [];
+  }
+  if (!ACCOUNTING_MODES.includes(accounting)) {
+    throw new Error(`Unknown accounting "${accounting}" for token ${token}, expected ${ACCOUNTING_MODES.join(" or ")}`);
+  }
+  const from = whitelisted && (await tokenRegistry.usesBalanceDeltaAccounting(token)) ? "balance-delta" : "exact";
+  if (from === accounting) {
+    return [];
+  }
+  return [{
+    op: "~",
+    description: `token ${token} accounting: ${from} -> ${accounting}`,
+    send: () => tokenRegistry.setBalanceDeltaAccounting(token, accounting === "balance-delta"),
+  }];
+}
+
+/**
+ * Computes the changes needed to add (or remove) tokens from the whitelist.
+ */
+async function planTokens({ ERC20TokenRegistry: tokenRegistry }, tokens, remove = false) {
+  const plan = [];
+  for (const record of tokens) {
+    const { token } = record;
+    const whitelisted = await tokenRegistry.isTokenWhitelisted(token);
+    const accountingUpdates = remove ? [] : await planAccounting(tokenRegistry, record, whitelisted);
+    if (whitelisted === !remove) {
+      if (accountingUpdates.length === 0) {
+        plan.push({ op: "=", description: `token ${token}` });
+      }
+    } else if (remove) {
+      plan.push({ op: "-", description: `token ${token}`, send: () => tokenRegistry.removeToken(token) });
+    } else {
+      plan.push({ op: "+", description: `token ${token}`, send: () => tokenRegistry.addToken(token) });
+    }
+    plan.push(...accountingUpdates);
+  }
+  return plan;
+}
+
+/**
+ * Parses a boolean task input, as given by a flag or a file column.
+ */
+function parseBoolean(value, name) {
+  if (typeof value === "boolean") {
+    return value;
+  }
+  if (value === "true" || value === "false") {
+    return value === "true";
+  }
+  throw new Error(`Invalid ${name} "${value}", expected true or false`);
+}
+
+/**
+ * Computes the metadata updates of whitelisted tokens.
+ * Records may set minAmount and maxAmount (0 for no bound), enabled, and services: the service ids
+ * the token is restricted to, separated by commas, semicolons or spaces, or "any" to lift the restriction.
+ */
+async function planTokenMetadata({ ERC20TokenRegistry: tokenRegistry }, records) {
+  const plan = [];
+  for (const record of records) {
+    const { token } = record;
+    if (!(await tokenRegistry.isTokenWhitelisted(token))) {
+      throw new Error(`Token ${token} is not whitelisted`);
+    }
+    const metadata = await tokenRegistry.getTokenMetadata(token);
+    const updates = [];
+    if (record.minAmount !== undefined || record.maxAmount !== undefined) {
+      const minAmount = record.minAmount !== undefined ? BigInt(record.minAmount) : metadata.minAmount;
+      const maxAmount = record.maxAmount !== undefined ? BigInt(record.maxAmount) : metadata.maxAmount;
+      if (minAmount !== metadata.minAmount || maxAmount !== metadata.maxAmount) {
+        updates.push({
+          op: "~",
+          description: `token ${token} minAmount/maxAmount: ${metadata.minAmount}/${metadata.maxAmount} -> ${minAmount}/${maxAmount}`,
+          send: () => tokenRegistry.setTokenLimits(token, minAmount, maxAmount),
+        });
+      }
+    }
+    if (record.enabled !== undefined) {
+      const enabled = parseBoolean(record.enabled, "enabled");
+      if (enabled === metadata.disabled) {
+        updates.push({
+          op: "~",
+          description: `token ${token} enabled: ${!metadata.disabled} -> ${enabled}`,
+          send: () => tokenRegistry.setTokenEnabled(token, enabled),
+        });
+      }
+    }
+    if (record.services !== undefined) {
+      updates.push(...(await planTokenServices(tokenRegistry, token, metadata, String(record.services))));
+    }
+    plan.push(...(updates.length > 0 ? updates : [{ op: "=", description: `token ${token}` }]));
+  }
+  return plan;
+}
+
+/**
+ * Plans the service restriction of a token, and the services it is allowed for.
+ */
+async function planTokenServices(tokenRegistry, token, metadata, services) {
+  const restricted = services.trim() !== "any";
+  const updates = [];
+  if (restricted !== metadata.serviceRestricted) {
+    updates.push({
+      op: "~",
+      description: `token ${token} service restriction: ${metadata.serviceRestricted ? "on" : "off"} -> ${restricted ? "on" : "off"}`,
+      send: () => tokenRegistry.setTokenServiceRestriction(token, restricted),
+    });
+  }
+  if (!restricted) {
+    return updates;
+  }
+  const wanted = new Set(services.split(/[,;\s]+/).filter((id) => id.length > 0).map((id) => BigInt(id)));
+  const allowed = new Set(await tokenRegistry.getTokenServices(token));
+  for (const serviceId of wanted) {
+    if (!allowed.has(serviceId)) {
+      updates.push({
+        op: "+",
+        description: `token ${token} for service ${serviceId}`,
+        send: () => tokenRegistry.setTokenServiceAllowed(token, serviceId, true),
+      });
+    }
+  }
+  for (const serviceId of allowed) {
+    if (!wanted.has(serviceId)) {
+      updates.push({
+        op: "-",
+        description: `token ${token} for service ${serviceId}`,
+        send: () => tokenRegistry.setTokenServiceAllowed(token, serviceId, false),
+      });
+    }
+  }
+  return updates;
+}
+
+/**
+ * Computes the tokens whitelisted before the whitelist was enumerable, found from the TokenAdded events.
+ */
+async function planTokenIndex({ ERC20TokenRegistry: tokenRegistry }, fromBlock = 0) {
+  const plan = [];
+  const listed = new Set(await readPages((offset, limit) => tokenRegistry.getTokens(offset, limit)));
+  const events = await tokenRegistry.queryFilter(tokenRegistry.filters.TokenAdded(), fromBlock);
+  const missing = [];
+  for (const token of new Set(events.map((event) => event.args.token))) {
+    if (listed.has(token)) {
+      plan.push({ op: "=", description: `token ${token}` });
+    } else if (await tokenRegistry.isTokenWhitelisted(token)) {
+      missing.push(token);
+    }
+  }
+  if (missing.length > 0) {
+    plan.push({
+      op: "+",
+      description: `list tokens ${missing.join(", ")}`,
+      send: () => tokenRegistry.indexTokens(missing),
+    });
+  }
+  return plan;
+}
+
+task("bando:token:whitelist", "Adds or removes tokens from the ERC20 token registry whitelist")
+  .addOptionalParam("token", "The ERC20 token address", undefined, types.string)
+  .addOptionalParam("accounting", "exact, or balance-delta for fee-on-transfer tokens", undefined, types.string)
+  .addOptionalParam("file", "JSON or CSV file with token records and an optional accounting column", undefined, types.inputFile)
+  .addFlag("remove", "Remove the tokens from the whitelist instead")
+  .addFlag("dryRun", "Only print the diff against on-chain state")
+  .setAction(async (args, hre) => {
+    const tokens = collectRecords(args, ["token"], ["accounting"]);
+    const { contracts } = await loadDeployment(hre);
+    return applyPlan(await planTokens(contracts, tokens, args.remove), args);
+  });
+
+task("bando:token:metadata", "Sets the limits, status and service restriction of whitelisted tokens")
+  .addOptionalParam("token", "The ERC20 token address", undefined, types.string)
+  .addOptionalParam("minAmount", "The minimum tokenAmount of a request, 0 for no minimum", undefined, types.string)
+  .addOptionalParam("maxAmount", "The maximum tokenAmount of a request, 0 for no maximum", undefined, types.string)
+  .addOptionalParam("enabled", "true, or false to reject new requests paid with the token", undefined, types.string)
+  .addOptionalParam("services", "Comma separated service ids the token is restricted to, or any", undefined, types.string)
+  .addOptionalParam("file", "JSON or CSV file with token records and optional metadata columns", undefined, types.inputFile)
+  .addFlag("dryRun", "Only print the diff against on-chain state")
+  .setAction(async (args, hre) => {
+    const records = collectRecords(args, ["token"], ["minAmount", "maxAmount", "enabled", "services"]);
+    const { contracts } = await loadDeployment(hre);
+    return applyPlan(await planTokenMetadata(contracts, records), args);
+  });
+
+task("bando:token:index", "Lists the tokens whitelisted before the whitelist was enumerable")
+  .addOptionalParam("fromBlock", "The block to look for TokenAdded events from", 0, types.int)
+  .addFlag("dryRun", "Only print the diff against on-chain state")
+  .setAction(async (args, hre) => {
+    const { contracts } = await loadDeployment(hre);
+    return applyPlan(await planTokenIndex(contracts, args.fromBlock), args);
+  });
+
+module.exports = {
+  planTokens,
+  planTokenMetadata,
+  planTokenIndex,
+};
@@ -0,0 +1,87 @@
+const { task, types } = require("hardhat/config");
+const { TASK_COMPILE } = require("hardhat/builtin-tasks/task-names");
+const { CONTRACTS, readManifest } = require("../scripts/utils/manifest");
+const {
+  readStorageLayout,
+  compareLayouts,
+  readSnapshot,
+  writeSnapshot,
+} = require("../scripts/utils/storageLayout");
+
+/**
+ * Checks the storage layout of each contract against its committed snapshot.
+ * @returns {Promise<Object<string, {errors: string[], appended: string[], missing: boolean}>>}
+ */
+async function checkStorageLayouts(hre, names = CONTRACTS, dir) {
+  const results = {};
+  for (const name of names) {
+    const snapshot = readSnapshot(name, dir);
+    const current = await readStorageLayout(hre, name);
+    results[name] = snapshot
+      ? { ...compareLayouts(snapshot, current), missing: false, current }
+      : { errors: [], appended: [], missing: true, current };
+  }
+  return results;
+}
+
+/**
+ * Validates a candidate implementation as an upgrade of a V1 contract, using the
+ * deployed proxy as reference when the manifest has one on this network.
+ */
+async function validateUpgrade(hre, contract, candidate, log = console.log) {
+  const { ethers, upgrades } = hre;
+  const { chainId } = await ethers.provider.getNetwork();
+  const deployed = readManifest(chainId).contracts[contract];
+  const candidateFactory = await ethers.getContractFactory(candidate);
+  let reference;
+  if (deployed && (await ethers.provider.getCode(deployed.proxy)) !== "0x") {
+    reference = deployed.proxy;
+    log(`Validating ${candidate} against the ${contract} proxy at ${reference}`);
+  } else {
+    reference = await ethers.getContractFactory(contract);
+    log(`Validating ${candidate} against the ${contract} implementation`);
+  }
+  await upgrades.validateUpgrade(reference, candidateFactory, { kind: "uups" });
+  log(`${candidate} is a storage compatible upgrade of ${contract}`);
+}
+
+task("bando:storage-layout", "Checks the storage layout of the upgradeable contracts against the committed snapshots")
+  .addOptionalParam("contracts", "Comma separated contract names, defaults to every deployed contract", undefined, types.string)
+  .addFlag("update", "Record the current layouts as the new snapshots")
+  .addFlag("force", "Record the snapshots even if the layout changes are not upgrade safe")
+  .setAction(async (args, hre) => {
+    await hre.run(TASK_COMPILE, { quiet: true });
+    const names = args.contracts ? args.contracts.split(",").map((name) => name.trim()) : CONTRACTS;
+    const results = await checkStorageLayouts(hre, names);
+    let unsafe = false;
+    for (const [name, { errors, appended, missing, current }] of Object.entries(results)) {
+      errors.forEach((error) => console.log(`! ${name} ${error}`));
+      appended.forEach((entry) => console.log(`+ ${name} ${entry}`));
+      if (missing) {
+        console.log(`+ ${name} has no storage layout snapshot`);
+      } else if (errors.length === 0 && appended.length === 0) {
+        console.log(`= ${name}`);
+      }
+      unsafe = unsafe || errors.length > 0;
+      if (args.update && (errors.length === 0 || args.force) && (missing || errors.length || appended.length)) {
+        console.log(`  snapshot written to ${writeSnapshot(name, current)}`);
+      }
+    }
+    if (unsafe && !(args.update && args.force)) {
+      throw new Error("Storage layout changes are not upgrade safe");
+    }
+    return results;
+  });
+
+task("bando:validate-upgrade", "Validates a candidate implementation as an upgrade of a V1 contract")
+  .addParam("contract", "The upgradeable contract name, e.g. BandoFulfillableV1")
+  .addParam("candidate", "The candidate implementation contract name")
+  .setAction(async (args, hre) => {
+    await hre.run(TASK_COMPILE, { quiet: true });
+    await validateUpgrade(hre, args.contract, args.candidate);
+  });
+
+module.exports = {
+  checkStorageLayouts,
+  validateUpgrade,
+};
@@ -0,0 +1,76 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Parses a CSV document with a header row into an array of objects.
+ * Values are trimmed; quoting is not supported.
+ * @param {string} content
+ * @returns {object[]}
+ */
+function parseCSV(content) {
+  const lines = content
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0 && !line.startsWith("#"));
+  if (lines.length === 0) {
+    return [];
+  }
+  const header = lines[0].split(",").map((h) => h.trim());
+  return lines.slice(1).map((line, i) => {
+    const values = line.split(",").map((v) => v.trim());
+    if (values.length !== header.length) {
+      throw new Error(`CSV row ${i + 2} has ${values.length} columns, expected ${header.length}`);
+    }
+    return Object.fromEntries(header.map((h, j) => [h, values[j]]));
+  });
+}
+
+/**
+ * Reads records from a JSON (object or array) or CSV file.
+ * @param {string} file
+ * @returns {object[]}
+ */
+function readRecords(file) {
+  const content = fs.readFileSync(file, "utf8");
+  switch (path.extname(file).toLowerCase()) {
+    case ".json": {
+      const parsed = JSON.parse(content);
+      return Array.isArray(parsed) ? parsed : [parsed];
+    }
+    case ".csv":
+      return parseCSV(content);
+    default:
+      throw new Error(`Unsupported input file ${file}, expected .json or .csv`);
+  }
+}
+
+/**
+ * Collects task input records either from `args.file` or from the task flags.
+ * Every record must define all of the given fields.
+ * @param {object} args task arguments
+ * @param {string[]} fields required fields
+ * @param {string[]} [optionalFields] fields read from the flags when set
+ * @returns {object[]}
+ */
+function collectRecords(args, fields, optionalFields = []) {
+  const records = args.file
+    ? readRecords(args.file)
+    : [Object.fromEntries([
+      ...fields.map((f) => [f, args[f]]),
+      ...optionalFields.filter((f) => args[f] !== undefined).map((f) => [f, args[f]]),
+    ])];
+  records.forEach((r, i) => {
+    for (const field of fields) {
+      if (r[field] === undefined || r[field] === null || r[field] === "") {
+        throw new Error(`Missing "${field}" in input record ${i}`);
+      }
+    }
+  });
+  return records;
+}
+
+module.exports = {
+  parseCSV,
+  readRecords,
+  collectRecords,
+};
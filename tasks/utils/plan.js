@@ -0,0 +1,41 @@
+/**
+ * A change is a single on-chain action computed against the current state.
+ * @typedef {object} Change
+ * @property {'+'|'-'|'~'|'='} op add, remove, update or unchanged
+ * @property {string} description human readable summary
+ * @property {function(): Promise<import('ethers').ContractTransactionResponse>} [send] sends the change
+ */
+
+/**
+ * Prints a plan as a diff against on-chain state and sends every pending change
+ * unless dryRun is set.
+ * @param {Change[]} plan
+ * @param {object} opts
+ * @param {boolean} [opts.dryRun]
+ * @param {function} [opts.log]
+ * @returns {Promise<number>} the number of transactions sent
+ */
+async function applyPlan(plan, { dryRun = false, log = console.log } = {}) {
+  for (const change of plan) {
+    log(`${change.op} ${change.description}`);
+  }
+  const pending = plan.filter((change) => change.op !== "=");
+  if (pending.length === 0) {
+    log("Nothing to do, on-chain state is up to date.");
+    return 0;
+  }
+  if (dryRun) {
+    log(`Dry run: ${pending.length} change(s) not sent.`);
+    return 0;
+  }
+  for (const change of pending) {
+    const tx = await change.send();
+    await tx.wait();
+    log(`sent ${tx.hash}`);
+  }
+  return pending.length;
+}
+
+module.exports = {
+  applyPlan,
+};
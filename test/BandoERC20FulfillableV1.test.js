@@ -1,7 +1,8 @@
 const { expect, assert } = require("chai");
-const { ethers, upgrades } = require("hardhat");
+const { ethers } = require("hardhat");
 const { v4: uuidv4 } = require('uuid');
-const { setupRegistry } = require('./utils/registryUtils');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { USD, systemFixture } = require('./utils/fixtures');
 
 const DUMMY_ADDRESS = "0x5981Bfc1A21978E82E8AF7C76b770CE42C777c3A"
 
@@ -9,6 +10,8 @@ const DUMMY_FULFILLMENTREQUEST = {
   payer: DUMMY_ADDRESS,
   tokenAmount: 100,
   fiatAmount: 10,
+  fiatCurrency: USD,
+  fiatDecimals: 2,
   serviceRef: uuidv4(),
   token: ''
 }
@@ -17,6 +20,7 @@ const SUCCESS_FULFILLMENT_RESULT = {
   status: 1,
   externalID: uuidv4(),
   receiptURI: 'https://test.com',
+  fulfilledAmount: 0,
   id: null,
 }
 
@@ -24,6 +28,7 @@ const INVALID_FULFILLMENT_RESULT = {
   status: 3,
   externalID: uuidv4(),
   receiptURI: 'https://test.com',
+  fulfilledAmount: 0,
   id: null,
 }
 
@@ -31,6 +36,7 @@ const FAILED_FULFILLMENT_RESULT = {
   status: 0,
   externalID: uuidv4(),
   receiptURI: 'https://test.com',
+  fulfilledAmount: 0,
   id: null,
 }
 
@@ -42,65 +48,47 @@ let erc20Test;
 let registryAddress;
 let manager;
 let routerContract;
+let registry;
+let beneficiary;
+let fulfiller;
+let managerEOA;
+
+const erc20EscrowFixture = systemFixture({
+  services: [{ serviceId: 1, feeAmount: 0, refs: [DUMMY_FULFILLMENTREQUEST.serviceRef] }],
+  tokens: [{ contract: 'DemoToken' }],
+});
+const queryFixture = systemFixture({
+  services: [
+    { serviceId: 1, feeAmount: 0, refs: [DUMMY_FULFILLMENTREQUEST.serviceRef] },
+    { serviceId: 2, feeAmount: 0, refs: [DUMMY_FULFILLMENTREQUEST.serviceRef] },
+  ],
+  tokens: [{ contract: 'DemoToken', fund: ethers.parseUnits('1000', 18) }],
+});
 
 describe("BandoERC20FulfillableV1", () => {
   
   before(async () => {
-    [owner, beneficiary, fulfiller, router, managerEOA] = await ethers.getSigners();
-    erc20Test = await ethers.deployContract('DemoToken');
-    await erc20Test.waitForDeployment();
-
-    /**
-    * deploy registries
-    */
-    const registryInstance = await setupRegistry(await owner.getAddress());
-    registryAddress = await registryInstance.getAddress();
-    registry = registryInstance;
-    tokenRegistry = await ethers.getContractFactory('ERC20TokenRegistry');
-    const tokenRegistryInstance = await upgrades.deployProxy(tokenRegistry, []);
-    await tokenRegistryInstance.waitForDeployment();
-    tokenRegistry = await tokenRegistry.attach(await tokenRegistryInstance.getAddress());
-
-    // deploy manager
-    const Manager = await ethers.getContractFactory('BandoFulfillmentManagerV1');
-    const m = await upgrades.deployProxy(Manager, []);
-    await m.waitForDeployment();
-    manager = await Manager.attach(await m.getAddress());
-
-    // deploy the fulfillable escrow contract
-    const FulfillableV1 = await ethers.getContractFactory('BandoERC20FulfillableV1');
-    fulfillableContract = await upgrades.deployProxy(
-      FulfillableV1,
-      []
-    );
-    await fulfillableContract.waitForDeployment();
-    /**
-     * deploy router
-     */
-    const BandoRouterV1 = await ethers.getContractFactory('BandoRouterV1');
-    routerContract = await upgrades.deployProxy(BandoRouterV1, []);
-    await routerContract.waitForDeployment();
-    routerContract = BandoRouterV1.attach(await routerContract.getAddress());
+    let others;
+    ({
+      owner,
+      beneficiary,
+      fulfiller,
+      others,
+      registry,
+      manager,
+      erc20Escrow: escrow,
+      router: routerContract,
+      token: erc20Test,
+    } = await loadFixture(erc20EscrowFixture));
+    // plain signers standing in for the router and the manager
+    [router, managerEOA] = others;
+    registryAddress = await registry.getAddress();
+    fulfillableContract = escrow;
 
     await erc20Test.approve(await routerContract.getAddress(), ethers.parseUnits('1000000', 18));
-    escrow = FulfillableV1.attach(await fulfillableContract.getAddress())
-    taddr = await erc20Test.getAddress();
+    const taddr = await erc20Test.getAddress();
     DUMMY_FULFILLMENTREQUEST.token = taddr;
     SUCCESS_FULFILLMENT_RESULT.token = taddr;
-    await escrow.setManager(await manager.getAddress());
-    await registryInstance.setManager(await manager.getAddress());
-    await escrow.setFulfillableRegistry(registryAddress);
-    await escrow.setRouter(await routerContract.getAddress());
-    await manager.setServiceRegistry(registryAddress);
-    await manager.setEscrow(DUMMY_ADDRESS);
-    await manager.setERC20Escrow(await escrow.getAddress());
-    await routerContract.setFulfillableRegistry(registryAddress);
-    await routerContract.setTokenRegistry(await tokenRegistry.getAddress());
-    await routerContract.setEscrow(DUMMY_ADDRESS);
-    await routerContract.setERC20Escrow(await escrow.getAddress());
-    await manager.setService(1, 0, fulfiller.address, beneficiary.address);
-    await manager.setServiceRef(1, DUMMY_FULFILLMENTREQUEST.serviceRef);
-    await tokenRegistry.addToken(taddr);
   });
 
   describe("Configuration Specs", async () => {
@@ -283,4 +271,48 @@ describe("BandoERC20FulfillableV1", () => {
       ).to.be.revertedWith('There is no balance to release.');
     });
   });
+
+  describe("Record Query Specs", () => {
+    let queried;
+    let payer;
+
+    beforeEach(async () => {
+      let others, token;
+      ({ erc20Escrow: queried, router: routerContract, payer, token, others } = await loadFixture(queryFixture));
+      managerEOA = others[1];
+      await queried.setManager(managerEOA.address);
+      // records 1 to 4: services 1, 2, 1, 2
+      for (const serviceID of [1, 2, 1, 2]) {
+        await routerContract.connect(payer).requestERC20Service(serviceID, {
+          ...DUMMY_FULFILLMENTREQUEST,
+          payer: payer.address,
+          token: await token.getAddress(),
+          tokenAmount: 100,
+        });
+      }
+      await queried.connect(managerEOA).registerFulfillment(1, { ...FAILED_FULFILLMENT_RESULT, id: 3 });
+    });
+
+    it("should list the records of a payer and of a service by page", async () => {
+      expect(await queried.recordCountOf(payer.address)).to.equal(4);
+      expect(await queried["recordsOf(address,uint256,uint256)"](payer.address, 1, 2)).to.deep.equal([2n, 3n]);
+      expect(await queried.recordCountOfService(2)).to.equal(2);
+      expect(await queried.recordsOfService(2, 0, 10)).to.deep.equal([2n, 4n]);
+    });
+
+    it("should filter records by status out of each scanned page", async () => {
+      // PENDING = 2, FAILED = 0
+      expect(await queried.recordsOfWithStatus(payer.address, 2, 0, 3)).to.deep.equal([[1n, 2n], 3n]);
+      expect(await queried.recordsOfServiceWithStatus(1, 0, 0, 10)).to.deep.equal([[3n], 2n]);
+    });
+
+    it("should read records in bulk and list legacy records by service", async () => {
+      const [second, third] = await queried.records([2, 3]);
+      expect(second[12]).to.equal(2); // service ID
+      expect(third[11]).to.equal(0); // status
+      expect(await queried._serviceRecordsIndexed()).to.equal(4);
+      await queried.indexServiceRecords(10);
+      expect(await queried.recordCountOfService(1)).to.equal(2);
+    });
+  });
 });
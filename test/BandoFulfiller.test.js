@@ -1,7 +1,8 @@
 const { expect, assert } = require("chai");
-const { ethers, upgrades } = require("hardhat");
+const { ethers } = require("hardhat");
 const { v4: uuidv4 } = require('uuid');
-const { setupRegistry } = require('./utils/registryUtils');
+const { loadFixture, setStorageAt } = require('@nomicfoundation/hardhat-network-helpers');
+const { USD, systemFixture } = require('./utils/fixtures');
 
 const DUMMY_ADDRESS = "0x5981Bfc1A21978E82E8AF7C76b770CE42C777c3A"
 
@@ -9,6 +10,8 @@ const DUMMY_FULFILLMENTREQUEST = {
   payer: DUMMY_ADDRESS,
   weiAmount: 101,
   fiatAmount: 10,
+  fiatCurrency: USD,
+  fiatDecimals: 2,
   serviceRef: "01234XYZ"
 }
  
@@ -17,6 +20,7 @@ const SUCCESS_FULFILLMENT_RESULT = {
   weiAmount: 100,
   externalID: uuidv4(),
   receiptURI: 'https://test.com',
+  fulfilledAmount: 0,
   id: null,
 }
 
@@ -25,6 +29,7 @@ const INVALID_FULFILLMENT_RESULT = {
   weiAmount: 100,
   externalID: uuidv4(),
   receiptURI: 'https://test.com',
+  fulfilledAmount: 0,
   id: null,
 }
 
@@ -33,6 +38,7 @@ const FAILED_FULFILLMENT_RESULT = {
   weiAmount: 101,
   externalID: uuidv4(),
   receiptURI: 'https://test.com',
+  fulfilledAmount: 0,
   id: null,
 }
 
@@ -43,39 +49,30 @@ let beneficiary;
 let fulfiller;
 let router;
 let manager;
+let managerEOA;
+let registryAddress;
+
+const escrowFixture = systemFixture({ services: [{ serviceId: 1, feeAmount: 0 }] });
+const queryFixture = systemFixture({ services: [{ serviceId: 1, feeAmount: 0 }, { serviceId: 2, feeAmount: 0 }] });
 
 describe("BandoFulfillableV1", () => {
   
   before(async () => {
-    [owner, beneficiary, fulfiller, router, managerEOA] = await ethers.getSigners();
-
-    // deploy the service registry
-    const registryInstance = await setupRegistry(owner);
-    registryAddress = await registryInstance.getAddress();
-
-    // deploy manager
-    const Manager = await ethers.getContractFactory('BandoFulfillmentManagerV1');
-    const m = await upgrades.deployProxy(Manager, []);
-    await m.waitForDeployment();
-    manager = await Manager.attach(await m.getAddress());
-
-    // deploy the fulfillable escrow contract
-    const FulfillableV1 = await ethers.getContractFactory('BandoFulfillableV1');
-    fulfillableContract = await upgrades.deployProxy(
-      FulfillableV1,
-      []
-    );
-    await fulfillableContract.waitForDeployment();
-
-    escrow = FulfillableV1.attach(await fulfillableContract.getAddress())
-    await escrow.setManager(await manager.getAddress());
-    await registryInstance.setManager(await manager.getAddress());
-    await escrow.setFulfillableRegistry(registryAddress);
+    let others, registry;
+    ({
+      owner,
+      beneficiary,
+      fulfiller,
+      others,
+      registry,
+      manager,
+      escrow,
+    } = await loadFixture(escrowFixture));
+    // plain signers standing in for the router and the manager
+    [router, managerEOA] = others;
+    registryAddress = await registry.getAddress();
+    fulfillableContract = escrow;
     await escrow.setRouter(router.address);
-    await manager.setServiceRegistry(registryAddress);
-    await manager.setEscrow(await escrow.getAddress());
-    await manager.setERC20Escrow(DUMMY_ADDRESS);
-    const service = await manager.setService(1, 0, fulfiller.address, beneficiary.address);
   });
 
   describe("Configuration Specs", async () => {
@@ -233,4 +230,116 @@ describe("BandoFulfillableV1", () => {
       await escrow.setManager(await manager.getAddress());
     });
   });
+
+  describe("Refund Specs", () => {
+    it("should accumulate refunds for consecutive failed fulfillments of a payer", async () => {
+      const payer = await owner.getAddress();
+      const request = { ...DUMMY_FULFILLMENTREQUEST, payer, weiAmount: 50 };
+      const fromRouter = await escrow.connect(router);
+      await fromRouter.deposit(1, request, { value: 50 });
+      await fromRouter.deposit(1, request, { value: 50 });
+      const fromManager = await escrow.connect(managerEOA);
+      await escrow.setManager(managerEOA.address);
+      for (const id of await escrow.recordsOf(payer)) {
+        await fromManager.registerFulfillment(1, { ...FAILED_FULFILLMENT_RESULT, id });
+      }
+      expect(await escrow.getRefundsFor(payer, 1)).to.be.equal(100);
+      expect(await escrow.getDepositsFor(payer, 1)).to.be.equal(0);
+      await escrow.setManager(await manager.getAddress());
+    });
+  });
+
+  describe("Record Query Specs", () => {
+    let queried;
+    let payer;
+    let other;
+
+    /**
+     * Deposits a request of the payer for a service from the stand-in router.
+     */
+    const deposit = (serviceID, from = payer) => queried.connect(router).deposit(
+      serviceID,
+      { ...DUMMY_FULFILLMENTREQUEST, payer: from.address, weiAmount: 100 },
+      { value: 100 },
+    );
+
+    /**
+     * Registers the result of a record from the stand-in manager.
+     */
+    const register = (serviceID, id, result) => queried.connect(managerEOA).registerFulfillment(serviceID, { ...result, id });
+
+    beforeEach(async () => {
+      let others;
+      ({ escrow: queried, others } = await loadFixture(queryFixture));
+      [router, managerEOA, payer, other] = others;
+      await queried.setRouter(router.address);
+      await queried.setManager(managerEOA.address);
+      // records 1 to 5: services 1, 2, 1, 1, 2, the 4th one paid by another payer
+      for (const [serviceID, from] of [[1, payer], [2, payer], [1, payer], [1, other], [2, payer]]) {
+        await deposit(serviceID, from);
+      }
+      await register(1, 1, SUCCESS_FULFILLMENT_RESULT);
+      await register(2, 2, FAILED_FULFILLMENT_RESULT);
+    });
+
+    it("should list the records of a payer by page", async () => {
+      expect(await queried.recordCountOf(payer.address)).to.equal(4);
+      expect(await queried["recordsOf(address,uint256,uint256)"](payer.address, 0, 3)).to.deep.equal([1n, 2n, 3n]);
+      expect(await queried["recordsOf(address,uint256,uint256)"](payer.address, 3, 3)).to.deep.equal([5n]);
+      expect(await queried["recordsOf(address,uint256,uint256)"](payer.address, 4, 3)).to.deep.equal([]);
+      expect(await queried.recordsOf(payer.address)).to.deep.equal([1n, 2n, 3n, 5n]);
+    });
+
+    it("should list the records of a service by page", async () => {
+      expect(await queried.recordCountOfService(1)).to.equal(3);
+      expect(await queried.recordsOfService(1, 0, 10)).to.deep.equal([1n, 3n, 4n]);
+      expect(await queried.recordsOfService(2, 1, 10)).to.deep.equal([5n]);
+      expect(await queried.recordCountOfService(3)).to.equal(0);
+    });
+
+    it("should filter records by status out of each scanned page", async () => {
+      // PENDING = 2, SUCCESS = 1, FAILED = 0
+      expect(await queried.recordsOfWithStatus(payer.address, 2, 0, 2)).to.deep.equal([[], 2n]);
+      expect(await queried.recordsOfWithStatus(payer.address, 2, 2, 2)).to.deep.equal([[3n, 5n], 4n]);
+      expect(await queried.recordsOfWithStatus(payer.address, 2, 4, 2)).to.deep.equal([[], 4n]);
+      expect(await queried.recordsOfWithStatus(payer.address, 0, 0, 10)).to.deep.equal([[2n], 4n]);
+      expect(await queried.recordsOfServiceWithStatus(1, 1, 0, 10)).to.deep.equal([[1n], 3n]);
+      expect(await queried.recordsOfServiceWithStatus(1, 2, 1, 1)).to.deep.equal([[3n], 2n]);
+    });
+
+    it("should read records in bulk", async () => {
+      const [first, fourth, unknown] = await queried.records([1, 4, 99]);
+      expect(first[0]).to.equal(1);
+      expect(first[10]).to.equal(1);
+      expect(fourth[4]).to.equal(other.address);
+      expect(unknown[0]).to.equal(0);
+    });
+
+    it("should list by service the records deposited before records were listed by service", async () => {
+      // clear _serviceRecordsIndexed (slot 13) and the lists of services 1 and 2 (slot 12),
+      // as an escrow upgraded from the previous implementation holds its records
+      const address = await queried.getAddress();
+      await setStorageAt(address, 13, 0);
+      for (const serviceID of [1, 2]) {
+        await setStorageAt(address, ethers.solidityPackedKeccak256(["uint256", "uint256"], [serviceID, 12]), 0);
+      }
+      // deposits wait for the earlier records to be listed
+      await deposit(2);
+      expect(await queried.recordCountOfService(2)).to.equal(0);
+
+      await queried.connect(other).indexServiceRecords(2);
+      expect(await queried._serviceRecordsIndexed()).to.equal(2);
+      expect(await queried.recordsOfService(1, 0, 10)).to.deep.equal([1n]);
+      await queried.connect(other).indexServiceRecords(10);
+      expect(await queried._serviceRecordsIndexed()).to.equal(6);
+      expect(await queried.recordsOfService(1, 0, 10)).to.deep.equal([1n, 3n, 4n]);
+      expect(await queried.recordsOfService(2, 0, 10)).to.deep.equal([2n, 5n, 6n]);
+      await queried.connect(other).indexServiceRecords(10);
+      expect(await queried.recordCountOfService(2)).to.equal(3);
+
+      await deposit(1);
+      expect(await queried.recordsOfService(1, 0, 10)).to.deep.equal([1n, 3n, 4n, 7n]);
+      expect(await queried._serviceRecordsIndexed()).to.equal(7);
+    });
+  });
 });
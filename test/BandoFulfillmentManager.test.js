@@ -1,9 +1,19 @@
 const { expect } = require('chai');
 const { ethers, upgrades } = require('hardhat');
 const eth = require('ethers');
-const { setupRegistry } = require('./utils/registryUtils');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { USD, systemFixture } = require('./utils/fixtures');
 const BN = require('bn.js')
 
+const managerFixture = systemFixture({ tokens: [{ contract: 'DemoToken' }] });
+const batchFixture = systemFixture({
+    services: [
+        { serviceId: 1, feeAmount: 0, refs: ['012345678912'] },
+        { serviceId: 2, feeAmount: 0, refs: ['012345678912'] },
+    ],
+    tokens: [{ contract: 'DemoToken', fund: 100000 }],
+});
+
 describe('BandoFulfillmentManagerV1', () => {
     let owner;
     let escrow;
@@ -14,69 +24,26 @@ describe('BandoFulfillmentManagerV1', () => {
     let registry;
     let manager;
     let erc20Test;
+    let validator;
 
     const DUMMY_ADDRESS = "0x5981Bfc1A21978E82E8AF7C76b770CE42C777c3A";
 
     before(async () => {
-        [owner, mng, fulfiller, validator, beneficiary] = await ethers.getSigners();
-        erc20Test = await ethers.deployContract('DemoToken');
-        await erc20Test.waitForDeployment();
-        /**
-         * deploy registry
-         */
-        registry = await setupRegistry(await owner.getAddress());
-        const registryAddress = await registry.getAddress();
-        tokenRegistry = await ethers.getContractFactory('ERC20TokenRegistry');
-        const tokenRegistryInstance = await upgrades.deployProxy(tokenRegistry, []);
-        await tokenRegistryInstance.waitForDeployment();
-        tokenRegistry = await tokenRegistry.attach(await tokenRegistryInstance.getAddress());
-        /**
-         * deploy manager
-         */
-        const Manager = await ethers.getContractFactory('BandoFulfillmentManagerV1');
-        const m = await upgrades.deployProxy(Manager, []);
-        await m.waitForDeployment();
-        manager = await Manager.attach(await m.getAddress());
-        /**
-         * deploy escrows
-         */
-        const Escrow = await ethers.getContractFactory('BandoFulfillableV1');
-        const e = await upgrades.deployProxy(Escrow, []);
-        await e.waitForDeployment();
-        escrow = await Escrow.attach(await e.getAddress());
-        const ERC20Escrow = await ethers.getContractFactory('BandoERC20FulfillableV1');
-        const erc20 = await upgrades.deployProxy(ERC20Escrow, []);
-        await erc20.waitForDeployment();
-        erc20_escrow = await ERC20Escrow.attach(await erc20.getAddress());
-
-        /**
-         * deploy router
-         */
-        const BandoRouterV1 = await ethers.getContractFactory('BandoRouterV1');
-        routerContract = await upgrades.deployProxy(BandoRouterV1, []);
-        await routerContract.waitForDeployment();
-        router = BandoRouterV1.attach(await routerContract.getAddress());
-
-        /**
-         * configure protocol state vars.
-         */
-        const feeAmount = ethers.parseUnits('0.1', 'ether');
-        await escrow.setManager(await manager.getAddress());
-        await escrow.setFulfillableRegistry(registryAddress);
-        await escrow.setRouter(await router.getAddress());
-        await erc20_escrow.setManager(await manager.getAddress());
-        await erc20_escrow.setFulfillableRegistry(registryAddress);
-        await erc20_escrow.setRouter(await router.getAddress());
-        await registry.setManager(await manager.getAddress());
-        await manager.setServiceRegistry(registryAddress);
-        await manager.setEscrow(await escrow.getAddress());
-        await manager.setERC20Escrow(await erc20_escrow.getAddress());
-        await router.setFulfillableRegistry(registryAddress);
-        await router.setTokenRegistry(await tokenRegistry.getAddress());
-        await router.setEscrow(await escrow.getAddress());
-        await router.setERC20Escrow(await erc20_escrow.getAddress());
+        let others;
+        ({
+            owner,
+            fulfiller,
+            beneficiary,
+            others,
+            registry,
+            manager,
+            escrow,
+            erc20Escrow: erc20_escrow,
+            router,
+            token: erc20Test,
+        } = await loadFixture(managerFixture));
+        validator = others[0];
         await erc20Test.approve(await router.getAddress(), 10000000000);
-        await tokenRegistry.addToken(await erc20Test.getAddress());
     });
 
     describe('configuration', () => {
@@ -98,24 +65,29 @@ describe('BandoFulfillmentManagerV1', () => {
         });
     });
 
-    describe('Ownability', () => {
-        it('should be ownable', async () => {
-            expect(await manager.owner()).to.equal(owner.address);
+    describe('Administration', () => {
+        it('should grant the admin role to the deployer, without an owner', async () => {
+            expect(await manager.hasRole(await manager.DEFAULT_ADMIN_ROLE(), owner.address)).to.equal(true);
+            expect(await manager.owner()).to.equal(ethers.ZeroAddress);
         });
         
-        it('should allow the owner to transfer ownership', async () => {
-            await manager.transferOwnership(validator.address);
-            expect(await manager.owner()).to.equal(validator.address);
-            asNewOwner = manager.connect(validator);
-            await asNewOwner.transferOwnership(owner.address);
-            expect(await manager.owner()).to.equal(owner.address);
+        it('should allow the admin to hand over the admin role', async () => {
+            const adminRole = await manager.DEFAULT_ADMIN_ROLE();
+            await manager.grantRole(adminRole, validator.address);
+            asNewAdmin = manager.connect(validator);
+            await asNewAdmin.revokeRole(adminRole, owner.address);
+            expect(await manager.hasRole(adminRole, owner.address)).to.equal(false);
+            await asNewAdmin.grantRole(adminRole, owner.address);
+            await asNewAdmin.renounceRole(adminRole, validator.address);
+            expect(await manager.hasRole(adminRole, owner.address)).to.equal(true);
+            expect(await manager.hasRole(adminRole, validator.address)).to.equal(false);
         });
 
-        it('should revert if a non-owner attempts to transfer ownership', async () => {
+        it('should revert if a non-admin attempts to grant the admin role', async () => {
             const asUnauth = manager.connect(beneficiary);
             await expect(
-                asUnauth.transferOwnership(owner.address)
-            ).to.be.revertedWithCustomError(manager, 'OwnableUnauthorizedAccount');
+                asUnauth.grantRole(await manager.DEFAULT_ADMIN_ROLE(), beneficiary.address)
+            ).to.be.revertedWithCustomError(manager, 'AccessControlUnauthorizedAccount');
         });
     });
 
@@ -141,7 +113,7 @@ describe('BandoFulfillmentManagerV1', () => {
             expect(service.feeAmount).to.equal(feeAmount);
 
             // Verify the ServiceAdded event
-            expect(result).to.emit(manager, 'ServiceAdded').withArgs(serviceID, result[0], validator.address, fulfiller.address);
+            await expect(result).to.emit(registry, 'ServiceAdded').withArgs(serviceID, fulfiller.address);
         });
 
         it('should revert if the service ID is invalid', async () => {
@@ -186,6 +158,8 @@ describe('BandoFulfillmentManagerV1', () => {
             const fulfillmentRequest = {
                 payer: await owner.getAddress(),
                 fiatAmount: "1000",
+                fiatCurrency: USD,
+                fiatDecimals: 2,
                 serviceRef: "012345678912",
                 weiAmount: ethers.parseUnits('1000', 'wei'),
             };
@@ -198,6 +172,7 @@ describe('BandoFulfillmentManagerV1', () => {
                 status: 1,
                 externalID: "012345678912",
                 receiptURI: "https://example.com/receipt",
+                fulfilledAmount: 0,
             };
             await expect(
                 escrow.registerFulfillment(1, SUCCESS_FULFILLMENT_RESULT)
@@ -214,6 +189,8 @@ describe('BandoFulfillmentManagerV1', () => {
             const fulfillmentRequest = {
                 payer: await owner.getAddress(),
                 fiatAmount: "1000",
+                fiatCurrency: USD,
+                fiatDecimals: 2,
                 serviceRef: "012345678912",
                 weiAmount: ethers.parseUnits('1000', 'wei'),
             };
@@ -226,6 +203,7 @@ describe('BandoFulfillmentManagerV1', () => {
                 status: 3,
                 externalID: "012345678912",
                 receiptURI: "https://example.com/receipt",
+                fulfilledAmount: 0,
             };
             await expect(
                 manager.registerFulfillment(1, INVALID_FULFILLMENT_RESULT)
@@ -239,6 +217,7 @@ describe('BandoFulfillmentManagerV1', () => {
                 status: 0,
                 externalID: "012345678912",
                 receiptURI: "https://example.com/receipt",
+                fulfilledAmount: 0,
             };
             const r = await manager.registerFulfillment(1, FAILED_FULFILLMENT_RESULT);
             await expect(r).not.to.be.reverted;
@@ -272,6 +251,8 @@ describe('BandoFulfillmentManagerV1', () => {
             const fulfillmentRequest = {
                 payer: await owner.getAddress(),
                 fiatAmount: "1000",
+                fiatCurrency: USD,
+                fiatDecimals: 2,
                 serviceRef: "012345678912",
                 tokenAmount: "10000",
                 token: await erc20Test.getAddress(),
@@ -284,6 +265,7 @@ describe('BandoFulfillmentManagerV1', () => {
                 status: 1,
                 externalID: "012345678912",
                 receiptURI: "https://example.com/receipt",
+                fulfilledAmount: 0,
             };
             await expect(
                 erc20_escrow.registerFulfillment(1, SUCCESS_FULFILLMENT_RESULT)
@@ -300,6 +282,8 @@ describe('BandoFulfillmentManagerV1', () => {
             const fulfillmentRequest = {
                 payer: await owner.getAddress(),
                 fiatAmount: "1000",
+                fiatCurrency: USD,
+                fiatDecimals: 2,
                 serviceRef: "012345678912",
                 tokenAmount: "10000",
                 token: await erc20Test.getAddress(),
@@ -313,6 +297,7 @@ describe('BandoFulfillmentManagerV1', () => {
                 status: 3,
                 externalID: "012345678912",
                 receiptURI: "https://example.com/receipt",
+                fulfilledAmount: 0,
             };
             await expect(
                 manager.registerERC20Fulfillment(1, INVALID_FULFILLMENT_RESULT)
@@ -326,6 +311,7 @@ describe('BandoFulfillmentManagerV1', () => {
                 status: 0,
                 externalID: "012345678912",
                 receiptURI: "https://example.com/receipt",
+                fulfilledAmount: 0,
             };
             const r = await manager.registerERC20Fulfillment(1, FAILED_FULFILLMENT_RESULT);
             await expect(r).not.to.be.reverted;
@@ -349,4 +335,155 @@ describe('BandoFulfillmentManagerV1', () => {
             await expect(r).to.emit(erc20_escrow, 'ERC20RefundWithdrawn').withArgs(await erc20Test.getAddress(), await owner.getAddress(), "10000");
         });
     });
+
+    describe('Batch Fulfillments', () => {
+        let system;
+        let recordIds;
+        let erc20RecordIds;
+
+        const result = (id, status) => ({
+            id,
+            status,
+            externalID: `external-${id}`,
+            receiptURI: 'https://example.com/receipt',
+            fulfilledAmount: 0,
+        });
+
+        beforeEach(async () => {
+            system = await loadFixture(batchFixture);
+            const { router, payer, token } = system;
+            for (const serviceID of [1, 1, 2]) {
+                await router.connect(payer).requestService(
+                    serviceID,
+                    { payer: payer.address, weiAmount: 1000, fiatAmount: 10, serviceRef: '012345678912', fiatCurrency: USD, fiatDecimals: 2 },
+                    { value: 1000 },
+                );
+                await router.connect(payer).requestERC20Service(serviceID, {
+                    payer: payer.address,
+                    fiatAmount: 10,
+                    fiatCurrency: USD,
+                    fiatDecimals: 2,
+                    serviceRef: '012345678912',
+                    token: await token.getAddress(),
+                    tokenAmount: 1000,
+                });
+            }
+            recordIds = await system.escrow.recordsOf(payer.address);
+            erc20RecordIds = await system.erc20Escrow.recordsOf(payer.address);
+        });
+
+        it('should register every item of a batch across services', async () => {
+            const { manager, escrow, fulfiller, payer } = system;
+            const items = [
+                { serviceID: 1, fulfillment: result(recordIds[0], 1) },
+                { serviceID: 1, fulfillment: result(recordIds[1], 0) },
+                { serviceID: 2, fulfillment: result(recordIds[2], 1) },
+            ];
+            expect(await manager.connect(fulfiller).registerFulfillments.staticCall(items))
+                .to.deep.equal([true, true, true]);
+            await expect(manager.connect(fulfiller).registerFulfillments(items))
+                .to.emit(manager, 'FulfillmentBatchRegistered')
+                .withArgs(fulfiller.address, false, 3, 3)
+                .and.to.emit(escrow, 'RefundAuthorized')
+                .withArgs(payer.address, 1000);
+            expect((await escrow.record(recordIds[0]))[10]).to.equal(1);
+            expect((await escrow.record(recordIds[1]))[10]).to.equal(0);
+            expect((await escrow.record(recordIds[2]))[10]).to.equal(1);
+        });
+
+        it('should report failed items without reverting the batch', async () => {
+            const { manager, escrow, fulfiller } = system;
+            await manager.connect(fulfiller).registerFulfillment(1, result(recordIds[1], 1));
+            const items = [
+                { serviceID: 1, fulfillment: result(recordIds[0], 1) },
+                // already registered
+                { serviceID: 1, fulfillment: result(recordIds[1], 1) },
+                // unknown record
+                { serviceID: 1, fulfillment: result(99, 1) },
+                // unknown service
+                { serviceID: 3, fulfillment: result(recordIds[2], 1) },
+                { serviceID: 2, fulfillment: result(recordIds[2], 1) },
+            ];
+            const reason = (message) => ethers.Interface.from(['function Error(string)'])
+                .encodeFunctionData('Error', [message]);
+            expect(await manager.connect(fulfiller).registerFulfillments.staticCall(items))
+                .to.deep.equal([true, false, false, false, true]);
+            await expect(manager.connect(fulfiller).registerFulfillments(items))
+                .to.emit(manager, 'FulfillmentRegistrationFailed')
+                .withArgs(1, recordIds[1], reason('Fulfillment already registered'))
+                .and.to.emit(manager, 'FulfillmentRegistrationFailed')
+                .withArgs(1, 99, reason('Fulfillment record does not exist'))
+                .and.to.emit(manager, 'FulfillmentRegistrationFailed')
+                .withArgs(3, recordIds[2], reason('FulfillableRegistry: Service does not exist'))
+                .and.to.emit(manager, 'FulfillmentBatchRegistered')
+                .withArgs(fulfiller.address, false, 5, 2);
+            expect((await escrow.record(recordIds[0]))[10]).to.equal(1);
+            expect((await escrow.record(recordIds[2]))[10]).to.equal(1);
+        });
+
+        it('should fail items naming another service than their record', async () => {
+            const { manager, escrow, erc20Escrow, fulfiller, payer, token } = system;
+            const reason = ethers.Interface.from(['function Error(string)'])
+                .encodeFunctionData('Error', ['Fulfillment record belongs to another service']);
+            const items = [
+                { serviceID: 2, fulfillment: result(recordIds[0], 1) },
+                { serviceID: 2, fulfillment: result(recordIds[2], 1) },
+            ];
+            await expect(manager.connect(fulfiller).registerFulfillments(items))
+                .to.emit(manager, 'FulfillmentRegistrationFailed')
+                .withArgs(2, recordIds[0], reason)
+                .and.to.emit(manager, 'FulfillmentBatchRegistered')
+                .withArgs(fulfiller.address, false, 2, 1);
+            expect((await escrow.record(recordIds[0]))[10]).to.equal(2);
+            expect(await escrow.getDepositsFor(payer.address, 1)).to.equal(2000);
+            expect(await escrow._releaseablePool(2)).to.equal(1000);
+
+            const erc20Items = [{ serviceID: 1, fulfillment: result(erc20RecordIds[2], 1) }];
+            await expect(manager.connect(fulfiller).registerERC20Fulfillments(erc20Items))
+                .to.emit(manager, 'FulfillmentRegistrationFailed')
+                .withArgs(1, erc20RecordIds[2], reason);
+            expect((await erc20Escrow.record(erc20RecordIds[2]))[11]).to.equal(2);
+            expect(await erc20Escrow.getERC20DepositsFor(await token.getAddress(), payer.address, 2)).to.equal(1000);
+        });
+
+        it('should reject items of services the sender does not fulfill', async () => {
+            const { manager, escrow, others } = system;
+            const items = [{ serviceID: 1, fulfillment: result(recordIds[0], 1) }];
+            expect(await manager.connect(others[0]).registerFulfillments.staticCall(items)).to.deep.equal([false]);
+            await expect(manager.connect(others[0]).registerFulfillments(items))
+                .to.emit(manager, 'FulfillmentRegistrationFailed')
+                .and.to.emit(manager, 'FulfillmentBatchRegistered')
+                .withArgs(others[0].address, false, 1, 0);
+            expect((await escrow.record(recordIds[0]))[10]).to.equal(2);
+            // a fulfillment operator can register for any service
+            await manager.grantRole(await manager.FULFILLMENT_OPERATOR_ROLE(), others[0].address);
+            await expect(manager.connect(others[0]).registerFulfillments(items))
+                .to.emit(manager, 'FulfillmentBatchRegistered')
+                .withArgs(others[0].address, false, 1, 1);
+        });
+
+        it('should revert empty batches', async () => {
+            await expect(system.manager.registerFulfillments([])).to.be.revertedWith('Batch cannot be empty');
+            await expect(system.manager.registerERC20Fulfillments([])).to.be.revertedWith('Batch cannot be empty');
+        });
+
+        it('should register a batch of ERC20 fulfillments', async () => {
+            const { manager, erc20Escrow, fulfiller, payer, token } = system;
+            const items = [
+                { serviceID: 1, fulfillment: result(erc20RecordIds[0], 1) },
+                { serviceID: 1, fulfillment: result(erc20RecordIds[1], 0) },
+                { serviceID: 2, fulfillment: result(99, 1) },
+            ];
+            expect(await manager.connect(fulfiller).registerERC20Fulfillments.staticCall(items))
+                .to.deep.equal([true, true, false]);
+            await expect(manager.connect(fulfiller).registerERC20Fulfillments(items))
+                .to.emit(manager, 'FulfillmentBatchRegistered')
+                .withArgs(fulfiller.address, true, 3, 2)
+                .and.to.emit(erc20Escrow, 'ERC20RefundAuthorized')
+                .withArgs(payer.address, 1000);
+            expect((await erc20Escrow.record(erc20RecordIds[0]))[11]).to.equal(1);
+            expect((await erc20Escrow.record(erc20RecordIds[1]))[11]).to.equal(0);
+            expect(await erc20Escrow.getERC20RefundsFor(await token.getAddress(), payer.address, 1)).to.equal(1000);
+        });
+    });
 });
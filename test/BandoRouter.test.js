@@ -2,7 +2,8 @@ const { ethers, upgrades } = require('hardhat');
 const { expect, assert } = require('chai');
 const BN = require('bn.js')
 const uuid = require('uuid');
-const { setupRegistry } = require('./utils/registryUtils');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { USD, systemFixture } = require('./utils/fixtures');
 
 const DUMMY_ADDRESS = "0x5981Bfc1A21978E82E8AF7C76b770CE42C777c3A"
 const REVERT_ERROR_PREFIX = "Returned error: VM Exception while processing transaction:";
@@ -12,6 +13,8 @@ const DUMMY_FULFILLMENTREQUEST = {
   payer: DUMMY_ADDRESS,
   weiAmount: 999,
   fiatAmount: 10,
+  fiatCurrency: USD,
+  fiatDecimals: 2,
   serviceRef: "01234XYZ" //invalid CFE 
 }
 
@@ -22,6 +25,8 @@ const DUMMY_VALID_FULFILLMENTREQUEST = {
   payer: DUMMY_ADDRESS,
   weiAmount: ethers.parseUnits("11000", "ether"),
   fiatAmount: 101,
+  fiatCurrency: USD,
+  fiatDecimals: 2,
   serviceRef: "012345678912" //valid CFE
 }
 
@@ -29,6 +34,8 @@ const DUMMY_ERC20_FULFILLMENTREQUEST = {
   payer: DUMMY_ADDRESS,
   tokenAmount: 100,
   fiatAmount: 10,
+  fiatCurrency: USD,
+  fiatDecimals: 2,
   serviceRef: "01234XYZ",
   token: '0x0',
 }
@@ -37,6 +44,8 @@ const DUMMY_VALID_ERC20_FULFILLMENTREQUEST = {
   payer: DUMMY_ADDRESS,
   tokenAmount: 100,
   fiatAmount: 10,
+  fiatCurrency: USD,
+  fiatDecimals: 2,
   serviceRef: "012345678912", //valid CFE
   token: '0x0',
 }
@@ -44,90 +53,84 @@ const DUMMY_VALID_ERC20_FULFILLMENTREQUEST = {
 let routerContract;
 let escrow;
 let erc20_escrow
+let v1;
 let v2;
 let registry;
+let tokenRegistry;
 let manager;
+let erc20Test;
+let owner;
+let beneficiary;
+let fulfiller;
 let validRef = uuid.v4();
 
+const routerFixture = systemFixture({
+  services: [{ serviceId: 1, feeAmount: ethers.parseUnits('0.1', 'ether'), refs: [validRef] }],
+  tokens: [{ contract: 'DemoToken' }],
+});
+
+const permitFixture = systemFixture({
+  services: [{ serviceId: 1, feeAmount: 0, refs: ['012345678912'] }],
+  tokens: [{ contract: 'DemoPermitToken', fund: 10000 }, { contract: 'DemoToken', fund: 10000 }],
+});
+
+const feeFixture = systemFixture({
+  services: [{ serviceId: 1, feeAmount: 10, refs: ['012345678912'] }],
+});
+
+const erc20FeeFixture = systemFixture({
+  services: [{ serviceId: 1, feeAmount: 10, refs: ['012345678912'] }],
+  tokens: [{ contract: 'DemoPermitToken', fund: 10000 }],
+});
+
+const feeOnTransferFixture = systemFixture({
+  services: [{ serviceId: 1, feeAmount: 0, refs: ['012345678912'] }],
+  tokens: [{ contract: 'DemoFeeOnTransferToken', fund: 100000 }, { contract: 'DemoFeeOnTransferToken', fund: 100000, balanceDelta: true }],
+});
+
+const tokenMetadataFixture = systemFixture({
+  services: [{ serviceId: 1, feeAmount: 0, refs: ['012345678912'] }, { serviceId: 2, feeAmount: 0, refs: ['012345678912'] }],
+  tokens: [{ contract: 'DemoToken', fund: 100000 }],
+});
+
+/**
+ * Signs an EIP-2612 permit for the router.
+ */
+async function signPermit(token, owner, spender, value, deadline) {
+  const { chainId } = await ethers.provider.getNetwork();
+  const domain = { name: await token.name(), version: '1', chainId, verifyingContract: await token.getAddress() };
+  const types = {
+    Permit: [
+      { name: 'owner', type: 'address' },
+      { name: 'spender', type: 'address' },
+      { name: 'value', type: 'uint256' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' },
+    ],
+  };
+  const nonce = await token.nonces(owner.address);
+  return ethers.Signature.from(await owner.signTypedData(domain, types, { owner: owner.address, spender, value, nonce, deadline }));
+}
+
 describe("BandoRouterV1", function () {
 
   before(async () => {
-    [owner, beneficiary, fulfiller] = await ethers.getSigners();
-    erc20Test = await ethers.deployContract('DemoToken');
-    await erc20Test.waitForDeployment();
+    ({
+      owner,
+      beneficiary,
+      fulfiller,
+      registry,
+      tokenRegistry,
+      manager,
+      escrow,
+      erc20Escrow: erc20_escrow,
+      router: routerContract,
+      token: erc20Test,
+    } = await loadFixture(routerFixture));
+    v1 = routerContract;
     DUMMY_ERC20_FULFILLMENTREQUEST.token = await erc20Test.getAddress();
     DUMMY_VALID_ERC20_FULFILLMENTREQUEST.token = await erc20Test.getAddress();
-    /**
-     * deploy registries
-     */
-    registry = await setupRegistry(await owner.getAddress());
-    const registryAddress = await registry.getAddress();
-    tokenRegistry = await ethers.getContractFactory('ERC20TokenRegistry');
-    const tokenRegistryInstance = await upgrades.deployProxy(tokenRegistry, []);
-    await tokenRegistryInstance.waitForDeployment();
-    tokenRegistry = await tokenRegistry.attach(await tokenRegistryInstance.getAddress());
-    /**
-     * deploy router
-     */
-    const BandoRouterV1 = await ethers.getContractFactory('BandoRouterV1');
-    routerContract = await upgrades.deployProxy(BandoRouterV1, []);
-    await routerContract.waitForDeployment();
-    v1 = BandoRouterV1.attach(await routerContract.getAddress());
-    /**
-     * deploy manager
-     */
-    const Manager = await ethers.getContractFactory('BandoFulfillmentManagerV1');
-    const m = await upgrades.deployProxy(Manager, []);
-    await m.waitForDeployment();
-    manager = await Manager.attach(await m.getAddress());
-    /**
-     * deploy escrows
-     */
-    const Escrow = await ethers.getContractFactory('BandoFulfillableV1');
-    const e = await upgrades.deployProxy(Escrow, []);
-    await e.waitForDeployment();
-    escrow = await Escrow.attach(await e.getAddress());
-    const ERC20Escrow = await ethers.getContractFactory('BandoERC20FulfillableV1');
-    const erc20 = await upgrades.deployProxy(ERC20Escrow, []);
-    await erc20.waitForDeployment();
-    erc20_escrow = await ERC20Escrow.attach(await erc20.getAddress());
     await erc20Test.approve(await routerContract.getAddress(), 10000000000);
-
-    /**
-     * configure protocol state vars.
-     */
-    const feeAmount = ethers.parseUnits('0.1', 'ether');
-    await escrow.setManager(await manager.getAddress());
-    await escrow.setFulfillableRegistry(registryAddress);
-    await escrow.setRouter(await routerContract.getAddress());
-    await erc20_escrow.setManager(await manager.getAddress());
-    await erc20_escrow.setFulfillableRegistry(registryAddress);
-    await erc20_escrow.setRouter(await routerContract.getAddress());
-    await registry.setManager(await manager.getAddress());
-    await manager.setServiceRegistry(registryAddress);
-    await manager.setEscrow(await escrow.getAddress());
-    await manager.setERC20Escrow(await erc20_escrow.getAddress());
-    await v1.setFulfillableRegistry(registryAddress);
-    await v1.setTokenRegistry(await tokenRegistry.getAddress());
-    await v1.setEscrow(await escrow.getAddress());
-    await v1.setERC20Escrow(await erc20_escrow.getAddress());
-
-    /**
-     * set dummy service
-     */
-    await manager.setService(
-      1,
-      feeAmount,
-      await fulfiller.getAddress(),
-      await beneficiary.getAddress(),
-    );
-    await manager.setServiceRef(1, validRef);
-    /**
-     * set dummy token
-     */
-    await tokenRegistry.addToken(
-      await erc20Test.getAddress(),
-    );
   });
 
   describe("Configuration Specs", async () => {
@@ -150,8 +153,9 @@ describe("BandoRouterV1", function () {
   });
 
   describe("Upgradeability", async () => {
-    it("should have transferred ownership to sender", async () => {
-      assert.equal(await routerContract.owner(), await owner.getAddress());
+    it("should have granted the admin role to sender, without an owner", async () => {
+      assert.isTrue(await routerContract.hasRole(await routerContract.DEFAULT_ADMIN_ROLE(), await owner.getAddress()));
+      assert.equal(await routerContract.owner(), ethers.ZeroAddress);
     });
 
     it("should have upgraded to new implementation", async () => {
@@ -163,9 +167,9 @@ describe("BandoRouterV1", function () {
   });
 
   describe("Pausability", async () => {
-    it("should only allow an owner to pause the contract", async () => {
+    it("should only allow a pauser to pause the contract", async () => {
       try {
-        assert.equal(await v2.owner(), await owner.getAddress());
+        assert.isTrue(await v2.hasRole(await v2.PAUSER_ROLE(), await owner.getAddress()));
         await v2.pause({from: await beneficiary.getAddress()});
         throw new Error("This should have thrown lines ago.");
       } catch(err) {
@@ -178,9 +182,9 @@ describe("BandoRouterV1", function () {
       assert.equal(await v2.paused(), true);
     });
 
-    it("should only allow an owner to unpause the contract", async () => {
+    it("should only allow a pauser to unpause the contract", async () => {
       try {
-        assert.equal(await v2.owner(), await owner.getAddress());
+        assert.isTrue(await v2.hasRole(await v2.PAUSER_ROLE(), await owner.getAddress()));
         await v2.unpause({from: await beneficiary.getAddress()});
         throw new Error("This should have thrown lines ago.");
       } catch(err) {
@@ -194,14 +198,15 @@ describe("BandoRouterV1", function () {
     });
   });
 
-  describe("Ownability", async () => {
-    it("should only allow an owner for test method", async () => {
+  describe("Administration", async () => {
+    it("should only allow an admin for test method", async () => {
       try {
-        const invalidOwner = await beneficiary.getAddress();
-        const validOwner = await owner.getAddress();
-        assert.notEqual(await v2.owner(), invalidOwner);
-        assert.equal(await v2.owner(), validOwner)
-        const response = await v2.isUpgrade({ from: invalidOwner });
+        const invalidAdmin = await beneficiary.getAddress();
+        const validAdmin = await owner.getAddress();
+        const adminRole = await v2.DEFAULT_ADMIN_ROLE();
+        assert.isFalse(await v2.hasRole(adminRole, invalidAdmin));
+        assert.isTrue(await v2.hasRole(adminRole, validAdmin));
+        const response = await v2.isUpgrade({ from: invalidAdmin });
         throw new Error("This should have thrown lines ago.");
       } catch(err) {
         assert.include(
@@ -212,14 +217,18 @@ describe("BandoRouterV1", function () {
       assert.equal(await v2.isUpgrade(), true);
     });
 
-    it("should allow owner to transfer ownership", async () => {
-        const newOwner = await beneficiary.getAddress();
-        const oldOwner = await owner.getAddress();
-        await v2.transferOwnership(newOwner);
-        assert.equal(await v2.owner(), newOwner);
-        const v2AsNewOwner = v2.connect(beneficiary)
-        await v2AsNewOwner.transferOwnership(oldOwner);
-        assert.equal(await v2.owner(), oldOwner);
+    it("should allow the admin to hand over the admin role", async () => {
+        const newAdmin = await beneficiary.getAddress();
+        const oldAdmin = await owner.getAddress();
+        const adminRole = await v2.DEFAULT_ADMIN_ROLE();
+        await v2.grantRole(adminRole, newAdmin);
+        const v2AsNewAdmin = v2.connect(beneficiary)
+        await v2AsNewAdmin.revokeRole(adminRole, oldAdmin);
+        assert.isFalse(await v2.hasRole(adminRole, oldAdmin));
+        await v2AsNewAdmin.grantRole(adminRole, oldAdmin);
+        await v2AsNewAdmin.renounceRole(adminRole, newAdmin);
+        assert.isTrue(await v2.hasRole(adminRole, oldAdmin));
+        assert.isFalse(await v2.hasRole(adminRole, newAdmin));
     });
   });
 
@@ -329,4 +338,458 @@ describe("BandoRouterV1", function () {
       expect(tx).to.emit(v2, 'ERC20ServiceRequested');
     });
   });
+
+  describe("Permit Specs", async () => {
+    const deadline = ethers.MaxUint256;
+    let system;
+    let request;
+
+    beforeEach(async () => {
+      system = await loadFixture(permitFixture);
+      const [permitToken] = system.tokens;
+      // the fixture approves the router, start without an allowance
+      await permitToken.connect(system.payer).approve(await system.router.getAddress(), 0);
+      request = {
+        payer: system.payer.address,
+        fiatAmount: 10,
+        fiatCurrency: USD,
+        fiatDecimals: 2,
+        serviceRef: '012345678912',
+        token: await permitToken.getAddress(),
+        tokenAmount: 1000,
+      };
+    });
+
+    it("should approve and pay with a permit in one transaction", async () => {
+      const { router, erc20Escrow, payer, tokens: [permitToken] } = system;
+      const { v, r, s } = await signPermit(permitToken, payer, await router.getAddress(), 1000, deadline);
+      const tx = router.connect(payer).requestERC20ServiceWithPermit(1, request, 1000, deadline, v, r, s);
+      await expect(tx).to.changeTokenBalances(permitToken, [payer, erc20Escrow], [-1000, 1000]);
+      await expect(tx).to.emit(router, 'ERC20ServiceRequested');
+      expect(await permitToken.nonces(payer.address)).to.equal(1);
+      expect(await permitToken.allowance(payer.address, await router.getAddress())).to.equal(0);
+    });
+
+    it("should reject a permit signed by someone else than the sender", async () => {
+      const { router, payer, others, tokens: [permitToken] } = system;
+      const { v, r, s } = await signPermit(permitToken, others[0], await router.getAddress(), 1000, deadline);
+      await expect(router.connect(payer).requestERC20ServiceWithPermit(1, request, 1000, deadline, v, r, s))
+        .to.be.revertedWith('BandoRouterV1: Permit failed and allowance is insufficient');
+    });
+
+    it("should still pay when the permit was front-run", async () => {
+      const { router, erc20Escrow, payer, others, tokens: [permitToken] } = system;
+      const { v, r, s } = await signPermit(permitToken, payer, await router.getAddress(), 1000, deadline);
+      await permitToken.connect(others[0]).permit(payer.address, await router.getAddress(), 1000, deadline, v, r, s);
+      await expect(router.connect(payer).requestERC20ServiceWithPermit(1, request, 1000, deadline, v, r, s))
+        .to.changeTokenBalances(permitToken, [payer, erc20Escrow], [-1000, 1000]);
+    });
+
+    it("should fall back to the allowance for tokens without permit", async () => {
+      const { router, erc20Escrow, payer, tokens: [, token] } = system;
+      const plainRequest = { ...request, token: await token.getAddress() };
+      const noSignature = [1000, deadline, 0, ethers.ZeroHash, ethers.ZeroHash];
+      await expect(router.connect(payer).requestERC20ServiceWithPermit(1, plainRequest, ...noSignature))
+        .to.changeTokenBalances(token, [payer, erc20Escrow], [-1000, 1000]);
+      await token.connect(payer).approve(await router.getAddress(), 0);
+      await expect(router.connect(payer).requestERC20ServiceWithPermit(1, plainRequest, ...noSignature))
+        .to.be.revertedWith('BandoRouterV1: Permit failed and allowance is insufficient');
+    });
+
+    it("should not accept ether along with a permit request", async () => {
+      const { router, payer, tokens: [permitToken] } = system;
+      const { v, r, s } = await signPermit(permitToken, payer, await router.getAddress(), 1000, deadline);
+      const data = router.interface.encodeFunctionData(
+        'requestERC20ServiceWithPermit',
+        [1, request, 1000, deadline, v, r, s],
+      );
+      await expect(payer.sendTransaction({ to: await router.getAddress(), data, value: 1 })).to.be.reverted;
+      expect(await ethers.provider.getBalance(await router.getAddress())).to.equal(0);
+    });
+
+    it("should validate the request and respect the pause", async () => {
+      const { router, owner, payer, tokens: [permitToken] } = system;
+      const { v, r, s } = await signPermit(permitToken, payer, await router.getAddress(), 1000, deadline);
+      await expect(router.connect(payer).requestERC20ServiceWithPermit(1, { ...request, serviceRef: 'invalid' }, 1000, deadline, v, r, s))
+        .to.be.revertedWithCustomError(router, 'InvalidRef');
+      await router.connect(owner).pause();
+      await expect(router.connect(payer).requestERC20ServiceWithPermit(1, request, 1000, deadline, v, r, s))
+        .to.be.revertedWithCustomError(router, 'EnforcedPause');
+    });
+  });
+
+  describe("Fee Specs", async () => {
+    let system;
+    let request;
+
+    const result = (id, status) => ({ id, status, externalID: 'external', receiptURI: 'https://example.com/receipt', fulfilledAmount: 0 });
+
+    beforeEach(async () => {
+      system = await loadFixture(feeFixture);
+      // 10 wei flat plus 1% of the amount
+      await system.registry.updateServiceFeeBasisPoints(1, 100, 0, 0);
+      request = { payer: system.payer.address, weiAmount: 10000, fiatAmount: 10, serviceRef: '012345678912', fiatCurrency: USD, fiatDecimals: 2 };
+    });
+
+    it("should charge the flat and basis-point fees on top of the amount", async () => {
+      const { router, escrow, payer } = system;
+      await expect(router.connect(payer).requestService(1, request, { value: 10010 }))
+        .to.be.revertedWithCustomError(router, 'AmountMismatch');
+      await expect(router.connect(payer).requestService(1, request, { value: 10110 }))
+        .to.changeEtherBalances([payer, escrow], [-10110, 10110]);
+      const [id] = await escrow.recordsOf(payer.address);
+      expect((await escrow.record(id)).feeAmount).to.equal(110);
+      expect(await escrow.getDepositsFor(payer.address, 1)).to.equal(10110);
+    });
+
+    it("should apply the min and max basis-point fee caps", async () => {
+      const { router, registry, escrow, payer } = system;
+      await registry.updateServiceFeeBasisPoints(1, 100, 500, 0);
+      await router.connect(payer).requestService(1, request, { value: 10510 });
+      await registry.updateServiceFeeBasisPoints(1, 100, 0, 50);
+      await router.connect(payer).requestService(1, request, { value: 10060 });
+      const ids = await escrow.recordsOf(payer.address);
+      expect((await escrow.record(ids[0])).feeAmount).to.equal(510);
+      expect((await escrow.record(ids[1])).feeAmount).to.equal(60);
+    });
+
+    it("should settle records with the fee charged at deposit time", async () => {
+      const { router, registry, escrow, manager, payer, fulfiller } = system;
+      await router.connect(payer).requestService(1, request, { value: 10110 });
+      await router.connect(payer).requestService(1, request, { value: 10110 });
+      const [successId, failedId] = await escrow.recordsOf(payer.address);
+      // later fee updates do not change pending records
+      await registry.updateServiceFeeBasisPoints(1, 500, 0, 0);
+      await registry.updateServiceFeeAmount(1, 0);
+      await manager.connect(fulfiller).registerFulfillment(1, result(successId, 1));
+      expect(await escrow._releaseablePool(1)).to.equal(10110);
+      await expect(manager.connect(fulfiller).registerFulfillment(1, result(failedId, 0)))
+        .to.emit(escrow, 'RefundAuthorized')
+        .withArgs(payer.address, 10110);
+      expect(await escrow.getDepositsFor(payer.address, 1)).to.equal(0);
+    });
+
+    it("should release the fulfilled part of partial fulfillments with a proportional fee and refund the rest", async () => {
+      const { router, escrow, manager, payer, fulfiller } = system;
+      await router.connect(payer).requestService(1, request, { value: 10110 });
+      await router.connect(payer).requestService(1, request, { value: 10110 });
+      const [partialId, successId] = await escrow.recordsOf(payer.address);
+      const partial = (id, fulfilledAmount) => ({ ...result(id, 4), fulfilledAmount });
+      await expect(manager.connect(fulfiller).registerFulfillment(1, partial(partialId, 0)))
+        .to.be.revertedWith('Invalid fulfilled amount');
+      await expect(manager.connect(fulfiller).registerFulfillment(1, partial(partialId, 10000)))
+        .to.be.revertedWith('Invalid fulfilled amount');
+
+      // 2500 of 10000 fulfilled: 27.5 of the 110 fee is released, rounded down
+      await expect(manager.connect(fulfiller).registerFulfillment(1, partial(partialId, 2500)))
+        .to.emit(escrow, 'RefundAuthorized')
+        .withArgs(payer.address, 7583);
+      expect(await escrow._releaseablePool(1)).to.equal(2527);
+      expect(await escrow.getRefundsFor(payer.address, 1)).to.equal(7583);
+      expect(await escrow.getDepositsFor(payer.address, 1)).to.equal(10110);
+      const record = await escrow.record(partialId);
+      expect([record.status, record.fulfilledAmount, record.externalID]).to.deep.equal([4n, 2500n, 'external']);
+      await expect(manager.connect(fulfiller).registerFulfillment(1, partial(partialId, 2500)))
+        .to.be.revertedWith('Fulfillment already registered');
+
+      // the fulfilled amount is ignored on SUCCESS results
+      await manager.connect(fulfiller).registerFulfillment(1, { ...result(successId, 1), fulfilledAmount: 1 });
+      expect((await escrow.record(successId)).fulfilledAmount).to.equal(10000);
+      expect(await escrow._releaseablePool(1)).to.equal(2527 + 10110);
+      expect(await escrow.getDepositsFor(payer.address, 1)).to.equal(0);
+      await expect(manager.connect(payer).withdrawRefund(1, payer.address))
+        .to.changeEtherBalances([payer, escrow], [7583, -7583]);
+      expect(await ethers.provider.getBalance(await escrow.getAddress())).to.equal(2527 + 10110);
+    });
+  });
+
+  describe("ERC20 Fee Specs", async () => {
+    let system;
+    let request;
+
+    const result = (id, status) => ({ id, status, externalID: 'external', receiptURI: 'https://example.com/receipt', fulfilledAmount: 0 });
+
+    beforeEach(async () => {
+      system = await loadFixture(erc20FeeFixture);
+      await system.registry.updateServiceTokenFee(1, await system.token.getAddress(), 25);
+      request = {
+        payer: system.payer.address,
+        fiatAmount: 10,
+        fiatCurrency: USD,
+        fiatDecimals: 2,
+        serviceRef: '012345678912',
+        token: await system.token.getAddress(),
+        tokenAmount: 1000,
+      };
+    });
+
+    it("should collect the token fee on top of the token amount", async () => {
+      const { router, erc20Escrow, payer, token } = system;
+      await expect(router.connect(payer).requestERC20Service(1, request))
+        .to.changeTokenBalances(token, [payer, erc20Escrow], [-1025, 1025]);
+      const [id] = await erc20Escrow.recordsOf(payer.address);
+      const record = await erc20Escrow.record(id);
+      expect(record.tokenAmount).to.equal(1000);
+      // the native fee of the service is not charged in tokens
+      expect(record.feeAmount).to.equal(25);
+      expect(await erc20Escrow.getERC20DepositsFor(await token.getAddress(), payer.address, 1)).to.equal(1025);
+    });
+
+    it("should require the allowance to cover the token fee", async () => {
+      const { router, payer, token } = system;
+      await token.connect(payer).approve(await router.getAddress(), 1000);
+      await expect(router.connect(payer).requestERC20Service(1, request))
+        .to.be.revertedWithCustomError(token, 'ERC20InsufficientAllowance');
+      const noSignature = [1000, ethers.MaxUint256, 0, ethers.ZeroHash, ethers.ZeroHash];
+      await expect(router.connect(payer).requestERC20ServiceWithPermit(1, request, ...noSignature))
+        .to.be.revertedWith('BandoRouterV1: Permit failed and allowance is insufficient');
+      const { v, r, s } = await signPermit(token, payer, await router.getAddress(), 1025, ethers.MaxUint256);
+      await expect(router.connect(payer).requestERC20ServiceWithPermit(1, request, 1025, ethers.MaxUint256, v, r, s))
+        .to.emit(router, 'ERC20ServiceRequested');
+    });
+
+    it("should release or refund the token fee charged at deposit time", async () => {
+      const { router, registry, erc20Escrow, manager, payer, fulfiller, token } = system;
+      const tokenAddress = await token.getAddress();
+      await router.connect(payer).requestERC20Service(1, request);
+      await router.connect(payer).requestERC20Service(1, request);
+      const [successId, failedId] = await erc20Escrow.recordsOf(payer.address);
+      // later fee updates do not change pending records
+      await registry.updateServiceTokenFee(1, tokenAddress, 0);
+      await manager.connect(fulfiller).registerERC20Fulfillment(1, result(successId, 1));
+      expect(await erc20Escrow.getERC20ReleaseablePoolFor(tokenAddress, 1)).to.equal(1025);
+      await expect(manager.connect(fulfiller).registerERC20Fulfillment(1, result(failedId, 0)))
+        .to.emit(erc20Escrow, 'ERC20RefundAuthorized')
+        .withArgs(payer.address, 1025);
+      expect(await erc20Escrow.getERC20DepositsFor(tokenAddress, payer.address, 1)).to.equal(0);
+      await expect(manager.connect(payer).withdrawERC20Refund(1, tokenAddress, payer.address))
+        .to.changeTokenBalances(token, [payer, erc20Escrow], [1025, -1025]);
+    });
+
+    it("should release the fulfilled part of partial fulfillments with a proportional token fee and refund the rest", async () => {
+      const { router, erc20Escrow, manager, payer, fulfiller, token } = system;
+      const tokenAddress = await token.getAddress();
+      await router.connect(payer).requestERC20Service(1, request);
+      const [id] = await erc20Escrow.recordsOf(payer.address);
+      const partial = (fulfilledAmount) => ({ ...result(id, 4), fulfilledAmount });
+      await expect(manager.connect(fulfiller).registerERC20Fulfillment(1, partial(1000)))
+        .to.be.revertedWith('Invalid fulfilled amount');
+
+      // 600 of 1000 fulfilled: 15 of the 25 fee is released
+      await expect(manager.connect(fulfiller).registerERC20Fulfillment(1, partial(600)))
+        .to.emit(erc20Escrow, 'ERC20RefundAuthorized')
+        .withArgs(payer.address, 410);
+      expect(await erc20Escrow.getERC20ReleaseablePoolFor(tokenAddress, 1)).to.equal(615);
+      expect(await erc20Escrow.getERC20DepositsFor(tokenAddress, payer.address, 1)).to.equal(0);
+      const record = await erc20Escrow.record(id);
+      expect([record.status, record.fulfilledAmount]).to.deep.equal([4n, 600n]);
+      await expect(manager.connect(payer).withdrawERC20Refund(1, tokenAddress, payer.address))
+        .to.changeTokenBalances(token, [payer, erc20Escrow], [410, -410]);
+      expect(await token.balanceOf(await erc20Escrow.getAddress())).to.equal(615);
+    });
+  });
+
+  describe("Fee-on-transfer Token Specs", async () => {
+    let system;
+
+    const requestFor = async (token, tokenAmount = 10000) => ({
+      payer: system.payer.address,
+      fiatAmount: 10,
+      fiatCurrency: USD,
+      fiatDecimals: 2,
+      serviceRef: '012345678912',
+      token: await token.getAddress(),
+      tokenAmount,
+    });
+
+    beforeEach(async () => {
+      system = await loadFixture(feeOnTransferFixture);
+    });
+
+    it("should reject fee-on-transfer tokens without balance-delta accounting", async () => {
+      const { router, payer, tokens: [exactToken] } = system;
+      await expect(router.connect(payer).requestERC20Service(1, await requestFor(exactToken)))
+        .to.be.revertedWith('BandoRouterV1: Token transferred an unexpected amount');
+    });
+
+    it("should record the amount the escrow actually received", async () => {
+      const { router, erc20Escrow, registry, payer, tokens: [, deltaToken] } = system;
+      const token = await deltaToken.getAddress();
+      await registry.updateServiceTokenFee(1, token, 50);
+      // 1% of the 10050 transferred is burned
+      await expect(router.connect(payer).requestERC20Service(1, await requestFor(deltaToken)))
+        .to.changeTokenBalances(deltaToken, [payer, erc20Escrow], [-10050, 9950]);
+      const [id] = await erc20Escrow.recordsOf(payer.address);
+      const record = await erc20Escrow.record(id);
+      expect(record.tokenAmount).to.equal(9900);
+      expect(record.feeAmount).to.equal(50);
+      expect(await erc20Escrow.getERC20DepositsFor(token, payer.address, 1)).to.equal(9950);
+      expect(await deltaToken.balanceOf(await erc20Escrow.getAddress())).to.equal(9950);
+    });
+
+    it("should keep the escrow solvent through refunds and releases", async () => {
+      const { router, erc20Escrow, manager, payer, fulfiller, tokens: [, deltaToken] } = system;
+      const token = await deltaToken.getAddress();
+      await router.connect(payer).requestERC20Service(1, await requestFor(deltaToken));
+      await router.connect(payer).requestERC20Service(1, await requestFor(deltaToken));
+      const [successId, failedId] = await erc20Escrow.recordsOf(payer.address);
+      const result = (id, status) => ({ id, status, externalID: 'external', receiptURI: 'https://example.com/receipt', fulfilledAmount: 0 });
+      await manager.connect(fulfiller).registerERC20Fulfillment(1, result(successId, 1));
+      await manager.connect(fulfiller).registerERC20Fulfillment(1, result(failedId, 0));
+      expect(await erc20Escrow.getERC20RefundsFor(token, payer.address, 1)).to.equal(9900);
+      await manager.connect(payer).withdrawERC20Refund(1, token, payer.address);
+      expect(await erc20Escrow.getERC20ReleaseablePoolFor(token, 1)).to.equal(9900);
+      expect(await deltaToken.balanceOf(await erc20Escrow.getAddress())).to.equal(9900);
+    });
+
+    it("should check the token limits and the fiat amount against the amount received", async () => {
+      const { router, tokenRegistry, priceOracle, payer, tokens: [, deltaToken] } = system;
+      const token = await deltaToken.getAddress();
+      await tokenRegistry.setTokenLimits(token, 10000, 0);
+      await expect(router.connect(payer).requestERC20Service(1, await requestFor(deltaToken)))
+        .to.be.revertedWithCustomError(router, 'TokenAmountOutOfRange')
+        .withArgs(token, 9900, 10000, 0);
+      await tokenRegistry.setTokenLimits(token, 0, 0);
+
+      // 0.01 USD per token unit, the 10000 units requested cover 100.00 USD but the 9900 received do not
+      const feed = await ethers.deployContract('MockPriceFeed', [8, 10n ** 6n]);
+      await priceOracle.setPriceFeed(token, USD, await feed.getAddress(), 0, 0);
+      await priceOracle.setServiceConfig(1, { enabled: true, slippageBasisPoints: 0, allowMissingFeed: false, allowStalePrice: false });
+      await expect(router.connect(payer).requestERC20Service(1, { ...await requestFor(deltaToken), fiatAmount: 10000 }))
+        .to.be.revertedWithCustomError(router, 'FiatAmountNotCovered')
+        .withArgs(10000, 9900);
+      await router.connect(payer).requestERC20Service(1, { ...await requestFor(deltaToken), fiatAmount: 9900 });
+    });
+
+    it("should reject requests that do not cover the token fee after the transfer fee", async () => {
+      const { router, registry, payer, tokens: [, deltaToken] } = system;
+      await registry.updateServiceTokenFee(1, await deltaToken.getAddress(), 100);
+      await expect(router.connect(payer).requestERC20Service(1, await requestFor(deltaToken, 1)))
+        .to.be.revertedWith('BandoRouterV1: Received amount does not cover the fee');
+    });
+  });
+
+  describe("Token Metadata Specs", async () => {
+    let system;
+
+    const requestFor = async (tokenAmount = 10000) => ({
+      payer: system.payer.address,
+      fiatAmount: 10,
+      fiatCurrency: USD,
+      fiatDecimals: 2,
+      serviceRef: '012345678912',
+      token: await system.token.getAddress(),
+      tokenAmount,
+    });
+
+    beforeEach(async () => {
+      system = await loadFixture(tokenMetadataFixture);
+    });
+
+    it("should reject requests paid with a disabled token", async () => {
+      const { router, tokenRegistry, payer, token } = system;
+      await tokenRegistry.setTokenEnabled(await token.getAddress(), false);
+      await expect(router.connect(payer).requestERC20Service(1, await requestFor()))
+        .to.be.revertedWithCustomError(router, 'TokenDisabled')
+        .withArgs(await token.getAddress());
+      await tokenRegistry.setTokenEnabled(await token.getAddress(), true);
+      await router.connect(payer).requestERC20Service(1, await requestFor());
+    });
+
+    it("should reject token amounts out of the token limits", async () => {
+      const { router, tokenRegistry, payer, token } = system;
+      const address = await token.getAddress();
+      await tokenRegistry.setTokenLimits(address, 100, 1000);
+      await expect(router.connect(payer).requestERC20Service(1, await requestFor(99)))
+        .to.be.revertedWithCustomError(router, 'TokenAmountOutOfRange')
+        .withArgs(address, 99, 100, 1000);
+      await expect(router.connect(payer).requestERC20Service(1, await requestFor(1001)))
+        .to.be.revertedWithCustomError(router, 'TokenAmountOutOfRange')
+        .withArgs(address, 1001, 100, 1000);
+      await router.connect(payer).requestERC20Service(1, await requestFor(100));
+      await router.connect(payer).requestERC20Service(1, await requestFor(1000));
+    });
+
+    it("should only accept a restricted token for its allowed services", async () => {
+      const { router, tokenRegistry, payer, token } = system;
+      const address = await token.getAddress();
+      await tokenRegistry.setTokenServiceRestriction(address, true);
+      await tokenRegistry.setTokenServiceAllowed(address, 2, true);
+      await expect(router.connect(payer).requestERC20Service(1, await requestFor()))
+        .to.be.revertedWithCustomError(router, 'TokenNotAllowedForService')
+        .withArgs(address, 1);
+      await router.connect(payer).requestERC20Service(2, await requestFor());
+    });
+  });
+
+  describe("Fiat Currency Specs", async () => {
+    const MXN = '0x4d584e';
+    let system;
+
+    const requestIn = (fiatCurrency, fiatDecimals) => ({
+      payer: system.payer.address,
+      weiAmount: 1000,
+      fiatAmount: 10000,
+      serviceRef: '012345678912',
+      fiatCurrency,
+      fiatDecimals,
+    });
+
+    const erc20RequestIn = async (fiatCurrency, fiatDecimals) => ({
+      payer: system.payer.address,
+      fiatAmount: 10000,
+      serviceRef: '012345678912',
+      token: await system.token.getAddress(),
+      tokenAmount: 1000,
+      fiatCurrency,
+      fiatDecimals,
+    });
+
+    beforeEach(async () => {
+      system = await loadFixture(tokenMetadataFixture);
+      await system.registry.updateServiceCurrency(1, MXN, 2);
+    });
+
+    it("should store the fiat currency and decimals of requests in their records", async () => {
+      const { router, escrow, erc20Escrow, payer } = system;
+      await router.connect(payer).requestService(1, requestIn(MXN, 2), { value: 1000 });
+      await router.connect(payer).requestERC20Service(1, await erc20RequestIn(MXN, 2));
+      const [id] = await escrow.recordsOf(payer.address);
+      const [erc20Id] = await erc20Escrow.recordsOf(payer.address);
+      const record = await escrow.record(id);
+      const erc20Record = await erc20Escrow.record(erc20Id);
+      expect([record.fiatCurrency, record.fiatDecimals]).to.deep.equal([MXN, 2n]);
+      expect([erc20Record.fiatCurrency, erc20Record.fiatDecimals]).to.deep.equal([MXN, 2n]);
+    });
+
+    it("should reject currencies the service does not accept", async () => {
+      const { router, payer } = system;
+      await expect(router.connect(payer).requestService(1, requestIn(USD, 2), { value: 1000 }))
+        .to.be.revertedWithCustomError(router, 'UnsupportedCurrency')
+        .withArgs(1, USD, 2);
+      await expect(router.connect(payer).requestService(1, requestIn(MXN, 0), { value: 1000 }))
+        .to.be.revertedWithCustomError(router, 'UnsupportedCurrency')
+        .withArgs(1, MXN, 0);
+      await expect(router.connect(payer).requestERC20Service(1, await erc20RequestIn(USD, 2)))
+        .to.be.revertedWithCustomError(router, 'UnsupportedCurrency')
+        .withArgs(1, USD, 2);
+    });
+
+    it("should reject invalid currency codes for services accepting every currency", async () => {
+      const { router, payer } = system;
+      await router.connect(payer).requestService(2, requestIn(USD, 2), { value: 1000 });
+      await expect(router.connect(payer).requestService(2, requestIn('0x000000', 2), { value: 1000 }))
+        .to.be.revertedWithCustomError(router, 'UnsupportedCurrency')
+        .withArgs(2, '0x000000', 2);
+      await expect(router.connect(payer).requestERC20Service(2, await erc20RequestIn('0x757364', 2)))
+        .to.be.revertedWithCustomError(router, 'UnsupportedCurrency');
+    });
+
+    it("should reject fiat amounts with more decimals than the oracle can scale", async () => {
+      const { router, payer } = system;
+      await expect(router.connect(payer).requestService(2, requestIn(USD, 80), { value: 1000 }))
+        .to.be.revertedWithCustomError(router, 'UnsupportedCurrency')
+        .withArgs(2, USD, 80);
+    });
+  });
 });
@@ -0,0 +1,59 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deploySystem, CONTRACTS } = require("../scripts/deploy");
+const { readManifest } = require("../scripts/utils/manifest");
+
+describe("Deploy script", () => {
+  let dir;
+  let deployment;
+  const silent = () => {};
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bando-deployments-"));
+    deployment = await deploySystem({ dir, log: silent });
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should write a manifest with proxy and implementation addresses", async () => {
+    const { chainId } = await ethers.provider.getNetwork();
+    const manifest = readManifest(chainId, dir);
+    expect(manifest.chainId).to.equal(chainId.toString());
+    expect(Object.keys(manifest.contracts)).to.have.members(CONTRACTS);
+    for (const name of CONTRACTS) {
+      const { proxy, implementation } = manifest.contracts[name];
+      expect(proxy).to.be.a.properAddress;
+      expect(await upgrades.erc1967.getImplementationAddress(proxy)).to.equal(implementation);
+    }
+  });
+
+  it("should wire the protocol contracts together", async () => {
+    const c = deployment.contracts;
+    const registry = await c.FulfillableRegistry.getAddress();
+    const manager = await c.BandoFulfillmentManagerV1.getAddress();
+    const router = await c.BandoRouterV1.getAddress();
+    const escrow = await c.BandoFulfillableV1.getAddress();
+    const erc20Escrow = await c.BandoERC20FulfillableV1.getAddress();
+    expect(await c.FulfillableRegistry._manager()).to.equal(manager);
+    expect(await c.BandoFulfillableV1._router()).to.equal(router);
+    expect(await c.BandoERC20FulfillableV1._manager()).to.equal(manager);
+    expect(await c.BandoFulfillmentManagerV1._serviceRegistry()).to.equal(registry);
+    expect(await c.BandoFulfillmentManagerV1._erc20_escrow()).to.equal(erc20Escrow);
+    expect(await c.BandoRouterV1._escrow()).to.equal(escrow);
+    expect(await c.BandoRouterV1._tokenRegistry()).to.equal(await c.ERC20TokenRegistry.getAddress());
+  });
+
+  it("should skip already deployed contracts on re-runs", async () => {
+    const { chainId } = await ethers.provider.getNetwork();
+    const before = readManifest(chainId, dir);
+    const blockBefore = await ethers.provider.getBlockNumber();
+    await deploySystem({ dir, log: silent });
+    expect(readManifest(chainId, dir).contracts).to.deep.equal(before.contracts);
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+  });
+});
@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers, upgrades } = require("hardhat");
+const { setStorageAt } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("ERC20TokenRegistry", function () {
   let ERC20TokenRegistry;
@@ -17,21 +18,22 @@ describe("ERC20TokenRegistry", function () {
   });
 
   describe("Configuration Specs", function () {
-    it("Should set the right owner", async function () {
-      expect(await registry.owner()).to.equal(owner.address);
+    it("Should grant the admin role to the deployer, without an owner", async function () {
+      expect(await registry.hasRole(await registry.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.true;
+      expect(await registry.owner()).to.equal(ethers.ZeroAddress);
     });
   });
 
   describe("Access Control", function () {
     it("Should not allow non-owner to add token", async function () {
       await expect(registry.connect(addr1).addToken(addr2.address))
-        .to.be.revertedWithCustomError(registry, 'OwnableUnauthorizedAccount');
+        .to.be.revertedWithCustomError(registry, 'AccessControlUnauthorizedAccount');
     });
 
     it("Should not allow non-owner to remove token", async function () {
       await registry.addToken(addr2.address);
       await expect(registry.connect(addr1).removeToken(addr2.address))
-        .to.be.revertedWithCustomError(registry, 'OwnableUnauthorizedAccount');
+        .to.be.revertedWithCustomError(registry, 'AccessControlUnauthorizedAccount');
     });
   });
 
@@ -45,7 +47,7 @@ describe("ERC20TokenRegistry", function () {
     it("Should not allow non-owner to upgrade", async function () {
       const ERC20TokenRegistryV2 = await ethers.getContractFactory("ERC20TokenRegistry", addr1);
       await expect(upgrades.upgradeProxy(await registry.getAddress(), ERC20TokenRegistryV2))
-      .to.be.revertedWithCustomError(registry, 'OwnableUnauthorizedAccount');
+      .to.be.revertedWithCustomError(registry, 'AccessControlUnauthorizedAccount');
     });
   });
 
@@ -91,4 +93,156 @@ describe("ERC20TokenRegistry", function () {
         .to.be.revertedWith("ERC20TokenRegistry: Token not whitelisted");
     });
   });
+
+  describe("Accounting Mode", function () {
+    it("Should default to exact transfer accounting", async function () {
+      await registry.addToken(addr1.address);
+      expect(await registry.usesBalanceDeltaAccounting(addr1.address)).to.be.false;
+    });
+
+    it("Should toggle balance-delta accounting of a whitelisted token", async function () {
+      await registry.addToken(addr1.address);
+      await expect(registry.setBalanceDeltaAccounting(addr1.address, true))
+        .to.emit(registry, "TokenAccountingUpdated")
+        .withArgs(addr1.address, true);
+      expect(await registry.usesBalanceDeltaAccounting(addr1.address)).to.be.true;
+      await registry.setBalanceDeltaAccounting(addr1.address, false);
+      expect(await registry.usesBalanceDeltaAccounting(addr1.address)).to.be.false;
+    });
+
+    it("Should only allow a token admin to set the accounting of whitelisted tokens", async function () {
+      await expect(registry.setBalanceDeltaAccounting(addr1.address, true))
+        .to.be.revertedWith("ERC20TokenRegistry: Token not whitelisted");
+      await registry.addToken(addr1.address);
+      await expect(registry.connect(addr1).setBalanceDeltaAccounting(addr1.address, true))
+        .to.be.revertedWithCustomError(registry, 'AccessControlUnauthorizedAccount');
+    });
+  });
+
+  describe("Token Metadata", function () {
+    it("Should snapshot the decimals and symbol of a token when whitelisting it", async function () {
+      const token = await ethers.deployContract("DemoToken");
+      await expect(registry.addToken(await token.getAddress()))
+        .to.emit(registry, "TokenDisplayUpdated")
+        .withArgs(await token.getAddress(), "DMT", 18);
+      const metadata = await registry.getTokenMetadata(await token.getAddress());
+      expect(metadata.decimals).to.equal(18);
+      expect(metadata.symbol).to.equal("DMT");
+      expect(metadata.disabled).to.be.false;
+      expect(metadata.minAmount).to.equal(0);
+      expect(metadata.maxAmount).to.equal(0);
+    });
+
+    it("Should snapshot the symbol of a token returning it as a bytes32", async function () {
+      const token = await ethers.deployContract("DemoBytes32SymbolToken");
+      await expect(registry.addToken(await token.getAddress()))
+        .to.emit(registry, "TokenDisplayUpdated")
+        .withArgs(await token.getAddress(), "MKR", 18);
+      await expect(registry.refreshTokenDisplay(await token.getAddress()))
+        .to.emit(registry, "TokenDisplayUpdated")
+        .withArgs(await token.getAddress(), "MKR", 18);
+      const metadata = await registry.getTokenMetadata(await token.getAddress());
+      expect(metadata.symbol).to.equal("MKR");
+      expect(metadata.decimals).to.equal(18);
+    });
+
+    it("Should leave the display info empty for tokens without it", async function () {
+      await registry.addToken(addr1.address);
+      const metadata = await registry.getTokenMetadata(addr1.address);
+      expect(metadata.decimals).to.equal(0);
+      expect(metadata.symbol).to.equal("");
+      await expect(registry.connect(addr2).refreshTokenDisplay(addr1.address))
+        .to.emit(registry, "TokenDisplayUpdated")
+        .withArgs(addr1.address, "", 0);
+      await expect(registry.refreshTokenDisplay(addr2.address))
+        .to.be.revertedWith("ERC20TokenRegistry: Token not whitelisted");
+    });
+
+    it("Should set the amount limits of a whitelisted token", async function () {
+      await expect(registry.setTokenLimits(addr1.address, 10, 100))
+        .to.be.revertedWith("ERC20TokenRegistry: Token not whitelisted");
+      await registry.addToken(addr1.address);
+      await expect(registry.setTokenLimits(addr1.address, 100, 10))
+        .to.be.revertedWith("ERC20TokenRegistry: Max amount is lower than min amount");
+      await expect(registry.setTokenLimits(addr1.address, 10, 100))
+        .to.emit(registry, "TokenLimitsUpdated")
+        .withArgs(addr1.address, 10, 100);
+      await registry.setTokenLimits(addr1.address, 10, 0);
+      const metadata = await registry.getTokenMetadata(addr1.address);
+      expect(metadata.minAmount).to.equal(10);
+      expect(metadata.maxAmount).to.equal(0);
+    });
+
+    it("Should disable a token without removing it", async function () {
+      await registry.addToken(addr1.address);
+      await expect(registry.setTokenEnabled(addr1.address, false))
+        .to.emit(registry, "TokenEnabledUpdated")
+        .withArgs(addr1.address, false);
+      expect((await registry.getTokenMetadata(addr1.address)).disabled).to.be.true;
+      expect(await registry.isTokenWhitelisted(addr1.address)).to.be.true;
+      await registry.setTokenEnabled(addr1.address, true);
+      expect((await registry.getTokenMetadata(addr1.address)).disabled).to.be.false;
+    });
+
+    it("Should restrict a token to the services it is allowed for", async function () {
+      await registry.addToken(addr1.address);
+      expect(await registry.isTokenAllowedForService(addr1.address, 1)).to.be.true;
+      await expect(registry.setTokenServiceRestriction(addr1.address, true))
+        .to.emit(registry, "TokenServiceRestrictionUpdated")
+        .withArgs(addr1.address, true);
+      expect(await registry.isTokenAllowedForService(addr1.address, 1)).to.be.false;
+      await expect(registry.setTokenServiceAllowed(addr1.address, 1, true))
+        .to.emit(registry, "TokenServiceAllowedUpdated")
+        .withArgs(addr1.address, 1, true);
+      await registry.setTokenServiceAllowed(addr1.address, 2, true);
+      expect(await registry.isTokenAllowedForService(addr1.address, 1)).to.be.true;
+      expect(await registry.getTokenServices(addr1.address)).to.deep.equal([1n, 2n]);
+      await registry.setTokenServiceAllowed(addr1.address, 1, false);
+      expect(await registry.isTokenAllowedForService(addr1.address, 1)).to.be.false;
+      await registry.setTokenServiceRestriction(addr1.address, false);
+      expect(await registry.isTokenAllowedForService(addr1.address, 1)).to.be.true;
+    });
+
+    it("Should only allow token admins to change the metadata", async function () {
+      await registry.addToken(addr1.address);
+      const role = await registry.TOKEN_ADMIN_ROLE();
+      for (const call of [
+        registry.connect(addr2).setTokenLimits(addr1.address, 0, 0),
+        registry.connect(addr2).setTokenEnabled(addr1.address, false),
+        registry.connect(addr2).setTokenServiceRestriction(addr1.address, true),
+        registry.connect(addr2).setTokenServiceAllowed(addr1.address, 1, true),
+      ]) {
+        await expect(call)
+          .to.be.revertedWithCustomError(registry, 'AccessControlUnauthorizedAccount')
+          .withArgs(addr2.address, role);
+      }
+    });
+  });
+
+  describe("Enumeration", function () {
+    it("Should list whitelisted tokens by page", async function () {
+      const [, , , token3] = await ethers.getSigners();
+      for (const token of [addr1, addr2, token3]) {
+        await registry.addToken(token.address);
+      }
+      expect(await registry.getTokenCount()).to.equal(3);
+      expect(await registry.getTokens(0, 2)).to.deep.equal([addr1.address, addr2.address]);
+      expect(await registry.getTokens(2, 2)).to.deep.equal([token3.address]);
+      expect(await registry.getTokens(3, 2)).to.deep.equal([]);
+      await registry.removeToken(addr1.address);
+      expect(await registry.getTokens(0, 10)).to.deep.equal([token3.address, addr2.address]);
+    });
+
+    it("Should index tokens whitelisted before the whitelist was enumerable", async function () {
+      // whitelist[addr1] = true, as stored by the previous implementation
+      const slot = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["address", "uint256"], [addr1.address, 0]));
+      await setStorageAt(await registry.getAddress(), slot, 1);
+      expect(await registry.isTokenWhitelisted(addr1.address)).to.be.true;
+      expect(await registry.getTokenCount()).to.equal(0);
+      await registry.connect(addr2).indexTokens([addr1.address, addr2.address, addr1.address]);
+      expect(await registry.getTokens(0, 10)).to.deep.equal([addr1.address]);
+      await registry.removeToken(addr1.address);
+      expect(await registry.getTokenCount()).to.equal(0);
+    });
+  });
 });
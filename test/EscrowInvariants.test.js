@@ -0,0 +1,416 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { USD, systemFixture } = require("./utils/fixtures");
+const { random, shrink, checkSequences } = require("./utils/fuzz");
+const { FulFillmentResultState, computeFee } = require("../sdk");
+
+// Tune with FUZZ_SEED=<n> FUZZ_RUNS=<n> FUZZ_LENGTH=<n> yarn hardhat test test/EscrowInvariants.test.js
+const FUZZ_SEED = Number(process.env.FUZZ_SEED || 1);
+const FUZZ_RUNS = Number(process.env.FUZZ_RUNS || 4);
+const FUZZ_LENGTH = Number(process.env.FUZZ_LENGTH || 25);
+
+const SERVICES = [1, 2];
+const SERVICE_REF = "FUZZ-REF";
+const TOKEN_FUNDS = 10n ** 21n;
+/// Releases of service 2 are locked, those of service 1 are not
+const DISPUTE_WINDOW = 3600;
+/// Pending records of service 1 expire, those of service 2 do not
+const FULFILLMENT_TIMEOUT = 1800;
+/// Service 1 charges a flat fee, service 2 a basis-point fee
+const BASIS_POINT_FEE = { feeBasisPoints: 150, minFeeAmount: 10, maxFeeAmount: 5000 };
+/// Token fees by service, in token order
+const TOKEN_FEES = { 1: [25, 0, 3], 2: [0, 40, 7] };
+
+const baseFixture = systemFixture({
+  services: SERVICES.map((serviceId) => ({
+    serviceId,
+    feeAmount: serviceId === 1 ? 100 : 0,
+    refs: [SERVICE_REF],
+    fulfillmentTimeout: serviceId === 1 ? FULFILLMENT_TIMEOUT : 0,
+    disputeWindow: serviceId === 2 ? DISPUTE_WINDOW : 0,
+  })),
+  tokens: [
+    { contract: "DemoToken" },
+    { contract: "DemoToken" },
+    { contract: "DemoFeeOnTransferToken", balanceDelta: true },
+  ],
+});
+
+/**
+ * The wired system with a plain signer as the escrows' manager, so the harness can
+ * drive registerFulfillment, withdrawRefund and beneficiaryWithdraw directly.
+ * The deployer holds ARBITER_ROLE and resolves disputes.
+ * Services charge flat, basis-point and token fees, and the last token takes a fee on transfer.
+ */
+async function invariantFixture() {
+  const system = await baseFixture();
+  const { feeBasisPoints, minFeeAmount, maxFeeAmount } = BASIS_POINT_FEE;
+  await system.registry.updateServiceFeeBasisPoints(2, feeBasisPoints, minFeeAmount, maxFeeAmount);
+  for (const service of SERVICES) {
+    for (const [i, token] of system.tokens.entries()) {
+      await system.registry.updateServiceTokenFee(service, await token.getAddress(), TOKEN_FEES[service][i]);
+    }
+  }
+  const [payer2, payer3, managerEOA] = system.others;
+  const payers = [system.payer, payer2, payer3];
+  const router = await system.router.getAddress();
+  for (const token of system.tokens) {
+    for (const payer of payers) {
+      await token.transfer(payer.address, TOKEN_FUNDS);
+      await token.connect(payer).approve(router, TOKEN_FUNDS);
+    }
+  }
+  await system.escrow.setManager(managerEOA.address);
+  await system.erc20Escrow.setManager(managerEOA.address);
+  return {
+    ...system,
+    payers,
+    escrow: system.escrow.connect(managerEOA),
+    erc20Escrow: system.erc20Escrow.connect(managerEOA),
+    tokenAddresses: await Promise.all(system.tokens.map((token) => token.getAddress())),
+  };
+}
+
+/**
+ * Generates a random action sequence. Actions refer to payers, tokens and records
+ * by index so that they stay runnable when the sequence is shrunk.
+ */
+function generate(rand) {
+  return Array.from({ length: FUZZ_LENGTH }, () => {
+    const type = rand.weighted({
+      request: 3,
+      requestERC20: 3,
+      register: 4,
+      withdrawRefund: 2,
+      expire: 3,
+      beneficiaryWithdraw: 2,
+      dispute: 3,
+      resolve: 2,
+      releaseMatured: 1,
+    });
+    const kind = rand.pick(["native", "erc20"]);
+    switch (type) {
+      case "request":
+        return { type, service: rand.pick(SERVICES), payer: rand.int(0, 2), amount: rand.int(1, 1000000) };
+      case "requestERC20":
+        return { type, service: rand.pick(SERVICES), payer: rand.int(0, 2), token: rand.int(0, 2), amount: rand.int(1, 1000000) };
+      case "register":
+        return { type, kind, status: rand.pick(["SUCCESS", "FAILED", "PARTIAL"]), pick: rand.int(0, 1000), fill: rand.int(1, 1000000) };
+      case "withdrawRefund":
+      case "dispute":
+        return { type, kind, pick: rand.int(0, 1000) };
+      case "expire":
+        return { type, pick: rand.int(0, 1000), wait: rand.int(0, 2 * FULFILLMENT_TIMEOUT) };
+      case "resolve":
+        return { type, kind, pick: rand.int(0, 1000), refund: rand.pick([true, false]) };
+      case "releaseMatured":
+        return { type, kind, wait: rand.int(0, DISPUTE_WINDOW) };
+      default:
+        return { type, kind, service: rand.pick(SERVICES), token: rand.int(0, 2) };
+    }
+  });
+}
+
+/**
+ * Simpler variants of an action, tried while shrinking.
+ */
+function simplify(action) {
+  const variants = [];
+  if (action.amount > 1) {
+    variants.push({ ...action, amount: 1 });
+  }
+  if (action.pick > 0) {
+    variants.push({ ...action, pick: 0 });
+  }
+  if (action.wait > 0) {
+    variants.push({ ...action, wait: 0 });
+  }
+  return variants;
+}
+
+/**
+ * The (service, payer) buckets of the native escrow and the (service, token, payer)
+ * buckets of the ERC20 escrow touched so far, with their on-chain deposits and refunds.
+ */
+async function readBuckets(ctx) {
+  const { escrow, erc20Escrow } = ctx.system;
+  const buckets = {
+    native: [...ctx.buckets.native.values()].map((b) => ({ ...b })),
+    erc20: [...ctx.buckets.erc20.values()].map((b) => ({ ...b })),
+  };
+  await Promise.all([
+    ...buckets.native.map(async (bucket) => {
+      bucket.deposits = await escrow.getDepositsFor(bucket.payer.address, bucket.service);
+      bucket.refunds = await escrow.getRefundsFor(bucket.payer.address, bucket.service);
+    }),
+    ...buckets.erc20.map(async (bucket) => {
+      bucket.deposits = await erc20Escrow.getERC20DepositsFor(bucket.token, bucket.payer.address, bucket.service);
+      bucket.refunds = await erc20Escrow.getERC20RefundsFor(bucket.token, bucket.payer.address, bucket.service);
+    }),
+  ]);
+  return buckets;
+}
+
+function recordFrom(receipt, escrow, eventName) {
+  for (const log of receipt.logs) {
+    try {
+      const parsed = escrow.interface.parseLog(log);
+      if (parsed && parsed.name === eventName) {
+        return parsed.args.record;
+      }
+    } catch (error) {
+      // not an escrow log
+    }
+  }
+  throw new Error(`${eventName} not found in ${receipt.hash}`);
+}
+
+/**
+ * The registered records of an escrow with their on-chain status and locked release.
+ */
+async function readRegistered(ctx, kind) {
+  const target = kind === "erc20" ? ctx.system.erc20Escrow : ctx.system.escrow;
+  const registered = ctx.records.filter((r) => r.kind === kind && !r.pending);
+  return Promise.all(registered.map(async (record) => ({
+    ...record,
+    status: Number((await target.record(record.id)).status),
+    release: await target.lockedReleaseOf(record.id),
+  })));
+}
+
+/**
+ * Runs a single action against the chain. Actions without a target
+ * (no pending or expirable record, no refund, an empty pool, no disputable record) are no-ops.
+ */
+async function apply(ctx, action) {
+  const { router, registry, escrow, erc20Escrow, payers, tokenAddresses } = ctx.system;
+  switch (action.type) {
+    case "request": {
+      const payer = payers[action.payer];
+      const fee = computeFee(await registry.getService(action.service), action.amount);
+      const tx = await router.connect(payer).requestService(
+        action.service,
+        { payer: payer.address, weiAmount: action.amount, fiatAmount: 10, serviceRef: SERVICE_REF, fiatCurrency: USD, fiatDecimals: 2 },
+        { value: BigInt(action.amount) + fee },
+      );
+      const { id } = recordFrom(await tx.wait(), escrow, "DepositReceived");
+      ctx.records.push({ kind: "native", id, service: action.service, payer: action.payer, amount: action.amount, pending: true });
+      ctx.buckets.native.set(`${action.service}:${action.payer}`, { service: action.service, payer });
+      return;
+    }
+    case "requestERC20": {
+      const payer = payers[action.payer];
+      const tx = await router.connect(payer).requestERC20Service(action.service, {
+        payer: payer.address,
+        fiatAmount: 10,
+        fiatCurrency: USD,
+        fiatDecimals: 2,
+        serviceRef: SERVICE_REF,
+        token: tokenAddresses[action.token],
+        tokenAmount: action.amount,
+      });
+      // fee-on-transfer tokens are recorded with the amount the escrow received
+      const { id, tokenAmount } = recordFrom(await tx.wait(), erc20Escrow, "ERC20DepositReceived");
+      ctx.records.push({ kind: "erc20", id, service: action.service, payer: action.payer, amount: Number(tokenAmount), pending: true });
+      ctx.buckets.erc20.set(
+        `${action.service}:${action.token}:${action.payer}`,
+        { service: action.service, token: tokenAddresses[action.token], payer },
+      );
+      return;
+    }
+    case "register": {
+      const pending = ctx.records.filter((r) => r.kind === action.kind && r.pending);
+      if (pending.length === 0) {
+        return;
+      }
+      const record = pending[action.pick % pending.length];
+      const target = action.kind === "erc20" ? erc20Escrow : escrow;
+      const result = { id: record.id, status: FulFillmentResultState[action.status], externalID: "fuzz", receiptURI: "fuzz", fulfilledAmount: 0 };
+      if (action.status === "PARTIAL") {
+        // a partial fulfillment delivers from 1 to amount - 1, records of 1 are fulfilled instead
+        result.status = record.amount > 1 ? FulFillmentResultState.PARTIAL : FulFillmentResultState.SUCCESS;
+        result.fulfilledAmount = record.amount > 1 ? 1 + (action.fill % (record.amount - 1)) : 0;
+      }
+      await (await target.registerFulfillment(record.service, result)).wait();
+      record.pending = false;
+      return;
+    }
+    case "withdrawRefund": {
+      const buckets = (await readBuckets(ctx))[action.kind].filter((b) => b.refunds > 0n);
+      if (buckets.length === 0) {
+        return;
+      }
+      const bucket = buckets[action.pick % buckets.length];
+      const tx = action.kind === "erc20"
+        ? await erc20Escrow.withdrawERC20Refund(bucket.service, bucket.token, bucket.payer.address)
+        : await escrow.withdrawRefund(bucket.service, bucket.payer.address);
+      await tx.wait();
+      return;
+    }
+    case "expire": {
+      // expires a record of either escrow, as few records stay pending until their deadline
+      await time.increase(action.wait);
+      const now = BigInt(await time.latest());
+      const expirable = [];
+      for (const record of ctx.records.filter((r) => r.pending)) {
+        const deadline = await (record.kind === "erc20" ? erc20Escrow : escrow).fulfillmentDeadline(record.id);
+        if (deadline > 0n && deadline <= now + 1n) {
+          expirable.push(record);
+        }
+      }
+      if (expirable.length === 0) {
+        return;
+      }
+      const record = expirable[action.pick % expirable.length];
+      const target = record.kind === "erc20" ? erc20Escrow : escrow;
+      await (await target.expireFulfillment(record.id)).wait();
+      record.pending = false;
+      return;
+    }
+    case "beneficiaryWithdraw": {
+      const token = tokenAddresses[action.token];
+      const pool = action.kind === "erc20"
+        ? await erc20Escrow.getERC20ReleaseablePoolFor(token, action.service)
+        : await escrow._releaseablePool(action.service);
+      if (pool === 0n) {
+        return;
+      }
+      const tx = action.kind === "erc20"
+        ? await erc20Escrow.beneficiaryWithdraw(action.service, token)
+        : await escrow.beneficiaryWithdraw(action.service);
+      await tx.wait();
+      return;
+    }
+    case "dispute": {
+      const now = BigInt(await time.latest());
+      const disputable = (await readRegistered(ctx, action.kind)).filter((r) =>
+        r.release.amount > 0n && r.status !== FulFillmentResultState.DISPUTED && r.release.releaseTime > now + 1n);
+      if (disputable.length === 0) {
+        return;
+      }
+      const record = disputable[action.pick % disputable.length];
+      const target = action.kind === "erc20" ? erc20Escrow : escrow;
+      await (await target.connect(payers[record.payer]).openDispute(record.id)).wait();
+      return;
+    }
+    case "resolve": {
+      const disputed = (await readRegistered(ctx, action.kind)).filter((r) => r.status === FulFillmentResultState.DISPUTED);
+      if (disputed.length === 0) {
+        return;
+      }
+      const record = disputed[action.pick % disputed.length];
+      const target = action.kind === "erc20" ? erc20Escrow : escrow;
+      await (await target.connect(ctx.system.owner).resolveDispute(record.id, action.refund)).wait();
+      return;
+    }
+    case "releaseMatured": {
+      await time.increase(action.wait);
+      const ids = ctx.records.filter((r) => r.kind === action.kind && !r.pending).map((r) => r.id);
+      const target = action.kind === "erc20" ? erc20Escrow : escrow;
+      await (await target.releaseMatured(ids)).wait();
+      return;
+    }
+    default:
+      throw new Error(`Unknown action ${action.type}`);
+  }
+}
+
+/**
+ * The escrow balance must equal the sum of the outstanding deposits, authorized refunds,
+ * releaseable pools and releases locked in dispute windows, for the native coin and for every token.
+ */
+async function checkInvariants(ctx) {
+  const { escrow, erc20Escrow, tokens, tokenAddresses } = ctx.system;
+  const buckets = await readBuckets(ctx);
+
+  let expected = 0n;
+  for (const bucket of buckets.native) {
+    expected += bucket.deposits + bucket.refunds;
+  }
+  for (const service of SERVICES) {
+    expected += (await escrow._releaseablePool(service)) + (await escrow._lockedPool(service));
+  }
+  const balance = await ethers.provider.getBalance(await escrow.getAddress());
+  expect(balance, "native escrow balance").to.equal(expected);
+
+  for (const [i, token] of tokenAddresses.entries()) {
+    let expectedTokens = 0n;
+    for (const bucket of buckets.erc20.filter((b) => b.token === token)) {
+      expectedTokens += bucket.deposits + bucket.refunds;
+    }
+    for (const service of SERVICES) {
+      expectedTokens += (await erc20Escrow.getERC20ReleaseablePoolFor(token, service))
+        + (await erc20Escrow.getERC20LockedPoolFor(token, service));
+    }
+    const tokenBalance = await tokens[i].balanceOf(await erc20Escrow.getAddress());
+    expect(tokenBalance, `ERC20 escrow balance of token ${i}`).to.equal(expectedTokens);
+  }
+}
+
+/**
+ * Runs a sequence from a fresh deployment, checking the invariants after every step.
+ */
+async function runSequence(sequence) {
+  const ctx = {
+    system: await loadFixture(invariantFixture),
+    records: [],
+    buckets: { native: new Map(), erc20: new Map() },
+  };
+  for (const [i, action] of sequence.entries()) {
+    try {
+      await apply(ctx, action);
+      await checkInvariants(ctx);
+    } catch (error) {
+      error.message = `Step ${i + 1} ${JSON.stringify(action)} failed: ${error.message}`;
+      throw error;
+    }
+  }
+}
+
+describe("Escrow accounting invariants", function () {
+  this.timeout(0);
+
+  describe("fuzz harness", () => {
+    it("should generate the same sequence for the same seed", () => {
+      expect(generate(random(42))).to.deep.equal(generate(random(42)));
+      expect(generate(random(42))).to.not.deep.equal(generate(random(43)));
+    });
+
+    it("should shrink a failing sequence to a minimal reproduction", async () => {
+      const sequence = [5, 3, 9, 1, 7, 2, 8, 7, 6, 4].map((value) => ({ value }));
+      // fails when a 3 is followed, anywhere later, by a 7
+      const fails = async (candidate) => {
+        const three = candidate.findIndex((a) => a.value === 3);
+        return three >= 0 && candidate.slice(three + 1).some((a) => a.value === 7);
+      };
+      const minimal = await shrink(sequence, fails);
+      expect(minimal).to.deep.equal([{ value: 3 }, { value: 7 }]);
+    });
+
+    it("should report the seed and the shrunk sequence", async () => {
+      const run = async (sequence) => {
+        if (sequence.some((a) => a.amount >= 1)) {
+          throw new Error("boom");
+        }
+      };
+      const error = await checkSequences({
+        seed: 7,
+        runs: 1,
+        generate: () => [{ amount: 0 }, { amount: 50 }, { amount: 0 }],
+        run,
+        simplify,
+      }).catch((e) => e);
+      expect(error).to.be.instanceOf(Error);
+      expect(error.seed).to.equal(7);
+      expect(error.sequence).to.deep.equal([{ amount: 1 }]);
+      expect(error.message).to.include("shrunk to 1");
+    });
+  });
+
+  describe("BandoFulfillableV1 and BandoERC20FulfillableV1", () => {
+    it("should keep escrow balances equal to deposits, refunds, releaseable and locked pools", async () => {
+      await checkSequences({ seed: FUZZ_SEED, runs: FUZZ_RUNS, generate, run: runSequence, simplify });
+    });
+  });
+});
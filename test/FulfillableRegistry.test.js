@@ -140,4 +140,327 @@ describe('BandoFulfillableRegistry', () => {
         expect(service.beneficiary).to.equal(newBeneficiary);
       });
     });
+
+    describe("basis-point fees", () => {
+      it("should allow a service admin to set a basis-point fee with caps", async () => {
+        const serviceID = 1;
+        const feeAmount = (await registry.getService(serviceID)).feeAmount;
+        await expect(registry.updateServiceFeeBasisPoints(serviceID, 150, 1000, 50000))
+          .to.emit(registry, 'ServiceFeeUpdated')
+          .withArgs(serviceID, feeAmount, 150, 1000, 50000);
+        const service = await registry.getService(serviceID);
+        expect(service.feeBasisPoints).to.equal(150);
+        expect(service.minFeeAmount).to.equal(1000);
+        expect(service.maxFeeAmount).to.equal(50000);
+        await expect(registry.updateServiceFeeAmount(serviceID, 7))
+          .to.emit(registry, 'ServiceFeeUpdated')
+          .withArgs(serviceID, 7, 150, 1000, 50000);
+      });
+
+      it("should reject invalid basis-point fees", async () => {
+        await expect(registry.updateServiceFeeBasisPoints(1, 10001, 0, 0))
+          .to.be.revertedWith('FulfillableRegistry: Fee basis points exceed 100%');
+        await expect(registry.updateServiceFeeBasisPoints(1, 100, 1000, 999))
+          .to.be.revertedWith('FulfillableRegistry: Max fee is lower than min fee');
+        await expect(registry.updateServiceFeeBasisPoints(99, 100, 0, 0))
+          .to.be.revertedWith('FulfillableRegistry: Service does not exist');
+      });
+
+      it("should only allow a service admin to update fees", async () => {
+        const [, other] = await ethers.getSigners();
+        await expect(registry.connect(other).updateServiceFeeBasisPoints(1, 100, 0, 0))
+          .to.be.revertedWithCustomError(registry, 'AccessControlUnauthorizedAccount');
+      });
+    });
+
+    describe("token fees", () => {
+      it("should allow a service admin to set the fee of a service in a token", async () => {
+        const [, other, token] = await ethers.getSigners();
+        expect(await registry.getServiceTokenFee(1, token.address)).to.equal(0);
+        await expect(registry.updateServiceTokenFee(1, token.address, 25))
+          .to.emit(registry, 'ServiceTokenFeeUpdated')
+          .withArgs(1, token.address, 25);
+        expect(await registry.getServiceTokenFee(1, token.address)).to.equal(25);
+        expect(await registry.getServiceTokenFee(1, other.address)).to.equal(0);
+      });
+
+      it("should reject invalid token fees", async () => {
+        const [, other, token] = await ethers.getSigners();
+        await expect(registry.updateServiceTokenFee(99, token.address, 25))
+          .to.be.revertedWith('FulfillableRegistry: Service does not exist');
+        await expect(registry.updateServiceTokenFee(1, ethers.ZeroAddress, 25))
+          .to.be.revertedWith('FulfillableRegistry: Token cannot be the zero address');
+        await expect(registry.connect(other).updateServiceTokenFee(1, token.address, 25))
+          .to.be.revertedWithCustomError(registry, 'AccessControlUnauthorizedAccount');
+      });
+    });
+
+    describe("service refs", () => {
+      it("should reject a ref already added", async () => {
+        await expect(manager.setServiceRef(1, '0123456789'))
+          .to.be.revertedWith('FulfillableRegistry: Reference already exists');
+      });
+
+      it("should add refs in bulk and enumerate them by page", async () => {
+        await expect(manager.setServiceRefs(1, ['REF-A', 'REF-B', 'REF-C']))
+          .to.emit(registry, 'ServiceRefAdded')
+          .withArgs(1, 'REF-C');
+        expect(await registry.getServiceRefCount(1)).to.equal(4);
+        expect(await registry.getServiceRefs(1, 0, 3)).to.deep.equal(['0123456789', 'REF-A', 'REF-B']);
+        expect(await registry.getServiceRefs(1, 3, 3)).to.deep.equal(['REF-C']);
+        expect(await registry.getServiceRefs(1, 4, 3)).to.deep.equal([]);
+        await expect(manager.setServiceRefs(1, ['REF-D', 'REF-A']))
+          .to.be.revertedWith('FulfillableRegistry: Reference already exists');
+      });
+
+      it("should remove refs, moving the last ref to the removed index", async () => {
+        await expect(manager.removeServiceRef(1, 'REF-A'))
+          .to.emit(registry, 'ServiceRefRemoved')
+          .withArgs(1, 'REF-A');
+        expect(await registry.isRefValid(1, 'REF-A')).to.equal(false);
+        expect(await registry.getServiceRefs(1, 0, 10)).to.deep.equal(['0123456789', 'REF-C', 'REF-B']);
+        await manager.removeServiceRefs(1, ['REF-B', 'REF-C']);
+        expect(await registry.getServiceRefs(1, 0, 10)).to.deep.equal(['0123456789']);
+        expect(await registry.isRefValid(1, 'REF-C')).to.equal(false);
+        await expect(manager.removeServiceRef(1, 'REF-A'))
+          .to.be.revertedWith('FulfillableRegistry: Reference does not exist');
+        await manager.setServiceRef(1, 'REF-A');
+        expect(await registry.isRefValid(1, 'REF-A')).to.equal(true);
+      });
+
+      it("should only let the manager change refs", async () => {
+        await expect(registry.removeServiceRef(1, 'REF-A'))
+          .to.be.revertedWith('FulfillableRegistry: Only the manager can call this function');
+        await expect(registry.addServiceRefs(1, ['REF-E']))
+          .to.be.revertedWith('FulfillableRegistry: Only the manager can call this function');
+      });
+
+      it("should migrate refs stored before they were indexed by hash", async () => {
+        const factory = await ethers.getContractFactory('FulfillableRegistryLegacyTester');
+        const legacy = await upgrades.deployProxy(factory, []);
+        await legacy.setManager(owner.address);
+        await legacy.addService(1, {
+          serviceId: 1, fulfiller: DUMMY_ADDRESS, beneficiary: DUMMY_ADDRESS,
+          feeAmount: 0, feeBasisPoints: 0, minFeeAmount: 0, maxFeeAmount: 0,
+        });
+        for (const ref of ['OLD-1', 'OLD-2', 'OLD-1', 'OLD-3']) {
+          await legacy.addLegacyServiceRef(1, ref);
+        }
+        // legacy refs stay valid before the migration, and new refs are checked against them
+        expect(await legacy.isRefValid(1, 'OLD-3')).to.equal(true);
+        await expect(legacy.addServiceRef(1, 'OLD-2'))
+          .to.be.revertedWith('FulfillableRegistry: Reference already exists');
+        await legacy.addServiceRef(1, 'NEW-1');
+        await expect(legacy.removeServiceRef(1, 'NEW-1'))
+          .to.be.revertedWith('FulfillableRegistry: Service references not migrated');
+
+        expect(await legacy.migrateServiceRefs.staticCall(1, 2)).to.equal(3);
+        await legacy.migrateServiceRefs(1, 2);
+        expect(await legacy._serviceRefsIndexed(1)).to.equal(2);
+        await legacy.migrateServiceRefs(1, 10);
+        expect(await legacy._serviceRefsIndexed(1)).to.equal(4);
+        expect(await legacy.getServiceRefs(1, 0, 10)).to.deep.equal(['OLD-1', 'OLD-2', 'NEW-1', 'OLD-3']);
+        for (const ref of ['OLD-1', 'OLD-2', 'OLD-3', 'NEW-1']) {
+          expect(await legacy.isRefValid(1, ref)).to.equal(true);
+        }
+        expect(await legacy.migrateServiceRefs.staticCall(1, 10)).to.equal(0);
+
+        await legacy.removeServiceRef(1, 'OLD-1');
+        expect(await legacy.getServiceRefs(1, 0, 10)).to.deep.equal(['OLD-3', 'OLD-2', 'NEW-1']);
+        expect(await legacy.isRefValid(1, 'OLD-1')).to.equal(false);
+        expect(await legacy.isRefValid(1, 'OLD-3')).to.equal(true);
+      });
+    });
+
+    describe("ref rules", () => {
+      const PATTERN = 1;
+      const LENGTH_CHARSET = 2;
+      const rule = (mode, pattern = '', minLength = 0, maxLength = 0) => ({ mode, pattern, minLength, maxLength });
+
+      it("should validate refs with the allow-list by default", async () => {
+        const current = await registry.getServiceRefRule(1);
+        expect(current.mode).to.equal(0);
+        expect(await registry.isRefValid(1, '0123456789')).to.equal(true);
+        expect(await registry.isRefValid(1, '5512345678')).to.equal(false);
+      });
+
+      it("should validate refs with a pattern", async () => {
+        await expect(registry.updateServiceRefRule(1, rule(PATTERN, '^\\+?52\\d{10}$')))
+          .to.emit(registry, 'ServiceRefRuleUpdated')
+          .withArgs(1, PATTERN, '^\\+?52\\d{10}$', 0, 0);
+        expect(await registry.isRefValid(1, '+525512345678')).to.equal(true);
+        expect(await registry.isRefValid(1, '525512345678')).to.equal(true);
+        expect(await registry.isRefValid(1, '52551234567')).to.equal(false);
+        expect(await registry.isRefValid(1, '5255123456789')).to.equal(false);
+        // the allow-list only applies in ALLOW_LIST mode
+        expect(await registry.isRefValid(1, '0123456789')).to.equal(false);
+        expect(await registry.hasServiceRef(1, '0123456789')).to.equal(true);
+
+        await registry.updateServiceRefRule(1, rule(PATTERN, '[A-Z]{2,3}-[^-]+-?\\w*'));
+        for (const ref of ['AB-1', 'ABC-x.y-', 'AB-1-a_b']) {
+          expect(await registry.isRefValid(1, ref), ref).to.equal(true);
+        }
+        for (const ref of ['A-1', 'ABCD-1', 'AB--', 'AB-1-a.b', 'ab-1', 'AB-\u00e9']) {
+          expect(await registry.isRefValid(1, ref), ref).to.equal(false);
+        }
+
+        // an escaped backslash before the trailing anchor does not escape it
+        await registry.updateServiceRefRule(1, rule(PATTERN, 'a\\\\$'));
+        expect(await registry.isRefValid(1, 'a\\')).to.equal(true);
+        expect(await registry.isRefValid(1, 'a\\$')).to.equal(false);
+        await registry.updateServiceRefRule(1, rule(PATTERN, 'a\\$'));
+        expect(await registry.isRefValid(1, 'a$')).to.equal(true);
+      });
+
+      it("should validate refs with a length and a charset", async () => {
+        await registry.updateServiceRefRule(1, rule(LENGTH_CHARSET, '0-9A-F', 4, 6));
+        expect(await registry.isRefValid(1, '00FF')).to.equal(true);
+        expect(await registry.isRefValid(1, 'ABCDEF')).to.equal(true);
+        expect(await registry.isRefValid(1, 'ABC')).to.equal(false);
+        expect(await registry.isRefValid(1, 'ABCDEF0')).to.equal(false);
+        expect(await registry.isRefValid(1, '00fF')).to.equal(false);
+      });
+
+      it("should reject invalid rules", async () => {
+        await expect(registry.updateServiceRefRule(1, rule(PATTERN)))
+          .to.be.revertedWith('FulfillableRegistry: Pattern cannot be empty');
+        await expect(registry.updateServiceRefRule(1, rule(PATTERN, '(a|b)')))
+          .to.be.revertedWithCustomError(registry, 'InvalidPattern')
+          .withArgs(0);
+        await expect(registry.updateServiceRefRule(1, rule(PATTERN, '[a-z')))
+          .to.be.revertedWithCustomError(registry, 'InvalidPattern')
+          .withArgs(4);
+        await expect(registry.updateServiceRefRule(1, rule(PATTERN, 'a{3,2}')))
+          .to.be.revertedWithCustomError(registry, 'InvalidPattern');
+        await expect(registry.updateServiceRefRule(1, rule(PATTERN, '\\d{64}x')))
+          .to.be.revertedWithCustomError(registry, 'InvalidPattern');
+        await expect(registry.updateServiceRefRule(1, rule(PATTERN, '^\\d{4}\\s\\d{4}$')))
+          .to.be.revertedWithCustomError(registry, 'InvalidPattern')
+          .withArgs(7);
+        await expect(registry.updateServiceRefRule(1, rule(LENGTH_CHARSET, '\\W', 1, 4)))
+          .to.be.revertedWithCustomError(registry, 'InvalidPattern')
+          .withArgs(1);
+        await expect(registry.updateServiceRefRule(1, rule(LENGTH_CHARSET, '0-9', 5, 4)))
+          .to.be.revertedWith('FulfillableRegistry: Invalid reference length bounds');
+        await expect(registry.updateServiceRefRule(1, rule(LENGTH_CHARSET, '', 1, 4)))
+          .to.be.revertedWith('FulfillableRegistry: Charset cannot be empty');
+        await expect(registry.updateServiceRefRule(99, rule(LENGTH_CHARSET, '0-9', 1, 4)))
+          .to.be.revertedWith('FulfillableRegistry: Service does not exist');
+        const [, other] = await ethers.getSigners();
+        await expect(registry.connect(other).updateServiceRefRule(1, rule(0)))
+          .to.be.revertedWithCustomError(registry, 'AccessControlUnauthorizedAccount');
+      });
+
+      it("should go back to the allow-list", async () => {
+        await registry.updateServiceRefRule(1, rule(0));
+        expect(await registry.isRefValid(1, '0123456789')).to.equal(true);
+        expect(await registry.isRefValid(1, '00FF')).to.equal(false);
+      });
+    });
+
+    describe("fiat currencies", () => {
+      const MXN = '0x4d584e';
+      const USD = '0x555344';
+
+      it("should accept every valid currency code until one is set", async () => {
+        expect(await registry.getServiceCurrencies(1)).to.deep.equal([[], []]);
+        expect(await registry.isCurrencyAllowed(1, MXN, 2)).to.equal(true);
+        expect(await registry.isCurrencyAllowed(1, USD, 0)).to.equal(true);
+        expect(await registry.isCurrencyAllowed(1, '0x000000', 2)).to.equal(false);
+        expect(await registry.isCurrencyAllowed(1, '0x6d786e', 2)).to.equal(false);
+        expect(await registry.isCurrencyAllowed(1, USD, 18)).to.equal(true);
+        expect(await registry.isCurrencyAllowed(1, USD, 19)).to.equal(false);
+      });
+
+      it("should only accept the currencies set, with their decimals", async () => {
+        await expect(registry.updateServiceCurrency(1, MXN, 2))
+          .to.emit(registry, 'ServiceCurrencyUpdated')
+          .withArgs(1, MXN, 2);
+        await registry.updateServiceCurrency(1, USD, 2);
+        await registry.updateServiceCurrency(1, USD, 0);
+        expect(await registry.getServiceCurrencies(1)).to.deep.equal([[MXN, USD], [2n, 0n]]);
+        expect(await registry.isCurrencyAllowed(1, MXN, 2)).to.equal(true);
+        expect(await registry.isCurrencyAllowed(1, MXN, 0)).to.equal(false);
+        expect(await registry.isCurrencyAllowed(1, USD, 0)).to.equal(true);
+        expect(await registry.isCurrencyAllowed(1, '0x434f50', 2)).to.equal(false);
+      });
+
+      it("should reject invalid currencies", async () => {
+        await expect(registry.updateServiceCurrency(1, '0x6d786e', 2))
+          .to.be.revertedWith('FulfillableRegistry: Invalid currency code');
+        await expect(registry.updateServiceCurrency(1, '0x4d5800', 2))
+          .to.be.revertedWith('FulfillableRegistry: Invalid currency code');
+        await expect(registry.updateServiceCurrency(1, MXN, 19))
+          .to.be.revertedWith('FulfillableRegistry: Too many fiat decimals');
+        await expect(registry.updateServiceCurrency(99, MXN, 2))
+          .to.be.revertedWith('FulfillableRegistry: Service does not exist');
+        await expect(registry.removeServiceCurrency(1, '0x434f50'))
+          .to.be.revertedWith('FulfillableRegistry: Currency not allowed');
+        const [, other] = await ethers.getSigners();
+        await expect(registry.connect(other).updateServiceCurrency(1, MXN, 2))
+          .to.be.revertedWithCustomError(registry, 'AccessControlUnauthorizedAccount');
+      });
+
+      it("should accept every currency again once the last one is removed", async () => {
+        await expect(registry.removeServiceCurrency(1, MXN))
+          .to.emit(registry, 'ServiceCurrencyRemoved')
+          .withArgs(1, MXN);
+        expect(await registry.isCurrencyAllowed(1, MXN, 2)).to.equal(false);
+        await registry.removeServiceCurrency(1, USD);
+        expect(await registry.getServiceCurrencies(1)).to.deep.equal([[], []]);
+        expect(await registry.isCurrencyAllowed(1, MXN, 2)).to.equal(true);
+      });
+    });
+
+    describe("enumeration", () => {
+      it("should list services by page", async () => {
+        await manager.setService(2, 0, DUMMY_ADDRESS, DUMMY_ADDRESS);
+        await manager.setService(3, 0, DUMMY_ADDRESS, DUMMY_ADDRESS);
+        expect(await registry.getServiceCount()).to.equal(3);
+        const page = await registry.getServices(0, 2);
+        expect(page.map((s) => s.serviceId)).to.deep.equal([1n, 2n]);
+        expect(page[1].fulfiller).to.equal(DUMMY_ADDRESS);
+        expect((await registry.getServices(2, 2)).map((s) => s.serviceId)).to.deep.equal([3n]);
+        expect(await registry.getServices(3, 2)).to.deep.equal([]);
+      });
+
+      it("should unlist removed services", async () => {
+        await expect(registry.removeServiceAddress(2))
+          .to.emit(registry, 'ServiceRemoved')
+          .withArgs(2);
+        expect((await registry.getServices(0, 10)).map((s) => s.serviceId)).to.deep.equal([1n, 3n]);
+        await expect(registry.removeServiceAddress(2))
+          .to.be.revertedWith('FulfillableRegistry: Service does not exist');
+      });
+
+      it("should list the services of a fulfiller by page", async () => {
+        await registry.addFulfiller(DUMMY_ADDRESS, 3);
+        await registry.addFulfiller(DUMMY_ADDRESS, 1);
+        expect(await registry._fulfillerServiceCount(DUMMY_ADDRESS)).to.equal(2);
+        expect(await registry.getFulfillerServiceIds(DUMMY_ADDRESS, 0, 10)).to.deep.equal([3n, 1n]);
+        expect(await registry.getFulfillerServiceIds(DUMMY_ADDRESS, 1, 10)).to.deep.equal([1n]);
+        expect(await registry.getFulfillerServiceIds(owner.address, 0, 10)).to.deep.equal([]);
+      });
+
+      it("should index services and fulfillers added before they were enumerable", async () => {
+        const [, other] = await ethers.getSigners();
+        const factory = await ethers.getContractFactory('FulfillableRegistryLegacyTester');
+        const legacy = await upgrades.deployProxy(factory, []);
+        const service = {
+          serviceId: 7, fulfiller: DUMMY_ADDRESS, beneficiary: DUMMY_ADDRESS,
+          feeAmount: 0, feeBasisPoints: 0, minFeeAmount: 0, maxFeeAmount: 0,
+        };
+        await legacy.addLegacyService(7, service);
+        await legacy.addLegacyFulfiller(DUMMY_ADDRESS, 7);
+        expect(await legacy.getServiceCount()).to.equal(0);
+
+        await legacy.connect(other).indexServices([7, 8, 7]);
+        expect((await legacy.getServices(0, 10)).map((s) => s.serviceId)).to.deep.equal([7n]);
+        await legacy.connect(other).indexFulfillerServices(DUMMY_ADDRESS, [7, 8]);
+        expect(await legacy.getFulfillerServiceIds(DUMMY_ADDRESS, 0, 10)).to.deep.equal([7n]);
+        // removing a legacy service no longer underflows the service count
+        await legacy.removeServiceAddress(7);
+        expect(await legacy.getServiceCount()).to.equal(0);
+      });
+    });
 });
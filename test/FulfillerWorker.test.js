@@ -0,0 +1,245 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { USD, systemFixture } = require("./utils/fixtures");
+const { FulfillerWorker, MemoryCheckpoint, FileCheckpoint, MockProviderAdapter } = require("../fulfiller");
+
+const SUCCESS_REF = "REF-SUCCESS";
+const FAILED_REF = "REF-FAILED";
+
+const workerFixture = systemFixture({
+  services: [{ serviceId: 1, feeAmount: 0, refs: [SUCCESS_REF, FAILED_REF] }],
+  tokens: [{ contract: "DemoToken", fund: 10000 }],
+});
+
+describe("FulfillerWorker", () => {
+  let dir;
+  let system;
+  let owner;
+  let fulfiller;
+  let payer;
+  let erc20Test;
+  let startBlock;
+
+  const newWorker = (opts = {}) => new FulfillerWorker({
+    router: system.router,
+    escrow: system.escrow,
+    erc20Escrow: system.erc20Escrow,
+    manager: system.manager.connect(fulfiller),
+    adapter: new MockProviderAdapter({ shouldFail: ({ serviceRef }) => serviceRef === FAILED_REF }),
+    checkpoint: new MemoryCheckpoint(startBlock),
+    fulfiller: fulfiller.address,
+    retry: { retries: 2, minDelay: 1 },
+    log: () => {},
+    ...opts,
+  });
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bando-fulfiller-"));
+    system = await loadFixture(workerFixture);
+    ({ owner, fulfiller, payer, token: erc20Test } = system);
+    startBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+    const router = system.router.connect(payer);
+    for (const serviceRef of [SUCCESS_REF, FAILED_REF]) {
+      await router.requestService(1, { payer: payer.address, weiAmount: 1000, fiatAmount: 10, serviceRef, fiatCurrency: USD, fiatDecimals: 2 }, { value: 1000 });
+    }
+    await router.requestERC20Service(1, {
+      payer: payer.address,
+      fiatAmount: 10,
+      fiatCurrency: USD,
+      fiatDecimals: 2,
+      serviceRef: SUCCESS_REF,
+      token: await erc20Test.getAddress(),
+      tokenAmount: 1000,
+    });
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should match deposits with their service requests", async () => {
+    const tasks = await newWorker().collect(startBlock, await ethers.provider.getBlockNumber());
+    expect(tasks.map((t) => [t.kind, t.serviceID, t.serviceRef])).to.deep.equal([
+      ["native", 1n, SUCCESS_REF],
+      ["native", 1n, FAILED_REF],
+      ["erc20", 1n, SUCCESS_REF],
+    ]);
+  });
+
+  it("should ignore deposits assigned to other fulfillers", async () => {
+    const worker = newWorker({ fulfiller: owner.address });
+    expect(await worker.collect(startBlock, await ethers.provider.getBlockNumber())).to.be.empty;
+  });
+
+  it("should settle every pending deposit and advance the checkpoint", async () => {
+    const worker = newWorker();
+    const head = await ethers.provider.getBlockNumber();
+    expect(await worker.poll()).to.equal(3);
+    const escrow = system.escrow;
+    const [successId, failedId] = await escrow.recordsOf(payer.address);
+    const success = await escrow.record(successId);
+    expect(success.status).to.equal(1);
+    expect(success.externalID).to.equal(`mock-1-${successId}`);
+    expect((await escrow.record(failedId)).status).to.equal(0);
+    expect(await escrow.getRefundsFor(payer.address, 1)).to.equal(1000);
+    const [erc20Id] = await system.erc20Escrow.recordsOf(payer.address);
+    expect((await system.erc20Escrow.record(erc20Id)).status).to.equal(1);
+    expect(worker.checkpoint.load().lastBlock).to.equal(head);
+  });
+
+  it("should skip records already settled when replaying blocks", async () => {
+    const adapter = new MockProviderAdapter();
+    expect(await newWorker({ adapter }).poll()).to.equal(0);
+    expect(adapter.fulfilled).to.be.empty;
+  });
+
+  it("should retry a failing adapter with backoff", async () => {
+    await system.router.connect(payer).requestService(
+      1,
+      { payer: payer.address, weiAmount: 1000, fiatAmount: 10, serviceRef: SUCCESS_REF, fiatCurrency: USD, fiatDecimals: 2 },
+      { value: 1000 },
+    );
+    let calls = 0;
+    const adapter = {
+      fulfill: async () => {
+        calls++;
+        if (calls < 3) {
+          throw new Error("provider unavailable");
+        }
+        return { status: "SUCCESS", externalID: "retried", receiptURI: "" };
+      },
+    };
+    const checkpoint = new FileCheckpoint(path.join(dir, "checkpoint.json"), startBlock);
+    const head = await ethers.provider.getBlockNumber();
+    expect(await newWorker({ adapter, checkpoint }).poll()).to.equal(1);
+    expect(calls).to.equal(3);
+    expect(new FileCheckpoint(checkpoint.file).load().lastBlock).to.equal(head);
+  });
+
+  it("should register results in batches through the manager", async () => {
+    const router = system.router.connect(payer);
+    const from = (await ethers.provider.getBlockNumber()) + 1;
+    for (let i = 0; i < 3; i++) {
+      await router.requestService(1, { payer: payer.address, weiAmount: 1000, fiatAmount: 10, serviceRef: SUCCESS_REF, fiatCurrency: USD, fiatDecimals: 2 }, { value: 1000 });
+    }
+    const worker = newWorker({ checkpoint: new MemoryCheckpoint(from), registerBatchSize: 2 });
+    expect(await worker.poll()).to.equal(3);
+    const batches = await system.manager.queryFilter(system.manager.filters.FulfillmentBatchRegistered(), from);
+    expect(batches.map((log) => [log.args.sender, log.args.total, log.args.succeeded])).to.deep.equal([
+      [fulfiller.address, 2n, 2n],
+      [fulfiller.address, 1n, 1n],
+    ]);
+  });
+
+  it("should register partial results with their fulfilled amount", async () => {
+    await system.router.connect(payer).requestService(
+      1,
+      { payer: payer.address, weiAmount: 1000, fiatAmount: 10, serviceRef: SUCCESS_REF, fiatCurrency: USD, fiatDecimals: 2 },
+      { value: 1000 },
+    );
+    const refunds = await system.escrow.getRefundsFor(payer.address, 1);
+    const lines = [];
+    const adapter = new MockProviderAdapter({ partialAmount: () => 250n });
+    const worker = newWorker({ adapter, log: (line) => lines.push(line) });
+    worker.checkpoint.save({ lastBlock: (await ethers.provider.getBlockNumber()) - 1 });
+    expect(await worker.poll()).to.equal(1);
+    const ids = await system.escrow.recordsOf(payer.address);
+    const record = await system.escrow.record(ids[ids.length - 1]);
+    expect([record.status, record.fulfilledAmount]).to.deep.equal([4n, 250n]);
+    expect(await system.escrow.getRefundsFor(payer.address, 1)).to.equal(refunds + 750n);
+    expect(lines[0]).to.match(new RegExp(`^Registered native record ${record.id} for service 1 as PARTIAL`));
+  });
+
+  it("should log and dead-letter the items the manager rejects", async () => {
+    await system.router.connect(payer).requestService(
+      1,
+      { payer: payer.address, weiAmount: 1000, fiatAmount: 10, serviceRef: SUCCESS_REF, fiatCurrency: USD, fiatDecimals: 2 },
+      { value: 1000 },
+    );
+    const lines = [];
+    const head = await ethers.provider.getBlockNumber();
+    const checkpoint = new FileCheckpoint(path.join(dir, "dead-letters.json"), head);
+    const worker = newWorker({ manager: system.manager.connect(payer), checkpoint, log: (line) => lines.push(line) });
+    expect(await worker.poll()).to.equal(0);
+    const ids = await system.escrow.recordsOf(payer.address);
+    const id = ids[ids.length - 1];
+    const reason = "Only the fulfiller or a fulfillment operator can register a fulfillment";
+    expect(lines).to.deep.equal([
+      `Failed to register native record ${id} for service 1: ${reason}`,
+      `Dead-lettering native record ${id}`,
+    ]);
+    expect((await system.escrow.record(id)).status).to.equal(2);
+    expect(new FileCheckpoint(checkpoint.file).load()).to.deep.equal({
+      lastBlock: head,
+      deadLetters: [{ kind: "native", id: id.toString(), serviceID: "1", reason }],
+    });
+
+    // replaying the block skips the dead-lettered record without running the adapter again
+    const adapter = new MockProviderAdapter();
+    checkpoint.save({ ...checkpoint.load(), lastBlock: head - 1 });
+    expect(await newWorker({ adapter, checkpoint }).poll()).to.equal(0);
+    expect(adapter.fulfilled).to.be.empty;
+    expect((await system.escrow.record(id)).status).to.equal(2);
+  });
+
+  it("should move past the records the escrow keeps rejecting", async () => {
+    const router = system.router.connect(payer);
+    const from = (await ethers.provider.getBlockNumber()) + 1;
+    for (let i = 0; i < 2; i++) {
+      await router.requestService(1, { payer: payer.address, weiAmount: 1000, fiatAmount: 10, serviceRef: SUCCESS_REF, fiatCurrency: USD, fiatDecimals: 2 }, { value: 1000 });
+    }
+    const ids = await system.escrow.recordsOf(payer.address);
+    const [first, second] = ids.slice(-2);
+    // the provider always reports delivering more than the second record amount, which the escrow rejects
+    const adapter = new MockProviderAdapter({ partialAmount: ({ record }) => (record.id === second ? 5000n : undefined) });
+    const checkpoint = new FileCheckpoint(path.join(dir, "rejected.json"), from);
+    const lines = [];
+    const head = await ethers.provider.getBlockNumber();
+    expect(await newWorker({ adapter, checkpoint, log: (line) => lines.push(line) }).poll()).to.equal(1);
+    expect((await system.escrow.record(first)).status).to.equal(1);
+    expect((await system.escrow.record(second)).status).to.equal(2);
+    expect(lines.filter((line) => line.startsWith(`Failed to register native record ${second}`))).to.have.length(1);
+    const state = new FileCheckpoint(checkpoint.file).load();
+    expect(state.lastBlock).to.equal(head);
+    expect(state.deadLetters.map(({ kind, id, serviceID }) => [kind, id, serviceID])).to.deep.equal([["native", second.toString(), "1"]]);
+
+    // replaying the blocks skips the dead-lettered record without running the adapter again
+    const replay = new MockProviderAdapter();
+    checkpoint.save({ ...state, lastBlock: from - 1 });
+    expect(await newWorker({ adapter: replay, checkpoint }).poll()).to.equal(0);
+    expect(replay.fulfilled).to.be.empty;
+    expect(checkpoint.load().deadLetters).to.deep.equal(state.deadLetters);
+  });
+
+  it("should not advance the checkpoint when the adapter keeps failing", async () => {
+    await system.router.connect(payer).requestService(
+      1,
+      { payer: payer.address, weiAmount: 1000, fiatAmount: 10, serviceRef: SUCCESS_REF, fiatCurrency: USD, fiatDecimals: 2 },
+      { value: 1000 },
+    );
+    const worker = newWorker({ adapter: { fulfill: async () => { throw new Error("down"); } } });
+    worker.checkpoint.save({ lastBlock: (await ethers.provider.getBlockNumber()) - 1 });
+    await expect(worker.poll()).to.be.rejectedWith("down");
+    expect(worker.checkpoint.load().lastBlock).to.equal((await ethers.provider.getBlockNumber()) - 1);
+  });
+
+  it("should settle deposits for the service id of their record", async () => {
+    const { escrow, router, others } = system;
+    const from = (await ethers.provider.getBlockNumber()) + 1;
+    // a deposit made without a router request in the same transaction
+    await escrow.setRouter(others[0].address);
+    await escrow.connect(others[0]).deposit(
+      1,
+      { payer: payer.address, weiAmount: 1000, fiatAmount: 10, serviceRef: SUCCESS_REF, fiatCurrency: USD, fiatDecimals: 2 },
+      { value: 1000 },
+    );
+    await escrow.setRouter(await router.getAddress());
+    const tasks = await newWorker().collect(from, await ethers.provider.getBlockNumber());
+    expect(tasks.map((t) => [t.kind, t.serviceID, t.serviceRef])).to.deep.equal([["native", 1n, SUCCESS_REF]]);
+  });
+});
@@ -0,0 +1,277 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { USD, systemFixture } = require("./utils/fixtures");
+const { BandoClient, FulFillmentResultState } = require("../sdk");
+
+const SERVICE_REF = "012345678912";
+const WINDOW = 86400;
+
+const disputeFixture = systemFixture({
+  services: [
+    { serviceId: 1, feeAmount: 0, refs: [SERVICE_REF], disputeWindow: WINDOW },
+    { serviceId: 2, feeAmount: 0, refs: [SERVICE_REF] },
+  ],
+  tokens: [{ contract: "DemoToken", fund: 10000 }],
+});
+
+async function requestNative(system, serviceID, weiAmount = 1000n) {
+  const { router, escrow, payer } = system;
+  await router.connect(payer).requestService(
+    serviceID,
+    { payer: payer.address, weiAmount, fiatAmount: 10, serviceRef: SERVICE_REF, fiatCurrency: USD, fiatDecimals: 2 },
+    { value: weiAmount },
+  );
+  const ids = await escrow.recordsOf(payer.address);
+  return ids[ids.length - 1];
+}
+
+async function requestERC20(system, serviceID, tokenAmount = 1000n) {
+  const { router, erc20Escrow, payer, token } = system;
+  await router.connect(payer).requestERC20Service(serviceID, {
+    payer: payer.address,
+    fiatAmount: 10,
+    fiatCurrency: USD,
+    fiatDecimals: 2,
+    serviceRef: SERVICE_REF,
+    token: await token.getAddress(),
+    tokenAmount,
+  });
+  const ids = await erc20Escrow.recordsOf(payer.address);
+  return ids[ids.length - 1];
+}
+
+function result(id, status = FulFillmentResultState.SUCCESS, fulfilledAmount = 0) {
+  return { id, externalID: "0x1234", receiptURI: "https://example.com/receipt", status, fulfilledAmount };
+}
+
+/// Requests a native service and registers its result, returns the record id
+async function fulfillNative(system, serviceID, status, fulfilledAmount) {
+  const id = await requestNative(system, serviceID);
+  await system.manager.connect(system.fulfiller).registerFulfillment(serviceID, result(id, status, fulfilledAmount));
+  return id;
+}
+
+/// Requests an ERC20 service and registers its result, returns the record id
+async function fulfillERC20(system, serviceID, status, fulfilledAmount) {
+  const id = await requestERC20(system, serviceID);
+  await system.manager.connect(system.fulfiller).registerERC20Fulfillment(serviceID, result(id, status, fulfilledAmount));
+  return id;
+}
+
+describe("Fulfillment disputes", () => {
+  describe("FulfillableRegistry dispute windows", () => {
+    it("should let a service admin update a service dispute window", async () => {
+      const { registry } = await loadFixture(disputeFixture);
+      expect(await registry.getDisputeWindow(1)).to.equal(WINDOW);
+      expect(await registry.getDisputeWindow(2)).to.equal(0);
+      await expect(registry.updateServiceDisputeWindow(2, 60))
+        .to.emit(registry, "DisputeWindowUpdated")
+        .withArgs(2, 60);
+      expect(await registry.getDisputeWindow(2)).to.equal(60);
+    });
+
+    it("should only allow service admins to update windows of existing services", async () => {
+      const { registry, payer } = await loadFixture(disputeFixture);
+      await expect(registry.connect(payer).updateServiceDisputeWindow(1, 60))
+        .to.be.revertedWithCustomError(registry, "AccessControlUnauthorizedAccount");
+      await expect(registry.updateServiceDisputeWindow(3, 60))
+        .to.be.revertedWith("FulfillableRegistry: Service does not exist");
+    });
+  });
+
+  describe("native escrow", () => {
+    it("should release right away for services without a dispute window", async () => {
+      const system = await loadFixture(disputeFixture);
+      const { escrow, payer } = system;
+      const id = await fulfillNative(system, 2);
+      expect(await escrow._releaseablePool(2)).to.equal(1000n);
+      expect(await escrow._lockedPool(2)).to.equal(0);
+      expect((await escrow.lockedReleaseOf(id)).amount).to.equal(0);
+      await expect(escrow.connect(payer).openDispute(id)).to.be.revertedWith("Fulfillment is not disputable");
+    });
+
+    it("should lock the release of a fulfilled record during its dispute window", async () => {
+      const system = await loadFixture(disputeFixture);
+      const { escrow, manager, fulfiller, payer } = system;
+      const id = await requestNative(system, 1);
+      await expect(manager.connect(fulfiller).registerFulfillment(1, result(id)))
+        .to.emit(escrow, "ReleaseLocked");
+      const release = await escrow.lockedReleaseOf(id);
+      expect(release.serviceID).to.equal(1);
+      expect(release.amount).to.equal(1000n);
+      expect(release.releaseTime).to.equal(BigInt(await time.latest()) + BigInt(WINDOW));
+      expect(await escrow._lockedPool(1)).to.equal(1000n);
+      expect(await escrow._releaseablePool(1)).to.equal(0);
+      expect(await escrow.getDepositsFor(payer.address, 1)).to.equal(0);
+      expect((await escrow.record(id)).status).to.equal(FulFillmentResultState.SUCCESS);
+    });
+
+    it("should only credit matured, undisputed releases to the releaseable pool", async () => {
+      const system = await loadFixture(disputeFixture);
+      const { escrow, owner, payer, beneficiary, others } = system;
+      const matured = await fulfillNative(system, 1);
+      const disputed = await fulfillNative(system, 1);
+      await escrow.connect(payer).openDispute(disputed);
+      await time.increase(WINDOW / 2);
+      const fresh = await fulfillNative(system, 1);
+
+      await escrow.connect(others[0]).releaseMatured([matured, disputed, fresh]);
+      expect(await escrow._releaseablePool(1)).to.equal(0);
+
+      await time.increaseTo((await escrow.lockedReleaseOf(matured)).releaseTime);
+      await expect(escrow.connect(others[0]).releaseMatured([matured, disputed, fresh, 99]))
+        .to.emit(escrow, "ReleaseMatured")
+        .withArgs(matured, 1000n);
+      expect(await escrow._releaseablePool(1)).to.equal(1000n);
+      expect(await escrow._lockedPool(1)).to.equal(2000n);
+      expect((await escrow.lockedReleaseOf(matured)).amount).to.equal(0);
+
+      // the escrow only pays out what was credited
+      await escrow.setManager(owner.address);
+      await expect(escrow.beneficiaryWithdraw(1))
+        .to.changeEtherBalances([escrow, beneficiary], [-1000n, 1000n]);
+      await expect(escrow.beneficiaryWithdraw(1)).to.be.revertedWith("There is no balance to release.");
+    });
+
+    it("should only let the payer dispute a record within its window", async () => {
+      const system = await loadFixture(disputeFixture);
+      const { escrow, payer, others } = system;
+      const id = await fulfillNative(system, 1);
+      await expect(escrow.connect(others[0]).openDispute(id)).to.be.revertedWith("Caller is not the payer");
+      await expect(escrow.connect(payer).openDispute(99)).to.be.revertedWith("Fulfillment record does not exist");
+      const pending = await requestNative(system, 1);
+      await expect(escrow.connect(payer).openDispute(pending)).to.be.revertedWith("Fulfillment is not disputable");
+
+      await time.increaseTo((await escrow.lockedReleaseOf(id)).releaseTime);
+      await expect(escrow.connect(payer).openDispute(id)).to.be.revertedWith("Dispute window has passed");
+    });
+
+    it("should mark a disputed record DISPUTED once", async () => {
+      const system = await loadFixture(disputeFixture);
+      const { escrow, payer } = system;
+      const id = await fulfillNative(system, 1);
+      await expect(escrow.connect(payer).openDispute(id))
+        .to.emit(escrow, "DisputeOpened")
+        .withArgs(id, payer.address, 1000n);
+      expect((await escrow.record(id)).status).to.equal(FulFillmentResultState.DISPUTED);
+      await expect(escrow.connect(payer).openDispute(id)).to.be.revertedWith("Fulfillment already disputed");
+    });
+
+    it("should only let an arbiter resolve disputed records", async () => {
+      const system = await loadFixture(disputeFixture);
+      const { escrow, payer, others } = system;
+      const id = await fulfillNative(system, 1);
+      await expect(escrow.resolveDispute(id, true)).to.be.revertedWith("Fulfillment is not disputed");
+      await escrow.connect(payer).openDispute(id);
+      await expect(escrow.connect(others[0]).resolveDispute(id, true))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
+      await escrow.grantRole(await escrow.ARBITER_ROLE(), others[0].address);
+      await expect(escrow.connect(others[0]).resolveDispute(id, false))
+        .to.emit(escrow, "DisputeResolved")
+        .withArgs(id, false, 1000n);
+    });
+
+    it("should refund the payer when the arbiter rules for them", async () => {
+      const system = await loadFixture(disputeFixture);
+      const { escrow, manager, payer } = system;
+      const id = await fulfillNative(system, 1);
+      await escrow.connect(payer).openDispute(id);
+      await time.increase(WINDOW * 2);
+      await escrow.releaseMatured([id]);
+      expect(await escrow._releaseablePool(1)).to.equal(0);
+
+      await expect(escrow.resolveDispute(id, true))
+        .to.emit(escrow, "RefundAuthorized")
+        .withArgs(payer.address, 1000n);
+      const record = await escrow.record(id);
+      expect(record.status).to.equal(FulFillmentResultState.FAILED);
+      expect(record.fulfilledAmount).to.equal(0);
+      expect(await escrow._lockedPool(1)).to.equal(0);
+      expect(await escrow._releaseablePool(1)).to.equal(0);
+      expect(await escrow.getRefundsFor(payer.address, 1)).to.equal(1000n);
+      await expect(manager.connect(payer).withdrawRefund(1, payer.address))
+        .to.changeEtherBalances([escrow, payer], [-1000n, 1000n]);
+      await expect(escrow.resolveDispute(id, true)).to.be.revertedWith("Fulfillment is not disputed");
+    });
+
+    it("should release to the service when the arbiter rules for the fulfiller", async () => {
+      const system = await loadFixture(disputeFixture);
+      const { escrow, payer } = system;
+      const id = await fulfillNative(system, 1, FulFillmentResultState.PARTIAL, 400);
+      expect(await escrow.getRefundsFor(payer.address, 1)).to.equal(600n);
+      await escrow.connect(payer).openDispute(id);
+      await escrow.resolveDispute(id, false);
+      const record = await escrow.record(id);
+      expect(record.status).to.equal(FulFillmentResultState.PARTIAL);
+      expect(record.fulfilledAmount).to.equal(400n);
+      expect(await escrow._releaseablePool(1)).to.equal(400n);
+      expect(await escrow._lockedPool(1)).to.equal(0);
+      expect(await escrow.getRefundsFor(payer.address, 1)).to.equal(600n);
+    });
+  });
+
+  describe("ERC20 escrow", () => {
+    it("should lock, dispute and refund a fulfilled record", async () => {
+      const system = await loadFixture(disputeFixture);
+      const { erc20Escrow, manager, payer, token } = system;
+      const tokenAddress = await token.getAddress();
+      const id = await fulfillERC20(system, 1, FulFillmentResultState.PARTIAL, 300);
+      expect(await erc20Escrow.getERC20LockedPoolFor(tokenAddress, 1)).to.equal(300n);
+      expect(await erc20Escrow.getERC20ReleaseablePoolFor(tokenAddress, 1)).to.equal(0);
+      expect(await erc20Escrow.getERC20RefundsFor(tokenAddress, payer.address, 1)).to.equal(700n);
+
+      await expect(erc20Escrow.connect(payer).openDispute(id))
+        .to.emit(erc20Escrow, "ERC20DisputeOpened")
+        .withArgs(id, payer.address, tokenAddress, 300n);
+      await expect(erc20Escrow.resolveDispute(id, true))
+        .to.emit(erc20Escrow, "ERC20DisputeResolved")
+        .withArgs(id, true, tokenAddress, 300n);
+      expect((await erc20Escrow.record(id)).status).to.equal(FulFillmentResultState.FAILED);
+      expect(await erc20Escrow.getERC20LockedPoolFor(tokenAddress, 1)).to.equal(0);
+      await expect(manager.connect(payer).withdrawERC20Refund(1, tokenAddress, payer.address))
+        .to.changeTokenBalances(token, [erc20Escrow, payer], [-1000n, 1000n]);
+    });
+
+    it("should credit matured releases to the releaseable pool", async () => {
+      const system = await loadFixture(disputeFixture);
+      const { erc20Escrow, payer, token } = system;
+      const tokenAddress = await token.getAddress();
+      const matured = await fulfillERC20(system, 1);
+      const disputed = await fulfillERC20(system, 1);
+      await erc20Escrow.connect(payer).openDispute(disputed);
+      await time.increase(WINDOW);
+      await expect(erc20Escrow.releaseMatured([matured, disputed]))
+        .to.emit(erc20Escrow, "ERC20ReleaseMatured")
+        .withArgs(matured, tokenAddress, 1000n);
+      expect(await erc20Escrow.getERC20ReleaseablePoolFor(tokenAddress, 1)).to.equal(1000n);
+      expect(await erc20Escrow.getERC20LockedPoolFor(tokenAddress, 1)).to.equal(1000n);
+
+      await erc20Escrow.resolveDispute(disputed, false);
+      expect((await erc20Escrow.record(disputed)).status).to.equal(FulFillmentResultState.SUCCESS);
+      expect(await erc20Escrow.getERC20ReleaseablePoolFor(tokenAddress, 1)).to.equal(2000n);
+      expect(await erc20Escrow.getERC20LockedPoolFor(tokenAddress, 1)).to.equal(0);
+    });
+  });
+
+  describe("SDK", () => {
+    it("should let the payer open a dispute", async () => {
+      const system = await loadFixture(disputeFixture);
+      const { escrow, payer } = system;
+      const client = await BandoClient.connect(await system.router.getAddress(), payer);
+      const id = await fulfillNative(system, 1);
+      await client.openDispute("native", id);
+      expect((await escrow.record(id)).status).to.equal(FulFillmentResultState.DISPUTED);
+      const disputed = await client.listRecords("native", { status: FulFillmentResultState.DISPUTED });
+      expect(disputed.map((record) => record.id)).to.deep.equal([id]);
+    });
+
+    it("should read the locked release of a record with a read-only client", async () => {
+      const system = await loadFixture(disputeFixture);
+      const client = await BandoClient.connect(await system.router.getAddress(), ethers.provider);
+      const id = await fulfillERC20(system, 1);
+      const release = await client.erc20Escrow.lockedReleaseOf(id);
+      expect(release.amount).to.equal(1000n);
+    });
+  });
+});
@@ -0,0 +1,293 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, setStorageAt, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { USD, systemFixture } = require("./utils/fixtures");
+const { BandoClient, FulFillmentResultState } = require("../sdk");
+
+const SERVICE_REF = "012345678912";
+const TIMEOUT = 3600;
+
+const expiryFixture = systemFixture({
+  services: [
+    { serviceId: 1, feeAmount: 0, refs: [SERVICE_REF], fulfillmentTimeout: TIMEOUT },
+    { serviceId: 2, feeAmount: 0, refs: [SERVICE_REF] },
+  ],
+  tokens: [{ contract: "DemoToken", fund: 10000 }],
+});
+
+async function requestNative(system, serviceID, weiAmount = 1000n) {
+  const { router, escrow, payer } = system;
+  await router.connect(payer).requestService(
+    serviceID,
+    { payer: payer.address, weiAmount, fiatAmount: 10, serviceRef: SERVICE_REF, fiatCurrency: USD, fiatDecimals: 2 },
+    { value: weiAmount },
+  );
+  const ids = await escrow.recordsOf(payer.address);
+  return ids[ids.length - 1];
+}
+
+async function requestERC20(system, serviceID, tokenAmount = 1000n) {
+  const { router, erc20Escrow, payer, token } = system;
+  await router.connect(payer).requestERC20Service(serviceID, {
+    payer: payer.address,
+    fiatAmount: 10,
+    fiatCurrency: USD,
+    fiatDecimals: 2,
+    serviceRef: SERVICE_REF,
+    token: await token.getAddress(),
+    tokenAmount,
+  });
+  const ids = await erc20Escrow.recordsOf(payer.address);
+  return ids[ids.length - 1];
+}
+
+/**
+ * Turns a record into one created before records stored their service id and deadline, clearing
+ * its serviceID field and its deadline, _fulfillmentRecords and _fulfillmentDeadlines being
+ * in slots 1 and 11 of both escrows.
+ */
+async function makeLegacy(escrow, id, serviceIDOffset) {
+  const address = await escrow.getAddress();
+  const recordSlot = BigInt(ethers.solidityPackedKeccak256(["uint256", "uint256"], [id, 1]));
+  await setStorageAt(address, recordSlot + BigInt(serviceIDOffset), 0);
+  await setStorageAt(address, ethers.solidityPackedKeccak256(["uint256", "uint256"], [id, 11]), 0);
+}
+
+describe("Fulfillment expiry", () => {
+  describe("FulfillableRegistry timeouts", () => {
+    it("should let a service admin update a service fulfillment timeout", async () => {
+      const { registry } = await loadFixture(expiryFixture);
+      expect(await registry.getFulfillmentTimeout(1)).to.equal(TIMEOUT);
+      expect(await registry.getFulfillmentTimeout(2)).to.equal(0);
+      await expect(registry.updateServiceFulfillmentTimeout(2, 60))
+        .to.emit(registry, "FulfillmentTimeoutUpdated")
+        .withArgs(2, 60);
+      expect(await registry.getFulfillmentTimeout(2)).to.equal(60);
+    });
+
+    it("should only allow a service admin to update timeouts of existing services", async () => {
+      const { registry, payer } = await loadFixture(expiryFixture);
+      await expect(registry.connect(payer).updateServiceFulfillmentTimeout(1, 60))
+        .to.be.revertedWithCustomError(registry, "AccessControlUnauthorizedAccount");
+      await expect(registry.updateServiceFulfillmentTimeout(3, 60))
+        .to.be.revertedWith("FulfillableRegistry: Service does not exist");
+    });
+  });
+
+  describe("native escrow", () => {
+    it("should store the service id and deadline of a record", async () => {
+      const system = await loadFixture(expiryFixture);
+      const id = await requestNative(system, 1);
+      const record = await system.escrow.record(id);
+      expect(record.serviceID).to.equal(1);
+      expect(await system.escrow.fulfillmentDeadline(id)).to.equal(record.entryTime + BigInt(TIMEOUT));
+    });
+
+    it("should keep the deadline of a record when its service timeout changes", async () => {
+      const system = await loadFixture(expiryFixture);
+      const { escrow, registry } = system;
+      const id = await requestNative(system, 1);
+      const deadline = await escrow.fulfillmentDeadline(id);
+      await registry.updateServiceFulfillmentTimeout(1, TIMEOUT * 10);
+      expect(await escrow.fulfillmentDeadline(id)).to.equal(deadline);
+      await registry.updateServiceFulfillmentTimeout(1, 0);
+      expect(await escrow.fulfillmentDeadline(id)).to.equal(deadline);
+      await time.increaseTo(deadline);
+      await expect(escrow.expireFulfillment(id)).to.emit(escrow, "FulfillmentExpired");
+    });
+
+    it("should not expire records before their deadline", async () => {
+      const system = await loadFixture(expiryFixture);
+      const id = await requestNative(system, 1);
+      await expect(system.escrow.expireFulfillment(id))
+        .to.be.revertedWith("Fulfillment deadline has not passed");
+    });
+
+    it("should not expire records of services without a timeout", async () => {
+      const system = await loadFixture(expiryFixture);
+      const id = await requestNative(system, 2);
+      expect(await system.escrow.fulfillmentDeadline(id)).to.equal(0);
+      await time.increase(TIMEOUT * 10);
+      await expect(system.escrow.expireFulfillment(id))
+        .to.be.revertedWith("Fulfillment does not expire");
+    });
+
+    it("should revert for unknown records", async () => {
+      const { escrow } = await loadFixture(expiryFixture);
+      await expect(escrow.expireFulfillment(99)).to.be.revertedWith("Fulfillment record does not exist");
+    });
+
+    it("should let anyone expire a stale record and authorize the payer refund", async () => {
+      const system = await loadFixture(expiryFixture);
+      const { escrow, payer, others } = system;
+      const id = await requestNative(system, 1);
+      await time.increaseTo(await escrow.fulfillmentDeadline(id));
+      await expect(escrow.connect(others[0]).expireFulfillment(id))
+        .to.emit(escrow, "FulfillmentExpired")
+        .withArgs(id, payer.address, 1000n)
+        .and.to.emit(escrow, "RefundAuthorized")
+        .withArgs(payer.address, 1000n);
+      expect((await escrow.record(id)).status).to.equal(FulFillmentResultState.EXPIRED);
+      expect(await escrow.getRefundsFor(payer.address, 1)).to.equal(1000n);
+      expect(await escrow.getDepositsFor(payer.address, 1)).to.equal(0);
+    });
+
+    it("should not register or expire an expired record again", async () => {
+      const system = await loadFixture(expiryFixture);
+      const { escrow, manager, fulfiller } = system;
+      const id = await requestNative(system, 1);
+      await time.increase(TIMEOUT);
+      await escrow.expireFulfillment(id);
+      await expect(escrow.expireFulfillment(id)).to.be.revertedWith("Fulfillment already registered");
+      await expect(manager.connect(fulfiller).registerFulfillment(1, {
+        id,
+        externalID: "late",
+        receiptURI: "https://example.com/receipt",
+        fulfilledAmount: 0,
+        status: FulFillmentResultState.SUCCESS,
+      })).to.be.revertedWith("Fulfillment already registered");
+    });
+
+    it("should let the payer expire a legacy record under the service its deposits cover", async () => {
+      const system = await loadFixture(expiryFixture);
+      const { escrow, payer, others } = system;
+      const id = await requestNative(system, 1);
+      await makeLegacy(escrow, id, 11);
+      expect(await escrow.fulfillmentDeadline(id)).to.equal(0);
+      await expect(escrow.expireFulfillment(id)).to.be.revertedWith("Fulfillment does not expire");
+      await expect(escrow.connect(others[0]).expireLegacyFulfillment(id, 1))
+        .to.be.revertedWith("Caller is not the payer");
+      await expect(escrow.connect(payer).expireLegacyFulfillment(id, 2))
+        .to.be.revertedWith("Fulfillment record belongs to another service");
+      await expect(escrow.connect(payer).expireLegacyFulfillment(id, 1))
+        .to.be.revertedWith("Fulfillment deadline has not passed");
+
+      await time.increase(TIMEOUT);
+      await expect(escrow.connect(payer).expireLegacyFulfillment(id, 1))
+        .to.emit(escrow, "FulfillmentExpired")
+        .withArgs(id, payer.address, 1000n);
+      expect(await escrow.getRefundsFor(payer.address, 1)).to.equal(1000n);
+      expect(await escrow.getDepositsFor(payer.address, 1)).to.equal(0);
+
+      const current = await requestNative(system, 1);
+      await expect(escrow.connect(payer).expireLegacyFulfillment(current, 1))
+        .to.be.revertedWith("Fulfillment record stores its service");
+    });
+
+    it("should let the payer withdraw the refund through the manager", async () => {
+      const system = await loadFixture(expiryFixture);
+      const { escrow, manager, payer, others } = system;
+      const id = await requestNative(system, 1);
+      await time.increase(TIMEOUT);
+      await escrow.expireFulfillment(id);
+      await expect(manager.connect(others[0]).withdrawRefund(1, payer.address))
+        .to.be.revertedWith("Only the fulfiller, the refundee or a refund operator can withdraw a refund");
+      await expect(manager.connect(payer).withdrawRefund(1, payer.address))
+        .to.changeEtherBalances([escrow, payer], [-1000n, 1000n]);
+    });
+  });
+
+  describe("ERC20 escrow", () => {
+    it("should let anyone expire a stale record and authorize the payer refund", async () => {
+      const system = await loadFixture(expiryFixture);
+      const { erc20Escrow, payer, token, others } = system;
+      const tokenAddress = await token.getAddress();
+      const id = await requestERC20(system, 1);
+      const record = await erc20Escrow.record(id);
+      expect(record.serviceID).to.equal(1);
+      await expect(erc20Escrow.expireFulfillment(id))
+        .to.be.revertedWith("Fulfillment deadline has not passed");
+
+      await time.increaseTo(record.entryTime + BigInt(TIMEOUT));
+      await expect(erc20Escrow.connect(others[0]).expireFulfillment(id))
+        .to.emit(erc20Escrow, "ERC20FulfillmentExpired")
+        .withArgs(id, payer.address, tokenAddress, 1000n);
+      expect((await erc20Escrow.record(id)).status).to.equal(FulFillmentResultState.EXPIRED);
+      expect(await erc20Escrow.getERC20RefundsFor(tokenAddress, payer.address, 1)).to.equal(1000n);
+      expect(await erc20Escrow.getERC20DepositsFor(tokenAddress, payer.address, 1)).to.equal(0);
+    });
+
+    it("should keep the deadline of a record when its service timeout changes", async () => {
+      const system = await loadFixture(expiryFixture);
+      const { erc20Escrow, registry } = system;
+      const id = await requestERC20(system, 1);
+      const deadline = await erc20Escrow.fulfillmentDeadline(id);
+      await registry.updateServiceFulfillmentTimeout(1, 0);
+      expect(await erc20Escrow.fulfillmentDeadline(id)).to.equal(deadline);
+      await time.increaseTo(deadline);
+      await expect(erc20Escrow.expireFulfillment(id)).to.emit(erc20Escrow, "ERC20FulfillmentExpired");
+    });
+
+    it("should let the payer expire a legacy record under the service its deposits cover", async () => {
+      const system = await loadFixture(expiryFixture);
+      const { erc20Escrow, payer, token } = system;
+      const tokenAddress = await token.getAddress();
+      const id = await requestERC20(system, 1);
+      await makeLegacy(erc20Escrow, id, 12);
+      await time.increase(TIMEOUT);
+      await expect(erc20Escrow.expireFulfillment(id)).to.be.revertedWith("Fulfillment does not expire");
+      await expect(erc20Escrow.connect(payer).expireLegacyFulfillment(id, 2))
+        .to.be.revertedWith("Fulfillment record belongs to another service");
+      await expect(erc20Escrow.connect(payer).expireLegacyFulfillment(id, 1))
+        .to.emit(erc20Escrow, "ERC20FulfillmentExpired")
+        .withArgs(id, payer.address, tokenAddress, 1000n);
+      expect(await erc20Escrow.getERC20RefundsFor(tokenAddress, payer.address, 1)).to.equal(1000n);
+    });
+
+    it("should not expire records of services without a timeout", async () => {
+      const system = await loadFixture(expiryFixture);
+      const id = await requestERC20(system, 2);
+      await time.increase(TIMEOUT * 10);
+      await expect(system.erc20Escrow.expireFulfillment(id))
+        .to.be.revertedWith("Fulfillment does not expire");
+    });
+
+    it("should let the payer withdraw the refund through the manager", async () => {
+      const system = await loadFixture(expiryFixture);
+      const { erc20Escrow, manager, payer, token } = system;
+      const id = await requestERC20(system, 1);
+      await time.increase(TIMEOUT);
+      await erc20Escrow.expireFulfillment(id);
+      await expect(manager.connect(payer).withdrawERC20Refund(1, await token.getAddress(), payer.address))
+        .to.changeTokenBalances(token, [erc20Escrow, payer], [-1000n, 1000n]);
+    });
+  });
+
+  describe("SDK", () => {
+    it("should find and expire the payer's stale records", async () => {
+      const system = await loadFixture(expiryFixture);
+      const { escrow, erc20Escrow, payer } = system;
+      const client = await BandoClient.connect(await system.router.getAddress(), payer);
+      const stale = await requestNative(system, 1);
+      const erc20Stale = await requestERC20(system, 1);
+      await requestNative(system, 2);
+      expect(await client.findExpirableRecords()).to.deep.equal([]);
+
+      await time.increase(TIMEOUT);
+      const fresh = await requestNative(system, 1);
+      const expirable = await client.findExpirableRecords();
+      expect(expirable.map(({ kind, id }) => [kind, id])).to.deep.equal([
+        ["native", stale],
+        ["erc20", erc20Stale],
+      ]);
+      expect(expirable[0].serviceID).to.equal(1);
+      expect(expirable[0].deadline).to.equal(await escrow.fulfillmentDeadline(stale));
+
+      await client.expireRecord("native", stale);
+      expect((await escrow.record(stale)).status).to.equal(FulFillmentResultState.EXPIRED);
+      expect((await escrow.record(fresh)).status).to.equal(FulFillmentResultState.PENDING);
+      const remaining = await client.findExpirableRecords({ kind: "erc20" });
+      expect(remaining.map(({ id }) => id)).to.deep.equal([erc20Stale]);
+      expect(await erc20Escrow.fulfillmentDeadline(erc20Stale)).to.equal(remaining[0].deadline);
+    });
+
+    it("should look up the records of another payer with a read-only client", async () => {
+      const system = await loadFixture(expiryFixture);
+      const client = await BandoClient.connect(await system.router.getAddress(), ethers.provider);
+      const id = await requestNative(system, 1);
+      await time.increase(TIMEOUT);
+      const expirable = await client.findExpirableRecords({ payer: system.payer.address, kind: "native" });
+      expect(expirable.map((entry) => entry.id)).to.deep.equal([id]);
+    });
+  });
+});
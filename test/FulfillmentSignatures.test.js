@@ -0,0 +1,261 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, setStorageAt, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { USD, systemFixture } = require("./utils/fixtures");
+const {
+  FulFillmentResultState,
+  FULFILLMENT_RESULT_TYPES,
+  fulfillmentDomain,
+  fulfillmentResultMessage,
+  signFulfillmentResult,
+  relayFulfillmentResult,
+} = require("../sdk");
+
+const SERVICE_REF = "012345678912";
+
+const signaturesFixture = systemFixture({
+  services: [{ serviceId: 1, feeAmount: 0, refs: [SERVICE_REF] }],
+  tokens: [{ contract: "DemoToken", fund: 10000 }],
+});
+
+describe("Signed fulfillment results", () => {
+  let system;
+  let relayer;
+  let nativeId;
+  let erc20Id;
+
+  const result = (id, status = FulFillmentResultState.SUCCESS) => ({
+    id,
+    externalID: `external-${id}`,
+    receiptURI: `https://example.com/receipts/${id}`,
+    status,
+    fulfilledAmount: 0,
+  });
+
+  const inOneHour = async () => BigInt(await time.latest()) + 3600n;
+
+  beforeEach(async () => {
+    system = await loadFixture(signaturesFixture);
+    const { router, escrow, erc20Escrow, payer, token } = system;
+    relayer = system.others[0];
+    await router.connect(payer).requestService(
+      1,
+      { payer: payer.address, weiAmount: 1000, fiatAmount: 10, serviceRef: SERVICE_REF, fiatCurrency: USD, fiatDecimals: 2 },
+      { value: 1000 },
+    );
+    await router.connect(payer).requestERC20Service(1, {
+      payer: payer.address,
+      fiatAmount: 10,
+      fiatCurrency: USD,
+      fiatDecimals: 2,
+      serviceRef: SERVICE_REF,
+      token: await token.getAddress(),
+      tokenAmount: 1000,
+    });
+    [nativeId] = await escrow.recordsOf(payer.address);
+    [erc20Id] = await erc20Escrow.recordsOf(payer.address);
+  });
+
+  it("should compute the same digest as the signing helper", async () => {
+    const { manager, escrow } = system;
+    const fulfillment = result(nativeId);
+    const deadline = await inOneHour();
+    const { chainId } = await ethers.provider.getNetwork();
+    const message = fulfillmentResultMessage({ escrow: await escrow.getAddress(), serviceID: 1, fulfillment, nonce: 0, deadline });
+    const expected = ethers.TypedDataEncoder.hash(
+      fulfillmentDomain(await manager.getAddress(), chainId),
+      FULFILLMENT_RESULT_TYPES,
+      message,
+    );
+    expect(await manager.fulfillmentResultDigest(await escrow.getAddress(), 1, fulfillment, 0, deadline)).to.equal(expected);
+    const domain = await manager.eip712Domain();
+    expect(domain.name).to.equal("BandoFulfillmentManager");
+    expect(domain.version).to.equal("1");
+  });
+
+  it("should let anyone relay a result signed by the fulfiller", async () => {
+    const { manager, escrow, fulfiller } = system;
+    const signed = await signFulfillmentResult(fulfiller, {
+      manager,
+      serviceID: 1,
+      fulfillment: result(nativeId),
+      deadline: await inOneHour(),
+    });
+    expect(signed.nonce).to.equal(0n);
+    await expect(relayFulfillmentResult(manager.connect(relayer), "native", signed))
+      .to.emit(manager, "FulfillmentRelayed")
+      .withArgs(1, nativeId, fulfiller.address, relayer.address);
+    const record = await escrow.record(nativeId);
+    expect(record.status).to.equal(FulFillmentResultState.SUCCESS);
+    expect(record.externalID).to.equal(`external-${nativeId}`);
+    expect(await manager.nonces(fulfiller.address)).to.equal(1n);
+  });
+
+  it("should relay signed ERC20 results", async () => {
+    const { manager, erc20Escrow, fulfiller, payer, token } = system;
+    const signed = await signFulfillmentResult(fulfiller, {
+      manager,
+      kind: "erc20",
+      serviceID: 1,
+      fulfillment: result(erc20Id, FulFillmentResultState.FAILED),
+      deadline: await inOneHour(),
+    });
+    await expect(relayFulfillmentResult(manager.connect(relayer), "erc20", signed))
+      .to.emit(erc20Escrow, "ERC20RefundAuthorized")
+      .withArgs(payer.address, 1000);
+    expect((await erc20Escrow.record(erc20Id)).status).to.equal(FulFillmentResultState.FAILED);
+    expect(await erc20Escrow.getERC20RefundsFor(await token.getAddress(), payer.address, 1)).to.equal(1000);
+  });
+
+  it("should not let the fulfiller of another service settle a record", async () => {
+    const { manager, escrow, erc20Escrow, payer, beneficiary, token, others } = system;
+    const otherFulfiller = others[1];
+    await manager.setService(2, 0, otherFulfiller.address, beneficiary.address);
+    const signed = await signFulfillmentResult(otherFulfiller, {
+      manager,
+      serviceID: 2,
+      fulfillment: result(nativeId),
+      deadline: await inOneHour(),
+    });
+    await expect(relayFulfillmentResult(manager.connect(relayer), "native", signed))
+      .to.be.revertedWith("Fulfillment record belongs to another service");
+    await expect(manager.connect(otherFulfiller).registerERC20Fulfillment(2, result(erc20Id)))
+      .to.be.revertedWith("Fulfillment record belongs to another service");
+    expect((await escrow.record(nativeId)).status).to.equal(FulFillmentResultState.PENDING);
+    expect((await erc20Escrow.record(erc20Id)).status).to.equal(FulFillmentResultState.PENDING);
+    expect(await escrow.getDepositsFor(payer.address, 1)).to.equal(1000);
+    expect(await erc20Escrow.getERC20DepositsFor(await token.getAddress(), payer.address, 1)).to.equal(1000);
+  });
+
+  it("should only settle a legacy record under a service covering it", async () => {
+    const { manager, escrow, erc20Escrow, payer, fulfiller, beneficiary, token, others } = system;
+    const otherFulfiller = others[1];
+    await manager.setService(2, 0, otherFulfiller.address, beneficiary.address);
+    // clear the serviceID of both records (fields 11 and 12 of the records in slot 1),
+    // as records created before they stored it
+    for (const [target, id, offset] of [[escrow, nativeId, 11n], [erc20Escrow, erc20Id, 12n]]) {
+      const recordSlot = BigInt(ethers.solidityPackedKeccak256(["uint256", "uint256"], [id, 1]));
+      await setStorageAt(await target.getAddress(), recordSlot + offset, 0);
+    }
+    await expect(manager.connect(otherFulfiller).registerFulfillment(2, result(nativeId)))
+      .to.be.revertedWith("Fulfillment record belongs to another service");
+    await expect(manager.connect(otherFulfiller).registerERC20Fulfillment(2, result(erc20Id)))
+      .to.be.revertedWith("Fulfillment record belongs to another service");
+
+    await manager.connect(fulfiller).registerFulfillment(1, result(nativeId));
+    await manager.connect(fulfiller).registerERC20Fulfillment(1, result(erc20Id));
+    expect((await escrow.record(nativeId)).status).to.equal(FulFillmentResultState.SUCCESS);
+    expect((await erc20Escrow.record(erc20Id)).status).to.equal(FulFillmentResultState.SUCCESS);
+    expect(await escrow._releaseablePool(1)).to.equal(1000);
+    expect(await erc20Escrow.getERC20ReleaseablePoolFor(await token.getAddress(), 1)).to.equal(1000);
+    expect(await escrow.getDepositsFor(payer.address, 1)).to.equal(0);
+  });
+
+  it("should not accept a signature twice", async () => {
+    const { manager, fulfiller } = system;
+    const signed = await signFulfillmentResult(fulfiller, {
+      manager,
+      serviceID: 1,
+      fulfillment: result(nativeId),
+      deadline: await inOneHour(),
+    });
+    await relayFulfillmentResult(manager.connect(relayer), "native", signed);
+    await expect(relayFulfillmentResult(manager.connect(relayer), "native", signed))
+      .to.be.revertedWithCustomError(manager, "InvalidAccountNonce")
+      .withArgs(fulfiller.address, 1);
+  });
+
+  it("should reject signatures with a stale or future nonce", async () => {
+    const { manager, fulfiller } = system;
+    const signed = await signFulfillmentResult(fulfiller, {
+      manager,
+      serviceID: 1,
+      fulfillment: result(nativeId),
+      deadline: await inOneHour(),
+      nonce: 5,
+    });
+    await expect(relayFulfillmentResult(manager.connect(relayer), "native", signed))
+      .to.be.revertedWithCustomError(manager, "InvalidAccountNonce")
+      .withArgs(fulfiller.address, 0);
+  });
+
+  it("should reject expired signatures", async () => {
+    const { manager, fulfiller } = system;
+    const signed = await signFulfillmentResult(fulfiller, {
+      manager,
+      serviceID: 1,
+      fulfillment: result(nativeId),
+      deadline: await inOneHour(),
+    });
+    await time.increase(3601);
+    await expect(relayFulfillmentResult(manager.connect(relayer), "native", signed))
+      .to.be.revertedWith("Fulfillment signature expired");
+  });
+
+  it("should reject results not signed by the service fulfiller", async () => {
+    const { manager, payer } = system;
+    const signed = await signFulfillmentResult(payer, {
+      manager,
+      serviceID: 1,
+      fulfillment: result(nativeId),
+      deadline: await inOneHour(),
+    });
+    await expect(relayFulfillmentResult(manager.connect(relayer), "native", signed))
+      .to.be.revertedWith("Invalid fulfiller signature");
+  });
+
+  it("should relay signed partial results and sign their fulfilled amount", async () => {
+    const { manager, escrow, fulfiller, payer } = system;
+    const signed = await signFulfillmentResult(fulfiller, {
+      manager,
+      serviceID: 1,
+      fulfillment: { ...result(nativeId, FulFillmentResultState.PARTIAL), fulfilledAmount: 400 },
+      deadline: await inOneHour(),
+    });
+    expect(signed.fulfillment.fulfilledAmount).to.equal(400n);
+    const tampered = { ...signed, fulfillment: { ...signed.fulfillment, fulfilledAmount: 900n } };
+    await expect(relayFulfillmentResult(manager.connect(relayer), "native", tampered))
+      .to.be.revertedWith("Invalid fulfiller signature");
+    await expect(relayFulfillmentResult(manager.connect(relayer), "native", signed))
+      .to.emit(escrow, "RefundAuthorized")
+      .withArgs(payer.address, 600);
+    expect((await escrow.record(nativeId)).fulfilledAmount).to.equal(400n);
+  });
+
+  it("should reject tampered results", async () => {
+    const { manager, fulfiller } = system;
+    const signed = await signFulfillmentResult(fulfiller, {
+      manager,
+      serviceID: 1,
+      fulfillment: result(nativeId, FulFillmentResultState.FAILED),
+      deadline: await inOneHour(),
+    });
+    const tampered = { ...signed, fulfillment: { ...signed.fulfillment, status: FulFillmentResultState.SUCCESS } };
+    await expect(relayFulfillmentResult(manager.connect(relayer), "native", tampered))
+      .to.be.revertedWith("Invalid fulfiller signature");
+    await expect(relayFulfillmentResult(manager.connect(relayer), "native", { ...signed, deadline: signed.deadline + 1n }))
+      .to.be.revertedWith("Invalid fulfiller signature");
+  });
+
+  it("should not replay a native escrow signature on the ERC20 escrow", async () => {
+    const { manager, fulfiller } = system;
+    // both escrows hold a record with id 1
+    expect(nativeId).to.equal(erc20Id);
+    const signed = await signFulfillmentResult(fulfiller, {
+      manager,
+      serviceID: 1,
+      fulfillment: result(nativeId),
+      deadline: await inOneHour(),
+    });
+    await expect(relayFulfillmentResult(manager.connect(relayer), "erc20", signed))
+      .to.be.revertedWith("Invalid fulfiller signature");
+  });
+
+  it("should not let anyone set up the domain of a deployed proxy again", async () => {
+    const { manager, owner, payer } = system;
+    for (const account of [owner, payer]) {
+      await expect(manager.connect(account).initializeSignatures())
+        .to.be.revertedWithCustomError(manager, "OwnableUnauthorizedAccount");
+    }
+  });
+});
@@ -0,0 +1,222 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, takeSnapshot, time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { USD, systemFixture } = require("./utils/fixtures");
+const Database = require("better-sqlite3");
+const { FulfillmentIndexer, SCHEMA } = require("../indexer");
+const { FulFillmentResultState } = require("../sdk");
+
+const indexerFixture = systemFixture({
+  services: [
+    { serviceId: 1, feeAmount: 0, refs: ["REF-1"] },
+    { serviceId: 2, feeAmount: 0, refs: ["REF-2"] },
+  ],
+  tokens: [{ contract: "DemoToken" }],
+});
+
+describe("FulfillmentIndexer", () => {
+  let dir;
+  let system;
+  let fulfiller;
+  let payer;
+  let otherPayer;
+  let erc20Test;
+  let indexer;
+  let startBlock;
+
+  const request = (from, serviceID, serviceRef, weiAmount) => system.router.connect(from).requestService(
+    serviceID,
+    { payer: from.address, weiAmount, fiatAmount: 10, serviceRef, fiatCurrency: USD, fiatDecimals: 2 },
+    { value: weiAmount },
+  );
+
+  const result = (id, status) => ({ id, status, externalID: `ext-${id}`, receiptURI: `uri-${id}`, fulfilledAmount: 0 });
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bando-indexer-"));
+    system = await loadFixture(indexerFixture);
+    let others;
+    ({ fulfiller, payer, others, token: erc20Test } = system);
+    otherPayer = others[0];
+    startBlock = (await ethers.provider.getBlockNumber()) + 1;
+    await erc20Test.approve(await system.router.getAddress(), 1000);
+
+    indexer = new FulfillmentIndexer({
+      db: path.join(dir, "index.sqlite"),
+      router: system.router,
+      escrow: system.escrow,
+      erc20Escrow: system.erc20Escrow,
+      startBlock,
+    });
+  });
+
+  after(() => {
+    indexer.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should index deposits with their service ids", async () => {
+    await request(payer, 1, "REF-1", 1000);
+    await time.increase(3600);
+    await request(payer, 2, "REF-2", 2000);
+    await request(otherPayer, 1, "REF-1", 3000);
+    await system.router.requestERC20Service(1, {
+      payer: otherPayer.address,
+      fiatAmount: 10,
+      fiatCurrency: USD,
+      fiatDecimals: 2,
+      serviceRef: "REF-1",
+      token: await erc20Test.getAddress(),
+      tokenAmount: 500,
+    });
+    expect(await indexer.sync()).to.equal(await ethers.provider.getBlockNumber());
+
+    const records = indexer.recordsByPayer(payer.address);
+    expect(records.map((r) => [r.id, r.service_id, r.amount])).to.deep.equal([["1", "1", "1000"], ["2", "2", "2000"]]);
+    expect(records[0].status).to.equal(FulFillmentResultState.PENDING);
+    expect([records[0].fiat_amount, records[0].fiat_currency, records[0].fiat_decimals]).to.deep.equal(["10", "USD", 2]);
+    expect(indexer.recordsByService(1).map((r) => r.kind)).to.deep.equal(["native", "native", "erc20"]);
+    const [erc20] = indexer.queryRecords({ kind: "erc20" });
+    expect(erc20.token).to.equal((await erc20Test.getAddress()).toLowerCase());
+    expect(erc20.payer).to.equal(otherPayer.address.toLowerCase());
+  });
+
+  it("should filter records by time range", async () => {
+    const [first, second] = indexer.recordsByPayer(payer.address);
+    expect(indexer.recordsBetween(0, first.entry_time).map((r) => r.id)).to.deep.equal(["1"]);
+    expect(indexer.recordsBetween(second.entry_time, second.entry_time + 60, { payer: payer.address }))
+      .to.have.lengthOf(1);
+  });
+
+  it("should take the service id from the record, and from the request for legacy records", async () => {
+    const legacy = new ethers.Interface([
+      "event DepositReceived(tuple(uint256 id, string serviceRef, address fulfiller, string externalID, address payer, uint256 weiAmount, uint256 feeAmount, uint256 fiatAmount, uint256 entryTime, string receiptURI, uint8 status) record)",
+      "event ServiceRequested(uint256 serviceID, tuple(address payer, uint256 weiAmount, uint256 fiatAmount, string serviceRef) request)",
+    ]);
+    const { escrow } = system;
+    const record = [98n, "REF-2", fulfiller.address, "", otherPayer.address, 1n, 0n, 10n, 1n, "", 2n, 2n, USD, 2n, 0n];
+    const logs = [
+      [legacy, "DepositReceived", [[97n, "REF-2", fulfiller.address, "", otherPayer.address, 1n, 0n, 10n, 1n, "", 2n]], ethers.id("legacy")],
+      [legacy, "ServiceRequested", [2n, [otherPayer.address, 1n, 10n, "REF-2"]], ethers.id("legacy")],
+      // a deposit without a router request in its transaction keeps the service id of its record
+      [escrow.interface, "DepositReceived", [record], ethers.id("current")],
+    ].map(([iface, name, args, transactionHash], index) => {
+      const parsed = iface.parseLog(iface.encodeEventLog(name, args));
+      return { name: parsed.name, args: parsed.args, log: { blockNumber: 1, index, transactionHash, blockHash: ethers.ZeroHash } };
+    });
+    const legacyIndexer = new FulfillmentIndexer({ db: new Database(":memory:"), router: system.router, escrow, erc20Escrow: system.erc20Escrow });
+    legacyIndexer.applyLogs(logs, 1);
+    expect(legacyIndexer.queryRecords().map((row) => [row.id, row.service_id])).to.have.deep.members([["97", "2"], ["98", "2"]]);
+    legacyIndexer.close();
+  });
+
+  it("should filter records by fiat currency", async () => {
+    expect(indexer.queryRecords({ fiatCurrency: "USD" })).to.have.lengthOf(4);
+    expect(indexer.queryRecords({ fiatCurrency: "MXN" })).to.have.lengthOf(0);
+  });
+
+  it("should index deposits made before requests carried a currency", async () => {
+    const legacy = new ethers.Interface([
+      "event DepositReceived(tuple(uint256 id, string serviceRef, address fulfiller, string externalID, address payer, uint256 weiAmount, uint256 feeAmount, uint256 fiatAmount, uint256 entryTime, string receiptURI, uint8 status, uint256 serviceID) record)",
+    ]);
+    const record = [99n, "REF-1", fulfiller.address, "", otherPayer.address, 1n, 0n, 10n, 1n, "", 2n, 1n];
+    const parsed = legacy.parseLog(legacy.encodeEventLog("DepositReceived", [record]));
+    const log = { blockNumber: 1, index: 0, transactionHash: ethers.ZeroHash, blockHash: ethers.ZeroHash };
+    const db = new Database(":memory:");
+    const legacyIndexer = new FulfillmentIndexer({ db, router: system.router, escrow: system.escrow, erc20Escrow: system.erc20Escrow });
+    legacyIndexer.applyLogs([{ name: parsed.name, args: parsed.args, log }], 1);
+    const [row] = legacyIndexer.queryRecords();
+    expect([row.id, row.fiat_amount, row.fiat_currency, row.fiat_decimals]).to.deep.equal(["99", "10", "", null]);
+    legacyIndexer.close();
+  });
+
+  it("should add the fiat currency columns to databases of earlier versions", () => {
+    const db = new Database(":memory:");
+    db.exec(SCHEMA.replace(/\n[^\n]*ISO 4217[^\n]*\n[^\n]*fiat_currency[^\n]*\n[^\n]*fiat_decimals[^\n]*/, ""));
+    const columns = () => db.prepare("PRAGMA table_info(records)").all().map(({ name }) => name);
+    expect(columns()).to.not.include("fiat_currency");
+    const migrated = new FulfillmentIndexer({ db, router: system.router, escrow: system.escrow, erc20Escrow: system.erc20Escrow });
+    expect(columns()).to.include.members(["fiat_currency", "fiat_decimals"]);
+    migrated.close();
+  });
+
+  it("should pick up registered fulfillments and refunds", async () => {
+    const manager = system.manager.connect(fulfiller);
+    await manager.registerFulfillment(1, result(1, FulFillmentResultState.SUCCESS));
+    await manager.registerFulfillment(2, result(2, FulFillmentResultState.FAILED));
+    await manager.withdrawRefund(2, payer.address);
+    await indexer.sync();
+
+    const [success] = indexer.recordsByStatus(FulFillmentResultState.SUCCESS);
+    expect(success.id).to.equal("1");
+    expect(success.external_id).to.equal("ext-1");
+    expect(indexer.recordsByStatus(FulFillmentResultState.FAILED).map((r) => r.id)).to.deep.equal(["2"]);
+    expect(indexer.recordsByStatus(FulFillmentResultState.PENDING)).to.have.lengthOf(2);
+    expect(indexer.refundsOf(payer.address).map((e) => [e.name, e.amount])).to.deep.equal([
+      ["RefundAuthorized", "2000"],
+      ["RefundWithdrawn", "2000"],
+    ]);
+  });
+
+  it("should pick up partial fulfillments with their fulfilled amount", async () => {
+    await system.manager.connect(fulfiller)
+      .registerERC20Fulfillment(1, { ...result(1, FulFillmentResultState.PARTIAL), fulfilledAmount: 200 });
+    await indexer.sync();
+
+    const [partial] = indexer.recordsByStatus(FulFillmentResultState.PARTIAL);
+    expect([partial.kind, partial.id, partial.amount, partial.fulfilled_amount]).to.deep.equal(["erc20", "1", "500", "200"]);
+    expect(indexer.refundsOf(otherPayer.address).map((e) => [e.name, e.amount])).to.deep.equal([
+      ["ERC20RefundAuthorized", "300"],
+    ]);
+    const [success] = indexer.recordsByStatus(FulFillmentResultState.SUCCESS);
+    expect(success.fulfilled_amount).to.equal("1000");
+  });
+
+  it("should roll back reorged blocks", async () => {
+    const snapshot = await takeSnapshot();
+    await request(payer, 1, "REF-1", 4000);
+    await system.manager.connect(fulfiller)
+      .registerFulfillment(1, result(3, FulFillmentResultState.SUCCESS));
+    await indexer.sync();
+    expect(indexer.recordsByPayer(payer.address)).to.have.lengthOf(3);
+    expect(indexer.queryRecords({ kind: "native", serviceID: 1, status: FulFillmentResultState.SUCCESS }))
+      .to.have.lengthOf(2);
+
+    // replace the indexed blocks with a different chain
+    await snapshot.restore();
+    await request(payer, 2, "REF-2", 5000);
+    await ethers.provider.send("hardhat_mine", ["0x3"]);
+    await indexer.sync();
+
+    const records = indexer.recordsByPayer(payer.address);
+    expect(records.map((r) => [r.id, r.service_id, r.amount])).to.deep.equal([
+      ["1", "1", "1000"],
+      ["2", "2", "2000"],
+      ["4", "2", "5000"],
+    ]);
+    expect(indexer.queryRecords({ kind: "native", serviceID: 1, status: FulFillmentResultState.SUCCESS }))
+      .to.have.lengthOf(1);
+  });
+
+  it("should pick up disputes and their resolution", async () => {
+    await system.registry.updateServiceDisputeWindow(2, 3600);
+    await system.manager.connect(fulfiller).registerFulfillment(2, result(4, FulFillmentResultState.SUCCESS));
+    await system.escrow.connect(payer).openDispute(4);
+    await indexer.sync();
+    expect(indexer.recordsByStatus(FulFillmentResultState.DISPUTED).map((r) => [r.kind, r.id])).to.deep.equal([
+      ["native", "4"],
+    ]);
+
+    await system.escrow.resolveDispute(4, true);
+    await indexer.sync();
+    expect(indexer.recordsByStatus(FulFillmentResultState.DISPUTED)).to.have.lengthOf(0);
+    const [refunded] = indexer.recordsByPayer(payer.address).filter((r) => r.id === "4");
+    expect([refunded.status, refunded.fulfilled_amount]).to.deep.equal([FulFillmentResultState.FAILED, "0"]);
+    expect(indexer.refundsOf(payer.address).map((e) => [e.name, e.amount]).slice(-1)).to.deep.equal([
+      ["RefundAuthorized", "5000"],
+    ]);
+  });
+});
@@ -0,0 +1,203 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { systemFixture } = require("./utils/fixtures");
+
+const SERVICE_REF = "012345678912";
+const USD = "0x555344";
+const MXN = "0x4d584e";
+// 2000.00 USD per coin, with 8 decimals like Chainlink USD feeds
+const COIN_PRICE = 2000n * 10n ** 8n;
+// 1.00 USD per token
+const TOKEN_PRICE = 10n ** 8n;
+const ONE = 10n ** 18n;
+
+const oracleFixture = systemFixture({
+  services: [{ serviceId: 1, feeAmount: 0, refs: [SERVICE_REF] }],
+  tokens: [{ contract: "DemoToken", fund: 1000n * ONE }],
+});
+
+const config = (overrides = {}) => ({
+  enabled: true,
+  slippageBasisPoints: 100,
+  allowMissingFeed: false,
+  allowStalePrice: false,
+  ...overrides,
+});
+
+describe("ChainlinkPriceOracle", () => {
+  let system;
+  let oracle;
+  let coinFeed;
+  let tokenFeed;
+
+  beforeEach(async () => {
+    system = await loadFixture(oracleFixture);
+    oracle = system.priceOracle;
+    coinFeed = await ethers.deployContract("MockPriceFeed", [8, COIN_PRICE]);
+    tokenFeed = await ethers.deployContract("MockPriceFeed", [8, TOKEN_PRICE]);
+  });
+
+  /**
+   * Requests service 1 paying weiAmount for a fiat amount in cents.
+   */
+  const requestService = (weiAmount, fiatAmount) => system.router.connect(system.payer).requestService(
+    1,
+    { payer: system.payer.address, weiAmount, fiatAmount, serviceRef: SERVICE_REF, fiatCurrency: USD, fiatDecimals: 2 },
+    { value: weiAmount },
+  );
+
+  /**
+   * Requests service 1 paying tokenAmount of the fixture token for a fiat amount in cents.
+   */
+  const requestERC20Service = async (tokenAmount, fiatAmount) => system.router.connect(system.payer).requestERC20Service(1, {
+    payer: system.payer.address,
+    fiatAmount,
+    serviceRef: SERVICE_REF,
+    token: await system.token.getAddress(),
+    tokenAmount,
+    fiatCurrency: USD,
+    fiatDecimals: 2,
+  });
+
+  describe("pricing", () => {
+    it("should price amounts in units of the requested fiat decimals", async () => {
+      await oracle.setPriceFeed(ethers.ZeroAddress, USD, await coinFeed.getAddress(), 18, 0);
+      const [value, status] = await oracle.fiatValue(ethers.ZeroAddress, USD, 2, ONE / 4n);
+      expect(value).to.equal(50000n);
+      expect(status).to.equal(0);
+      expect((await oracle.fiatValue(ethers.ZeroAddress, USD, 0, ONE / 4n))[0]).to.equal(500n);
+    });
+
+    it("should price each currency with its own feed", async () => {
+      // 36000.00 MXN per coin
+      const mxnFeed = await ethers.deployContract("MockPriceFeed", [8, 36000n * 10n ** 8n]);
+      await oracle.setPriceFeed(ethers.ZeroAddress, USD, await coinFeed.getAddress(), 18, 0);
+      expect(await oracle.fiatValue(ethers.ZeroAddress, MXN, 2, ONE)).to.deep.equal([0n, 1n]);
+      await oracle.setPriceFeed(ethers.ZeroAddress, MXN, await mxnFeed.getAddress(), 18, 0);
+      expect(await oracle.fiatValue(ethers.ZeroAddress, MXN, 2, ONE)).to.deep.equal([3600000n, 0n]);
+      expect(await oracle.fiatValue(ethers.ZeroAddress, USD, 2, ONE)).to.deep.equal([200000n, 0n]);
+    });
+
+    it("should report tokens without a usable price as missing", async () => {
+      const token = await system.token.getAddress();
+      expect(await oracle.fiatValue(token, USD, 2, ONE)).to.deep.equal([0n, 1n]);
+      await oracle.setPriceFeed(token, USD, await tokenFeed.getAddress(), 18, 0);
+      await tokenFeed.setAnswer(0);
+      expect(await oracle.fiatValue(token, USD, 2, ONE)).to.deep.equal([0n, 1n]);
+      await tokenFeed.setAnswer(TOKEN_PRICE);
+      await tokenFeed.setReverts(true);
+      expect(await oracle.fiatValue(token, USD, 2, ONE)).to.deep.equal([0n, 1n]);
+    });
+
+    it("should report prices older than the feed max staleness as stale", async () => {
+      const token = await system.token.getAddress();
+      await oracle.setPriceFeed(token, USD, await tokenFeed.getAddress(), 18, 3600);
+      expect(await oracle.fiatValue(token, USD, 2, ONE)).to.deep.equal([100n, 0n]);
+      await time.increase(3601);
+      expect(await oracle.fiatValue(token, USD, 2, ONE)).to.deep.equal([100n, 2n]);
+    });
+
+    it("should emit events for feed and service changes", async () => {
+      const token = await system.token.getAddress();
+      await expect(oracle.setPriceFeed(token, USD, await tokenFeed.getAddress(), 18, 60))
+        .to.emit(oracle, "PriceFeedUpdated")
+        .withArgs(token, USD, await tokenFeed.getAddress(), 18, 60);
+      expect((await oracle.getPriceFeed(token, USD)).feedDecimals).to.equal(8);
+      await expect(oracle.removePriceFeed(token, USD))
+        .to.emit(oracle, "PriceFeedUpdated")
+        .withArgs(token, USD, ethers.ZeroAddress, 0, 0);
+      await expect(oracle.removePriceFeed(token, USD)).to.be.revertedWith("ChainlinkPriceOracle: Feed does not exist");
+      await expect(oracle.setServiceConfig(1, config())).to.emit(oracle, "ServiceConfigUpdated");
+      await expect(oracle.setServiceConfig(1, config({ slippageBasisPoints: 10001 })))
+        .to.be.revertedWith("ChainlinkPriceOracle: Slippage exceeds 100%");
+    });
+
+    it("should gate feeds by TOKEN_ADMIN_ROLE and services by SERVICE_ADMIN_ROLE", async () => {
+      const [operator] = system.others;
+      await expect(oracle.connect(operator).setPriceFeed(ethers.ZeroAddress, USD, await coinFeed.getAddress(), 18, 0))
+        .to.be.revertedWithCustomError(oracle, "AccessControlUnauthorizedAccount")
+        .withArgs(operator.address, await oracle.TOKEN_ADMIN_ROLE());
+      await expect(oracle.connect(operator).setServiceConfig(1, config()))
+        .to.be.revertedWithCustomError(oracle, "AccessControlUnauthorizedAccount")
+        .withArgs(operator.address, await oracle.SERVICE_ADMIN_ROLE());
+    });
+  });
+
+  describe("migration", () => {
+    it("should move the feeds set before feeds were set per currency to a currency", async () => {
+      const factory = await ethers.getContractFactory("ChainlinkPriceOracleLegacyTester");
+      const legacy = await upgrades.deployProxy(factory, [], { kind: "uups" });
+      const feed = await coinFeed.getAddress();
+      await legacy.setLegacyPriceFeed(ethers.ZeroAddress, { feed, feedDecimals: 8, tokenDecimals: 18, maxStaleness: 3600 });
+      expect(await legacy.fiatValue(ethers.ZeroAddress, USD, 2, ONE)).to.deep.equal([0n, 1n]);
+
+      const [operator] = system.others;
+      await expect(legacy.connect(operator).migratePriceFeeds([ethers.ZeroAddress], USD))
+        .to.be.revertedWithCustomError(legacy, "AccessControlUnauthorizedAccount")
+        .withArgs(operator.address, await legacy.TOKEN_ADMIN_ROLE());
+      await expect(legacy.migratePriceFeeds([ethers.ZeroAddress], USD))
+        .to.emit(legacy, "PriceFeedUpdated")
+        .withArgs(ethers.ZeroAddress, USD, feed, 18, 3600);
+      expect(await legacy.getPriceFeed(ethers.ZeroAddress, USD)).to.deep.equal([feed, 8n, 18n, 3600n]);
+      expect(await legacy.fiatValue(ethers.ZeroAddress, USD, 2, ONE)).to.deep.equal([200000n, 0n]);
+      await expect(legacy.migratePriceFeeds([ethers.ZeroAddress], MXN))
+        .to.be.revertedWith("ChainlinkPriceOracle: Legacy feed does not exist");
+    });
+  });
+
+  describe("request validation", () => {
+    beforeEach(async () => {
+      await oracle.setPriceFeed(ethers.ZeroAddress, USD, await coinFeed.getAddress(), 18, 3600);
+      await oracle.setPriceFeed(await system.token.getAddress(), USD, await tokenFeed.getAddress(), 18, 3600);
+    });
+
+    it("should not check services without a price check", async () => {
+      await requestService(1n, 50000n);
+    });
+
+    it("should reject native requests paying less than the fiat amount, slippage included", async () => {
+      const { router } = system;
+      await oracle.setServiceConfig(1, config());
+      // 0.25 coin is worth 500.00, covering up to 505.05 with 1% slippage
+      await expect(requestService(ONE / 4n, 50506n))
+        .to.be.revertedWithCustomError(router, "FiatAmountNotCovered")
+        .withArgs(50506n, 50000n);
+      await requestService(ONE / 4n, 50505n);
+      await requestService(ONE / 4n, 50000n);
+    });
+
+    it("should reject ERC20 requests paying less than the fiat amount", async () => {
+      const { router } = system;
+      await oracle.setServiceConfig(1, config({ slippageBasisPoints: 0 }));
+      await expect(requestERC20Service(10n * ONE, 1001n))
+        .to.be.revertedWithCustomError(router, "FiatAmountNotCovered")
+        .withArgs(1001n, 1000n);
+      await requestERC20Service(10n * ONE, 1000n);
+    });
+
+    it("should reject or accept requests paid with tokens without a feed, as configured", async () => {
+      const { router, token } = system;
+      await oracle.removePriceFeed(await token.getAddress(), USD);
+      await oracle.setServiceConfig(1, config());
+      await expect(requestERC20Service(ONE, 100n))
+        .to.be.revertedWithCustomError(router, "PriceFeedMissing")
+        .withArgs(await token.getAddress());
+      await oracle.setServiceConfig(1, config({ allowMissingFeed: true }));
+      await requestERC20Service(ONE, 100n);
+    });
+
+    it("should reject or accept stale prices, as configured", async () => {
+      const { router } = system;
+      await oracle.setServiceConfig(1, config());
+      await time.increase(3601);
+      await expect(requestService(ONE / 4n, 50000n))
+        .to.be.revertedWithCustomError(router, "StalePrice")
+        .withArgs(ethers.ZeroAddress);
+      await oracle.setServiceConfig(1, config({ allowStalePrice: true }));
+      await requestService(ONE / 4n, 50000n);
+      await expect(requestService(ONE / 4n, 60000n))
+        .to.be.revertedWithCustomError(router, "FiatAmountNotCovered");
+    });
+  });
+});
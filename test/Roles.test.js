@@ -0,0 +1,195 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { USD, systemFixture } = require("./utils/fixtures");
+const { ROLE_CONTRACTS } = require("../tasks/roles");
+
+const SERVICE_REF = "012345678912";
+
+const rolesFixture = systemFixture({
+  services: [{ serviceId: 1, feeAmount: 0, refs: [SERVICE_REF] }],
+  tokens: [{ contract: "DemoToken", fund: 1000 }],
+});
+
+/**
+ * Maps manifest contract names to the fixture contracts.
+ */
+const contractsOf = (system) => ({
+  FulfillableRegistry: system.registry,
+  ERC20TokenRegistry: system.tokenRegistry,
+  ChainlinkPriceOracle: system.priceOracle,
+  BandoFulfillableV1: system.escrow,
+  BandoERC20FulfillableV1: system.erc20Escrow,
+  BandoFulfillmentManagerV1: system.manager,
+  BandoRouterV1: system.router,
+});
+
+/**
+ * Lists the roles checked by a contract.
+ */
+const rolesOf = (name) => Object.keys(ROLE_CONTRACTS).filter((role) => ROLE_CONTRACTS[role].includes(name));
+
+describe("Protocol roles", () => {
+  let system;
+  let operator;
+
+  beforeEach(async () => {
+    system = await loadFixture(rolesFixture);
+    [operator] = system.others;
+  });
+
+  it("should grant the deployer the admin role and every role a contract checks", async () => {
+    for (const [name, contract] of Object.entries(contractsOf(system))) {
+      for (const role of rolesOf(name)) {
+        expect(await contract.hasRole(await contract[role](), system.owner.address), `${role} on ${name}`).to.be.true;
+      }
+    }
+  });
+
+  it("should gate service administration by SERVICE_ADMIN_ROLE", async () => {
+    const { manager, registry, beneficiary, fulfiller } = system;
+    const role = await manager.SERVICE_ADMIN_ROLE();
+    await expect(manager.connect(operator).setService(2, 0, fulfiller.address, beneficiary.address))
+      .to.be.revertedWithCustomError(manager, "AccessControlUnauthorizedAccount")
+      .withArgs(operator.address, role);
+    await manager.grantRole(role, operator.address);
+    await manager.connect(operator).setService(2, 0, fulfiller.address, beneficiary.address);
+    await expect(registry.connect(operator).updateServiceFeeAmount(2, 10))
+      .to.be.revertedWithCustomError(registry, "AccessControlUnauthorizedAccount")
+      .withArgs(operator.address, role);
+    await registry.grantRole(role, operator.address);
+    await registry.connect(operator).updateServiceFeeAmount(2, 10);
+    expect((await registry.getService(2)).feeAmount).to.equal(10);
+  });
+
+  it("should gate service references by REF_ADMIN_ROLE", async () => {
+    const { manager, registry } = system;
+    const role = await manager.REF_ADMIN_ROLE();
+    await expect(manager.connect(operator).setServiceRef(1, "NEW-REF"))
+      .to.be.revertedWithCustomError(manager, "AccessControlUnauthorizedAccount")
+      .withArgs(operator.address, role);
+    await manager.grantRole(role, operator.address);
+    await manager.connect(operator).setServiceRef(1, "NEW-REF");
+    expect(await registry.isRefValid(1, "NEW-REF")).to.be.true;
+  });
+
+  it("should gate the token whitelist by TOKEN_ADMIN_ROLE", async () => {
+    const { tokenRegistry, fulfiller } = system;
+    const role = await tokenRegistry.TOKEN_ADMIN_ROLE();
+    await expect(tokenRegistry.connect(operator).addToken(fulfiller.address))
+      .to.be.revertedWithCustomError(tokenRegistry, "AccessControlUnauthorizedAccount")
+      .withArgs(operator.address, role);
+    await tokenRegistry.grantRole(role, operator.address);
+    await tokenRegistry.connect(operator).addToken(fulfiller.address);
+    expect(await tokenRegistry.isTokenWhitelisted(fulfiller.address)).to.be.true;
+  });
+
+  it("should gate pausing by PAUSER_ROLE", async () => {
+    const { router } = system;
+    const role = await router.PAUSER_ROLE();
+    await expect(router.connect(operator).pause())
+      .to.be.revertedWithCustomError(router, "AccessControlUnauthorizedAccount")
+      .withArgs(operator.address, role);
+    await router.grantRole(role, operator.address);
+    await router.connect(operator).pause();
+    expect(await router.paused()).to.be.true;
+    await router.connect(operator).unpause();
+  });
+
+  it("should let a REFUND_OPERATOR_ROLE holder withdraw refunds on behalf of the refundee", async () => {
+    const { router, escrow, manager, payer, fulfiller } = system;
+    await router.connect(payer).requestService(
+      1,
+      { payer: payer.address, weiAmount: 1000, fiatAmount: 10, serviceRef: SERVICE_REF, fiatCurrency: USD, fiatDecimals: 2 },
+      { value: 1000 },
+    );
+    const [id] = await escrow.recordsOf(payer.address);
+    await manager.connect(fulfiller).registerFulfillment(1, { id, externalID: "", receiptURI: "", status: 0, fulfilledAmount: 0 });
+    await expect(manager.connect(operator).withdrawRefund(1, payer.address))
+      .to.be.revertedWith("Only the fulfiller, the refundee or a refund operator can withdraw a refund");
+    await manager.grantRole(await manager.REFUND_OPERATOR_ROLE(), operator.address);
+    await expect(manager.connect(operator).withdrawRefund(1, payer.address))
+      .to.changeEtherBalances([escrow, payer], [-1000, 1000]);
+  });
+
+  it("should let a FULFILLMENT_OPERATOR_ROLE holder register results on behalf of the fulfiller", async () => {
+    const { router, escrow, manager, payer } = system;
+    await router.connect(payer).requestService(
+      1,
+      { payer: payer.address, weiAmount: 1000, fiatAmount: 10, serviceRef: SERVICE_REF, fiatCurrency: USD, fiatDecimals: 2 },
+      { value: 1000 },
+    );
+    const [id] = await escrow.recordsOf(payer.address);
+    const result = { id, externalID: "", receiptURI: "", status: 1, fulfilledAmount: 0 };
+    await expect(manager.connect(operator).registerFulfillment(1, result))
+      .to.be.revertedWith("Only the fulfiller or a fulfillment operator can register a fulfillment");
+    await expect(manager.connect(operator).registerERC20Fulfillment(1, result))
+      .to.be.revertedWith("Only the fulfiller or a fulfillment operator can register a fulfillment");
+    await manager.grantRole(await manager.FULFILLMENT_OPERATOR_ROLE(), operator.address);
+    await manager.connect(operator).registerFulfillment(1, result);
+    expect((await escrow.record(id))[10]).to.equal(1);
+  });
+
+  it("should gate upgrades by UPGRADER_ROLE", async () => {
+    const { registry } = system;
+    const role = await registry.UPGRADER_ROLE();
+    const candidate = await ethers.getContractFactory("FulfillableRegistryUpgradeTester", operator);
+    await expect(upgrades.upgradeProxy(await registry.getAddress(), candidate))
+      .to.be.revertedWithCustomError(registry, "AccessControlUnauthorizedAccount")
+      .withArgs(operator.address, role);
+    await registry.grantRole(role, operator.address);
+    await upgrades.upgradeProxy(await registry.getAddress(), candidate);
+  });
+
+  it("should only let role admins grant roles", async () => {
+    const { router } = system;
+    await expect(router.connect(operator).grantRole(await router.PAUSER_ROLE(), operator.address))
+      .to.be.revertedWithCustomError(router, "AccessControlUnauthorizedAccount")
+      .withArgs(operator.address, await router.DEFAULT_ADMIN_ROLE());
+  });
+
+  it("should not have an owner left to initialize roles again on deployed proxies", async () => {
+    for (const [name, contract] of Object.entries(contractsOf(system))) {
+      expect(await contract.owner(), name).to.equal(ethers.ZeroAddress);
+      await expect(contract.initializeRoles(), name).to.be.revertedWithCustomError(contract, "OwnableUnauthorizedAccount");
+    }
+  });
+
+  it("should migrate a proxy upgraded from the owner based implementation", async () => {
+    const { owner } = system;
+    const legacy = await upgrades.deployProxy(await ethers.getContractFactory("ERC20TokenRegistryOwnableTester"), []);
+    await legacy.addToken(operator.address);
+    const registry = await upgrades.upgradeProxy(
+      await legacy.getAddress(),
+      await ethers.getContractFactory("ERC20TokenRegistry"),
+    );
+    expect(await registry.isTokenWhitelisted(operator.address)).to.be.true;
+    expect(await registry.hasRole(await registry.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.false;
+    await expect(registry.connect(operator).initializeRoles())
+      .to.be.revertedWithCustomError(registry, "OwnableUnauthorizedAccount");
+    await registry.initializeRoles();
+    for (const role of ["DEFAULT_ADMIN_ROLE", ...rolesOf("ERC20TokenRegistry")]) {
+      expect(await registry.hasRole(await registry[role](), owner.address), role).to.be.true;
+    }
+    expect(await registry.owner()).to.equal(ethers.ZeroAddress);
+    await expect(registry.initializeRoles()).to.be.revertedWithCustomError(registry, "InvalidInitialization");
+  });
+
+  it("should set up signatures when migrating the manager from the owner based implementation", async () => {
+    const { owner, registry } = system;
+    const legacy = await upgrades.deployProxy(await ethers.getContractFactory("ManagerOwnableTester"), []);
+    await legacy.setServiceRegistry(await registry.getAddress());
+    const manager = await upgrades.upgradeProxy(
+      await legacy.getAddress(),
+      await ethers.getContractFactory("BandoFulfillmentManagerV1"),
+    );
+    await manager.initializeRoles();
+    for (const role of ["DEFAULT_ADMIN_ROLE", ...rolesOf("BandoFulfillmentManagerV1")]) {
+      expect(await manager.hasRole(await manager[role](), owner.address), role).to.be.true;
+    }
+    expect(await manager._serviceRegistry()).to.equal(await registry.getAddress());
+    expect((await manager.eip712Domain()).name).to.equal("BandoFulfillmentManager");
+    expect(await manager.owner()).to.equal(ethers.ZeroAddress);
+    await expect(manager.initializeSignatures()).to.be.revertedWithCustomError(manager, "InvalidInitialization");
+  });
+});
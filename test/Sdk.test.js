@@ -0,0 +1,351 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { systemFixture } = require("./utils/fixtures");
+const {
+  BandoClient,
+  BandoError,
+  computeFee,
+  InvalidRefError,
+  InsufficientAmountError,
+  InvalidPatternError,
+  RefValidationMode,
+  compileRefPattern,
+  UnsupportedTokenError,
+  TokenAmountOutOfRangeError,
+  TokenDisabledError,
+  FiatAmountNotCoveredError,
+  UnsupportedCurrencyError,
+  encodeCurrency,
+  decodeCurrency,
+  decodeError,
+  FulFillmentResultState,
+} = require("../sdk");
+
+const VALID_REF = "012345678912";
+const FEE_AMOUNT = ethers.parseUnits("0.1", "ether");
+
+const sdkFixture = systemFixture({
+  services: [{ serviceId: 1, feeAmount: FEE_AMOUNT, refs: [VALID_REF] }],
+  tokens: [{ contract: "DemoToken" }, { contract: "DemoPermitToken" }],
+});
+
+describe("BandoClient SDK", () => {
+  let system;
+  let client;
+  let erc20Test;
+  let owner;
+  let fulfiller;
+
+  before(async () => {
+    system = await loadFixture(sdkFixture);
+    ({ owner, fulfiller, token: erc20Test } = system);
+    client = await BandoClient.connect(await system.router.getAddress(), owner);
+  });
+
+  describe("quote", () => {
+    it("should add the registry fee to the wei amount", async () => {
+      const quote = await client.quote(1, 1000n);
+      expect(quote.feeAmount).to.equal(FEE_AMOUNT);
+      expect(quote.total).to.equal(1000n + FEE_AMOUNT);
+    });
+
+    it("should add the basis-point fee within its caps", async () => {
+      const { registry } = system;
+      await registry.updateServiceFeeBasisPoints(1, 250, 1000n, 10000n);
+      // 2.5% of 100000 is within the caps
+      expect((await client.quote(1, 100000n)).feeAmount).to.equal(FEE_AMOUNT + 2500n);
+      // raised to the min fee
+      expect((await client.quote(1, 100n)).feeAmount).to.equal(FEE_AMOUNT + 1000n);
+      // capped to the max fee
+      expect((await client.quote(1, 10n ** 18n)).total).to.equal(10n ** 18n + FEE_AMOUNT + 10000n);
+      await registry.updateServiceFeeBasisPoints(1, 0, 0, 0);
+    });
+
+    it("should compute fees like FulfillmentRequestLib", () => {
+      const service = { feeAmount: 5n, feeBasisPoints: 100n, minFeeAmount: 0n, maxFeeAmount: 0n };
+      expect(computeFee(service, 1999n)).to.equal(5n + 19n);
+      expect(computeFee({ ...service, feeBasisPoints: 0n, minFeeAmount: 100n }, 1999n)).to.equal(5n);
+    });
+
+    it("should decode registry reverts for unknown services", async () => {
+      await expect(client.quote(2, 1000n))
+        .to.be.rejectedWith(BandoError, "FulfillableRegistry: Service does not exist");
+    });
+  });
+
+  describe("requestService", () => {
+    it("should send weiAmount plus fee to the router", async () => {
+      const escrow = await system.escrow.getAddress();
+      const receipt = await client.requestService({
+        serviceID: 1,
+        serviceRef: VALID_REF,
+        weiAmount: 1000n,
+        fiatAmount: 10n,
+        fiatCurrency: "USD",
+      });
+      expect(receipt.status).to.equal(1);
+      expect(await ethers.provider.getBalance(escrow)).to.equal(1000n + FEE_AMOUNT);
+      const [id] = await system.escrow.recordsOf(owner.address);
+      const record = await system.escrow.record(id);
+      expect(record.payer).to.equal(owner.address);
+      expect(record.feeAmount).to.equal(FEE_AMOUNT);
+    });
+
+    it("should throw a typed error for an invalid ref", async () => {
+      const error = await client
+        .requestService({ serviceID: 1, serviceRef: "invalid", weiAmount: 1000n, fiatAmount: 10n, fiatCurrency: "USD" })
+        .catch((e) => e);
+      expect(error).to.be.instanceOf(InvalidRefError);
+      expect(error.errorName).to.equal("InvalidRef");
+    });
+  });
+
+  describe("requestERC20Service", () => {
+    it("should approve the router and pay in tokens", async () => {
+      const router = await system.router.getAddress();
+      const token = await erc20Test.getAddress();
+      expect(await erc20Test.allowance(owner.address, router)).to.equal(0);
+      const receipt = await client.requestERC20Service({
+        serviceID: 1,
+        serviceRef: VALID_REF,
+        token,
+        tokenAmount: 500n,
+        fiatAmount: 10n,
+        fiatCurrency: "USD",
+      });
+      expect(receipt.status).to.equal(1);
+      expect(await erc20Test.balanceOf(await system.erc20Escrow.getAddress())).to.equal(500n);
+    });
+
+    it("should not approve again when the allowance is enough", async () => {
+      const token = await erc20Test.getAddress();
+      await erc20Test.approve(await system.router.getAddress(), 1000n);
+      expect(await client.ensureAllowance(token, 1000n)).to.equal(null);
+    });
+
+    it("should pay with a permit when the token supports it", async () => {
+      const { router, erc20Escrow, tokens: [, permitToken] } = system;
+      const token = await permitToken.getAddress();
+      expect(await client.permitDomain(await erc20Test.getAddress())).to.equal(null);
+      expect((await client.permitDomain(token)).name).to.equal("DEMOPERMITTOKEN");
+      const receipt = await client.requestERC20Service({
+        serviceID: 1,
+        serviceRef: VALID_REF,
+        token,
+        tokenAmount: 500n,
+        fiatAmount: 10n,
+        fiatCurrency: "USD",
+      });
+      expect(receipt.logs.some((log) => log.address === token && log.topics[0] === permitToken.interface.getEvent("Approval").topicHash)).to.equal(true);
+      expect(await permitToken.nonces(owner.address)).to.equal(1n);
+      expect(await permitToken.allowance(owner.address, await router.getAddress())).to.equal(0n);
+      expect(await permitToken.balanceOf(await erc20Escrow.getAddress())).to.equal(500n);
+    });
+
+    it("should approve with a transaction when permits are disabled", async () => {
+      const { router, tokens: [, permitToken] } = system;
+      const token = await permitToken.getAddress();
+      await client.requestERC20Service({ serviceID: 1, serviceRef: VALID_REF, token, tokenAmount: 500n, fiatAmount: 10n, fiatCurrency: "USD", permit: false });
+      expect(await permitToken.nonces(owner.address)).to.equal(1n);
+      expect(await permitToken.allowance(owner.address, await router.getAddress())).to.equal(0n);
+    });
+
+    it("should throw a typed error for tokens not whitelisted", async () => {
+      const error = await client
+        .requestERC20Service({ serviceID: 1, serviceRef: VALID_REF, token: fulfiller.address, tokenAmount: 1n, fiatAmount: 10n, fiatCurrency: "USD" })
+        .catch((e) => e);
+      expect(error).to.be.instanceOf(UnsupportedTokenError);
+      expect(error.token).to.equal(fulfiller.address);
+    });
+
+    it("should read the token metadata and reject tokens the router would reject", async () => {
+      const { tokenRegistry } = system;
+      const token = await erc20Test.getAddress();
+      const metadata = await client.getTokenMetadata(token);
+      expect(metadata.symbol).to.equal("DMT");
+      expect(metadata.decimals).to.equal(18n);
+      await tokenRegistry.setTokenLimits(token, 100n, 1000n);
+      const error = await client
+        .requestERC20Service({ serviceID: 1, serviceRef: VALID_REF, token, tokenAmount: 5000n, fiatAmount: 10n, fiatCurrency: "USD" })
+        .catch((e) => e);
+      expect(error).to.be.instanceOf(TokenAmountOutOfRangeError);
+      expect(error.limits).to.deep.equal({ minAmount: 100n, maxAmount: 1000n });
+      await tokenRegistry.setTokenLimits(token, 0n, 0n);
+      await tokenRegistry.setTokenEnabled(token, false);
+      await expect(client.requestERC20Service({ serviceID: 1, serviceRef: VALID_REF, token, tokenAmount: 500n, fiatAmount: 10n, fiatCurrency: "USD" }))
+        .to.be.rejectedWith(TokenDisabledError);
+      await tokenRegistry.setTokenEnabled(token, true);
+    });
+
+    it("should quote and permit the service token fee on top of the amount", async () => {
+      const { registry, router, erc20Escrow, tokens: [, permitToken] } = system;
+      const token = await permitToken.getAddress();
+      await registry.updateServiceTokenFee(1, token, 20n);
+      expect(await client.quoteERC20(1, token, 500n)).to.deep.equal({ tokenAmount: 500n, feeAmount: 20n, total: 520n });
+      const escrowBalance = await permitToken.balanceOf(await erc20Escrow.getAddress());
+      await client.requestERC20Service({ serviceID: 1, serviceRef: VALID_REF, token, tokenAmount: 500n, fiatAmount: 10n, fiatCurrency: "USD" });
+      expect(await permitToken.balanceOf(await erc20Escrow.getAddress())).to.equal(escrowBalance + 520n);
+      expect(await permitToken.allowance(owner.address, await router.getAddress())).to.equal(0n);
+      const ids = await erc20Escrow.recordsOf(owner.address);
+      expect((await erc20Escrow.record(ids[ids.length - 1])).feeAmount).to.equal(20n);
+      await registry.updateServiceTokenFee(1, token, 0n);
+    });
+  });
+
+  describe("enumeration", () => {
+    it("should list services, refs and tokens", async () => {
+      const services = await client.listServices();
+      expect(services.map((s) => s.serviceId)).to.deep.equal([1n]);
+      expect(services[0].feeAmount).to.equal(FEE_AMOUNT);
+      expect(await client.listServiceRefs(1)).to.deep.equal([VALID_REF]);
+      expect(await client.listTokens()).to.deep.equal(system.tokens.map((t) => t.target));
+    });
+
+    it("should read every page or a single one", async () => {
+      await system.manager.setServiceRefs(1, ["REF-A", "REF-B", "REF-C"]);
+      expect(await client.listServiceRefs(1, { pageSize: 2 })).to.deep.equal([VALID_REF, "REF-A", "REF-B", "REF-C"]);
+      expect(await client.listServiceRefs(1, { offset: 1, limit: 2 })).to.deep.equal(["REF-A", "REF-B"]);
+      expect(await client.listServiceRefs(1, { offset: 3 })).to.deep.equal(["REF-C"]);
+      await system.manager.removeServiceRefs(1, ["REF-A", "REF-B", "REF-C"]);
+    });
+
+    it("should list records by payer, service and status", async () => {
+      const request = { serviceID: 1, serviceRef: VALID_REF, weiAmount: 1000n, fiatAmount: 10n, fiatCurrency: "USD" };
+      const before = await client.listRecords("native");
+      for (let i = 0; i < 3; i++) {
+        await client.requestService(request);
+      }
+      const ids = (await client.listRecords("native", { pageSize: 2 })).map((r) => r.id);
+      expect(ids.length).to.equal(before.length + 3);
+      const [first, second, third] = ids.slice(-3);
+      await system.manager.connect(fulfiller).registerFulfillment(1, {
+        id: second, externalID: "done", receiptURI: "https://example.com/receipt", status: FulFillmentResultState.SUCCESS, fulfilledAmount: 0,
+      });
+
+      const page = await client.listRecords("native", { offset: before.length, limit: 2 });
+      expect(page.map((r) => [r.id, r.payer])).to.deep.equal([[first, owner.address], [second, owner.address]]);
+      const byService = await client.listRecords("native", { serviceID: 1, pageSize: 2 });
+      expect(byService.map((r) => r.id)).to.deep.equal(ids);
+      const pending = await client.listRecords("native", { status: FulFillmentResultState.PENDING, pageSize: 2 });
+      expect(pending.map((r) => r.id).slice(-2)).to.deep.equal([first, third]);
+      const succeeded = await client.listRecords("native", { serviceID: 1, status: FulFillmentResultState.SUCCESS, pageSize: 2 });
+      expect(succeeded.map((r) => [r.id, r.externalID])).to.deep.equal([[second, "done"]]);
+      expect(await client.listRecords("native", { payer: fulfiller.address })).to.deep.equal([]);
+    });
+
+    it("should list the services of a fulfiller", async () => {
+      await system.registry.addFulfiller(fulfiller.address, 1);
+      expect(await client.listFulfillerServices(fulfiller.address)).to.deep.equal([1n]);
+      expect(await client.listFulfillerServices(owner.address)).to.deep.equal([]);
+    });
+  });
+
+  describe("ref rules", () => {
+    const PATTERNS = [
+      "^\\+?52\\d{10}$",
+      "[A-Z]{2,3}-[^-]+-?\\w*",
+      "a*b?c{2,}.{0,3}",
+      "[\\d.\\-]+x",
+      "a\\\\$",
+    ];
+    const REFS = ["a\\", "a\\$", "+525512345678", "525512345678", "AB-1", "AB--", "ab", "ccc", "aabccxyz", "abc", "1.2-3x", "1.2-3", "é", ""];
+
+    afterEach(async () => {
+      await system.registry.updateServiceRefRule(1, { mode: RefValidationMode.ALLOW_LIST, pattern: "", minLength: 0, maxLength: 0 });
+    });
+
+    it("should validate refs like the registry", async () => {
+      for (const pattern of PATTERNS) {
+        await system.registry.updateServiceRefRule(1, { mode: RefValidationMode.PATTERN, pattern, minLength: 0, maxLength: 0 });
+        for (const ref of REFS) {
+          expect(await client.isRefValid(1, ref), `${pattern} ${ref}`).to.equal(await system.registry.isRefValid(1, ref));
+        }
+      }
+      await system.registry.updateServiceRefRule(1, { mode: RefValidationMode.LENGTH_CHARSET, pattern: "\\d+a-c", minLength: 2, maxLength: 5 });
+      for (const ref of REFS) {
+        expect(await client.isRefValid(1, ref), ref).to.equal(await system.registry.isRefValid(1, ref));
+      }
+    });
+
+    it("should reject invalid patterns at the same position as the registry", async () => {
+      for (const pattern of ["(a|b)", "[a-z", "a{3,2}", "ab\\", "z-a]", "\\d{64}x", "^\\d{4}\\s\\d{4}$", "[\\D]"]) {
+        let position;
+        try {
+          compileRefPattern(pattern);
+        } catch (error) {
+          expect(error).to.be.instanceOf(InvalidPatternError);
+          position = error.position;
+        }
+        await expect(system.registry.updateServiceRefRule(1, { mode: RefValidationMode.PATTERN, pattern, minLength: 0, maxLength: 0 }))
+          .to.be.revertedWithCustomError(system.registry, "InvalidPattern")
+          .withArgs(position);
+      }
+    });
+
+    it("should request services with refs matching the service pattern", async () => {
+      await system.registry.updateServiceRefRule(1, { mode: RefValidationMode.PATTERN, pattern: "\\d{10}", minLength: 0, maxLength: 0 });
+      await client.requestService({ serviceID: 1, serviceRef: "5512345678", weiAmount: 1000n, fiatAmount: 10n, fiatCurrency: "USD" });
+      const error = await client
+        .requestService({ serviceID: 1, serviceRef: VALID_REF, weiAmount: 1000n, fiatAmount: 10n, fiatCurrency: "USD" })
+        .catch((e) => e);
+      expect(error).to.be.instanceOf(InvalidRefError);
+    });
+  });
+
+  describe("fiat currencies", () => {
+    const MXN = encodeCurrency("MXN");
+
+    after(async () => {
+      await system.registry.removeServiceCurrency(1, MXN);
+    });
+
+    it("should encode and decode currency codes", () => {
+      expect(MXN).to.equal("0x4d584e");
+      expect(decodeCurrency(MXN)).to.equal("MXN");
+      expect(decodeCurrency("0x000000")).to.equal("");
+      expect(() => encodeCurrency("mxn")).to.throw("Invalid currency code");
+    });
+
+    it("should default the fiat decimals to the ones the service declares", async () => {
+      await system.registry.updateServiceCurrency(1, MXN, 0);
+      expect(await client.getServiceCurrencies(1)).to.deep.equal([{ currency: "MXN", decimals: 0 }]);
+      await client.requestService({ serviceID: 1, serviceRef: VALID_REF, weiAmount: 1000n, fiatAmount: 100n, fiatCurrency: "MXN" });
+      const ids = await system.escrow.recordsOf(owner.address);
+      const record = await system.escrow.record(ids[ids.length - 1]);
+      expect(decodeCurrency(record.fiatCurrency)).to.equal("MXN");
+      expect(record.fiatDecimals).to.equal(0n);
+    });
+
+    it("should throw a typed error for currencies the service does not accept", async () => {
+      const error = await client
+        .requestService({ serviceID: 1, serviceRef: VALID_REF, weiAmount: 1000n, fiatAmount: 10n, fiatCurrency: "USD" })
+        .catch((e) => e);
+      expect(error).to.be.instanceOf(UnsupportedCurrencyError);
+      expect(error.currency).to.equal("USD");
+      expect(error.decimals).to.equal(2n);
+      const data = client.router.interface.encodeErrorResult("UnsupportedCurrency", [1n, MXN, 2n]);
+      expect(decodeError({ data }).currency).to.equal("MXN");
+    });
+  });
+
+  describe("decodeError", () => {
+    it("should decode raw revert data", () => {
+      const data = client.router.interface.encodeErrorResult("InsufficientAmount", []);
+      expect(decodeError({ data })).to.be.instanceOf(InsufficientAmountError);
+    });
+
+    it("should decode price check reverts with their arguments", () => {
+      const data = client.router.interface.encodeErrorResult("FiatAmountNotCovered", [50000n, 100n]);
+      const error = decodeError({ data });
+      expect(error).to.be.instanceOf(FiatAmountNotCoveredError);
+      expect(error.fiatAmount).to.equal(50000n);
+      expect(error.paidFiatAmount).to.equal(100n);
+    });
+
+    it("should leave non contract errors untouched", () => {
+      const error = new Error("network down");
+      expect(decodeError(error)).to.equal(error);
+    });
+  });
+});
@@ -0,0 +1,403 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deploySystem } = require("../scripts/deploy");
+const { parseCSV } = require("../tasks/utils/input");
+const { computeFee } = require("../sdk");
+const { setStorageAt, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { ethers } = hre;
+
+describe("Admin tasks", () => {
+  let dir;
+  let contracts;
+  let fulfiller;
+  let beneficiary;
+  let consoleLog;
+  let output;
+
+  before(async () => {
+    [, fulfiller, beneficiary] = await ethers.getSigners();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bando-tasks-"));
+    process.env.DEPLOYMENTS_DIR = dir;
+    ({ contracts } = await deploySystem({ dir, log: () => {} }));
+  });
+
+  beforeEach(() => {
+    output = [];
+    consoleLog = console.log;
+    console.log = (line) => output.push(line);
+  });
+
+  afterEach(() => {
+    console.log = consoleLog;
+  });
+
+  after(() => {
+    delete process.env.DEPLOYMENTS_DIR;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("input parsing", () => {
+    it("should parse CSV records with a header row", () => {
+      expect(parseCSV("serviceId,ref\n1, abc\n\n2,def\n")).to.deep.equal([
+        { serviceId: "1", ref: "abc" },
+        { serviceId: "2", ref: "def" },
+      ]);
+    });
+
+    it("should reject CSV rows with missing columns", () => {
+      expect(() => parseCSV("serviceId,ref\n1\n")).to.throw("CSV row 2 has 1 columns, expected 2");
+    });
+  });
+
+  describe("bando:service:add", () => {
+    const serviceArgs = () => ({
+      serviceId: "1",
+      feeAmount: "100",
+      fulfiller: fulfiller.address,
+      beneficiary: beneficiary.address,
+    });
+
+    it("should only print the diff on a dry run", async () => {
+      const sent = await hre.run("bando:service:add", { ...serviceArgs(), dryRun: true });
+      expect(sent).to.equal(0);
+      expect(output[0]).to.match(/^\+ service 1: feeAmount=100/);
+      await expect(contracts.FulfillableRegistry.getService(1))
+        .to.be.revertedWith("FulfillableRegistry: Service does not exist");
+    });
+
+    it("should add the service through the manager", async () => {
+      expect(await hre.run("bando:service:add", serviceArgs())).to.equal(1);
+      const service = await contracts.FulfillableRegistry.getService(1);
+      expect(service.fulfiller).to.equal(fulfiller.address);
+      expect(service.feeAmount).to.equal(100);
+    });
+
+    it("should not send anything when the service is up to date", async () => {
+      expect(await hre.run("bando:service:add", serviceArgs())).to.equal(0);
+      expect(output[0]).to.equal("= service 1");
+    });
+
+    it("should update the changed fields of an existing service", async () => {
+      expect(await hre.run("bando:service:add", { ...serviceArgs(), feeAmount: "200" })).to.equal(1);
+      expect(output[0]).to.equal("~ service 1 feeAmount: 100 -> 200");
+      expect((await contracts.FulfillableRegistry.getService(1)).feeAmount).to.equal(200);
+    });
+
+    it("should update the basis-point fee when it is given", async () => {
+      const args = { ...serviceArgs(), feeAmount: "200", feeBasisPoints: "50", minFeeAmount: "10", maxFeeAmount: "0" };
+      expect(await hre.run("bando:service:add", args)).to.equal(1);
+      expect(output[0]).to.equal("~ service 1 feeBasisPoints/minFeeAmount/maxFeeAmount: 0/0/0 -> 50/10/0");
+      const service = await contracts.FulfillableRegistry.getService(1);
+      expect(service.feeBasisPoints).to.equal(50);
+      expect(service.minFeeAmount).to.equal(10);
+      expect(await hre.run("bando:service:add", args)).to.equal(0);
+    });
+
+    it("should require every field when no file is given", async () => {
+      await expect(hre.run("bando:service:add", { serviceId: "2" }))
+        .to.be.rejectedWith('Missing "feeAmount" in input record 0');
+    });
+  });
+
+  describe("bando:service:token-fee", () => {
+    it("should set the ERC20 fee of a service and skip it when up to date", async () => {
+      const args = { serviceId: "1", token: beneficiary.address, feeAmount: "25" };
+      expect(await hre.run("bando:service:token-fee", args)).to.equal(1);
+      expect(output[0]).to.equal(`~ service 1 fee in ${beneficiary.address}: 0 -> 25`);
+      expect(await contracts.FulfillableRegistry.getServiceTokenFee(1, beneficiary.address)).to.equal(25);
+      expect(await hre.run("bando:service:token-fee", args)).to.equal(0);
+    });
+  });
+
+  describe("bando:service:currency", () => {
+    it("should set the currencies of a service and skip them when up to date", async () => {
+      const file = path.join(dir, "currencies.csv");
+      fs.writeFileSync(file, "serviceId,currency,decimals\n1,MXN,2\n1,COP,0\n");
+      expect(await hre.run("bando:service:currency", { file })).to.equal(2);
+      expect(output.slice(0, 2)).to.deep.equal(["+ service 1 currency MXN/2", "+ service 1 currency COP/0"]);
+      expect(await contracts.FulfillableRegistry.isCurrencyAllowed(1, "0x434f50", 0)).to.be.true;
+      expect(await hre.run("bando:service:currency", { file })).to.equal(0);
+      expect(await hre.run("bando:service:currency", { serviceId: "1", currency: "COP" })).to.equal(1);
+      expect(output).to.include("~ service 1 currency COP decimals: 0 -> 2");
+      expect(await hre.run("bando:service:currency", { file, remove: true })).to.equal(2);
+      expect(await contracts.FulfillableRegistry.getServiceCurrencies(1)).to.deep.equal([[], []]);
+    });
+
+    it("should reject invalid currency codes before sending anything", async () => {
+      await expect(hre.run("bando:service:currency", { serviceId: "1", currency: "mxn" }))
+        .to.be.rejectedWith('Invalid currency code "mxn"');
+    });
+  });
+
+  describe("bando:ref:add", () => {
+    it("should add refs from a CSV file and skip the existing ones", async () => {
+      const file = path.join(dir, "refs.csv");
+      fs.writeFileSync(file, "serviceId,ref\n1,REF-1\n1,REF-2\n");
+      await hre.run("bando:ref:add", { serviceId: "1", ref: "REF-1" });
+      expect(await hre.run("bando:ref:add", { file })).to.equal(1);
+      expect(await contracts.FulfillableRegistry.isRefValid(1, "REF-2")).to.be.true;
+    });
+
+    it("should add and remove refs in batches", async () => {
+      const file = path.join(dir, "batch.csv");
+      fs.writeFileSync(file, "serviceId,ref\n1,REF-3\n1,REF-4\n1,REF-5\n");
+      expect(await hre.run("bando:ref:add", { file, batchSize: 2 })).to.equal(2);
+      expect(output).to.include('+ 2 refs for service 1: "REF-3", "REF-4"');
+      expect(output).to.include('+ ref "REF-5" for service 1');
+      expect(await hre.run("bando:ref:remove", { file })).to.equal(1);
+      expect(await contracts.FulfillableRegistry.isRefValid(1, "REF-4")).to.be.false;
+      expect(await hre.run("bando:ref:remove", { file })).to.equal(0);
+    });
+
+    it("should skip the migration of services whose refs are indexed", async () => {
+      expect(await hre.run("bando:ref:migrate", { services: "1" })).to.equal(0);
+      expect(output[0]).to.equal("= refs of service 1");
+    });
+  });
+
+  describe("bando:service:index", () => {
+    it("should skip the services already listed", async () => {
+      expect(await hre.run("bando:service:index", {})).to.equal(0);
+      expect(output).to.include("= service 1");
+    });
+  });
+
+  describe("bando:record:index", () => {
+    it("should list by service the records deposited before records were listed by service", async () => {
+      const { BandoRouterV1: router, BandoFulfillableV1: escrow } = contracts;
+      const [payer] = await ethers.getSigners();
+      const feeAmount = computeFee(await contracts.FulfillableRegistry.getService(1), 1000);
+      const request = { payer: payer.address, weiAmount: 1000, fiatAmount: 10, serviceRef: "REF-1", fiatCurrency: "0x555344", fiatDecimals: 2 };
+      for (let i = 0; i < 3; i++) {
+        await router.requestService(1, request, { value: 1000n + feeAmount });
+      }
+      expect(await hre.run("bando:record:index", {})).to.equal(0);
+      expect(output[0]).to.equal("= records of the escrow");
+
+      // clear _serviceRecordsIndexed (slot 13) and the list of service 1 (slot 12),
+      // as an escrow upgraded from the previous implementation holds its records
+      const address = await escrow.getAddress();
+      await setStorageAt(address, 13, 0);
+      await setStorageAt(address, ethers.solidityPackedKeccak256(["uint256", "uint256"], [1, 12]), 0);
+      expect(await hre.run("bando:record:index", { batchSize: 2 })).to.equal(2);
+      expect(output.slice(3, 6)).to.deep.equal([
+        "~ list 2 record(s) of the escrow by service",
+        "~ list 1 record(s) of the escrow by service",
+        "= records of the ERC20 escrow",
+      ]);
+      expect(await escrow.recordsOfService(1, 0, 10)).to.deep.equal([1n, 2n, 3n]);
+    });
+  });
+
+  describe("bando:record:release", () => {
+    it("should credit the matured releases of a service", async () => {
+      const {
+        BandoRouterV1: router,
+        BandoFulfillableV1: escrow,
+        BandoFulfillmentManagerV1: manager,
+        FulfillableRegistry: registry,
+      } = contracts;
+      const [payer] = await ethers.getSigners();
+      await registry.updateServiceDisputeWindow(1, 3600);
+      const feeAmount = computeFee(await registry.getService(1), 1000);
+      const request = { payer: payer.address, weiAmount: 1000, fiatAmount: 10, serviceRef: "REF-1", fiatCurrency: "0x555344", fiatDecimals: 2 };
+      const ids = [];
+      for (let i = 0; i < 3; i++) {
+        await router.requestService(1, request, { value: 1000n + feeAmount });
+        const records = await escrow.recordsOf(payer.address);
+        ids.push(records[records.length - 1]);
+      }
+      for (const id of ids) {
+        await manager.connect(fulfiller).registerFulfillment(1, { id, externalID: "", receiptURI: "", status: 1, fulfilledAmount: 0 });
+      }
+      await escrow.openDispute(ids[2]);
+      const pool = await escrow._releaseablePool(1);
+      expect(await hre.run("bando:record:release", { serviceId: 1 })).to.equal(0);
+      expect(output[0]).to.equal("= matured releases of service 1 on the escrow");
+
+      await time.increase(3600);
+      expect(await hre.run("bando:record:release", { serviceId: 1, batchSize: 1 })).to.equal(2);
+      expect(output.slice(3, 6)).to.deep.equal([
+        "~ release 1 matured record(s) of service 1 on the escrow",
+        "~ release 1 matured record(s) of service 1 on the escrow",
+        "= matured releases of service 1 on the ERC20 escrow",
+      ]);
+      expect(await escrow._releaseablePool(1)).to.equal(pool + 2n * (1000n + feeAmount));
+      await registry.updateServiceDisputeWindow(1, 0);
+    });
+  });
+
+  describe("bando:ref:rule", () => {
+    it("should set a ref pattern and skip it when up to date", async () => {
+      const args = { serviceId: "1", mode: "pattern", pattern: "\\d{10}" };
+      expect(await hre.run("bando:ref:rule", args)).to.equal(1);
+      expect(output[0]).to.equal("~ service 1 ref rule: allow-list -> pattern /\\d{10}/");
+      expect(await contracts.FulfillableRegistry.isRefValid(1, "5512345678")).to.be.true;
+      expect(await hre.run("bando:ref:rule", args)).to.equal(0);
+      await hre.run("bando:ref:rule", { serviceId: "1", mode: "allow-list" });
+    });
+
+    it("should reject invalid patterns before sending anything", async () => {
+      await expect(hre.run("bando:ref:rule", { serviceId: "1", mode: "pattern", pattern: "(a|b)" }))
+        .to.be.rejectedWith('Invalid reference pattern "(a|b)" at position 0');
+      await expect(hre.run("bando:ref:rule", { serviceId: "1", mode: "regex" }))
+        .to.be.rejectedWith('Unknown ref rule mode "regex"');
+    });
+  });
+
+  describe("bando:token:whitelist", () => {
+    it("should whitelist and remove tokens from a JSON file", async () => {
+      const file = path.join(dir, "tokens.json");
+      fs.writeFileSync(file, JSON.stringify([{ token: fulfiller.address }]));
+      expect(await hre.run("bando:token:whitelist", { file })).to.equal(1);
+      expect(await contracts.ERC20TokenRegistry.isTokenWhitelisted(fulfiller.address)).to.be.true;
+      expect(await hre.run("bando:token:whitelist", { file, remove: true })).to.equal(1);
+      expect(await contracts.ERC20TokenRegistry.isTokenWhitelisted(fulfiller.address)).to.be.false;
+    });
+
+    it("should list the tokens whitelisted before the whitelist was enumerable", async () => {
+      const registry = contracts.ERC20TokenRegistry;
+      await registry.addToken(beneficiary.address);
+      // clear the whitelistedTokens set (slot 2, positions at slot 3), as a registry
+      // upgraded from the previous implementation holds its tokens
+      const address = await registry.getAddress();
+      const position = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["address", "uint256"], [beneficiary.address, 3]));
+      await setStorageAt(address, 2, 0);
+      await setStorageAt(address, position, 0);
+      expect(await registry.getTokenCount()).to.equal(0);
+      expect(await hre.run("bando:token:index", {})).to.equal(1);
+      expect(output).to.include(`+ list tokens ${beneficiary.address}`);
+      expect(await registry.getTokens(0, 10)).to.deep.equal([beneficiary.address]);
+      await registry.removeToken(beneficiary.address);
+    });
+
+    it("should set the accounting mode of whitelisted tokens", async () => {
+      const args = { token: fulfiller.address, accounting: "balance-delta" };
+      expect(await hre.run("bando:token:whitelist", args)).to.equal(2);
+      expect(output[1]).to.equal(`~ token ${fulfiller.address} accounting: exact -> balance-delta`);
+      expect(await contracts.ERC20TokenRegistry.usesBalanceDeltaAccounting(fulfiller.address)).to.be.true;
+      expect(await hre.run("bando:token:whitelist", args)).to.equal(0);
+      await expect(hre.run("bando:token:whitelist", { token: fulfiller.address, accounting: "rebasing" }))
+        .to.be.rejectedWith('Unknown accounting "rebasing"');
+    });
+  });
+
+  describe("bando:token:metadata", () => {
+    it("should set the limits, status and services of a token and skip them when up to date", async () => {
+      const registry = contracts.ERC20TokenRegistry;
+      const token = fulfiller.address;
+      const args = { token, minAmount: "10", maxAmount: "1000", enabled: "false", services: "1,2" };
+      expect(await hre.run("bando:token:metadata", args)).to.equal(5);
+      expect(output.slice(0, 5)).to.deep.equal([
+        `~ token ${token} minAmount/maxAmount: 0/0 -> 10/1000`,
+        `~ token ${token} enabled: true -> false`,
+        `~ token ${token} service restriction: off -> on`,
+        `+ token ${token} for service 1`,
+        `+ token ${token} for service 2`,
+      ]);
+      expect(await registry.isTokenAllowedForService(token, 2)).to.be.true;
+      expect(await hre.run("bando:token:metadata", args)).to.equal(0);
+      expect(await hre.run("bando:token:metadata", { token, services: "2" })).to.equal(1);
+      expect(output).to.include(`- token ${token} for service 1`);
+      expect(await hre.run("bando:token:metadata", { token, enabled: "true", services: "any" })).to.equal(2);
+      expect(await registry.isTokenAllowedForService(token, 1)).to.be.true;
+    });
+
+    it("should reject tokens that are not whitelisted", async () => {
+      await expect(hre.run("bando:token:metadata", { token: beneficiary.address, enabled: "false" }))
+        .to.be.rejectedWith(`Token ${beneficiary.address} is not whitelisted`);
+    });
+  });
+
+  describe("bando:oracle:feed", () => {
+    it("should set the native coin feed and skip it when up to date", async () => {
+      const feed = await ethers.deployContract("MockPriceFeed", [8, 2000n * 10n ** 8n]);
+      const args = { token: "native", currency: "USD", feed: await feed.getAddress(), tokenDecimals: "18", maxStaleness: "3600" };
+      expect(await hre.run("bando:oracle:feed", args)).to.equal(1);
+      expect(output[0]).to.equal(`+ native coin USD feed: ${await feed.getAddress()}/18/3600`);
+      expect((await contracts.ChainlinkPriceOracle.getPriceFeed(ethers.ZeroAddress, "0x555344")).maxStaleness).to.equal(3600);
+      expect(await hre.run("bando:oracle:feed", args)).to.equal(0);
+      expect(await hre.run("bando:oracle:feed", { ...args, maxStaleness: "60" })).to.equal(1);
+      expect(output).to.include(`~ native coin USD feed: ${await feed.getAddress()}/18/3600 -> ${await feed.getAddress()}/18/60`);
+      expect(await hre.run("bando:oracle:feed", { ...args, currency: "MXN" })).to.equal(1);
+      expect(output).to.include(`+ native coin MXN feed: ${await feed.getAddress()}/18/3600`);
+    });
+  });
+
+  describe("bando:oracle:service", () => {
+    it("should configure the price check of a service", async () => {
+      const args = { serviceId: "1", slippageBasisPoints: "100", stalePrice: "allow" };
+      expect(await hre.run("bando:oracle:service", args)).to.equal(1);
+      expect(output[0]).to.equal("~ service 1 price check: disabled -> slippage 100bp, missing feed reject, stale price allow");
+      expect(await hre.run("bando:oracle:service", args)).to.equal(0);
+      expect(await hre.run("bando:oracle:service", { ...args, enabled: "false" })).to.equal(1);
+      expect((await contracts.ChainlinkPriceOracle.getServiceConfig(1)).enabled).to.be.false;
+      await expect(hre.run("bando:oracle:service", { ...args, missingFeed: "skip" }))
+        .to.be.rejectedWith('Unknown missingFeed "skip" for service 1');
+    });
+  });
+
+  describe("bando:pause", () => {
+    it("should pause and unpause the router", async () => {
+      await hre.run("bando:pause");
+      expect(await contracts.BandoRouterV1.paused()).to.be.true;
+      expect(await hre.run("bando:pause")).to.equal(0);
+      await hre.run("bando:pause", { unpause: true });
+      expect(await contracts.BandoRouterV1.paused()).to.be.false;
+    });
+  });
+
+  describe("bando:role:grant", () => {
+    it("should grant and revoke a role on the contracts checking it", async () => {
+      const args = { role: "PAUSER", account: fulfiller.address };
+      expect(await hre.run("bando:role:grant", args)).to.equal(1);
+      expect(output[0]).to.equal(`+ PAUSER_ROLE on BandoRouterV1 for ${fulfiller.address}`);
+      const router = contracts.BandoRouterV1;
+      expect(await router.hasRole(await router.PAUSER_ROLE(), fulfiller.address)).to.be.true;
+      expect(await hre.run("bando:role:grant", args)).to.equal(0);
+      expect(await hre.run("bando:role:revoke", args)).to.equal(1);
+      expect(await router.hasRole(await router.PAUSER_ROLE(), fulfiller.address)).to.be.false;
+    });
+
+    it("should plan roles checked by every contract and restrict them to one contract", async () => {
+      expect(await hre.run("bando:role:grant", { role: "UPGRADER_ROLE", account: fulfiller.address, dryRun: true })).to.equal(0);
+      expect(output.filter((line) => line.startsWith("+ UPGRADER_ROLE"))).to.have.lengthOf(7);
+      const args = { role: "upgrader", account: fulfiller.address, contract: "FulfillableRegistry" };
+      expect(await hre.run("bando:role:grant", args)).to.equal(1);
+      expect(await hre.run("bando:role:revoke", args)).to.equal(1);
+    });
+
+    it("should reject unknown roles", async () => {
+      await expect(hre.run("bando:role:grant", { role: "OWNER", account: fulfiller.address }))
+        .to.be.rejectedWith('Unknown role "OWNER"');
+    });
+  });
+
+  describe("bando:status", () => {
+    it("should report the wiring and the requested services", async () => {
+      const status = await hre.run("bando:status", { services: "1" });
+      expect(status.router.escrow).to.equal(await contracts.BandoFulfillableV1.getAddress());
+      expect(status.router.priceOracle).to.equal(await contracts.ChainlinkPriceOracle.getAddress());
+      expect(status.manager.serviceRegistry).to.equal(await contracts.FulfillableRegistry.getAddress());
+      expect(status.services["1"].feeAmount).to.equal("200");
+      expect(status.services["1"].refCount).to.equal("2");
+    });
+
+    it("should report the role holders of every contract", async () => {
+      const [deployer] = await ethers.getSigners();
+      await hre.run("bando:role:grant", { role: "PAUSER", account: fulfiller.address });
+      let status = await hre.run("bando:status", {});
+      expect(status.contracts.BandoRouterV1.roles.DEFAULT_ADMIN_ROLE).to.deep.equal([deployer.address]);
+      expect(status.contracts.BandoRouterV1.roles.PAUSER_ROLE).to.deep.equal([deployer.address, fulfiller.address]);
+      expect(status.contracts.BandoRouterV1.roles).to.not.have.property("ARBITER_ROLE");
+      expect(status.contracts.BandoFulfillableV1.roles.ARBITER_ROLE).to.deep.equal([deployer.address]);
+      await hre.run("bando:role:revoke", { role: "PAUSER", account: fulfiller.address });
+      status = await hre.run("bando:status", {});
+      expect(status.contracts.BandoRouterV1.roles.PAUSER_ROLE).to.deep.equal([deployer.address]);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { USD, systemFixture } = require("./utils/fixtures");
+const { CONTRACTS } = require("../scripts/utils/manifest");
+const { readStorageLayout, compareLayouts, readSnapshot } = require("../scripts/utils/storageLayout");
+const { validateUpgrade } = require("../tasks/upgrades");
+
+const { ethers, upgrades } = hre;
+
+/**
+ * Candidate V2 implementation of every upgradeable contract.
+ */
+const CANDIDATES = {
+  FulfillableRegistry: "FulfillableRegistryUpgradeTester",
+  ERC20TokenRegistry: "ERC20TokenRegistryUpgradeTester",
+  BandoFulfillableV1: "FulfillableUpgradeTester",
+  BandoERC20FulfillableV1: "ERC20FulfillableUpgradeTester",
+  BandoFulfillmentManagerV1: "ManagerUpgradeTest",
+  BandoRouterV1: "RouterUpgradeTester",
+};
+
+const SERVICE_REF = "UPGRADE-REF";
+
+const upgradeFixture = systemFixture({
+  services: [{ serviceId: 1, feeAmount: 0, refs: [SERVICE_REF] }],
+  tokens: [{ contract: "DemoToken", fund: 1000 }],
+});
+
+describe("Upgrade safety", () => {
+  describe("storage layout snapshots", () => {
+    for (const name of CONTRACTS) {
+      it(`should match the committed storage layout of ${name}`, async () => {
+        const snapshot = readSnapshot(name);
+        expect(snapshot, `missing storage-layout/${name}.json, run npx hardhat bando:storage-layout --update`).to.not.equal(null);
+        const { errors, appended } = compareLayouts(snapshot, await readStorageLayout(hre, name));
+        expect(errors, "storage layout changes are not upgrade safe").to.deep.equal([]);
+        expect(appended, "storage layout snapshot is outdated, run npx hardhat bando:storage-layout --update").to.deep.equal([]);
+      });
+    }
+
+    it("should report reordered state variables", async () => {
+      const snapshot = readSnapshot("BandoFulfillableV1");
+      const current = await readStorageLayout(hre, "BandoFulfillableV1");
+      // _fulfillmentIdCount moved after _fulfillmentRecordCount
+      const [idCount, records, subjects, recordCount, ...rest] = current.storage;
+      current.storage = [
+        { ...records, slot: "0" },
+        { ...subjects, slot: "1" },
+        { ...recordCount, slot: "2" },
+        { ...idCount, slot: "3" },
+        ...rest,
+      ];
+      const { errors } = compareLayouts(snapshot, current);
+      expect(errors).to.have.lengthOf(4);
+      expect(errors[0]).to.include("_fulfillmentIdCount (slot 0, offset 0, t_uint256) became _fulfillmentRecords");
+    });
+
+    it("should report reordered struct members and allow appended ones", async () => {
+      const snapshot = readSnapshot("BandoFulfillableV1");
+      const current = await readStorageLayout(hre, "BandoFulfillableV1");
+      const type = "t_struct(FulFillmentRecord)_storage";
+      const members = current.types[type].members;
+      current.types[type].members = [...members, { label: "extra", slot: "11", offset: 0, type: "t_uint256" }];
+      let result = compareLayouts(snapshot, current);
+      expect(result.errors).to.deep.equal([]);
+      expect(result.appended).to.deep.equal([`${type}: extra (slot 11, offset 0, t_uint256)`]);
+
+      current.types[type].members = [members[1], members[0], ...members.slice(2)];
+      result = compareLayouts(snapshot, current);
+      expect(result.errors).to.have.lengthOf(2);
+    });
+  });
+
+  describe("OpenZeppelin upgrade validation", () => {
+    for (const [name, candidate] of Object.entries(CANDIDATES)) {
+      it(`should validate ${candidate} as an upgrade of ${name}`, async () => {
+        const reference = await ethers.getContractFactory(name);
+        await upgrades.validateImplementation(reference, { kind: "uups" });
+        await upgrades.validateUpgrade(reference, await ethers.getContractFactory(candidate), { kind: "uups" });
+      });
+    }
+
+    it("should reject a candidate whose storage collides with the escrow", async () => {
+      for (const name of ["BandoFulfillableV1", "BandoERC20FulfillableV1"]) {
+        await expect(upgrades.validateUpgrade(
+          await ethers.getContractFactory(name),
+          await ethers.getContractFactory("StorageCollisionTester"),
+          { kind: "uups" },
+        )).to.be.rejectedWith("New storage layout is incompatible");
+      }
+    });
+
+    it("should validate candidates against deployed proxies through the task", async () => {
+      const log = [];
+      await validateUpgrade(hre, "BandoFulfillableV1", "FulfillableUpgradeTester", (line) => log.push(line));
+      expect(log[log.length - 1]).to.equal("FulfillableUpgradeTester is a storage compatible upgrade of BandoFulfillableV1");
+    });
+  });
+
+  describe("upgrading deployed proxies", () => {
+    it("should keep every contract's state across an upgrade to its candidate", async () => {
+      const { registry, tokenRegistry, escrow, erc20Escrow, manager, router, token, payer, fulfiller } = await loadFixture(upgradeFixture);
+      await router.connect(payer).requestService(
+        1,
+        { payer: payer.address, weiAmount: 100, fiatAmount: 10, serviceRef: SERVICE_REF, fiatCurrency: USD, fiatDecimals: 2 },
+        { value: 100 },
+      );
+      await router.connect(payer).requestERC20Service(1, {
+        payer: payer.address,
+        fiatAmount: 10,
+        fiatCurrency: USD,
+        fiatDecimals: 2,
+        serviceRef: SERVICE_REF,
+        token: await token.getAddress(),
+        tokenAmount: 100,
+      });
+
+      const proxies = {
+        FulfillableRegistry: registry,
+        ERC20TokenRegistry: tokenRegistry,
+        BandoFulfillableV1: escrow,
+        BandoERC20FulfillableV1: erc20Escrow,
+        BandoFulfillmentManagerV1: manager,
+        BandoRouterV1: router,
+      };
+      const upgraded = {};
+      for (const [name, proxy] of Object.entries(proxies)) {
+        const factory = await ethers.getContractFactory(CANDIDATES[name]);
+        upgraded[name] = await upgrades.upgradeProxy(await proxy.getAddress(), factory, { kind: "uups" });
+        expect(await upgraded[name].isUpgrade()).to.equal(true);
+      }
+
+      expect((await upgraded.FulfillableRegistry.getService(1)).fulfiller).to.equal(fulfiller.address);
+      expect(await upgraded.ERC20TokenRegistry.isTokenWhitelisted(await token.getAddress())).to.equal(true);
+      expect(await upgraded.BandoFulfillableV1.getDepositsFor(payer.address, 1)).to.equal(100);
+      expect(await upgraded.BandoERC20FulfillableV1.getERC20DepositsFor(await token.getAddress(), payer.address, 1)).to.equal(100);
+      expect(await upgraded.BandoFulfillmentManagerV1._escrow()).to.equal(await escrow.getAddress());
+      expect(await upgraded.BandoRouterV1._erc20Escrow()).to.equal(await erc20Escrow.getAddress());
+
+      // appended variables do not overwrite the V1 state
+      await upgraded.BandoFulfillableV1.setUpgradeMarker(42);
+      await upgraded.BandoERC20FulfillableV1.setUpgradeMarker(42);
+      expect(await upgraded.BandoFulfillableV1._upgradeMarker()).to.equal(42);
+
+      // the record id counter keeps counting from the V1 state
+      await router.connect(payer).requestService(
+        1,
+        { payer: payer.address, weiAmount: 100, fiatAmount: 10, serviceRef: SERVICE_REF, fiatCurrency: USD, fiatDecimals: 2 },
+        { value: 100 },
+      );
+      expect(await escrow.recordsOf(payer.address)).to.deep.equal([1n, 2n]);
+      expect(await upgraded.BandoFulfillableV1.getDepositsFor(payer.address, 1)).to.equal(200);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const { ethers } = require("hardhat");
+const { deploySystem } = require("../../scripts/deploy");
+const { encodeCurrency } = require("../../sdk/currencies");
+
+/**
+ * @typedef {object} ServiceSeed
+ * @property {number} serviceId
+ * @property {bigint|number|string} [feeAmount] defaults to 0
+ * @property {string} [fulfiller] defaults to the fulfiller signer
+ * @property {string} [beneficiary] defaults to the beneficiary signer
+ * @property {string[]} [refs] service references to add
+ * @property {number} [fulfillmentTimeout] seconds after which pending records can be expired
+ * @property {number} [disputeWindow] seconds fulfilled releases stay locked and disputable
+ *
+ * @typedef {object} TokenSeed
+ * @property {string} [contract] contract name to deploy, defaults to DemoToken
+ * @property {boolean} [whitelist] add it to the token registry, defaults to true
+ * @property {boolean} [balanceDelta] record the amount the escrow actually receives, for fee-on-transfer tokens
+ * @property {bigint|number|string} [fund] amount transferred to the payer and approved to the router
+ *
+ * @typedef {object} SystemSeed
+ * @property {ServiceSeed[]} [services]
+ * @property {TokenSeed[]} [tokens]
+ *
+ * @typedef {object} System
+ * @property {import('ethers').Contract} registry FulfillableRegistry
+ * @property {import('ethers').Contract} tokenRegistry ERC20TokenRegistry
+ * @property {import('ethers').Contract} priceOracle ChainlinkPriceOracle
+ * @property {import('ethers').Contract} escrow BandoFulfillableV1
+ * @property {import('ethers').Contract} erc20Escrow BandoERC20FulfillableV1
+ * @property {import('ethers').Contract} manager BandoFulfillmentManagerV1
+ * @property {import('ethers').Contract} router BandoRouterV1
+ * @property {import('ethers').Contract[]} tokens deployed tokens, in seed order
+ * @property {import('ethers').Contract} [token] the first deployed token
+ * @property {import('ethers').Signer} owner deployer and owner of every contract
+ * @property {import('ethers').Signer} payer
+ * @property {import('ethers').Signer} fulfiller
+ * @property {import('ethers').Signer} beneficiary
+ * @property {import('ethers').Signer[]} others remaining signers
+ */
+
+/**
+ * Deploys the whole protocol, wired together, and seeds it.
+ * @param {SystemSeed} seed
+ * @returns {Promise<System>}
+ */
+async function deployWiredSystem({ services = [], tokens = [] } = {}) {
+  const [owner, payer, fulfiller, beneficiary, ...others] = await ethers.getSigners();
+  const { contracts } = await deploySystem({ save: false, log: () => {} });
+  const system = {
+    registry: contracts.FulfillableRegistry,
+    tokenRegistry: contracts.ERC20TokenRegistry,
+    priceOracle: contracts.ChainlinkPriceOracle,
+    escrow: contracts.BandoFulfillableV1,
+    erc20Escrow: contracts.BandoERC20FulfillableV1,
+    manager: contracts.BandoFulfillmentManagerV1,
+    router: contracts.BandoRouterV1,
+    tokens: [],
+    owner,
+    payer,
+    fulfiller,
+    beneficiary,
+    others,
+  };
+
+  for (const service of services) {
+    await system.manager.setService(
+      service.serviceId,
+      service.feeAmount || 0,
+      service.fulfiller || fulfiller.address,
+      service.beneficiary || beneficiary.address,
+    );
+    for (const ref of service.refs || []) {
+      await system.manager.setServiceRef(service.serviceId, ref);
+    }
+    if (service.fulfillmentTimeout) {
+      await system.registry.updateServiceFulfillmentTimeout(service.serviceId, service.fulfillmentTimeout);
+    }
+    if (service.disputeWindow) {
+      await system.registry.updateServiceDisputeWindow(service.serviceId, service.disputeWindow);
+    }
+  }
+
+  for (const seed of tokens) {
+    const token = await ethers.deployContract(seed.contract || "DemoToken");
+    await token.waitForDeployment();
+    if (seed.whitelist !== false) {
+      await system.tokenRegistry.addToken(await token.getAddress());
+    }
+    if (seed.balanceDelta) {
+      await system.tokenRegistry.setBalanceDeltaAccounting(await token.getAddress(), true);
+    }
+    if (seed.fund) {
+      await token.transfer(payer.address, seed.fund);
+      await token.connect(payer).approve(await system.router.getAddress(), seed.fund);
+    }
+    system.tokens.push(token);
+  }
+  system.token = system.tokens[0];
+  return system;
+}
+
+/**
+ * Builds a fixture for `loadFixture` deploying the wired protocol with the given seed.
+ * loadFixture caches snapshots by function, so create the fixture once per test file:
+ *
+ *   const fixture = systemFixture({ services: [{ serviceId: 1, refs: ["REF"] }], tokens: [{ fund: 1000 }] });
+ *   const { router, payer } = await loadFixture(fixture);
+ *
+ * @param {SystemSeed} [seed]
+ * @returns {function(): Promise<System>}
+ */
+function systemFixture(seed = {}) {
+  return async function bandoSystemFixture() {
+    return deployWiredSystem(seed);
+  };
+}
+
+/// The fiat currency of test requests, as the bytes3 of requests and records
+const USD = encodeCurrency("USD");
+
+module.exports = {
+  USD,
+  deployWiredSystem,
+  systemFixture,
+};
@@ -0,0 +1,134 @@
+/**
+ * Minimal property-based testing helpers: a seeded random source,
+ * a runner for random action sequences and a shrinker for failing ones.
+ *
+ * Sequences are plain arrays of JSON-serializable actions. Actions should be
+ * resolved against the current state when they run (e.g. "register the n-th
+ * pending record") so any subsequence of a sequence is still runnable.
+ */
+
+/**
+ * Seeded pseudo random generator (mulberry32).
+ * @param {number} seed
+ */
+function random(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    /** integer in [min, max] */
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: (items) => items[Math.floor(next() * items.length)],
+    /** picks a key of `weights` with a probability proportional to its value */
+    weighted: (weights) => {
+      const entries = Object.entries(weights);
+      let roll = next() * entries.reduce((sum, [, weight]) => sum + weight, 0);
+      for (const [key, weight] of entries) {
+        roll -= weight;
+        if (roll < 0) {
+          return key;
+        }
+      }
+      return entries[entries.length - 1][0];
+    },
+  };
+}
+
+/**
+ * Runs a sequence and returns the error it fails with, or null.
+ */
+async function failureOf(run, sequence) {
+  try {
+    await run(sequence);
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+/**
+ * Shrinks a failing sequence by removing chunks of actions, then by
+ * replacing single actions with simpler variants, while it keeps failing.
+ * @param {object[]} sequence a failing sequence
+ * @param {function(object[]): Promise<boolean>} fails
+ * @param {function(object): object[]} [simplify] simpler variants of an action
+ * @returns {Promise<object[]>}
+ */
+async function shrink(sequence, fails, simplify = () => []) {
+  let current = sequence;
+  let chunk = Math.ceil(current.length / 2);
+  while (chunk >= 1) {
+    let removed = false;
+    for (let start = 0; start < current.length;) {
+      const candidate = current.slice(0, start).concat(current.slice(start + chunk));
+      if (await fails(candidate)) {
+        current = candidate;
+        removed = true;
+      } else {
+        start += chunk;
+      }
+    }
+    if (!removed) {
+      chunk = Math.floor(chunk / 2);
+    }
+  }
+  for (let i = 0; i < current.length; i++) {
+    for (const variant of simplify(current[i])) {
+      const candidate = [...current.slice(0, i), variant, ...current.slice(i + 1)];
+      if (await fails(candidate)) {
+        current = candidate;
+        break;
+      }
+    }
+  }
+  return current;
+}
+
+/**
+ * Formats a sequence as a numbered list of actions.
+ */
+function formatSequence(sequence) {
+  return sequence.map((action, i) => `  ${i + 1}. ${JSON.stringify(action)}`).join("\n");
+}
+
+/**
+ * Runs `runs` random sequences. When one fails, it is shrunk to a minimal
+ * reproduction and an error describing it is thrown.
+ * @param {object} opts
+ * @param {number} opts.seed
+ * @param {number} opts.runs
+ * @param {function(ReturnType<typeof random>): object[]} opts.generate
+ * @param {function(object[]): Promise<void>} opts.run throws when the property does not hold
+ * @param {function(object): object[]} [opts.simplify]
+ */
+async function checkSequences({ seed, runs, generate, run, simplify }) {
+  for (let i = 0; i < runs; i++) {
+    const sequence = generate(random(seed + i));
+    if (!(await failureOf(run, sequence))) {
+      continue;
+    }
+    const minimal = await shrink(sequence, async (candidate) => (await failureOf(run, candidate)) !== null, simplify);
+    const error = await failureOf(run, minimal);
+    const failure = new Error(
+      `Property failed for seed ${seed + i} (${sequence.length} actions, shrunk to ${minimal.length}):\n`
+      + `${formatSequence(minimal)}\n${error.message}`,
+    );
+    failure.seed = seed + i;
+    failure.sequence = minimal;
+    failure.cause = error;
+    throw failure;
+  }
+}
+
+module.exports = {
+  random,
+  shrink,
+  formatSequence,
+  checkSequences,
+};